@@ -124,7 +124,7 @@ export const useAuthStore = defineStore('auth', {
         const config = useRuntimeConfig()
 
         // Get registration options from server
-        const optionsResponse = await $fetch(`${config.public.apiBase}/api/admin/webauthn/register/options`, {
+        const optionsResponse = await $fetch(`${config.public.apiBase}/api/v1/admin/webauthn/register/options`, {
           method: 'POST',
           body: { email: validatedEmail },
           credentials: 'include',
@@ -135,7 +135,7 @@ export const useAuthStore = defineStore('auth', {
         const credential = await startRegistration({ optionsJSON: optionsResponse })
 
         // Send credential to server for verification
-        const verificationResponse = await $fetch(`${config.public.apiBase}/api/admin/webauthn/register/verify`, {
+        const verificationResponse = await $fetch(`${config.public.apiBase}/api/v1/admin/webauthn/register/verify`, {
           method: 'POST',
           credentials: 'include',
           headers: { 'X-CSRF-Token': getOrCreateCsrfToken() },
@@ -207,7 +207,7 @@ export const useAuthStore = defineStore('auth', {
         const config = useRuntimeConfig()
 
         // Get authentication options from server
-        const optionsResponse = await $fetch(`${config.public.apiBase}/api/admin/webauthn/authenticate/options`, {
+        const optionsResponse = await $fetch(`${config.public.apiBase}/api/v1/admin/webauthn/authenticate/options`, {
           method: 'POST',
           body: { email: validatedEmail },
           headers: { 'X-CSRF-Token': getOrCreateCsrfToken() }
@@ -217,7 +217,7 @@ export const useAuthStore = defineStore('auth', {
         const credential = await startAuthentication({ optionsJSON: optionsResponse })
 
         // Send credential to server for verification
-        const verificationResponse = await $fetch(`${config.public.apiBase}/api/admin/webauthn/authenticate/verify`, {
+        const verificationResponse = await $fetch(`${config.public.apiBase}/api/v1/admin/webauthn/authenticate/verify`, {
           method: 'POST',
           credentials: 'include',
           headers: { 'X-CSRF-Token': getOrCreateCsrfToken() },
@@ -288,7 +288,7 @@ export const useAuthStore = defineStore('auth', {
 
       try {
         const config = useRuntimeConfig()
-        const response = await $fetch(`${config.public.apiBase}/api/admin/auth/login`, {
+        const response = await $fetch(`${config.public.apiBase}/api/v1/admin/auth/login`, {
           method: 'POST',
           credentials: 'include',
           headers: { 'X-CSRF-Token': getOrCreateCsrfToken() },
@@ -324,7 +324,7 @@ export const useAuthStore = defineStore('auth', {
     async checkSession() {
       try {
         const config = useRuntimeConfig()
-        const response = await $fetch(`${config.public.apiBase}/api/admin/auth/session`, {
+        const response = await $fetch(`${config.public.apiBase}/api/v1/admin/auth/session`, {
           credentials: 'include'
         })
 
@@ -343,7 +343,7 @@ export const useAuthStore = defineStore('auth', {
     async logout() {
       try {
         const config = useRuntimeConfig()
-        await $fetch(`${config.public.apiBase}/api/admin/auth/logout`, {
+        await $fetch(`${config.public.apiBase}/api/v1/admin/auth/logout`, {
           method: 'POST',
           credentials: 'include',
           headers: { 'X-CSRF-Token': getOrCreateCsrfToken() }
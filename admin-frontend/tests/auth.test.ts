@@ -1145,7 +1145,7 @@ describe('Auth Store - Security Edge Cases', () => {
       await store.loginWithPassword('  ADMIN@EXAMPLE.COM  ', 'placeholder-pwd')
 
       expect(fetchSpy).toHaveBeenCalledWith(
-        expect.stringContaining('/api/admin/auth/login'),
+        expect.stringContaining('/api/v1/admin/auth/login'),
         expect.objectContaining({
           method: 'POST',
           body: { email: 'admin@example.com', password: 'placeholder-pwd' }
@@ -5,13 +5,15 @@ import session from '@fastify/session';
 import { RedisSessionStore } from './lib/sessionStore.js';
 import sql from './lib/sql.js';
 import redis from './lib/redis.js';
-import productRoutes from './routes/products.js';
-import categoryRoutes from './routes/categories.js';
-import adminAuthRoutes from './routes/admin/auth.js';
-import adminWebAuthnRoutes from './routes/admin/webauthn.js';
-import adminProductRoutes from './routes/admin/products.js';
-import adminCategoryRoutes from './routes/admin/categories.js';
-import adminReviewRoutes from './routes/admin/reviews.js';
+import { GenerationCache } from './lib/cache.js';
+import { createLinkProvider } from './lib/linkProvider.js';
+import sitemapRoutes from './routes/sitemap.js';
+import feedRoutes from './routes/feeds.js';
+import apiRoutes from './routes/api.js';
+import docsRoutes from './routes/docs.js';
+import { collectRoutes } from './lib/openapi.js';
+import rateLimit from './middleware/rateLimit.js';
+import { healthSchema } from './schemas/health.js';
 import { cleanupExpiredChallenges } from './utils/cleanupExpiredChallenges.js';
 import { initSentry, captureException } from './lib/sentry.js';
 import * as Sentry from '@sentry/node';
@@ -33,6 +35,9 @@ export async function buildApp(opts = {}) {
     },
   });
 
+  // Record routes for the OpenAPI document; must precede every route
+  collectRoutes(fastify);
+
   // Initialize Sentry for error tracking
   initSentry(fastify);
 
@@ -68,6 +73,23 @@ export async function buildApp(opts = {}) {
   // Decorators for database clients
   fastify.decorate('sql', sql);
   fastify.decorate('redis', redis);
+  fastify.decorate('cache', new GenerationCache(redis));
+  // Short links for affiliate links (null when none is configured); tests
+  // pass a fake
+  fastify.decorate('linkProvider', opts.linkProvider ?? createLinkProvider());
+
+  // Redis rate limits for every /api route: signed-in admin routes share a
+  // per-admin budget, the rest a per-IP one, unless the route names its own
+  // policy (see lib/rateLimit.js). RATE_LIMIT_ENABLED=false turns them off.
+  await fastify.register(rateLimit, {
+    redis,
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    defaultPolicy: (route) => {
+      if (/^\/api\/(v\d+\/)?admin\//.test(route.url)) return 'admin';
+      if (route.url.startsWith('/api/')) return 'public';
+      return null;
+    }
+  });
 
   // Sentry user context tracking
   fastify.addHook('onRequest', async (request, reply) => {
@@ -76,7 +98,7 @@ export async function buildApp(opts = {}) {
     }
   });
 
-  // Schedule periodic WebAuthn challenge cleanup. The Bull worker (pnpm worker)
+  // Schedule periodic WebAuthn challenge cleanup. The worker (pnpm worker)
   // handles this when deployed as a separate process; this interval is the fallback
   // for environments (e.g. Railway single-service) where the worker isn't running.
   fastify.addHook('onReady', async () => {
@@ -124,10 +146,11 @@ export async function buildApp(opts = {}) {
       statusCode,
       ...(process.env.NODE_ENV !== 'production' && { stack: error.stack }),
     });
+    return reply;
   });
 
   // Health check route
-  fastify.get('/health', async (request, reply) => {
+  fastify.get('/health', { schema: healthSchema }, async (request, reply) => {
     try {
       await sql`SELECT 1`;
       await redis.ping();
@@ -135,6 +158,7 @@ export async function buildApp(opts = {}) {
         status: 'ok',
         database: 'connected',
         redis: 'connected',
+        cache: fastify.cache.stats(),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -147,16 +171,16 @@ export async function buildApp(opts = {}) {
     }
   });
 
-  // Register public routes
-  fastify.register(productRoutes, { prefix: '/api/products' });
-  fastify.register(categoryRoutes, { prefix: '/api/categories' });
+  // Public and admin API: /api/v1/..., plus the deprecated unversioned
+  // /api/... alias (see routes/api.js)
+  fastify.register(apiRoutes, { prefix: '/api' });
+
+  // Crawler-facing documents stay at fixed, unversioned URLs
+  fastify.register(sitemapRoutes);
+  fastify.register(feedRoutes, { prefix: '/feeds' });
 
-  // Register admin routes
-  fastify.register(adminAuthRoutes, { prefix: '/api/admin/auth' });
-  fastify.register(adminWebAuthnRoutes, { prefix: '/api/admin/webauthn' });
-  fastify.register(adminProductRoutes, { prefix: '/api/admin/products' });
-  fastify.register(adminCategoryRoutes, { prefix: '/api/admin/categories' });
-  fastify.register(adminReviewRoutes, { prefix: '/api/admin/reviews' });
+  // OpenAPI document (and the docs UI outside production)
+  fastify.register(docsRoutes, { prefix: '/api' });
 
   return fastify;
 }
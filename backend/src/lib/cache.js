@@ -0,0 +1,92 @@
+/**
+ * Generation-based Redis cache for public API responses
+ *
+ * Every entry is stored under the current generation of the scopes it
+ * depends on (e.g. `catalog`, `category`, `product:<id>`). Invalidating a
+ * scope is a single INCR of its generation counter: later reads build keys
+ * with the new generation and miss, while the orphaned entries simply age
+ * out through their TTL. No SCAN, no pattern deletes.
+ */
+
+export const CATALOG_SCOPE = 'catalog'
+export const CATEGORY_SCOPE = 'category'
+export const EXCHANGE_RATES_SCOPE = 'exchange-rates'
+export const COLLECTIONS_SCOPE = 'collections'
+export const productScope = (id) => `product:${id}`
+
+export class GenerationCache {
+  constructor(client, { prefix = 'cache:' } = {}) {
+    this.client = client
+    this.prefix = prefix
+    this.counters = new Map()
+  }
+
+  /**
+   * Return the cached value for (namespace, params) or compute, store and
+   * return it. Returning undefined from `load` (e.g. for a 404) skips the
+   * write. The key is resolved once up front, so a result computed while an
+   * invalidation lands is filed under the old generation and never served.
+   */
+  async wrap(namespace, params, { scopes, ttl }, load) {
+    const key = await this.#key(namespace, params, scopes)
+    const cached = await this.client.get(key)
+    if (cached !== null) {
+      this.#count(namespace, 'hits')
+      return JSON.parse(cached)
+    }
+
+    this.#count(namespace, 'misses')
+    const value = await load()
+    if (value !== undefined) {
+      await this.client.setex(key, ttl, JSON.stringify(value))
+    }
+    return value
+  }
+
+  /**
+   * Bump the generation of each scope, orphaning everything cached under it
+   */
+  async invalidate(...scopes) {
+    const unique = [...new Set(scopes)]
+    if (unique.length === 0) return
+    const tx = this.client.multi()
+    for (const scope of unique) tx.incr(this.#generationKey(scope))
+    await tx.exec()
+  }
+
+  /**
+   * Hit/miss counters since process start, overall and per namespace
+   */
+  stats() {
+    let hits = 0
+    let misses = 0
+    const namespaces = {}
+    for (const [namespace, counts] of this.counters) {
+      hits += counts.hits
+      misses += counts.misses
+      namespaces[namespace] = { ...counts }
+    }
+    const total = hits + misses
+    return {
+      hits,
+      misses,
+      hitRate: total === 0 ? null : Math.round((hits / total) * 1000) / 1000,
+      namespaces
+    }
+  }
+
+  #generationKey(scope) {
+    return `${this.prefix}gen:${scope}`
+  }
+
+  async #key(namespace, params, scopes) {
+    const generations = await this.client.mget(scopes.map(scope => this.#generationKey(scope)))
+    const suffix = typeof params === 'string' ? params : JSON.stringify(params)
+    return `${this.prefix}${namespace}:g${generations.map(g => g ?? 0).join('.')}:${suffix}`
+  }
+
+  #count(namespace, field) {
+    if (!this.counters.has(namespace)) this.counters.set(namespace, { hits: 0, misses: 0 })
+    this.counters.get(namespace)[field]++
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Short-link providers for affiliate links
+ *
+ * A provider turns a merchant URL into a tracked short link and reports the
+ * clicks and sales it has seen. Every provider has the same shape:
+ *
+ *   name                                   - stored nowhere, used in logs
+ *   createLink({ url, externalId })        - { id, shortLink }
+ *   deleteLink(id)                         - resolves once the link is gone
+ *                                            (an unknown id is not an error)
+ *   listStats()                            - [{ id, clicks, conversions, revenue }]
+ *                                            for every link, revenue in USD
+ *
+ * `id` is what affiliate_links.dub_link_id stores and `externalId` is our
+ * affiliate link id, so the provider's dashboard and webhooks can be traced
+ * back to a row.
+ */
+import { randomUUID } from 'node:crypto'
+
+const DUB_API = 'https://api.dub.co'
+// Largest page GET /links returns
+const DUB_PAGE_SIZE = 100
+
+/**
+ * Dub.co (https://dub.co/docs/api-reference). Dub reports sale amounts in
+ * cents.
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Workspace API key
+ * @param {string} [options.domain] - Short-link domain (default: the workspace's)
+ * @param {Function} [options.fetch] - fetch implementation
+ */
+export function createDubProvider({ apiKey, domain, fetch = globalThis.fetch }) {
+  async function request(method, path, body) {
+    const response = await fetch(`${DUB_API}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${apiKey}`,
+        ...(body ? { 'content-type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    if (method === 'DELETE' && response.status === 404) return null
+    const payload = await response.json().catch(() => null)
+    if (!response.ok) {
+      const message = payload?.error?.message || response.statusText
+      const err = new Error(`Dub ${method} ${path} failed (${response.status}): ${message}`)
+      err.statusCode = 502
+      throw err
+    }
+    return payload
+  }
+
+  return {
+    name: 'dub',
+
+    async createLink({ url, externalId }) {
+      const link = await request('POST', '/links', {
+        url,
+        externalId,
+        ...(domain ? { domain } : {})
+      })
+      return { id: link.id, shortLink: link.shortLink }
+    },
+
+    async deleteLink(id) {
+      await request('DELETE', `/links/${encodeURIComponent(id)}`)
+    },
+
+    async listStats() {
+      const stats = []
+      for (let page = 1; ; page++) {
+        const links = await request('GET', `/links?page=${page}&pageSize=${DUB_PAGE_SIZE}`)
+        for (const link of links) {
+          stats.push({
+            id: link.id,
+            clicks: link.clicks ?? 0,
+            conversions: link.sales ?? 0,
+            revenue: ((link.saleAmount ?? 0) / 100).toFixed(2)
+          })
+        }
+        if (links.length < DUB_PAGE_SIZE) return stats
+      }
+    }
+  }
+}
+
+/**
+ * In-memory provider for tests and local development (LINK_PROVIDER=fake).
+ * `links` is exposed so tests can inspect it and set stats. Links only exist
+ * in the process that created them, so the worker doesn't sync a fake.
+ */
+export function createFakeLinkProvider({ baseUrl = 'https://fake.link' } = {}) {
+  const links = new Map()
+
+  return {
+    name: 'fake',
+    links,
+
+    async createLink({ url, externalId }) {
+      const id = `link_${randomUUID().replace(/-/g, '').slice(0, 12)}`
+      const shortLink = `${baseUrl}/${id}`
+      links.set(id, { id, url, externalId, shortLink, clicks: 0, conversions: 0, revenue: '0.00' })
+      return { id, shortLink }
+    },
+
+    async deleteLink(id) {
+      links.delete(id)
+    },
+
+    async listStats() {
+      return [...links.values()].map(({ id, clicks, conversions, revenue }) => ({
+        id, clicks, conversions, revenue
+      }))
+    }
+  }
+}
+
+/**
+ * The provider configured by the environment, or null when affiliate links
+ * aren't shortened (tracked_url is then the original URL):
+ *   LINK_PROVIDER=fake  - in-memory fake
+ *   DUB_API_KEY         - Dub, on DUB_DOMAIN if set
+ */
+export function createLinkProvider(env = process.env) {
+  if (env.LINK_PROVIDER === 'fake') return createFakeLinkProvider()
+  if (env.LINK_PROVIDER && env.LINK_PROVIDER !== 'dub') {
+    throw new Error(`Unknown LINK_PROVIDER ${env.LINK_PROVIDER} (expected dub or fake)`)
+  }
+  if (env.DUB_API_KEY) {
+    return createDubProvider({ apiKey: env.DUB_API_KEY, domain: env.DUB_DOMAIN || undefined })
+  }
+  if (env.LINK_PROVIDER === 'dub') throw new Error('LINK_PROVIDER=dub requires DUB_API_KEY')
+  return null
+}
@@ -0,0 +1,154 @@
+/**
+ * OpenAPI 3.1 document built from the route schemas
+ *
+ * collectRoutes() records every route as it is registered (it must run
+ * before any route is added); buildOpenApi() turns the recorded schemas into
+ * the document served at GET /api/openapi.json. Route schemas are plain
+ * JSON Schema, which OpenAPI 3.1 uses as-is.
+ *
+ * Schema keywords read besides params/querystring/body/response:
+ *   summary   - one-line operation summary
+ *   tags      - overrides the tag derived from the URL
+ *   produces  - content type of the success response (default JSON)
+ *   security  - overrides the admin session requirement ([] = public)
+ *   hide      - leaves the route out of the document
+ */
+import { errorResponse } from '../schemas/common.js'
+
+const SKIPPED_METHODS = new Set(['HEAD', 'OPTIONS'])
+
+const SESSION_SECURITY = [{ sessionCookie: [] }]
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No content',
+  302: 'Redirect',
+  '4XX': 'Client error',
+  '5XX': 'Server error'
+}
+
+/**
+ * Record routes as they are registered, as fastify.registeredRoutes
+ */
+export function collectRoutes(fastify) {
+  const routes = []
+  fastify.addHook('onRoute', (route) => {
+    routes.push(route)
+  })
+  fastify.decorate('registeredRoutes', routes)
+}
+
+// /api/products/:id/seo -> /api/products/{id}/seo
+export function openApiPath(url) {
+  const path = url.replace(/:([A-Za-z0-9_]+)/g, '{$1}')
+  return path.length > 1 ? path.replace(/\/+$/, '') : path
+}
+
+const API_VERSION_SEGMENT = /^v\d+$/
+
+// admin/products for /api/v1/admin/products/..., products for /api/v1/products/...
+function tagFor(url) {
+  const segments = url.split('/').filter(Boolean)
+  if (segments[0] === 'api') segments.shift()
+  if (API_VERSION_SEGMENT.test(segments[0])) segments.shift()
+  const [first = 'root', second] = segments
+  if (first === 'admin' && second) return `admin/${second}`
+  return first.replace(/\..*$/, '')
+}
+
+function parametersFor(schema) {
+  const parameters = []
+  for (const [location, source] of [['path', schema.params], ['query', schema.querystring]]) {
+    if (!source?.properties) continue
+    const required = new Set(source.required || [])
+    for (const [name, property] of Object.entries(source.properties)) {
+      const { description, ...propertySchema } = property
+      parameters.push({
+        name,
+        in: location,
+        required: location === 'path' || required.has(name),
+        ...(description && { description }),
+        schema: propertySchema
+      })
+    }
+  }
+  return parameters
+}
+
+function responsesFor(schema) {
+  const responses = {}
+  for (const [status, response] of Object.entries(schema.response || {})) {
+    const code = status.toUpperCase()
+    const { description, ...body } = response
+    const success = code.startsWith('2')
+    const contentType = success && schema.produces ? schema.produces : 'application/json'
+    // The shared error body is written out once, under components
+    const bodySchema = response === errorResponse ? { $ref: '#/components/schemas/Error' } : body
+    responses[code] = {
+      description: description || STATUS_DESCRIPTIONS[code] || 'Response',
+      ...(body.type !== 'null' && { content: { [contentType]: { schema: bodySchema } } })
+    }
+  }
+  return responses
+}
+
+function operationFor(route) {
+  const { schema } = route
+  const parameters = parametersFor(schema)
+  const isAdmin = /^\/api\/(v\d+\/)?admin\//.test(route.url)
+
+  return {
+    ...(schema.summary && { summary: schema.summary }),
+    tags: schema.tags || [tagFor(route.url)],
+    ...(parameters.length > 0 && { parameters }),
+    ...(schema.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: schema.body } }
+      }
+    }),
+    responses: responsesFor(schema),
+    ...((schema.security || isAdmin) && { security: schema.security || SESSION_SECURITY })
+  }
+}
+
+/**
+ * Build the OpenAPI document from collected routes. Routes without a
+ * schema are skipped here; tests/openapi.test.js makes sure there are none.
+ */
+export function buildOpenApi(routes, { title, version, description }) {
+  const paths = {}
+
+  for (const route of routes) {
+    if (!route.schema || route.schema.hide) continue
+    const methods = [].concat(route.method).filter(m => !SKIPPED_METHODS.has(m))
+    const path = openApiPath(route.url)
+
+    for (const method of methods) {
+      paths[path] ??= {}
+      paths[path][method.toLowerCase()] ??= operationFor(route)
+    }
+  }
+
+  // Stable output: paths sorted, so the document diffs cleanly
+  const sortedPaths = Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b)))
+
+  // Round-trip to drop shared references and undefined values
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info: { title, version, ...(description && { description }) },
+    paths: sortedPaths,
+    components: {
+      schemas: { Error: errorResponse },
+      securitySchemes: {
+        sessionCookie: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'sessionId',
+          description: 'Admin session from POST /api/v1/admin/auth/login or a passkey sign-in'
+        }
+      }
+    }
+  }))
+}
@@ -0,0 +1,135 @@
+/**
+ * Redis-backed rate limiting
+ *
+ * A policy is { limit, windowSeconds, algorithm, key, scope }:
+ *   algorithm - 'fixed' counts in a window that opens with the first
+ *               request (INCR + EXPIRE NX); 'sliding' weights the previous
+ *               window's count by how much of it still overlaps the trailing
+ *               window, which smooths the burst a fixed window allows at
+ *               its boundary
+ *   key       - whose budget a request spends: 'ip' (hashed), 'admin' (the
+ *               session's admin id, else the IP) or 'apiKey' (hashed
+ *               X-API-Key header or feed ?token=, else the IP)
+ *   scope     - optional (request) => string that splits the budget further,
+ *               e.g. per affiliate link
+ *
+ * Every request counts, including rejected ones, so a client that keeps
+ * hammering stays limited.
+ */
+import { createHash } from 'node:crypto'
+import { clientIp } from '../utils/clicks.js'
+
+export const RATE_LIMIT_POLICIES = {
+  // Every public /api route without a policy of its own
+  public: { limit: 120, windowSeconds: 60, algorithm: 'sliding', key: 'ip' },
+  // Search and typeahead, which hit the trigram indexes
+  search: { limit: 60, windowSeconds: 60, algorithm: 'sliding', key: 'ip' },
+  // Password login: slows down credential stuffing
+  login: { limit: 10, windowSeconds: 15 * 60, algorithm: 'sliding', key: 'ip' },
+  // WebAuthn challenges and verification
+  webauthn: { limit: 20, windowSeconds: 5 * 60, algorithm: 'sliding', key: 'ip' },
+  // Signed-in admin routes, per admin
+  admin: { limit: 600, windowSeconds: 60, algorithm: 'fixed', key: 'admin' },
+  // Conversion postbacks: networks batch their retries from a few IPs
+  postback: { limit: 600, windowSeconds: 60, algorithm: 'fixed', key: 'ip' },
+  // Shopping channel feed fetches, per feed token
+  feed: { limit: 60, windowSeconds: 60 * 60, algorithm: 'fixed', key: 'apiKey' },
+  // Affiliate clicks per (link, IP), shared by POST /products/:id/click and GET /go/:affiliateLinkId
+  click: {
+    limit: 10,
+    windowSeconds: 60,
+    algorithm: 'fixed',
+    key: 'ip',
+    scope: (request) => request.body?.affiliateLinkId ?? request.params.affiliateLinkId
+  }
+}
+
+const ALGORITHMS = ['fixed', 'sliding']
+
+/**
+ * Policies with env overrides applied. RATE_LIMIT_<NAME>=<limit>/<seconds>
+ * replaces a policy's budget, e.g. RATE_LIMIT_LOGIN=5/900.
+ */
+export function loadPolicies(env = process.env, policies = RATE_LIMIT_POLICIES) {
+  const loaded = {}
+  for (const [name, policy] of Object.entries(policies)) {
+    const variable = `RATE_LIMIT_${name.toUpperCase()}`
+    const override = env[variable]
+    if (!override) {
+      loaded[name] = policy
+      continue
+    }
+    const match = /^(\d+)\/(\d+)$/.exec(override.trim())
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+      throw new Error(`${variable} must be <limit>/<seconds>, e.g. 10/60`)
+    }
+    loaded[name] = { ...policy, limit: Number(match[1]), windowSeconds: Number(match[2]) }
+  }
+  for (const [name, policy] of Object.entries(loaded)) {
+    if (!ALGORITHMS.includes(policy.algorithm)) {
+      throw new Error(`Rate limit policy ${name} has unknown algorithm ${policy.algorithm}`)
+    }
+  }
+  return loaded
+}
+
+const hash = (value) => createHash('sha256').update(String(value)).digest('hex').slice(0, 16)
+
+function identity(key, request) {
+  if (key === 'admin' && request.session?.adminId) {
+    return `admin:${request.session.adminId}`
+  }
+  if (key === 'apiKey') {
+    const apiKey = request.headers['x-api-key'] || request.query?.token
+    if (apiKey) return `key:${hash(apiKey)}`
+  }
+  // Hash the IP so IPv6 colons don't collide with the key delimiter
+  return `ip:${hash(clientIp(request))}`
+}
+
+/**
+ * Redis key for the budget a request spends under a policy
+ */
+export function rateLimitKey(name, policy, request) {
+  const scope = policy.scope?.(request)
+  return ['rl', name, ...(scope ? [hash(scope)] : []), identity(policy.key, request)].join(':')
+}
+
+/**
+ * Count one request against `key` and report the budget left:
+ * { allowed, limit, remaining, reset } with reset in seconds
+ */
+export async function consume(redis, policy, key, now = Date.now()) {
+  const { limit, windowSeconds } = policy
+
+  let count, reset
+  if (policy.algorithm === 'sliding') {
+    const windowMs = windowSeconds * 1000
+    const window = Math.floor(now / windowMs)
+    // Keep each window for two lengths so the next one can still read it
+    const current = `${key}:${window}`
+    const [[, hits], , [, previousHits]] = await redis.multi()
+      .incr(current)
+      .expire(current, windowSeconds * 2, 'NX')
+      .get(`${key}:${window - 1}`)
+      .exec()
+    const overlap = 1 - (now % windowMs) / windowMs
+    count = hits + Math.floor(Number(previousHits || 0) * overlap)
+    reset = Math.max(1, Math.ceil(((window + 1) * windowMs - now) / 1000))
+  } else {
+    const [[, hits], , [, ttl]] = await redis.multi()
+      .incr(key)
+      .expire(key, windowSeconds, 'NX')
+      .ttl(key)
+      .exec()
+    count = hits
+    reset = ttl > 0 ? ttl : windowSeconds
+  }
+
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    reset
+  }
+}
@@ -0,0 +1,43 @@
+import { createHash } from 'node:crypto'
+
+/**
+ * Conditional GET for public catalog routes
+ *
+ * Route-level onSend hook: hashes the serialized 200 response into a strong
+ * ETag, sets Cache-Control, and turns a matching If-None-Match into an empty
+ * 304. The ETag always covers the full payload rather than the entity's
+ * updated_at, because nested rows (reviews, affiliate links, category) change
+ * without touching their parent's timestamp.
+ *
+ * Usage: fastify.get('/', { onSend: conditionalGet({ maxAge: 60 }) }, handler)
+ */
+export function conditionalGet({ maxAge, staleWhileRevalidate = maxAge * 5 }) {
+  const cacheControl = `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+
+  return async function conditionalGetHook(request, reply, payload) {
+    if (reply.statusCode !== 200 || typeof payload !== 'string') return payload
+
+    const etag = etagFor(payload)
+    reply.header('ETag', etag)
+    reply.header('Cache-Control', cacheControl)
+
+    if (matchesIfNoneMatch(request.headers['if-none-match'], etag)) {
+      reply.code(304)
+      reply.removeHeader('Content-Type')
+      return ''
+    }
+    return payload
+  }
+}
+
+export function etagFor(body) {
+  return `"${createHash('sha256').update(body).digest('base64url').slice(0, 32)}"`
+}
+
+// If-None-Match uses the weak comparison (RFC 9110 §13.1.2): a W/ prefix on
+// either side is ignored, and `*` matches any current representation.
+export function matchesIfNoneMatch(header, etag) {
+  if (!header) return false
+  const strip = tag => tag.trim().replace(/^W\//, '')
+  return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag))
+}
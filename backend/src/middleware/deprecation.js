@@ -0,0 +1,30 @@
+/**
+ * Deprecation headers for a retired route prefix
+ *
+ * onSend hook that marks every response (errors included) with
+ * Deprecation (RFC 9745), Sunset (RFC 8594) and a successor-version Link
+ * pointing at the same request under the replacement prefix.
+ *
+ * Usage: fastify.addHook('onSend', deprecation({
+ *   deprecatedAt, sunsetAt, from: '/api', to: '/api/v1'
+ * }))
+ */
+export function deprecation({ deprecatedAt, sunsetAt, from, to }) {
+  // Deprecation is a structured-field date: @<unix seconds>
+  const deprecationHeader = `@${Math.floor(deprecatedAt.getTime() / 1000)}`
+  const sunsetHeader = sunsetAt.toUTCString()
+
+  // Callback style on purpose: a second async onSend hook in the chain lets
+  // an error handler that doesn't `return reply` send the response twice
+  return function deprecationHook(request, reply, payload, done) {
+    reply.header('Deprecation', deprecationHeader)
+    reply.header('Sunset', sunsetHeader)
+    reply.header('Link', `<${successorUrl(request.url, from, to)}>; rel="successor-version"`)
+    done(null, payload)
+  }
+}
+
+// /api/products?page=2 -> /api/v1/products?page=2
+export function successorUrl(url, from, to) {
+  return url.startsWith(from) ? to + url.slice(from.length) : url
+}
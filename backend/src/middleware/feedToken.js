@@ -0,0 +1,29 @@
+import { hashFeedToken } from '../utils/merchantFeed.js'
+
+/**
+ * Merchant feed token middleware
+ * Shopping channels fetch feeds with ?token=<token> (see migration
+ * 011_merchant_feed_tokens.sql); unknown or revoked tokens get a 401.
+ */
+export async function feedTokenAuth(request, reply) {
+  const { token } = request.query
+  if (!token) {
+    reply.code(401).send({ error: 'Unauthorized', message: 'A feed token is required' })
+    return
+  }
+
+  const { sql } = request.server
+  const [feedToken] = await sql`
+    update merchant_feed_tokens
+    set last_used_at = now()
+    where token_hash = ${hashFeedToken(token)} and revoked_at is null
+    returning id, name
+  `
+
+  if (!feedToken) {
+    reply.code(401).send({ error: 'Unauthorized', message: 'Invalid or revoked feed token' })
+    return
+  }
+
+  request.feedToken = feedToken
+}
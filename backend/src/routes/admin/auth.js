@@ -1,8 +1,21 @@
 import bcrypt from 'bcryptjs'
+import { withErrors, successResponse } from '../../schemas/common.js'
 
 const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/
 
+const adminResponse = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string' },
+    name: { type: 'string' },
+    role: { type: 'string' }
+  }
+}
+
 const loginSchema = {
+  summary: 'Sign in with email and password; starts a session',
+  security: [],
   body: {
     type: 'object',
     required: ['email', 'password'],
@@ -11,14 +24,50 @@ const loginSchema = {
       password: { type: 'string', minLength: 1, maxLength: 1024 }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        admin: adminResponse
+      }
+    }
+  })
+}
+
+const logoutSchema = {
+  summary: 'End the current session',
+  response: withErrors({
+    200: successResponse
+  })
+}
+
+const sessionSchema = {
+  summary: 'The signed-in admin, or 401 without a session',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        authenticated: { type: 'boolean' },
+        admin: {
+          ...adminResponse,
+          properties: {
+            ...adminResponse.properties,
+            isActive: { type: 'boolean' },
+            lastLoginAt: { type: ['string', 'null'], format: 'date-time' }
+          }
+        }
+      }
+    }
+  })
 }
 
 export default async function adminAuthRoutes(fastify, options) {
   const { sql } = fastify
 
   // Login route
-  fastify.post('/login', { schema: loginSchema }, async (request, reply) => {
+  fastify.post('/login', { schema: loginSchema, config: { rateLimit: 'login' } }, async (request, reply) => {
     const { email: rawEmail, password } = request.body
 
     // Trim and validate email format
@@ -97,7 +146,7 @@ export default async function adminAuthRoutes(fastify, options) {
   })
 
   // Logout route
-  fastify.post('/logout', async (request, reply) => {
+  fastify.post('/logout', { schema: logoutSchema }, async (request, reply) => {
     if (request.session) {
       await request.session.destroy()
     }
@@ -105,7 +154,7 @@ export default async function adminAuthRoutes(fastify, options) {
   })
 
   // Get current session (check if logged in)
-  fastify.get('/session', async (request, reply) => {
+  fastify.get('/session', { schema: sessionSchema }, async (request, reply) => {
     if (!request.session || !request.session.adminId) {
       reply.code(401)
       return {
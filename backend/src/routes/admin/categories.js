@@ -4,10 +4,18 @@ import {
   updateCategorySchema,
   deleteCategorySchema,
   listCategoriesSchema,
+  getCategorySchema,
   bulkDeleteCategoriesSchema
 } from '../../schemas/category.js'
 import { UUID_RE } from '../../utils/constants.js'
-import { withCountShape } from '../../utils/countShape.js'
+import {
+  CATEGORY_COLUMNS,
+  CATEGORY_LIST_INCLUDES,
+  parseFieldset,
+  categorySelect,
+  shapeCategory
+} from '../../utils/fieldsets.js'
+import { CATEGORY_SCOPE } from '../../lib/cache.js'
 
 // Allowlist for sortBy → DB column mapping. Anything not in this map
 // falls back to `name` so the ORDER BY can never be user-controlled SQL.
@@ -27,7 +35,7 @@ const TO_COLUMN = {
 const toColumn = (key) => TO_COLUMN[key] || key
 
 export default async function adminCategoryRoutes(fastify, options) {
-  const { sql, redis } = fastify
+  const { sql, cache } = fastify
 
   fastify.addHook('onRequest', adminAuth)
 
@@ -48,15 +56,19 @@ export default async function adminCategoryRoutes(fastify, options) {
     const sortOrder = order === 'desc' ? sql`desc` : sql`asc`
     const searchPattern = search ? `%${search.replace(/[%_\\]/g, '\\$&')}%` : null
 
+    const fieldset = parseFieldset(request.query, { columns: CATEGORY_COLUMNS, includes: CATEGORY_LIST_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
+    }
+
     const whereClause = searchPattern === null
       ? sql`true`
       : sql`(c.name ilike ${searchPattern} or c.description ilike ${searchPattern})`
 
     const [rows, [{ count }]] = await Promise.all([
       sql`
-        select
-          c.*,
-          (select count(*)::int from products p where p.category_id = c.id) as product_count
+        select ${categorySelect(sql, fieldset)}
         from categories c
         where ${whereClause}
         order by ${sql(sortColumn)} ${sortOrder}
@@ -67,7 +79,7 @@ export default async function adminCategoryRoutes(fastify, options) {
     ])
 
     return {
-      categories: rows.map(withCountShape),
+      categories: rows.map(shapeCategory(fieldset)),
       pagination: {
         page: safePage,
         limit: safeLimit,
@@ -78,7 +90,7 @@ export default async function adminCategoryRoutes(fastify, options) {
   })
 
   // Get single category
-  fastify.get('/:id', async (request, reply) => {
+  fastify.get('/:id', { schema: getCategorySchema }, async (request, reply) => {
     const { id } = request.params
 
     if (!UUID_RE.test(id)) {
@@ -86,10 +98,14 @@ export default async function adminCategoryRoutes(fastify, options) {
       return { error: 'Category not found' }
     }
 
+    const fieldset = parseFieldset(request.query, { columns: CATEGORY_COLUMNS, includes: CATEGORY_LIST_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
+    }
+
     const [row] = await sql`
-      select
-        c.*,
-        (select count(*)::int from products p where p.category_id = c.id) as product_count
+      select ${categorySelect(sql, fieldset)}
       from categories c
       where c.id = ${id}
     `
@@ -99,7 +115,7 @@ export default async function adminCategoryRoutes(fastify, options) {
       return { error: 'Category not found' }
     }
 
-    return withCountShape(row)
+    return shapeCategory(fieldset)(row)
   })
 
   // Create category
@@ -116,7 +132,7 @@ export default async function adminCategoryRoutes(fastify, options) {
         insert into categories ${sql(insertObj)}
         returning *
       `
-      await redis.del('categories:all')
+      await cache.invalidate(CATEGORY_SCOPE)
       reply.code(201)
       return category
     } catch (error) {
@@ -167,7 +183,7 @@ export default async function adminCategoryRoutes(fastify, options) {
         return { error: 'Category not found' }
       }
 
-      await redis.del('categories:all')
+      await cache.invalidate(CATEGORY_SCOPE)
       return category
     } catch (error) {
       if (error.code === '23505') {
@@ -219,7 +235,7 @@ export default async function adminCategoryRoutes(fastify, options) {
       return { error: 'Category not found' }
     }
 
-    await redis.del('categories:all')
+    await cache.invalidate(CATEGORY_SCOPE)
     reply.code(204)
     return
   })
@@ -264,7 +280,7 @@ export default async function adminCategoryRoutes(fastify, options) {
       delete from categories where id in ${sql(categoryIds)}
     `
 
-    await redis.del('categories:all')
+    await cache.invalidate(CATEGORY_SCOPE)
     return {
       success: true,
       deleted: result.count,
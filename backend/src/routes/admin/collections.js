@@ -0,0 +1,163 @@
+import { adminAuth } from '../../middleware/adminAuth.js'
+import {
+  listAdminCollectionsSchema,
+  getAdminCollectionSchema,
+  createCollectionSchema,
+  updateCollectionSchema,
+  deleteCollectionSchema
+} from '../../schemas/collection.js'
+import { collectionStatus, unknownProductIds } from '../../utils/collections.js'
+import { COLLECTIONS_SCOPE } from '../../lib/cache.js'
+
+const DEFAULTS = {
+  blurb: '',
+  heroImageUrl: null,
+  tags: [],
+  productIds: [],
+  startsAt: null,
+  endsAt: null,
+  sortOrder: 0
+}
+
+const withStatus = (collection) => ({ ...collection, status: collectionStatus(collection) })
+
+// Checks the body can't express in JSON Schema. Returns an error message or null.
+async function validateCollection(sql, collection) {
+  if (collection.startsAt && collection.endsAt && new Date(collection.endsAt) <= new Date(collection.startsAt)) {
+    return 'endsAt must be after startsAt'
+  }
+  const unknown = await unknownProductIds(sql, collection.productIds)
+  if (unknown.length > 0) {
+    return `Unknown product IDs: ${unknown.join(', ')}`
+  }
+  return null
+}
+
+// Arrays are written with explicit casts: postgres-js would send product
+// IDs as text[], which does not assign to uuid[]
+async function writeCollection(sql, id, c) {
+  const values = sql`
+    ${c.slug}, ${c.label}, ${c.blurb}, ${c.heroImageUrl},
+    ${sql.array(c.tags)}::text[], ${sql.array(c.productIds)}::uuid[],
+    ${c.startsAt}, ${c.endsAt}, ${c.sortOrder}
+  `
+  const columns = sql`slug, label, blurb, hero_image_url, tags, product_ids, starts_at, ends_at, sort_order`
+
+  const [row] = id === null
+    ? await sql`insert into collections (${columns}) values (${values}) returning *`
+    : await sql`update collections set (${columns}) = (${values}) where id = ${id} returning *`
+  return row
+}
+
+const slugConflict = (reply) => {
+  reply.code(409)
+  return { error: 'Conflict', message: 'Collection with this slug already exists' }
+}
+
+export default async function adminCollectionRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  fastify.addHook('onRequest', adminAuth)
+
+  // List all collections, including scheduled and ended ones
+  fastify.get('/', { schema: listAdminCollectionsSchema }, async (request, reply) => {
+    const rows = await sql`select * from collections order by sort_order, label`
+    return { collections: rows.map(withStatus) }
+  })
+
+  // Get single collection
+  fastify.get('/:id', { schema: getAdminCollectionSchema }, async (request, reply) => {
+    const [row] = await sql`select * from collections where id = ${request.params.id}`
+    if (!row) {
+      reply.code(404)
+      return { error: 'Collection not found' }
+    }
+    return withStatus(row)
+  })
+
+  // Create collection
+  fastify.post('/', { schema: createCollectionSchema }, async (request, reply) => {
+    const collection = { ...DEFAULTS, ...request.body }
+
+    const invalid = await validateCollection(sql, collection)
+    if (invalid) {
+      reply.code(400)
+      return { error: invalid }
+    }
+
+    let row
+    try {
+      row = await writeCollection(sql, null, collection)
+    } catch (error) {
+      if (error.code === '23505') return slugConflict(reply)
+      throw error
+    }
+
+    try {
+      await cache.invalidate(COLLECTIONS_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    reply.code(201)
+    return withStatus(row)
+  })
+
+  // Update collection. Omitted fields keep their current value.
+  fastify.patch('/:id', { schema: updateCollectionSchema }, async (request, reply) => {
+    const { id } = request.params
+
+    const [existing] = await sql`select * from collections where id = ${id}`
+    if (!existing) {
+      reply.code(404)
+      return { error: 'Collection not found' }
+    }
+
+    const collection = { ...existing, ...request.body }
+    const invalid = await validateCollection(sql, collection)
+    if (invalid) {
+      reply.code(400)
+      return { error: invalid }
+    }
+
+    let row
+    try {
+      row = await writeCollection(sql, id, collection)
+    } catch (error) {
+      if (error.code === '23505') return slugConflict(reply)
+      throw error
+    }
+
+    if (!row) {
+      reply.code(404)
+      return { error: 'Collection not found' }
+    }
+
+    try {
+      await cache.invalidate(COLLECTIONS_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    return withStatus(row)
+  })
+
+  // Delete collection
+  fastify.delete('/:id', { schema: deleteCollectionSchema }, async (request, reply) => {
+    const result = await sql`delete from collections where id = ${request.params.id}`
+
+    if (Number(result.count) === 0) {
+      reply.code(404)
+      return { error: 'Collection not found' }
+    }
+
+    try {
+      await cache.invalidate(COLLECTIONS_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    reply.code(204)
+    return
+  })
+}
@@ -0,0 +1,88 @@
+import { adminAuth } from '../../middleware/adminAuth.js'
+import {
+  listExchangeRatesSchema,
+  upsertExchangeRatesSchema,
+  setExchangeRateSchema,
+  deleteExchangeRateSchema
+} from '../../schemas/exchangeRate.js'
+import { BASE_CURRENCY, saveExchangeRates } from '../../utils/currency.js'
+import { EXCHANGE_RATES_SCOPE } from '../../lib/cache.js'
+
+// USD-based exchange rates used for the public `currency` query param.
+// The worker's sync-exchange-rates job writes the same table from a file;
+// whichever ran last wins, and `source` records which one it was.
+export default async function adminExchangeRateRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  fastify.addHook('onRequest', adminAuth)
+
+  // List rates
+  fastify.get('/', { schema: listExchangeRatesSchema }, async (request, reply) => {
+    const rates = await sql`select * from exchange_rates order by currency`
+    return { baseCurrency: BASE_CURRENCY, rates }
+  })
+
+  // Upsert several rates
+  fastify.put('/', { schema: upsertExchangeRatesSchema }, async (request, reply) => {
+    const { rates } = request.body
+
+    if (BASE_CURRENCY in rates) {
+      reply.code(400)
+      return { error: `${BASE_CURRENCY} is the base currency and is fixed at 1` }
+    }
+
+    const saved = await saveExchangeRates(sql, rates)
+    try {
+      await cache.invalidate(EXCHANGE_RATES_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    return { rates: saved }
+  })
+
+  // Set one rate
+  fastify.put('/:currency', { schema: setExchangeRateSchema }, async (request, reply) => {
+    const { currency } = request.params
+
+    if (currency === BASE_CURRENCY) {
+      reply.code(400)
+      return { error: `${BASE_CURRENCY} is the base currency and is fixed at 1` }
+    }
+
+    const [saved] = await saveExchangeRates(sql, { [currency]: request.body.rate })
+    try {
+      await cache.invalidate(EXCHANGE_RATES_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    return saved
+  })
+
+  // Remove a rate. Products priced in that currency lose their converted
+  // price and drop out of price-filtered results until a rate is set again.
+  fastify.delete('/:currency', { schema: deleteExchangeRateSchema }, async (request, reply) => {
+    const { currency } = request.params
+
+    if (currency === BASE_CURRENCY) {
+      reply.code(400)
+      return { error: `${BASE_CURRENCY} is the base currency and cannot be removed` }
+    }
+
+    const result = await sql`delete from exchange_rates where currency = ${currency}`
+    if (Number(result.count) === 0) {
+      reply.code(404)
+      return { error: 'Exchange rate not found' }
+    }
+
+    try {
+      await cache.invalidate(EXCHANGE_RATES_SCOPE)
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    reply.code(204)
+    return
+  })
+}
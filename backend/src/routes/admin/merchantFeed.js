@@ -0,0 +1,59 @@
+import { adminAuth } from '../../middleware/adminAuth.js'
+import {
+  feedWarningsSchema,
+  listFeedTokensSchema,
+  createFeedTokenSchema,
+  revokeFeedTokenSchema
+} from '../../schemas/merchantFeed.js'
+import { cachedMerchantFeed, generateFeedToken, hashFeedToken } from '../../utils/merchantFeed.js'
+
+export default async function adminMerchantFeedRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  fastify.addHook('onRequest', adminAuth)
+
+  // Products left out of the feed and why
+  fastify.get('/warnings', { schema: feedWarningsSchema }, async (request, reply) => {
+    const { items, warnings } = await cachedMerchantFeed(sql, cache)
+    return { published: items.length, warnings }
+  })
+
+  // List tokens (never the token itself)
+  fastify.get('/tokens', { schema: listFeedTokensSchema }, async (request, reply) => {
+    const tokens = await sql`
+      select id, name, created_by, last_used_at, revoked_at, created_at
+      from merchant_feed_tokens
+      order by created_at desc
+    `
+    return { tokens }
+  })
+
+  // Issue a token. The plaintext is only ever returned here.
+  fastify.post('/tokens', { schema: createFeedTokenSchema }, async (request, reply) => {
+    const token = generateFeedToken()
+    const [row] = await sql`
+      insert into merchant_feed_tokens (name, token_hash, created_by)
+      values (${request.body.name}, ${hashFeedToken(token)}, ${request.admin.id})
+      returning id, name, created_by, last_used_at, revoked_at, created_at
+    `
+    reply.code(201)
+    return { ...row, token }
+  })
+
+  // Revoke a token; channels using it get 401 from then on
+  fastify.delete('/tokens/:id', { schema: revokeFeedTokenSchema }, async (request, reply) => {
+    const result = await sql`
+      update merchant_feed_tokens
+      set revoked_at = now()
+      where id = ${request.params.id} and revoked_at is null
+    `
+
+    if (Number(result.count) === 0) {
+      reply.code(404)
+      return { error: 'Feed token not found' }
+    }
+
+    reply.code(204)
+    return
+  })
+}
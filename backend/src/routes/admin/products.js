@@ -1,17 +1,29 @@
 import { adminAuth } from '../../middleware/adminAuth.js'
 import { attachRelations } from '../../utils/relations.js'
+import {
+  PRODUCT_COLUMNS,
+  PRODUCT_LIST_INCLUDES,
+  PRODUCT_DETAIL_INCLUDES,
+  parseFieldset,
+  includes,
+  selectColumns,
+  trimFields
+} from '../../utils/fieldsets.js'
 import { UUID_RE, ADMIN_SORTABLE, VALID_PLATFORMS, VALID_STATUSES } from '../../utils/constants.js'
-
-// ioredis del does not accept globs — use cursor scan to avoid blocking O(N) KEYS
-async function delPattern(redis, pattern) {
-  let cursor = '0'
-  do {
-    const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100)
-    // ioredis.del accepts an array directly; spreading an unbounded list risks V8 arg limit
-    if (keys.length) await redis.del(keys)
-    cursor = next
-  } while (cursor !== '0')
-}
+import { CATALOG_SCOPE, productScope } from '../../lib/cache.js'
+import { createAffiliateLink, deleteRemoteLinks } from '../../utils/affiliateLinks.js'
+import {
+  listAdminProductsSchema,
+  getAdminProductSchema,
+  createProductSchema,
+  updateProductSchema,
+  deleteProductSchema,
+  bulkProductStatusSchema,
+  bulkDeleteProductsSchema,
+  dashboardStatsSchema,
+  createAffiliateLinkSchema,
+  deleteAffiliateLinkSchema
+} from '../../schemas/adminProduct.js'
 
 const PRODUCT_FIELDS = [
   'externalId', 'platform', 'title', 'description', 'imageUrl', 'price',
@@ -28,33 +40,44 @@ const TO_COLUMN = {
 const toColumn = (key) => TO_COLUMN[key] || key
 
 
-async function loadProductFull(sql, id) {
-  const [product] = await sql`select * from products where id = ${id}`
+// Columns a relation needs are read even when ?fields= leaves them out
+const productColumns = (sql, fieldset) =>
+  selectColumns(sql, fieldset, PRODUCT_COLUMNS, includes(fieldset, 'category') ? ['categoryId'] : [])
+
+const FULL_PRODUCT = { fields: null, include: PRODUCT_DETAIL_INCLUDES }
+
+async function loadProductFull(sql, id, fieldset = FULL_PRODUCT) {
+  const [product] = await sql`select ${productColumns(sql, fieldset)} from products where id = ${id}`
   if (!product) return null
 
   const [[category], links, reviews] = await Promise.all([
-    product.categoryId
+    includes(fieldset, 'category') && product.categoryId
       ? sql`select * from categories where id = ${product.categoryId}`
       : Promise.resolve([null]),
-    sql`select * from affiliate_links where product_id = ${id}`,
-    sql`select * from reviews where product_id = ${id} order by created_at desc`
+    includes(fieldset, 'affiliateLinks')
+      ? sql`select * from affiliate_links where product_id = ${id}`
+      : Promise.resolve(null),
+    includes(fieldset, 'reviews')
+      ? sql`select * from reviews where product_id = ${id} order by created_at desc`
+      : Promise.resolve(null)
   ])
 
+  const [trimmed] = trimFields([product], fieldset, PRODUCT_COLUMNS)
   return {
-    ...product,
-    category: category || null,
-    affiliateLinks: links,
-    reviews
+    ...trimmed,
+    ...(includes(fieldset, 'category') && { category: category || null }),
+    ...(links && { affiliateLinks: links }),
+    ...(reviews && { reviews })
   }
 }
 
 export default async function adminProductRoutes(fastify, options) {
-  const { sql, redis } = fastify
+  const { sql, cache, linkProvider } = fastify
 
   fastify.addHook('onRequest', adminAuth)
 
   // List products
-  fastify.get('/', async (request, reply) => {
+  fastify.get('/', { schema: listAdminProductsSchema }, async (request, reply) => {
     const {
       platform,
       categoryId,
@@ -88,6 +111,12 @@ export default async function adminProductRoutes(fastify, options) {
       return { error: 'Invalid status' }
     }
 
+    const fieldset = parseFieldset(request.query, { columns: PRODUCT_COLUMNS, includes: PRODUCT_LIST_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
+    }
+
     const conditions = []
     if (platform) conditions.push(sql`platform = ${platform}`)
     if (categoryId) conditions.push(sql`category_id = ${categoryId}`)
@@ -107,7 +136,7 @@ export default async function adminProductRoutes(fastify, options) {
 
     const [products, [{ count: total }]] = await Promise.all([
       sql`
-        select * from products
+        select ${productColumns(sql, fieldset)} from products
         where ${whereClause}
         order by ${sql(sortColumn)} ${sortOrder}
         limit ${safeLimit}
@@ -117,7 +146,11 @@ export default async function adminProductRoutes(fastify, options) {
     ])
 
     return {
-      products: await attachRelations(sql, products),
+      products: trimFields(
+        await attachRelations(sql, products, { include: fieldset.include }),
+        fieldset,
+        PRODUCT_COLUMNS
+      ),
       pagination: {
         page: safePage,
         limit: safeLimit,
@@ -128,13 +161,18 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Get single product
-  fastify.get('/:id', async (request, reply) => {
+  fastify.get('/:id', { schema: getAdminProductSchema }, async (request, reply) => {
     const { id } = request.params
     if (!UUID_RE.test(id)) {
       reply.code(404)
       return { error: 'Product not found' }
     }
-    const product = await loadProductFull(sql, id)
+    const fieldset = parseFieldset(request.query, { columns: PRODUCT_COLUMNS, includes: PRODUCT_DETAIL_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
+    }
+    const product = await loadProductFull(sql, id, fieldset)
     if (!product) {
       reply.code(404)
       return { error: 'Product not found' }
@@ -143,7 +181,7 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Create product
-  fastify.post('/', async (request, reply) => {
+  fastify.post('/', { schema: createProductSchema }, async (request, reply) => {
     const data = request.body
     const insertObj = Object.fromEntries(
       PRODUCT_FIELDS
@@ -162,9 +200,9 @@ export default async function adminProductRoutes(fastify, options) {
         : [null]
 
       try {
-        await delPattern(redis, 'products:list:*')
+        await cache.invalidate(CATALOG_SCOPE)
       } catch (cacheErr) {
-        request.log.error({ err: cacheErr }, 'Redis cache eviction failed — stale data possible')
+        request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
       }
 
       reply.code(201)
@@ -186,7 +224,7 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Update product
-  fastify.patch('/:id', async (request, reply) => {
+  fastify.patch('/:id', { schema: updateProductSchema }, async (request, reply) => {
     const { id } = request.params
     if (!UUID_RE.test(id)) {
       reply.code(404)
@@ -238,10 +276,9 @@ export default async function adminProductRoutes(fastify, options) {
     ])
 
     try {
-      await redis.del(`product:${id}`)
-      await delPattern(redis, 'products:list:*')
+      await cache.invalidate(CATALOG_SCOPE, productScope(id))
     } catch (cacheErr) {
-      request.log.error({ err: cacheErr }, 'Redis cache eviction failed — stale data possible')
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
     }
 
     return {
@@ -252,7 +289,7 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Delete product
-  fastify.delete('/:id', async (request, reply) => {
+  fastify.delete('/:id', { schema: deleteProductSchema }, async (request, reply) => {
     const { id } = request.params
 
     if (!UUID_RE.test(id)) {
@@ -260,6 +297,11 @@ export default async function adminProductRoutes(fastify, options) {
       return { error: 'Product not found' }
     }
 
+    // The rows cascade with the product; their short links need removing too
+    const links = await sql`
+      select dub_link_id from affiliate_links
+      where product_id = ${id} and dub_link_id is not null
+    `
     const result = await sql`delete from products where id = ${id}`
 
     if (Number(result.count) === 0) {
@@ -267,11 +309,72 @@ export default async function adminProductRoutes(fastify, options) {
       return { error: 'Product not found' }
     }
 
+    await deleteRemoteLinks(linkProvider, links.map(l => l.dubLinkId), request.log)
+
+    try {
+      await cache.invalidate(CATALOG_SCOPE, productScope(id))
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    reply.code(204)
+    return
+  })
+
+  // Add an affiliate link
+  fastify.post('/:id/affiliate-links', { schema: createAffiliateLinkSchema }, async (request, reply) => {
+    const { id } = request.params
+    if (!UUID_RE.test(id)) {
+      reply.code(404)
+      return { error: 'Product not found' }
+    }
+
+    // Checked up front so a missing product doesn't cost a short link
+    const [product] = await sql`select id from products where id = ${id}`
+    if (!product) {
+      reply.code(404)
+      return { error: 'Product not found' }
+    }
+
+    const link = await createAffiliateLink(sql, linkProvider, {
+      productId: id,
+      originalUrl: request.body.originalUrl
+    })
+
+    try {
+      await cache.invalidate(CATALOG_SCOPE, productScope(id))
+    } catch (cacheErr) {
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+    }
+
+    reply.code(201)
+    return link
+  })
+
+  // Remove an affiliate link
+  fastify.delete('/:id/affiliate-links/:linkId', { schema: deleteAffiliateLinkSchema }, async (request, reply) => {
+    const { id, linkId } = request.params
+    if (!UUID_RE.test(id) || !UUID_RE.test(linkId)) {
+      reply.code(404)
+      return { error: 'Affiliate link not found' }
+    }
+
+    const [link] = await sql`
+      delete from affiliate_links
+      where id = ${linkId} and product_id = ${id}
+      returning dub_link_id
+    `
+    if (!link) {
+      reply.code(404)
+      return { error: 'Affiliate link not found' }
+    }
+
+    await deleteRemoteLinks(linkProvider, [link.dubLinkId], request.log)
+
     try {
-      await redis.del(`product:${id}`)
-      await delPattern(redis, 'products:list:*')
+      await cache.invalidate(CATALOG_SCOPE, productScope(id))
     } catch (cacheErr) {
-      request.log.error({ err: cacheErr }, 'Redis cache eviction failed — stale data possible')
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
     }
 
     reply.code(204)
@@ -279,7 +382,7 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Bulk update status
-  fastify.post('/bulk/status', async (request, reply) => {
+  fastify.post('/bulk/status', { schema: bulkProductStatusSchema }, async (request, reply) => {
     const { productIds, status } = request.body
 
     if (!productIds || !Array.isArray(productIds) || productIds.length === 0) {
@@ -304,10 +407,9 @@ export default async function adminProductRoutes(fastify, options) {
     `
 
     try {
-      await delPattern(redis, 'products:list:*')
-      await Promise.all(productIds.map(id => redis.del(`product:${id}`)))
+      await cache.invalidate(CATALOG_SCOPE, ...productIds.map(productScope))
     } catch (cacheErr) {
-      request.log.error({ err: cacheErr }, 'Redis cache eviction failed — stale data possible')
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
     }
 
     return {
@@ -317,7 +419,7 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Bulk delete
-  fastify.post('/bulk/delete', async (request, reply) => {
+  fastify.post('/bulk/delete', { schema: bulkDeleteProductsSchema }, async (request, reply) => {
     const { productIds } = request.body
 
     if (!productIds || !Array.isArray(productIds) || productIds.length === 0) {
@@ -330,15 +432,19 @@ export default async function adminProductRoutes(fastify, options) {
       return { error: 'Invalid product ID format' }
     }
 
+    const links = await sql`
+      select dub_link_id from affiliate_links
+      where product_id in ${sql(productIds)} and dub_link_id is not null
+    `
     const result = await sql`
       delete from products where id in ${sql(productIds)}
     `
+    await deleteRemoteLinks(linkProvider, links.map(l => l.dubLinkId), request.log)
 
     try {
-      await delPattern(redis, 'products:list:*')
-      await Promise.all(productIds.map(id => redis.del(`product:${id}`)))
+      await cache.invalidate(CATALOG_SCOPE, ...productIds.map(productScope))
     } catch (cacheErr) {
-      request.log.error({ err: cacheErr }, 'Redis cache eviction failed — stale data possible')
+      request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
     }
 
     return {
@@ -348,13 +454,14 @@ export default async function adminProductRoutes(fastify, options) {
   })
 
   // Dashboard stats
-  fastify.get('/stats/dashboard', async (request, reply) => {
+  fastify.get('/stats/dashboard', { schema: dashboardStatsSchema }, async (request, reply) => {
     const [
       [{ count: totalProducts }],
       [{ count: activeProducts }],
       [{ count: outOfStock }],
       [{ count: totalCategories }],
       [{ count: totalReviews }],
+      [affiliate],
       recentProducts
     ] = await Promise.all([
       sql`select count(*)::int as count from products`,
@@ -362,6 +469,15 @@ export default async function adminProductRoutes(fastify, options) {
       sql`select count(*)::int as count from products where status = 'OUT_OF_STOCK'`,
       sql`select count(*)::int as count from categories`,
       sql`select count(*)::int as count from reviews`,
+      // Counters kept by the clicks and conversions triggers
+      sql`
+        select
+          coalesce(sum(clicks), 0)::int as clicks,
+          coalesce(sum(conversions), 0)::int as conversions,
+          coalesce(sum(revenue), 0) as revenue,
+          round(sum(revenue) / nullif(sum(clicks), 0), 4) as epc
+        from affiliate_links
+      `,
       sql`select * from products order by created_at desc limit 5`
     ])
 
@@ -372,7 +488,11 @@ export default async function adminProductRoutes(fastify, options) {
         inactiveProducts: totalProducts - activeProducts,
         outOfStock,
         totalCategories,
-        totalReviews
+        totalReviews,
+        totalClicks: affiliate.clicks,
+        totalConversions: affiliate.conversions,
+        totalRevenue: affiliate.revenue,
+        epc: affiliate.epc
       },
       recentProducts: await attachRelations(sql, recentProducts)
     }
@@ -5,9 +5,12 @@ import {
   deleteReviewSchema,
   listReviewsSchema,
   bulkDeleteReviewsSchema,
-  bulkToggleFeaturedSchema
+  bulkToggleFeaturedSchema,
+  getReviewSchema,
+  toggleFeaturedSchema
 } from '../../schemas/review.js'
 import { UUID_RE } from '../../utils/constants.js'
+import { CATALOG_SCOPE, productScope } from '../../lib/cache.js'
 
 const SORTABLE = {
   createdAt: 'created_at',
@@ -35,8 +38,18 @@ async function attachProducts(sql, reviews) {
   return reviews.map(r => ({ ...r, product: map.get(r.productId) || null }))
 }
 
+// Reviews are embedded in product detail and counted in product lists, so
+// every review write invalidates the catalog and the products it touched.
+async function invalidateReviewedProducts(request, cache, productIds) {
+  try {
+    await cache.invalidate(CATALOG_SCOPE, ...productIds.map(productScope))
+  } catch (cacheErr) {
+    request.log.error({ err: cacheErr }, 'Cache invalidation failed — stale data possible')
+  }
+}
+
 export default async function adminReviewRoutes(fastify, options) {
-  const { sql } = fastify
+  const { sql, cache } = fastify
 
   fastify.addHook('onRequest', adminAuth)
 
@@ -104,7 +117,7 @@ export default async function adminReviewRoutes(fastify, options) {
   })
 
   // Get single review
-  fastify.get('/:id', async (request, reply) => {
+  fastify.get('/:id', { schema: getReviewSchema }, async (request, reply) => {
     const { id } = request.params
 
     if (!UUID_RE.test(id)) {
@@ -137,6 +150,7 @@ export default async function adminReviewRoutes(fastify, options) {
         returning *
       `
       const [product] = await sql`select id, title, image_url from products where id = ${review.productId}`
+      await invalidateReviewedProducts(request, cache, [review.productId])
 
       reply.code(201)
       return { ...review, product: product || null }
@@ -173,6 +187,11 @@ export default async function adminReviewRoutes(fastify, options) {
       return { ...review, product: product || null }
     }
 
+    // Moving a review to another product changes both products' pages
+    const [previous] = updateObj.product_id
+      ? await sql`select product_id from reviews where id = ${id}`
+      : []
+
     const [review] = await sql`
       update reviews
       set ${sql(updateObj)}
@@ -186,6 +205,7 @@ export default async function adminReviewRoutes(fastify, options) {
     }
 
     const [product] = await sql`select id, title, image_url from products where id = ${review.productId}`
+    await invalidateReviewedProducts(request, cache, [review.productId, previous?.productId].filter(Boolean))
     return { ...review, product: product || null }
   })
 
@@ -198,18 +218,20 @@ export default async function adminReviewRoutes(fastify, options) {
       return { error: 'Review not found' }
     }
 
-    const result = await sql`delete from reviews where id = ${id}`
+    const result = await sql`delete from reviews where id = ${id} returning product_id`
     if (Number(result.count) === 0) {
       reply.code(404)
       return { error: 'Review not found' }
     }
 
+    await invalidateReviewedProducts(request, cache, result.map(r => r.productId))
+
     reply.code(204)
     return
   })
 
   // Toggle featured
-  fastify.post('/:id/toggle-featured', async (request, reply) => {
+  fastify.post('/:id/toggle-featured', { schema: toggleFeaturedSchema }, async (request, reply) => {
     const { id } = request.params
 
     if (!UUID_RE.test(id)) {
@@ -230,6 +252,7 @@ export default async function adminReviewRoutes(fastify, options) {
     }
 
     const [product] = await sql`select * from products where id = ${updated.productId}`
+    await invalidateReviewedProducts(request, cache, [updated.productId])
     return { ...updated, product: product || null }
   })
 
@@ -247,7 +270,8 @@ export default async function adminReviewRoutes(fastify, options) {
       return { error: 'Invalid review ID format' }
     }
 
-    const result = await sql`delete from reviews where id in ${sql(reviewIds)}`
+    const result = await sql`delete from reviews where id in ${sql(reviewIds)} returning product_id`
+    await invalidateReviewedProducts(request, cache, [...new Set(result.map(r => r.productId))])
 
     return {
       success: true,
@@ -273,7 +297,9 @@ export default async function adminReviewRoutes(fastify, options) {
     const result = await sql`
       update reviews set is_featured = ${isFeatured}
       where id in ${sql(reviewIds)}
+      returning product_id
     `
+    await invalidateReviewedProducts(request, cache, [...new Set(result.map(r => r.productId))])
 
     return {
       success: true,
@@ -7,6 +7,7 @@ import {
 import { isoBase64URL } from '@simplewebauthn/server/helpers'
 import { isValidChallenge } from '../../utils/cleanupExpiredChallenges.js'
 import { UUID_RE } from '../../utils/constants.js'
+import { withErrors, successResponse } from '../../schemas/common.js'
 
 const RP_NAME = 'Swordfighters Admin'
 const RP_ID = process.env.NODE_ENV === 'production'
@@ -41,7 +42,29 @@ function validateEmail(email) {
   return { valid: true, email: trimmed.toLowerCase() }
 }
 
+// Options are passed straight to the browser's WebAuthn API
+const publicKeyOptionsResponse = withErrors({
+  200: {
+    type: 'object',
+    description: 'PublicKeyCredential options JSON for @simplewebauthn/browser',
+    additionalProperties: true
+  }
+})
+
+const adminResponse = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string' },
+    name: { type: 'string' },
+    role: { type: 'string' }
+  }
+}
+
+// Registration and sign-in happen before there is a session
 const registerOptionsSchema = {
+  summary: 'Start registering a security key',
+  security: [],
   body: {
     type: 'object',
     required: ['email'],
@@ -50,10 +73,13 @@ const registerOptionsSchema = {
       inviteToken: { type: 'string', minLength: 1, maxLength: 255 }
     },
     additionalProperties: false
-  }
+  },
+  response: publicKeyOptionsResponse
 }
 
 const registerVerifySchema = {
+  summary: 'Finish registering a security key',
+  security: [],
   body: {
     type: 'object',
     required: ['email', 'credential'],
@@ -63,10 +89,21 @@ const registerVerifySchema = {
       deviceName: { type: 'string', maxLength: 100 }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        verified: { type: 'boolean' },
+        message: { type: 'string' }
+      }
+    }
+  })
 }
 
 const authenticateOptionsSchema = {
+  summary: 'Start signing in with a security key',
+  security: [],
   body: {
     type: 'object',
     required: ['email'],
@@ -74,10 +111,13 @@ const authenticateOptionsSchema = {
       email: { type: 'string', minLength: 1, maxLength: 254 }
     },
     additionalProperties: false
-  }
+  },
+  response: publicKeyOptionsResponse
 }
 
 const authenticateVerifySchema = {
+  summary: 'Finish signing in with a security key; starts a session',
+  security: [],
   body: {
     type: 'object',
     required: ['email', 'credential'],
@@ -86,7 +126,54 @@ const authenticateVerifySchema = {
       credential: { type: 'object' }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        verified: { type: 'boolean' },
+        admin: adminResponse
+      }
+    }
+  })
+}
+
+const listCredentialsSchema = {
+  summary: 'List the signed-in admin\'s security keys',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        credentials: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              deviceName: { type: ['string', 'null'] },
+              transports: { type: 'array', items: { type: 'string' } },
+              lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    }
+  })
+}
+
+const deleteCredentialSchema = {
+  summary: 'Remove a security key (not the last one)',
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', description: 'Credential ID' }
+    }
+  },
+  response: withErrors({
+    200: successResponse
+  })
 }
 
 async function loadAdminByEmail(sql, email) {
@@ -117,7 +204,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // Step 1: Generate registration options
-  fastify.post('/register/options', { schema: registerOptionsSchema }, async (request, reply) => {
+  fastify.post('/register/options', { schema: registerOptionsSchema, config: { rateLimit: 'webauthn' } }, async (request, reply) => {
     try {
       fastify.log.info('Registration options request received')
 
@@ -215,7 +302,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // Step 2: Verify registration response and store credential
-  fastify.post('/register/verify', { schema: registerVerifySchema }, async (request, reply) => {
+  fastify.post('/register/verify', { schema: registerVerifySchema, config: { rateLimit: 'webauthn' } }, async (request, reply) => {
     try {
       const emailValidation = validateEmail(request.body.email)
       if (!emailValidation.valid) {
@@ -318,7 +405,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // Step 3: Generate authentication options (login challenge)
-  fastify.post('/authenticate/options', { schema: authenticateOptionsSchema }, async (request, reply) => {
+  fastify.post('/authenticate/options', { schema: authenticateOptionsSchema, config: { rateLimit: 'webauthn' } }, async (request, reply) => {
     try {
       fastify.log.info('Authentication options request received')
 
@@ -399,7 +486,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // Step 4: Verify authentication response and log in
-  fastify.post('/authenticate/verify', { schema: authenticateVerifySchema }, async (request, reply) => {
+  fastify.post('/authenticate/verify', { schema: authenticateVerifySchema, config: { rateLimit: 'webauthn' } }, async (request, reply) => {
     try {
       const emailValidation = validateEmail(request.body.email)
       if (!emailValidation.valid) {
@@ -511,7 +598,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // List registered credentials for current admin
-  fastify.get('/credentials', async (request, reply) => {
+  fastify.get('/credentials', { schema: listCredentialsSchema }, async (request, reply) => {
     if (!request.session?.adminId) {
       reply.code(401)
       return { error: 'Not authenticated' }
@@ -528,7 +615,7 @@ export default async function webauthnRoutes(fastify, options) {
   })
 
   // Delete a credential
-  fastify.delete('/credentials/:id', async (request, reply) => {
+  fastify.delete('/credentials/:id', { schema: deleteCredentialSchema }, async (request, reply) => {
     if (!request.session?.adminId) {
       reply.code(401)
       return { error: 'Not authenticated' }
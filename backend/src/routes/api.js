@@ -0,0 +1,95 @@
+import productRoutes from './products.js';
+import categoryRoutes from './categories.js';
+import goRoutes from './go.js';
+import merchantFeedRoutes from './merchantFeed.js';
+import searchRoutes from './search.js';
+import reviewRoutes from './reviews.js';
+import collectionRoutes from './collections.js';
+import postbackRoutes from './postbacks.js';
+import adminAuthRoutes from './admin/auth.js';
+import adminWebAuthnRoutes from './admin/webauthn.js';
+import adminProductRoutes from './admin/products.js';
+import adminCategoryRoutes from './admin/categories.js';
+import adminReviewRoutes from './admin/reviews.js';
+import adminExchangeRateRoutes from './admin/exchangeRates.js';
+import adminMerchantFeedRoutes from './admin/merchantFeed.js';
+import adminCollectionRoutes from './admin/collections.js';
+import { deprecation } from '../middleware/deprecation.js';
+
+// Route plugin for each resource prefix, per API version
+const v1 = {
+  '/products': productRoutes,
+  '/categories': categoryRoutes,
+  '/go': goRoutes,
+  '/search': searchRoutes,
+  '/reviews': reviewRoutes,
+  '/collections': collectionRoutes,
+  '/feeds': merchantFeedRoutes,
+  '/postbacks': postbackRoutes,
+  '/admin/auth': adminAuthRoutes,
+  '/admin/webauthn': adminWebAuthnRoutes,
+  '/admin/products': adminProductRoutes,
+  '/admin/categories': adminCategoryRoutes,
+  '/admin/reviews': adminReviewRoutes,
+  '/admin/exchange-rates': adminExchangeRateRoutes,
+  '/admin/merchant-feed': adminMerchantFeedRoutes,
+  '/admin/collections': adminCollectionRoutes
+};
+
+/**
+ * Each version is served under /api/<version>. A new version starts from
+ * the previous table and replaces only the plugins whose contract changes,
+ * so both shapes are live while the frontends move over:
+ *
+ *   v2: { ...v1, '/products': productRoutesV2 }
+ */
+export const API_VERSIONS = { v1 };
+
+// The unversioned /api/... prefix serves this version, with deprecation headers
+export const LEGACY_VERSION = 'v1';
+
+const LEGACY_DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+const DEFAULT_LEGACY_SUNSET = '2027-04-30T00:00:00Z';
+
+export function legacySunset(value = process.env.LEGACY_API_SUNSET || DEFAULT_LEGACY_SUNSET) {
+  const sunset = new Date(value);
+  if (Number.isNaN(sunset.getTime())) {
+    throw new Error('LEGACY_API_SUNSET must be an ISO 8601 date');
+  }
+  return sunset;
+}
+
+// Registers one version's route table under the current prefix
+async function versionRoutes(fastify, { routes }) {
+  for (const [prefix, plugin] of Object.entries(routes)) {
+    fastify.register(plugin, { prefix });
+  }
+}
+
+// Legacy alias: same handlers, left out of the OpenAPI document
+async function legacyRoutes(fastify, { routes, sunsetAt }) {
+  fastify.addHook('onRoute', (route) => {
+    if (route.schema) route.schema = { ...route.schema, hide: true };
+  });
+  fastify.addHook('onSend', deprecation({
+    deprecatedAt: LEGACY_DEPRECATED_AT,
+    sunsetAt,
+    from: fastify.prefix,
+    to: `${fastify.prefix}/${LEGACY_VERSION}`
+  }));
+  await versionRoutes(fastify, { routes });
+}
+
+/**
+ * Mount every API version under <prefix>/<version>, plus the deprecated
+ * unversioned alias directly under the prefix
+ */
+export default async function apiRoutes(fastify, options) {
+  for (const [version, routes] of Object.entries(API_VERSIONS)) {
+    fastify.register(versionRoutes, { prefix: `/${version}`, routes });
+  }
+  fastify.register(legacyRoutes, {
+    routes: API_VERSIONS[LEGACY_VERSION],
+    sunsetAt: legacySunset()
+  });
+}
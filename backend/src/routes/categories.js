@@ -1,44 +1,59 @@
-import { withCountShape } from '../utils/countShape.js'
+import {
+  CATEGORY_COLUMNS,
+  CATEGORY_LIST_INCLUDES,
+  CATEGORY_DETAIL_INCLUDES,
+  parseFieldset,
+  includes,
+  categorySelect,
+  shapeCategory
+} from '../utils/fieldsets.js'
+import { listPublicCategoriesSchema, getPublicCategorySchema } from '../schemas/category.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
 
 export default async function categoryRoutes(fastify, options) {
-  const { sql, redis } = fastify
+  const { sql, cache } = fastify
 
-  // List categories
-  fastify.get('/', async (request, reply) => {
-    const cached = await redis.get('categories:all')
-    if (cached) {
-      return JSON.parse(cached)
+  // List categories. Product counts change with the catalog, so the cached
+  // list depends on both scopes.
+  fastify.get('/', { schema: listPublicCategoriesSchema, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
+    const fieldset = parseFieldset(request.query, { columns: CATEGORY_COLUMNS, includes: CATEGORY_LIST_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
     }
 
-    const rows = await sql`
-      select c.*,
-        (select count(*)::int from products p where p.category_id = c.id) as product_count
-      from categories c
-      order by c.name asc
-    `
-
-    const categories = rows.map(withCountShape)
-    await redis.setex('categories:all', 1800, JSON.stringify(categories))
+    return cache.wrap('categories', fieldset.key, { scopes: [CATEGORY_SCOPE, CATALOG_SCOPE], ttl: 1800 }, async () => {
+      const rows = await sql`
+        select ${categorySelect(sql, fieldset)}
+        from categories c
+        order by c.name asc
+      `
 
-    return categories
+      return rows.map(shapeCategory(fieldset))
+    })
   })
 
   // Get category by ID or slug
-  fastify.get('/:identifier', async (request, reply) => {
+  fastify.get('/:identifier', { schema: getPublicCategorySchema, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
     const { identifier } = request.params
     const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(identifier)
 
+    const fieldset = parseFieldset(request.query, { columns: CATEGORY_COLUMNS, includes: CATEGORY_DETAIL_INCLUDES })
+    if (fieldset.error) {
+      reply.code(400)
+      return { error: fieldset.error }
+    }
+
     const [row] = isUuid
       ? await sql`
-          select c.*,
-            (select count(*)::int from products p where p.category_id = c.id) as product_count
+          select ${categorySelect(sql, fieldset)}
           from categories c
           where c.id = ${identifier}::uuid
           limit 1
         `
       : await sql`
-          select c.*,
-            (select count(*)::int from products p where p.category_id = c.id) as product_count
+          select ${categorySelect(sql, fieldset)}
           from categories c
           where c.slug = ${identifier}
           limit 1
@@ -49,6 +64,8 @@ export default async function categoryRoutes(fastify, options) {
       return { error: 'Category not found' }
     }
 
+    if (!includes(fieldset, 'products')) return shapeCategory(fieldset)(row)
+
     const products = await sql`
       select * from products
       where category_id = ${row.id} and status = 'ACTIVE'
@@ -57,7 +74,7 @@ export default async function categoryRoutes(fastify, options) {
     `
 
     return {
-      ...withCountShape(row),
+      ...shapeCategory(fieldset)(row),
       products
     }
   })
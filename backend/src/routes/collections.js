@@ -0,0 +1,54 @@
+import { listCollectionsSchema, getCollectionSchema } from '../schemas/collection.js'
+import { attachRelations } from '../utils/relations.js'
+import { fetchCollectionProducts, isLive } from '../utils/collections.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE, COLLECTIONS_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+const PRODUCT_SCOPES = [COLLECTIONS_SCOPE, CATALOG_SCOPE, CATEGORY_SCOPE]
+
+const toSummary = ({ productIds, createdAt, updatedAt, ...collection }) => collection
+
+export default async function collectionRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  // Every collection is cached and the schedule is applied per request, so
+  // a collection starts and ends on time without an invalidation
+  const allCollections = () =>
+    cache.wrap('collections', 'all', { scopes: [COLLECTIONS_SCOPE], ttl: 3600 }, () =>
+      sql`select * from collections order by sort_order, label`
+    )
+
+  // Live collections, in display order
+  fastify.get('/', { schema: listCollectionsSchema, onSend: conditionalGet({ maxAge: 60 }) }, async (request, reply) => {
+    const now = new Date()
+    const collections = await allCollections()
+    return { collections: collections.filter(c => isLive(c, now)).map(toSummary) }
+  })
+
+  // One live collection and a page of its products
+  fastify.get('/:slug', { schema: getCollectionSchema, onSend: conditionalGet({ maxAge: 60 }) }, async (request, reply) => {
+    const { slug } = request.params
+    const { page, limit } = request.query
+
+    const collection = (await allCollections()).find(c => c.slug === slug)
+    if (!collection || !isLive(collection)) {
+      reply.code(404)
+      return { error: 'Collection not found' }
+    }
+
+    const result = await cache.wrap('collection:products', { slug, page, limit }, { scopes: PRODUCT_SCOPES, ttl: 900 }, async () => {
+      const { products, total } = await fetchCollectionProducts(sql, collection.id, { page, limit })
+      return {
+        products: await attachRelations(sql, products, { latestLinkOnly: true }),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+
+    return { collection: toSummary(collection), ...result }
+  })
+}
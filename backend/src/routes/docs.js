@@ -0,0 +1,61 @@
+import pkg from '../../package.json' with { type: 'json' }
+import { buildOpenApi } from '../lib/openapi.js'
+import { documentResponse } from '../schemas/common.js'
+
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5'
+
+const docsPage = (specUrl) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Swordfighters API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${specUrl}', dom_id: '#docs', withCredentials: true })
+  </script>
+</body>
+</html>
+`
+
+// The document describes the API itself, so these routes stay out of it
+const openApiSchema = {
+  hide: true,
+  response: {
+    200: { type: 'object', additionalProperties: true }
+  }
+}
+
+const docsSchema = {
+  hide: true,
+  response: {
+    200: documentResponse('Swagger UI page')
+  }
+}
+
+// OpenAPI document for every route with a schema (see lib/openapi.js), plus
+// an interactive viewer outside production. The document is built on first
+// request, once every plugin has registered its routes.
+export default async function docsRoutes(fastify, options) {
+  let document = null
+
+  fastify.get('/openapi.json', { schema: openApiSchema }, async (request, reply) => {
+    document ??= buildOpenApi(fastify.registeredRoutes, {
+      title: 'Swordfighters API',
+      version: pkg.version,
+      description: pkg.description
+    })
+    return document
+  })
+
+  if (process.env.NODE_ENV !== 'production') {
+    fastify.get('/docs', { schema: docsSchema }, async (request, reply) => {
+      reply.type('text/html; charset=utf-8')
+      return docsPage(`${fastify.prefix}/openapi.json`)
+    })
+  }
+}
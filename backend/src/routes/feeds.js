@@ -0,0 +1,95 @@
+import { newProductsFeedSchema } from '../schemas/feed.js'
+import { renderAtomFeed, siteUrl } from '../utils/sitemap.js'
+import { UUID_RE } from '../utils/constants.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+const FEED_SIZE = 50
+const DESCRIPTION_EXCERPT = 280
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+function formatPrice(price, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(price))
+  } catch {
+    return `${price} ${currency}`
+  }
+}
+
+// Entry body for feed readers: image, price, then a description excerpt
+function summaryHtml(product) {
+  const description = product.description.length > DESCRIPTION_EXCERPT
+    ? `${product.description.slice(0, DESCRIPTION_EXCERPT).trimEnd()}…`
+    : product.description
+  return [
+    product.imageUrl ? `<p><img src="${escapeHtml(product.imageUrl)}" alt="${escapeHtml(product.title)}"/></p>` : '',
+    `<p><strong>${escapeHtml(formatPrice(product.price, product.currency))}</strong></p>`,
+    description ? `<p>${escapeHtml(description)}</p>` : ''
+  ].join('')
+}
+
+// Atom feeds for feed readers and aggregators. Served through the
+// storefront proxy like the sitemap, so links use the storefront origin.
+export default async function feedRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  // Newest ACTIVE products, optionally for one category (?category=<id|slug>)
+  fastify.get('/new.atom', { schema: newProductsFeedSchema, onSend: conditionalGet({ maxAge: 900 }) }, async (request, reply) => {
+    const identifier = request.query.category?.toLowerCase()
+
+    const xml = await cache.wrap('feed:new', identifier || 'all', { scopes: [CATALOG_SCOPE, CATEGORY_SCOPE], ttl: 900 }, async () => {
+      let category = null
+      if (identifier) {
+        const rows = UUID_RE.test(identifier)
+          ? await sql`select id, name, slug from categories where id = ${identifier}`
+          : await sql`select id, name, slug from categories where slug = ${identifier}`
+        category = rows[0]
+        if (!category) return undefined
+      }
+
+      const products = await sql`
+        select p.*, c.name as category_name, c.slug as category_slug
+        from products p
+        join categories c on c.id = p.category_id
+        where p.status = 'ACTIVE'
+          ${category ? sql`and p.category_id = ${category.id}` : sql``}
+        order by p.created_at desc, p.id
+        limit ${FEED_SIZE}
+      `
+
+      const feedUrl = `${siteUrl()}/feeds/new.atom${category ? `?category=${category.slug}` : ''}`
+      const updated = products.reduce(
+        (latest, p) => (new Date(p.updatedAt) > latest ? new Date(p.updatedAt) : latest),
+        new Date(0)
+      )
+
+      return renderAtomFeed({
+        id: feedUrl,
+        title: category ? `New in ${category.name} · Swordfighters` : 'New products · Swordfighters',
+        selfUrl: feedUrl,
+        alternateUrl: category ? `${siteUrl()}/?category=${category.id}` : `${siteUrl()}/`,
+        updated,
+        entries: products.map(p => ({
+          id: `urn:uuid:${p.id}`,
+          title: p.title,
+          link: `${siteUrl()}/products/${p.id}`,
+          published: p.createdAt,
+          updated: p.updatedAt,
+          imageUrl: p.imageUrl || null,
+          category: { name: p.categoryName, slug: p.categorySlug },
+          summaryHtml: summaryHtml(p)
+        }))
+      })
+    })
+
+    if (xml === undefined) {
+      reply.code(404)
+      return { error: 'Category not found' }
+    }
+
+    reply.type('application/atom+xml; charset=utf-8')
+    return xml
+  })
+}
@@ -0,0 +1,46 @@
+import { affiliateRedirectSchema } from '../schemas/click.js'
+import { clickAttribution, recordClick } from '../utils/clicks.js'
+
+// Tracked outbound redirect: the Fastify equivalent of the Supabase
+// `track-click` edge function, so self-hosted deployments can link to
+// /api/v1/go/:affiliateLinkId instead of the raw affiliate URL.
+export default async function goRoutes(fastify, options) {
+  const { sql } = fastify
+
+  // Never refused: over the click limit the visit just isn't recorded
+  fastify.get('/:affiliateLinkId', { schema: affiliateRedirectSchema, config: { rateLimit: false } }, async (request, reply) => {
+    const { affiliateLinkId } = request.params
+
+    const [link] = await sql`
+      select id, product_id, tracked_url, original_url
+      from affiliate_links
+      where id = ${affiliateLinkId}
+    `
+
+    if (!link) {
+      reply.code(404)
+      return { error: 'Affiliate link not found' }
+    }
+
+    // HEAD requests (link previewers, bots) redirect without being counted.
+    // Over the rate limit, or if tracking fails, the visitor still gets
+    // through — losing a click record is better than blocking a click-through.
+    if (request.method === 'GET') {
+      try {
+        if ((await fastify.rateLimit(request, 'click')).allowed) {
+          await recordClick(sql, {
+            affiliateLinkId,
+            productId: link.productId,
+            ...clickAttribution(request)
+          })
+        }
+      } catch (err) {
+        request.log.error(err, 'Failed to record affiliate click')
+      }
+    }
+
+    // Each visit must pass through to be counted
+    reply.header('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0')
+    return reply.redirect(link.trackedUrl || link.originalUrl, 302)
+  })
+}
@@ -0,0 +1,26 @@
+import { merchantFeedSchema } from '../schemas/merchantFeed.js'
+import { feedTokenAuth } from '../middleware/feedToken.js'
+import { cachedMerchantFeed, renderMerchantXml, renderMerchantCsv } from '../utils/merchantFeed.js'
+import { siteUrl } from '../utils/sitemap.js'
+
+// Shopping-channel product feeds (Google Merchant Center format). Both
+// formats share one cached build; products with problems are left out and
+// listed at GET /api/admin/merchant-feed/warnings instead.
+export default async function merchantFeedRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  const loadFeed = () => cachedMerchantFeed(sql, cache)
+
+  fastify.get('/merchant.xml', { schema: merchantFeedSchema, config: { rateLimit: 'feed' }, preHandler: feedTokenAuth }, async (request, reply) => {
+    const { items } = await loadFeed()
+    reply.type('application/xml; charset=utf-8')
+    return renderMerchantXml(items, { title: 'Swordfighters', link: `${siteUrl()}/` })
+  })
+
+  fastify.get('/merchant.csv', { schema: merchantFeedSchema, config: { rateLimit: 'feed' }, preHandler: feedTokenAuth }, async (request, reply) => {
+    const { items } = await loadFeed()
+    reply.type('text/csv; charset=utf-8')
+    reply.header('Content-Disposition', 'inline; filename="merchant.csv"')
+    return renderMerchantCsv(items)
+  })
+}
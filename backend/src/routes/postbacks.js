@@ -0,0 +1,91 @@
+import { postbackSchema } from '../schemas/postback.js'
+import {
+  SIGNATURE_HEADER,
+  postbackSecret,
+  recordConversion,
+  verifyPostbackSignature
+} from '../utils/postbacks.js'
+import { BASE_CURRENCY, convertAmount, fetchExchangeRates } from '../utils/currency.js'
+
+// Server-to-server conversion postbacks from affiliate networks. Each one is
+// HMAC-signed with the network's secret and recorded once per transaction
+// id; the conversions_after_insert trigger updates affiliate_links.
+export default async function postbackRoutes(fastify, options) {
+  const { sql } = fastify
+
+  // The signature covers the exact bytes sent, so keep them next to the
+  // parsed body (this parser only applies inside this plugin)
+  fastify.removeContentTypeParser('application/json')
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    request.rawBody = body
+    try {
+      done(null, JSON.parse(body))
+    } catch (err) {
+      err.statusCode = 400
+      done(err)
+    }
+  })
+
+  // Before validation, so unsigned requests learn nothing about the payload
+  async function verifySignature(request, reply) {
+    const secret = postbackSecret(request.params.network)
+    if (!secret) {
+      reply.code(404).send({ error: 'Unknown network' })
+      return
+    }
+    if (!verifyPostbackSignature(secret, request.rawBody ?? '', request.headers[SIGNATURE_HEADER])) {
+      reply.code(401).send({ error: 'Unauthorized', message: 'Invalid postback signature' })
+    }
+  }
+
+  fastify.post('/:network', {
+    schema: postbackSchema,
+    config: { rateLimit: 'postback' },
+    preValidation: verifySignature
+  }, async (request, reply) => {
+    const { network } = request.params
+    const { transactionId, clickId, amount, currency, convertedAt } = request.body
+    let { affiliateLinkId } = request.body
+
+    if (clickId) {
+      const [click] = await sql`select affiliate_link_id from clicks where id = ${clickId}`
+      if (!click) {
+        reply.code(404)
+        return { error: 'Click not found' }
+      }
+      if (affiliateLinkId && affiliateLinkId !== click.affiliateLinkId) {
+        reply.code(422)
+        return { error: 'Click belongs to a different affiliate link' }
+      }
+      affiliateLinkId = click.affiliateLinkId
+    } else {
+      const [link] = await sql`select id from affiliate_links where id = ${affiliateLinkId}`
+      if (!link) {
+        reply.code(404)
+        return { error: 'Affiliate link not found' }
+      }
+    }
+
+    // Revenue is kept in USD so it adds up across networks
+    const rates = currency === BASE_CURRENCY ? {} : await fetchExchangeRates(sql)
+    const revenue = convertAmount(amount, currency, BASE_CURRENCY, rates)
+    if (revenue === null) {
+      reply.code(422)
+      return { error: `No exchange rate for ${currency}` }
+    }
+
+    const conversion = await recordConversion(sql, {
+      network,
+      transactionId,
+      affiliateLinkId,
+      clickId: clickId ?? null,
+      amount,
+      currency,
+      revenue,
+      convertedAt: convertedAt ?? null
+    })
+
+    reply.code(conversion.duplicate ? 200 : 201)
+    return conversion
+  })
+}
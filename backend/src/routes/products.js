@@ -1,12 +1,139 @@
-import { createHash } from 'node:crypto'
 import { attachRelations } from '../utils/relations.js'
-import { UUID_RE, SORTABLE, VALID_PLATFORMS, VALID_STATUSES } from '../utils/constants.js'
+import {
+  PRODUCT_COLUMNS,
+  PRODUCT_LIST_INCLUDES,
+  PRODUCT_DETAIL_INCLUDES,
+  parseFieldset,
+  includes,
+  selectColumns,
+  trimFields
+} from '../utils/fieldsets.js'
+import { UUID_RE, SORTABLE } from '../utils/constants.js'
+import { productFilterConditions, normalizeProductFilters, whereAll, parseList, priceIn } from '../utils/productFilters.js'
+import {
+  listProductsSchema,
+  getProductSchema,
+  productFacetsSchema,
+  searchProductsSchema,
+  compareProductsSchema,
+  trendingProductsSchema,
+  relatedProductsSchema,
+  priceHistorySchema,
+  productSeoSchema,
+  productClickSchema
+} from '../schemas/product.js'
+import { sortKeyExpression, encodeCursor, decodeCursor, keysetCondition } from '../utils/cursor.js'
+import { RELATED_WEIGHTS, PRICE_BAND, pickDiverse } from '../utils/related.js'
+import { summarizePriceHistory } from '../utils/priceHistory.js'
+import { productSeo } from '../utils/seo.js'
+import { computeTrending, storeTrending, readTrending, pickTrending } from '../utils/trending.js'
+import { MAX_COMPARE, buildAttributeTable, summarizeReviews } from '../utils/compare.js'
+import { clickAttribution, recordClick } from '../utils/clicks.js'
+import { BASE_CURRENCY, fetchExchangeRates, withConvertedPrice } from '../utils/currency.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE, EXCHANGE_RATES_SCOPE, productScope } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+// ts_headline options. Title highlights keep the whole (short) title; the
+// description gets up to two fragments around the matched terms.
+const TITLE_HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'
+const DESCRIPTION_HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+
+// Facet buckets. Price edges line up with the PriceRangeFilter slider
+// (0–500); a null upper bound is open-ended. Rating bands are cumulative
+// ("4+ stars") to match RatingFilter.vue.
+const PRICE_BUCKETS = [[0, 25], [25, 50], [50, 100], [100, 250], [250, 500], [500, null]]
+const RATING_BANDS = [3, 4, 4.5]
+
+// Anything listing products embeds category rows, so it depends on both.
+// Price filters convert through exchange_rates, so lists depend on it too.
+const LIST_SCOPES = [CATALOG_SCOPE, CATEGORY_SCOPE, EXCHANGE_RATES_SCOPE]
+
+// Related products: the cache holds the full top list once per product and
+// `limit` slices it, so every limit shares one entry.
+const MAX_RELATED = 24
+const RELATED_CANDIDATES = 60
+
+// Price history is cached as the full year and sliced per request, for the
+// same reason.
+const MAX_PRICE_HISTORY_DAYS = 365
+
+// Keyset page for cursor mode. Fetches one extra row to learn whether another
+// page exists in the direction of travel; no count(*) is run.
+async function fetchCursorPage(sql, { columns, whereClause, sortColumn, sortBy, order, limit, cursor }) {
+  const sortKey = sortKeyExpression(sql, sortColumn)
+  const backward = cursor?.direction === 'prev'
+  // Walking backwards reads the ordering in reverse, then flips the rows back
+  const readAsc = (order === 'asc') !== backward
+  const readOrder = readAsc ? sql`asc` : sql`desc`
+  const keyset = cursor ? sql`and ${keysetCondition(sql, sortKey, { order, cursor })}` : sql``
+
+  const rows = await sql`
+    select ${columns}, ${sortKey}::text as sort_key from products
+    where ${whereClause} ${keyset}
+    order by ${sortKey} ${readOrder}, id ${readOrder}
+    limit ${limit + 1}
+  `
+
+  const hasMore = rows.length > limit
+  const page = rows.slice(0, limit)
+  if (backward) page.reverse()
+
+  const edge = (row, direction) =>
+    encodeCursor({ sortBy, order, value: row.sortKey, id: row.id, direction })
+  const first = page[0]
+  const last = page[page.length - 1]
+
+  const nextCursor = last && (backward || hasMore) ? edge(last, 'next') : null
+  const prevCursor = first && (backward ? hasMore : Boolean(cursor)) ? edge(first, 'prev') : null
+
+  return {
+    products: page.map(({ sortKey: _sortKey, ...product }) => product),
+    pagination: { limit, nextCursor, prevCursor }
+  }
+}
 
 export default async function productRoutes(fastify, options) {
-  const { sql, redis } = fastify
+  const { sql, redis, cache } = fastify
+
+  // Rates for a requested display currency: undefined when none was asked
+  // for, null when the currency has no rate (the caller answers 400).
+  // Converted prices are added after the response cache, so cached payloads
+  // stay currency-independent.
+  async function ratesFor(currency) {
+    if (!currency) return undefined
+    const rates = await cache.wrap('exchange-rates', 'all', { scopes: [EXCHANGE_RATES_SCOPE], ttl: 3600 }, () =>
+      fetchExchangeRates(sql)
+    )
+    return rates[currency] ? rates : null
+  }
 
-  // List products with filtering and pagination
-  fastify.get('/', async (request, reply) => {
+  const unsupportedCurrency = (reply, currency) => {
+    reply.code(400)
+    return { error: `Unsupported currency: ${currency}` }
+  }
+
+  const convertAll = (products, currency, rates) =>
+    rates ? products.map(product => withConvertedPrice(product, currency, rates)) : products
+
+  const invalidFieldset = (reply, fieldset) => {
+    reply.code(400)
+    return { error: fieldset.error }
+  }
+
+  // Price and currency are always read so cached rows can be converted to
+  // any display currency; categoryId backs the category relation
+  const productColumns = (fieldset) =>
+    selectColumns(sql, fieldset, PRODUCT_COLUMNS, [
+      'price',
+      'currency',
+      ...(includes(fieldset, 'category') ? ['categoryId'] : [])
+    ])
+
+  // List products with filtering and pagination.
+  // Default is page mode (page/limit + total count) for Pagination.vue.
+  // Cursor mode is opt-in via paginate=cursor or a cursor token: it returns
+  // nextCursor/prevCursor instead of totals and stays stable under inserts.
+  fastify.get('/', { schema: listProductsSchema, onSend: conditionalGet({ maxAge: 60 }) }, async (request, reply) => {
     const {
       platform,
       categoryId,
@@ -15,8 +142,16 @@ export default async function productRoutes(fastify, options) {
       limit = 20,
       minPrice,
       maxPrice,
+      minRating,
+      tags,
+      tagMode = 'any',
+      q,
+      excludeIds,
       sortBy = 'createdAt',
-      order = 'desc'
+      order = 'desc',
+      paginate,
+      cursor,
+      currency
     } = request.query
 
     const safeLimit = Math.min(parseInt(limit, 10) || 20, 100)
@@ -24,150 +159,490 @@ export default async function productRoutes(fastify, options) {
     const skip = (safePage - 1) * safeLimit
     const sortColumn = SORTABLE[sortBy] || 'created_at'
     const sortOrder = order === 'asc' ? sql`asc` : sql`desc`
-    const safeStatus = status || 'ACTIVE'
 
-    if (categoryId && !UUID_RE.test(categoryId)) {
+    const cursorMode = paginate === 'cursor' || cursor !== undefined
+    const decodedCursor = cursor ? decodeCursor(cursor, { sortBy, order }) : null
+    if (cursor && !decodedCursor) {
       reply.code(400)
-      return { error: 'Invalid categoryId' }
+      return { error: 'Invalid cursor' }
     }
 
-    if (!VALID_STATUSES.includes(safeStatus)) {
-      reply.code(400)
-      return { error: 'Invalid status' }
-    }
+    const fieldset = parseFieldset(request.query, { columns: PRODUCT_COLUMNS, includes: PRODUCT_LIST_INCLUDES })
+    if (fieldset.error) return invalidFieldset(reply, fieldset)
 
-    if (platform && !VALID_PLATFORMS.includes(platform)) {
-      reply.code(400)
-      return { error: 'Invalid platform' }
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
+
+    // The currency is only part of the filter (and cache key) when a price bound uses it
+    const priceCurrency = minPrice || maxPrice ? (currency || BASE_CURRENCY) : undefined
+    const filters = { status, platform, categoryId, minPrice, maxPrice, currency: priceCurrency, minRating, tags, tagMode, q, excludeIds }
+    const whereClause = whereAll(sql, productFilterConditions(sql, filters))
+    const columns = productColumns(fieldset)
+    const relationOptions = { latestLinkOnly: true, include: fieldset.include }
+    const withPrices = (result) => ({
+      ...result,
+      products: trimFields(convertAll(result.products, currency, rates), fieldset, PRODUCT_COLUMNS)
+    })
+
+    if (cursorMode) {
+      const params = { ...filters, limit, sortBy, order, cursor, fieldset: fieldset.key }
+      return withPrices(await cache.wrap('products:list:cursor', params, { scopes: LIST_SCOPES, ttl: 300 }, async () => {
+        const { products, pagination } = await fetchCursorPage(sql, {
+          columns,
+          whereClause,
+          sortColumn,
+          sortBy,
+          order,
+          limit: safeLimit,
+          cursor: decodedCursor
+        })
+        return {
+          products: await attachRelations(sql, products, relationOptions),
+          pagination
+        }
+      }))
     }
 
-    const conditions = [sql`status = ${safeStatus}`]
-    if (platform) conditions.push(sql`platform = ${platform}`)
-    if (categoryId) conditions.push(sql`category_id = ${categoryId}`)
-    if (minPrice) conditions.push(sql`price >= ${parseFloat(minPrice)}`)
-    if (maxPrice) conditions.push(sql`price <= ${parseFloat(maxPrice)}`)
+    const params = { ...filters, page, limit, sortBy, order, fieldset: fieldset.key }
+    return withPrices(await cache.wrap('products:list', params, { scopes: LIST_SCOPES, ttl: 300 }, async () => {
+      const [products, [{ count: total }]] = await Promise.all([
+        sql`
+          select ${columns} from products
+          where ${whereClause}
+          order by ${sql(sortColumn)} ${sortOrder}
+          limit ${safeLimit}
+          offset ${skip}
+        `,
+        sql`select count(*)::int as count from products where ${whereClause}`
+      ])
+
+      return {
+        products: await attachRelations(sql, products, relationOptions),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total,
+          pages: Math.ceil(total / safeLimit)
+        }
+      }
+    }))
+  })
 
-    // conditions always has at least the status element, so reduce is safe without an empty-array guard
-    const whereClause = conditions.reduce((acc, c, i) => i === 0 ? c : sql`${acc} and ${c}`)
+  // Facet counts for the filter sidebar. Each facet is counted against every
+  // active filter except its own dimension, so selecting a platform still
+  // shows how many products the other platforms would return. Price buckets
+  // are in the requested currency.
+  fastify.get('/facets', { schema: productFacetsSchema }, async (request, reply) => {
+    const filters = normalizeProductFilters(request.query)
+    const currency = request.query.currency || BASE_CURRENCY
 
-    const cacheKey = `products:list:${JSON.stringify({ platform, categoryId, status, page, limit, minPrice, maxPrice, sortBy, order })}`
-    const cached = await redis.get(cacheKey)
-    if (cached) {
-      return JSON.parse(cached)
+    if (currency !== BASE_CURRENCY && (await ratesFor(currency)) === null) {
+      return unsupportedCurrency(reply, currency)
     }
 
-    const [products, [{ count: total }]] = await Promise.all([
-      sql`
-        select * from products
-        where ${whereClause}
-        order by ${sql(sortColumn)} ${sortOrder}
-        limit ${safeLimit}
-        offset ${skip}
-      `,
-      sql`select count(*)::int as count from products where ${whereClause}`
-    ])
+    return cache.wrap('products:facets', { ...filters, currency }, { scopes: LIST_SCOPES, ttl: 300 }, async () => {
+      const conditions = productFilterConditions(sql, filters)
+      const where = (except = []) => whereAll(sql, conditions, { except })
 
-    const result = {
-      products: await attachRelations(sql, products, { latestLinkOnly: true }),
-      pagination: {
-        page: safePage,
-        limit: safeLimit,
+      const [platforms, categoryCounts, priceBuckets, ratingBands, [{ count: total }]] = await Promise.all([
+        sql`
+          select platform, count(*)::int as count
+          from products
+          where ${where(['platform'])}
+          group by platform
+          order by count desc, platform
+        `,
+        sql`
+          select c.id, c.name, c.slug, pc.count
+          from (
+            select category_id, count(*)::int as count
+            from products
+            where ${where(['category'])}
+            group by category_id
+          ) pc
+          join categories c on c.id = pc.category_id
+          order by c.name asc
+        `,
+        sql`
+          select b.min, b.max, count(p.price)::int as count
+          from unnest(
+            ${sql.array(PRICE_BUCKETS.map(([min]) => min))}::numeric[],
+            ${sql.array(PRICE_BUCKETS.map(([, max]) => max))}::numeric[]
+          ) as b(min, max)
+          left join (
+            select ${priceIn(sql, currency)} as price from products where ${where(['minPrice', 'maxPrice'])}
+          ) p on p.price >= b.min and (b.max is null or p.price < b.max)
+          group by b.min, b.max
+          order by b.min
+        `,
+        sql`
+          select b.min, count(p.rating)::int as count
+          from unnest(${sql.array(RATING_BANDS)}::numeric[]) as b(min)
+          left join (
+            select rating from products where ${where(['minRating'])}
+          ) p on p.rating >= b.min
+          group by b.min
+          order by b.min
+        `,
+        sql`select count(*)::int as count from products where ${where()}`
+      ])
+
+      return {
+        filters,
+        currency,
         total,
-        pages: Math.ceil(total / safeLimit)
+        platforms,
+        categories: categoryCounts,
+        priceBuckets: priceBuckets.map(b => ({
+          min: Number(b.min),
+          max: b.max === null ? null : Number(b.max),
+          count: b.count
+        })),
+        ratingBands: ratingBands.map(b => ({ min: Number(b.min), count: b.count }))
+      }
+    })
+  })
+
+  // Full-text search, ranked by ts_rank_cd over the weighted search document
+  // (title > tags > description — see migration 008_product_search.sql).
+  // Highlights are built from HTML-escaped text, so the only markup in them
+  // is the <mark> tags ts_headline inserts.
+  fastify.get('/search', { schema: searchProductsSchema, config: { rateLimit: 'search' } }, async (request, reply) => {
+    const {
+      q,
+      platform,
+      categoryId,
+      minPrice,
+      maxPrice,
+      currency,
+      page = 1,
+      limit = 20
+    } = request.query
+
+    const safeLimit = Math.min(limit, 100)
+    const skip = (page - 1) * safeLimit
+
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
+
+    const priceCurrency = minPrice || maxPrice ? (currency || BASE_CURRENCY) : undefined
+    const params = { q, platform, categoryId, minPrice, maxPrice, currency: priceCurrency, page, limit }
+    const result = await cache.wrap('products:search', params, { scopes: LIST_SCOPES, ttl: 300 }, async () => {
+      const tsQuery = sql`websearch_to_tsquery('english', ${q})`
+      const matchClause = sql`
+        ${whereAll(sql, productFilterConditions(sql, { platform, categoryId, minPrice, maxPrice, currency: priceCurrency }))}
+        and products_search_document(title, description, tags) @@ ${tsQuery}
+      `
+
+      const [rows, [{ count: total }]] = await Promise.all([
+        sql`
+          select
+            m.*,
+            ts_headline('english', replace(replace(replace(m.title, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+              ${tsQuery}, ${TITLE_HEADLINE_OPTS}) as title_highlight,
+            ts_headline('english', replace(replace(replace(m.description, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+              ${tsQuery}, ${DESCRIPTION_HEADLINE_OPTS}) as description_highlight
+          from (
+            select *, ts_rank_cd(products_search_document(title, description, tags), ${tsQuery}) as rank
+            from products
+            where ${matchClause}
+            order by rank desc, created_at desc, id
+            limit ${safeLimit}
+            offset ${skip}
+          ) m
+          order by m.rank desc, m.created_at desc, m.id
+        `,
+        sql`select count(*)::int as count from products where ${matchClause}`
+      ])
+
+      const products = rows.map(({ titleHighlight, descriptionHighlight, ...product }) => ({
+        ...product,
+        highlights: { title: titleHighlight, description: descriptionHighlight }
+      }))
+
+      return {
+        query: q,
+        products: await attachRelations(sql, products, { latestLinkOnly: true }),
+        pagination: {
+          page,
+          limit: safeLimit,
+          total,
+          pages: Math.ceil(total / safeLimit)
+        }
+      }
+    })
+
+    return { ...result, products: convertAll(result.products, currency, rates) }
+  })
+
+  // Side-by-side comparison for the /compare page. Products come back in the
+  // order requested, each with its category, newest affiliate link and a
+  // merged editorial review summary, plus an attribute table built from
+  // `metadata` (utils/compare.js). IDs that no longer match an ACTIVE
+  // product are listed in `missing` so the compare tray can drop them.
+  fastify.get('/compare', { schema: compareProductsSchema }, async (request, reply) => {
+    const ids = [...new Set(parseList(request.query.ids).map(id => id.toLowerCase()))]
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE) {
+      reply.code(400)
+      return { error: `Pass between 2 and ${MAX_COMPARE} product IDs to compare` }
+    }
+
+    const { currency } = request.query
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
+
+    const result = await cache.wrap('products:compare', ids.join(','), { scopes: LIST_SCOPES, ttl: 300 }, async () => {
+      const [rows, reviews] = await Promise.all([
+        sql`select * from products where id in ${sql(ids)} and status = 'ACTIVE'`,
+        sql`
+          select product_id, rating, pros, cons
+          from reviews
+          where product_id in ${sql(ids)}
+          order by created_at desc
+        `
+      ])
+
+      const byId = new Map(rows.map(p => [p.id, p]))
+      const found = ids.filter(id => byId.has(id)).map(id => byId.get(id))
+      const withRelations = await attachRelations(sql, found, { latestLinkOnly: true })
+
+      const products = withRelations.map(product => ({
+        ...product,
+        reviewSummary: summarizeReviews(reviews.filter(r => r.productId === product.id))
+      }))
+
+      return {
+        products,
+        attributes: buildAttributeTable(products),
+        missing: ids.filter(id => !byId.has(id))
       }
+    })
+
+    return { ...result, products: convertAll(result.products, currency, rates) }
+  })
+
+  // Trending products from the snapshot the worker keeps in Redis (see
+  // utils/trending.js). If there is none yet, e.g. before the worker's
+  // first run, it is computed once here and stored.
+  fastify.get('/trending', { schema: trendingProductsSchema, onSend: conditionalGet({ maxAge: 60 }) }, async (request, reply) => {
+    const { window, limit, currency } = request.query
+    const categoryId = request.query.categoryId?.toLowerCase()
+
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
+
+    let snapshot = await readTrending(redis, window)
+    if (!snapshot) {
+      snapshot = await computeTrending(sql, window)
+      await storeTrending(redis, snapshot)
     }
 
-    await redis.setex(cacheKey, 300, JSON.stringify(result))
+    // computedAt is part of the key, so each new snapshot starts fresh entries
+    const params = { window, categoryId, limit, computedAt: snapshot.computedAt }
+    const products = await cache.wrap('products:trending', params, { scopes: LIST_SCOPES, ttl: 900 }, async () => {
+      const picked = pickTrending(snapshot.entries, { categoryId, limit })
+      if (picked.length === 0) return []
+
+      // Re-checks status: a product deactivated since the snapshot drops out
+      const rows = await sql`
+        select * from products
+        where id in ${sql(picked.map(e => e.productId))} and status = 'ACTIVE'
+      `
+      const byId = new Map(rows.map(p => [p.id, p]))
+      const ranked = picked
+        .filter(e => byId.has(e.productId))
+        .map(e => ({ ...byId.get(e.productId), trending: { clicks: e.clicks, score: e.score } }))
+
+      return attachRelations(sql, ranked, { latestLinkOnly: true })
+    })
 
-    return result
+    return { window, computedAt: snapshot.computedAt, products: convertAll(products, currency, rates) }
   })
 
   // Get single product by ID
-  fastify.get('/:id', async (request, reply) => {
+  fastify.get('/:id', { schema: getProductSchema, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
     const { id } = request.params
+    const { currency } = request.query
 
     if (!UUID_RE.test(id)) {
       reply.code(404)
       return { error: 'Product not found' }
     }
 
-    const cached = await redis.get(`product:${id}`)
-    if (cached) {
-      return JSON.parse(cached)
-    }
+    const fieldset = parseFieldset(request.query, { columns: PRODUCT_COLUMNS, includes: PRODUCT_DETAIL_INCLUDES })
+    if (fieldset.error) return invalidFieldset(reply, fieldset)
+
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
 
-    const [product] = await sql`select * from products where id = ${id}`
+    const cacheKey = { id, fieldset: fieldset.key }
+    const product = await cache.wrap('product', cacheKey, { scopes: [productScope(id), CATEGORY_SCOPE], ttl: 3600 }, async () => {
+      const [row] = await sql`select ${productColumns(fieldset)} from products where id = ${id}`
+      if (!row) return undefined
+
+      const [[category], links, reviews] = await Promise.all([
+        includes(fieldset, 'category') && row.categoryId
+          ? sql`select * from categories where id = ${row.categoryId}`
+          : Promise.resolve([null]),
+        includes(fieldset, 'affiliateLinks')
+          ? sql`select * from affiliate_links where product_id = ${id}`
+          : Promise.resolve(null),
+        includes(fieldset, 'reviews')
+          ? sql`select * from reviews where product_id = ${id} order by created_at desc`
+          : Promise.resolve(null)
+      ])
+
+      return {
+        ...row,
+        ...(includes(fieldset, 'category') && { category: category || null }),
+        ...(links && { affiliateLinks: links }),
+        ...(reviews && { reviews })
+      }
+    })
 
     if (!product) {
       reply.code(404)
       return { error: 'Product not found' }
     }
 
-    const [[category], links, reviews] = await Promise.all([
-      product.categoryId
-        ? sql`select * from categories where id = ${product.categoryId}`
-        : Promise.resolve([null]),
-      sql`select * from affiliate_links where product_id = ${id}`,
-      sql`select * from reviews where product_id = ${id} order by created_at desc`
-    ])
+    const [shaped] = trimFields([rates ? withConvertedPrice(product, currency, rates) : product], fieldset, PRODUCT_COLUMNS)
+    return shaped
+  })
+
+  // JSON-LD and Open Graph / Twitter card fields for the product page head.
+  // Reviews change under productScope, so one scope covers them too.
+  fastify.get('/:id/seo', { schema: productSeoSchema, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
+    const { id } = request.params
+
+    const seo = await cache.wrap('product:seo', id, { scopes: [productScope(id), CATEGORY_SCOPE], ttl: 3600 }, async () => {
+      const [product] = await sql`select * from products where id = ${id}`
+      if (!product) return undefined
+
+      const [[category], links, reviews] = await Promise.all([
+        sql`select * from categories where id = ${product.categoryId}`,
+        sql`select * from affiliate_links where product_id = ${id} order by created_at desc`,
+        sql`select * from reviews where product_id = ${id} order by created_at desc`
+      ])
+
+      return productSeo(product, { category, links, reviews })
+    })
+
+    if (!seo) {
+      reply.code(404)
+      return { error: 'Product not found' }
+    }
+
+    return seo
+  })
+
+  // "You might also like" for the product detail page. Other ACTIVE products
+  // are scored by shared tags, same category and a similar price band, then
+  // re-ranked for platform diversity (utils/related.js). Scoped to the whole
+  // catalog: any product edit can change another product's neighbours.
+  fastify.get('/:id/related', { schema: relatedProductsSchema }, async (request, reply) => {
+    const { id } = request.params
+    const { limit = 8, currency } = request.query
 
-    const result = {
-      ...product,
-      category: category || null,
-      affiliateLinks: links,
-      reviews
+    const rates = await ratesFor(currency)
+    if (rates === null) return unsupportedCurrency(reply, currency)
+
+    const related = await cache.wrap('product:related', id, { scopes: LIST_SCOPES, ttl: 3600 }, async () => {
+      const [source] = await sql`select id from products where id = ${id}`
+      if (!source) return undefined
+
+      const candidates = await sql`
+        with source as (
+          select id, category_id, price, tags from products where id = ${id}
+        ),
+        scored as (
+          select
+            p.*,
+            cardinality(array(select unnest(p.tags) intersect select unnest(s.tags))) as shared_tags,
+            (p.category_id = s.category_id) as same_category,
+            (p.price between s.price * ${1 - PRICE_BAND} and s.price * ${1 + PRICE_BAND}) as similar_price
+          from products p, source s
+          where p.status = 'ACTIVE'
+            and p.id <> s.id
+            and (p.tags && s.tags or p.category_id = s.category_id)
+        )
+        select *,
+          shared_tags * ${RELATED_WEIGHTS.sharedTag}
+            + (case when same_category then ${RELATED_WEIGHTS.sameCategory} else 0 end)
+            + (case when similar_price then ${RELATED_WEIGHTS.similarPrice} else 0 end) as score
+        from scored
+        order by score desc, rating desc nulls last, created_at desc
+        limit ${RELATED_CANDIDATES}
+      `
+
+      const picked = pickDiverse(
+        candidates.map(({ sharedTags, sameCategory, similarPrice, score, ...product }) => ({
+          ...product,
+          score: Number(score)
+        })),
+        MAX_RELATED
+      )
+      return attachRelations(sql, picked, { latestLinkOnly: true })
+    })
+
+    if (!related) {
+      reply.code(404)
+      return { error: 'Product not found' }
     }
 
-    await redis.setex(`product:${id}`, 3600, JSON.stringify(result))
+    return { products: convertAll(related.slice(0, limit), currency, rates) }
+  })
+
+  // Daily price series for the detail page chart. Each day carries the last
+  // price recorded on or before it (product_price_history is written by a
+  // trigger on products — see migration 009_price_history.sql).
+  fastify.get('/:id/price-history', { schema: priceHistorySchema }, async (request, reply) => {
+    const { id } = request.params
+    const { days = 90 } = request.query
+
+    const series = await cache.wrap('product:price-history', id, { scopes: [productScope(id)], ttl: 3600 }, async () => {
+      const [product] = await sql`select id from products where id = ${id}`
+      if (!product) return undefined
 
-    return result
+      const rows = await sql`
+        select to_char(d, 'YYYY-MM-DD') as date, h.price, h.currency
+        from generate_series(
+          date_trunc('day', now()) - make_interval(days => ${MAX_PRICE_HISTORY_DAYS - 1}),
+          date_trunc('day', now()),
+          interval '1 day'
+        ) as d
+        cross join lateral (
+          select price, currency
+          from product_price_history
+          where product_id = ${id} and recorded_at < d + interval '1 day'
+          order by recorded_at desc
+          limit 1
+        ) h
+        order by d
+      `
+      return rows.map(r => ({ date: r.date, price: Number(r.price), currency: r.currency }))
+    })
+
+    if (!series) {
+      reply.code(404)
+      return { error: 'Product not found' }
+    }
+
+    const points = series.slice(-days)
+    return {
+      productId: id,
+      days,
+      points,
+      stats: summarizePriceHistory(points)
+    }
   })
 
-  // Track an affiliate link click
+  // Track an affiliate link click, rate limited per (link, IP)
   // POST /products/:id/click  body: { affiliateLinkId }
-  fastify.post('/:id/click', {
-    schema: {
-      params: {
-        type: 'object',
-        required: ['id'],
-        properties: {
-          id: { type: 'string', format: 'uuid' },
-        },
-        additionalProperties: false,
-      },
-      body: {
-        type: 'object',
-        required: ['affiliateLinkId'],
-        properties: {
-          affiliateLinkId: { type: 'string', format: 'uuid' },
-          referrer: { type: 'string', maxLength: 2048 },
-        },
-        additionalProperties: false,
-      },
-    },
-  }, async (request, reply) => {
+  fastify.post('/:id/click', { schema: productClickSchema, config: { rateLimit: 'click' } }, async (request, reply) => {
     const { id } = request.params
     const { affiliateLinkId } = request.body
 
-    // Rate limit: 10 clicks per (affiliate_link_id, IP) per minute via Redis.
-    // MULTI/EXEC makes the INCR+EXPIRE atomic — EXPIRE uses NX so it only sets
-    // the TTL on the first increment, preventing key leaks on process crash.
-    const clientIp = request.headers['cf-connecting-ip']
-      || request.headers['x-forwarded-for']?.split(',')[0].trim()
-      || request.socket.remoteAddress
-      || 'unknown'
-    // Hash the IP so IPv6 colons don't collide with the key delimiter.
-    const ipKey = createHash('sha256').update(clientIp).digest('hex').slice(0, 16)
-    const rateLimitKey = `click:rl:${affiliateLinkId}:${ipKey}`
-    const [[, count]] = await redis.multi()
-      .incr(rateLimitKey)
-      .expire(rateLimitKey, 60, 'NX')
-      .exec()
-    if (count > 10) {
-      reply.code(429)
-      return { error: 'Too many requests' }
-    }
-
     // Verify the affiliate link belongs to this product so callers can't log
     // clicks against arbitrary link/product combinations.
     const [link] = await sql`
@@ -180,25 +655,11 @@ export default async function productRoutes(fastify, options) {
       return { error: 'Affiliate link not found for this product' }
     }
 
-    // Collect lightweight attribution metadata — no PII stored.
-    const userAgent = request.headers['user-agent'] || ''
-    // Body referrer takes precedence (useful for SPAs where Referer header is stripped);
-    // fall back to the browser-supplied Referer header.
-    const referrer = request.body.referrer
-      ?? request.headers['referer']
-      ?? request.headers['referrer']
-      ?? null
-    const ipCountry = request.headers['cf-ipcountry'] || request.headers['x-country'] || null
-
-    // Hash the UA for rough unique-visitor metrics without storing raw strings.
-    const userAgentHash = userAgent
-      ? createHash('sha256').update(userAgent).digest('hex')
-      : null
-
-    await sql`
-      insert into clicks (affiliate_link_id, product_id, user_agent_hash, referrer, ip_country)
-      values (${affiliateLinkId}, ${id}, ${userAgentHash}, ${referrer}, ${ipCountry})
-    `
+    await recordClick(sql, {
+      affiliateLinkId,
+      productId: id,
+      ...clickAttribution(request, { referrer: request.body.referrer })
+    })
 
     reply.code(204)
   })
@@ -0,0 +1,84 @@
+import { featuredReviewsSchema } from '../schemas/review.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+// Flat query row → review with a compact product card
+const toFeaturedReview = (row) => ({
+  id: row.id,
+  rating: row.rating,
+  title: row.title,
+  content: row.content,
+  pros: row.pros,
+  cons: row.cons,
+  authorName: row.authorName,
+  createdAt: row.createdAt,
+  product: {
+    id: row.productId,
+    title: row.productTitle,
+    imageUrl: row.productImageUrl,
+    price: row.productPrice,
+    currency: row.productCurrency,
+    platform: row.productPlatform,
+    category: { id: row.categoryId, name: row.categoryName, slug: row.categorySlug },
+    affiliateLink: row.linkId ? { id: row.linkId, trackedUrl: row.linkTrackedUrl } : null
+  }
+})
+
+export default async function reviewRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  // Editor-featured reviews of ACTIVE products, newest first. Review writes
+  // invalidate the catalog scope (see routes/admin/reviews.js).
+  fastify.get('/featured', { schema: featuredReviewsSchema, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
+    const { page, limit } = request.query
+    const categoryId = request.query.categoryId?.toLowerCase()
+    const skip = (page - 1) * limit
+
+    return cache.wrap('reviews:featured', { categoryId, page, limit }, { scopes: [CATALOG_SCOPE, CATEGORY_SCOPE], ttl: 900 }, async () => {
+      const whereClause = sql`
+        r.is_featured and p.status = 'ACTIVE'
+        ${categoryId ? sql`and p.category_id = ${categoryId}` : sql``}
+      `
+
+      const [rows, [{ count: total }]] = await Promise.all([
+        sql`
+          select
+            r.id, r.rating, r.title, r.content, r.pros, r.cons, r.author_name, r.created_at,
+            p.id as product_id, p.title as product_title, p.image_url as product_image_url,
+            p.price as product_price, p.currency as product_currency, p.platform as product_platform,
+            c.id as category_id, c.name as category_name, c.slug as category_slug,
+            l.id as link_id, l.tracked_url as link_tracked_url
+          from reviews r
+          join products p on p.id = r.product_id
+          join categories c on c.id = p.category_id
+          left join lateral (
+            select id, tracked_url from affiliate_links
+            where product_id = p.id
+            order by created_at desc
+            limit 1
+          ) l on true
+          where ${whereClause}
+          order by r.created_at desc, r.id
+          limit ${limit}
+          offset ${skip}
+        `,
+        sql`
+          select count(*)::int as count
+          from reviews r
+          join products p on p.id = r.product_id
+          where ${whereClause}
+        `
+      ])
+
+      return {
+        reviews: rows.map(toFeaturedReview),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  })
+}
@@ -0,0 +1,24 @@
+import { suggestSchema } from '../schemas/search.js'
+import { fetchSuggestions, normalizeSuggestQuery, suggestTtl } from '../utils/searchSuggest.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+export default async function searchRoutes(fastify, options) {
+  const { sql, cache } = fastify
+
+  // Grouped suggestions for the search bar dropdown. Keyed on the
+  // normalized query, so "Pri", "pri " and "PRI" share one cache entry.
+  fastify.get('/suggest', { schema: suggestSchema, config: { rateLimit: 'search' }, onSend: conditionalGet({ maxAge: 300 }) }, async (request, reply) => {
+    const { limit } = request.query
+    const query = normalizeSuggestQuery(request.query.q)
+
+    const suggestions = await cache.wrap(
+      'search:suggest',
+      { q: query, limit },
+      { scopes: [CATALOG_SCOPE, CATEGORY_SCOPE], ttl: suggestTtl(query) },
+      () => fetchSuggestions(sql, query, { limit })
+    )
+
+    return { query, ...suggestions }
+  })
+}
@@ -0,0 +1,94 @@
+import { sitemapSchema, sitemapPageSchema } from '../schemas/feed.js'
+import { SITEMAP_MAX_URLS, renderUrlset, renderSitemapIndex, siteUrl } from '../utils/sitemap.js'
+import { isLive } from '../utils/collections.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE, COLLECTIONS_SCOPE } from '../lib/cache.js'
+import { conditionalGet } from '../middleware/conditionalGet.js'
+
+const SITEMAP_SCOPES = [CATALOG_SCOPE, CATEGORY_SCOPE, COLLECTIONS_SCOPE]
+const XML_TYPE = 'application/xml; charset=utf-8'
+
+// Storefront sitemap. The storefront proxies /sitemap.xml and /sitemaps/*
+// here (frontend/nuxt.config.ts), so every <loc> uses the storefront origin.
+//
+// URLs are numbered in one fixed order: home, live collections, categories,
+// then ACTIVE products oldest first (so existing URLs keep their chunk as new
+// products are added). Up to SITEMAP_MAX_URLS, /sitemap.xml is the urlset
+// itself; past that it becomes an index of /sitemaps/:page.xml chunks.
+export default async function sitemapRoutes(fastify, options) {
+  const { sql, cache } = fastify
+  const onSend = conditionalGet({ maxAge: 3600 })
+
+  // Home, collection and category pages: a few dozen URLs, always loaded whole
+  async function fixedUrls() {
+    const [collections, categories] = await Promise.all([
+      sql`select slug, starts_at, ends_at, updated_at from collections order by sort_order, label`,
+      sql`select id, updated_at from categories order by name`
+    ])
+    return [
+      { loc: `${siteUrl()}/` },
+      ...collections.filter(c => isLive(c)).map(c => ({ loc: `${siteUrl()}/seasonal/${c.slug}`, lastmod: c.updatedAt })),
+      ...categories.map(c => ({ loc: `${siteUrl()}/?category=${c.id}`, lastmod: c.updatedAt }))
+    ]
+  }
+
+  async function productUrls(offset, limit) {
+    if (limit <= 0) return []
+    const rows = await sql`
+      select id, updated_at from products
+      where status = 'ACTIVE'
+      order by created_at asc, id asc
+      limit ${limit}
+      offset ${offset}
+    `
+    return rows.map(p => ({ loc: `${siteUrl()}/products/${p.id}`, lastmod: p.updatedAt }))
+  }
+
+  async function urlsForPage(page, fixed) {
+    const start = (page - 1) * SITEMAP_MAX_URLS
+    const fixedSlice = fixed.slice(start, start + SITEMAP_MAX_URLS)
+    const products = await productUrls(Math.max(0, start - fixed.length), SITEMAP_MAX_URLS - fixedSlice.length)
+    return [...fixedSlice, ...products]
+  }
+
+  async function pageCount(fixed) {
+    const [{ count, lastmod }] = await sql`
+      select count(*)::int as count, max(updated_at) as lastmod
+      from products where status = 'ACTIVE'
+    `
+    return { pages: Math.max(1, Math.ceil((fixed.length + count) / SITEMAP_MAX_URLS)), lastmod }
+  }
+
+  fastify.get('/sitemap.xml', { schema: sitemapSchema, onSend }, async (request, reply) => {
+    const xml = await cache.wrap('sitemap', 'root', { scopes: SITEMAP_SCOPES, ttl: 3600 }, async () => {
+      const fixed = await fixedUrls()
+      const { pages, lastmod } = await pageCount(fixed)
+      if (pages === 1) return renderUrlset(await urlsForPage(1, fixed))
+
+      return renderSitemapIndex(
+        Array.from({ length: pages }, (_, i) => ({ loc: `${siteUrl()}/sitemaps/${i + 1}.xml`, lastmod }))
+      )
+    })
+
+    reply.type(XML_TYPE)
+    return xml
+  })
+
+  fastify.get('/sitemaps/:page.xml', { schema: sitemapPageSchema, onSend }, async (request, reply) => {
+    const { page } = request.params
+
+    const xml = await cache.wrap('sitemap', `page:${page}`, { scopes: SITEMAP_SCOPES, ttl: 3600 }, async () => {
+      const fixed = await fixedUrls()
+      const { pages } = await pageCount(fixed)
+      if (page > pages) return undefined
+      return renderUrlset(await urlsForPage(page, fixed))
+    })
+
+    if (xml === undefined) {
+      reply.code(404)
+      return { error: 'Sitemap page not found' }
+    }
+
+    reply.type(XML_TYPE)
+    return xml
+  })
+}
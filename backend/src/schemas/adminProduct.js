@@ -0,0 +1,380 @@
+/**
+ * JSON Schema validation for admin Product endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { ADMIN_SORTABLE, VALID_PLATFORMS, VALID_STATUSES } from '../utils/constants.js'
+import { FIELDSET_PROPERTIES } from '../utils/fieldsets.js'
+import {
+  DECIMAL,
+  affiliateLinkSchema,
+  withErrors,
+  noContentResponse,
+  productSchema,
+  productListResponse
+} from './common.js'
+
+// Empty (the column default) or an http(s) URL
+const IMAGE_URL_PATTERN = '^(https?://.+)?$'
+
+// Writable product fields, matching PRODUCT_FIELDS in routes/admin/products.js
+const PRODUCT_PROPERTIES = {
+  externalId: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 200,
+    description: 'ID of the listing on its source platform'
+  },
+  platform: {
+    type: 'string',
+    enum: VALID_PLATFORMS,
+    description: 'Source platform'
+  },
+  title: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'Product title'
+  },
+  description: {
+    type: 'string',
+    maxLength: 10000,
+    description: 'Product description'
+  },
+  imageUrl: {
+    type: 'string',
+    maxLength: 2048,
+    pattern: IMAGE_URL_PATTERN,
+    description: 'Image URL (must start with http:// or https://)'
+  },
+  price: {
+    type: 'number',
+    minimum: 0,
+    maximum: 99999999.99, // numeric(10, 2)
+    description: 'Price in `currency`'
+  },
+  currency: {
+    type: 'string',
+    pattern: '^[A-Z]{3}$',
+    description: 'ISO 4217 currency code (default USD)'
+  },
+  status: {
+    type: 'string',
+    enum: VALID_STATUSES,
+    description: 'Product status (default ACTIVE)'
+  },
+  categoryId: {
+    type: 'string',
+    format: 'uuid',
+    description: 'Category ID'
+  },
+  rating: {
+    type: ['number', 'null'],
+    minimum: 0,
+    maximum: 5,
+    description: 'Marketplace rating'
+  },
+  reviewCount: {
+    type: 'integer',
+    minimum: 0,
+    description: 'Marketplace review count'
+  },
+  tags: {
+    type: 'array',
+    maxItems: 100,
+    items: { type: 'string', minLength: 1, maxLength: 100 },
+    description: 'Tags used for search, filters and related products'
+  },
+  metadata: {
+    type: ['object', 'null'],
+    description: 'Free-form attributes from the source platform'
+  }
+}
+
+// The id is checked in the handler so that a malformed id is a 404 like any
+// other unknown product
+const ID_PARAMS = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'string',
+      description: 'Product ID'
+    }
+  }
+}
+
+const PRODUCT_IDS = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 100, // Prevent DoS via extremely large arrays
+  items: {
+    type: 'string',
+    format: 'uuid'
+  },
+  description: 'Array of product IDs'
+}
+
+/**
+ * Schema for listing products with filtering and pagination
+ * GET /api/admin/products
+ */
+export const listAdminProductsSchema = {
+  summary: 'List products in any status with search and pagination',
+  querystring: {
+    type: 'object',
+    properties: {
+      platform: {
+        type: 'string',
+        enum: VALID_PLATFORMS,
+        description: 'Filter by source platform'
+      },
+      categoryId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Filter by category ID'
+      },
+      status: {
+        type: 'string',
+        enum: VALID_STATUSES,
+        description: 'Filter by product status'
+      },
+      search: {
+        type: 'string',
+        maxLength: 200,
+        description: 'Search term for title/description/external ID'
+      },
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: 'Page number'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        default: 50,
+        description: 'Items per page (at most 200)'
+      },
+      sortBy: {
+        type: 'string',
+        enum: Object.keys(ADMIN_SORTABLE),
+        default: 'createdAt',
+        description: 'Field to sort by'
+      },
+      order: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        default: 'desc',
+        description: 'Sort order'
+      },
+      ...FIELDSET_PROPERTIES
+    }
+  },
+  response: withErrors({
+    200: productListResponse
+  })
+}
+
+/**
+ * Schema for a single product
+ * GET /api/admin/products/:id
+ */
+export const getAdminProductSchema = {
+  summary: 'Get a product with its category, affiliate links and reviews',
+  params: ID_PARAMS,
+  querystring: {
+    type: 'object',
+    properties: FIELDSET_PROPERTIES
+  },
+  response: withErrors({
+    200: productSchema
+  })
+}
+
+/**
+ * Schema for creating a product
+ * POST /api/admin/products
+ */
+export const createProductSchema = {
+  summary: 'Create a product',
+  body: {
+    type: 'object',
+    required: ['externalId', 'platform', 'title', 'price', 'categoryId'],
+    properties: PRODUCT_PROPERTIES,
+    additionalProperties: false
+  },
+  response: withErrors({
+    201: productSchema
+  })
+}
+
+/**
+ * Schema for updating a product. An empty body returns the product unchanged.
+ * PATCH /api/admin/products/:id
+ */
+export const updateProductSchema = {
+  summary: 'Update a product',
+  params: ID_PARAMS,
+  body: {
+    type: 'object',
+    properties: PRODUCT_PROPERTIES,
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: productSchema
+  })
+}
+
+/**
+ * Schema for deleting a product
+ * DELETE /api/admin/products/:id
+ */
+export const deleteProductSchema = {
+  summary: 'Delete a product and its affiliate links and reviews',
+  params: ID_PARAMS,
+  response: withErrors({
+    204: noContentResponse
+  })
+}
+
+const AFFILIATE_LINK_PARAMS = {
+  type: 'object',
+  required: ['id', 'linkId'],
+  properties: {
+    id: {
+      type: 'string',
+      description: 'Product ID'
+    },
+    linkId: {
+      type: 'string',
+      description: 'Affiliate link ID'
+    }
+  }
+}
+
+/**
+ * Schema for adding an affiliate link to a product. With a link provider
+ * configured its short link becomes trackedUrl.
+ * POST /api/admin/products/:id/affiliate-links
+ */
+export const createAffiliateLinkSchema = {
+  summary: 'Add an affiliate link to a product',
+  params: ID_PARAMS,
+  body: {
+    type: 'object',
+    required: ['originalUrl'],
+    properties: {
+      originalUrl: {
+        type: 'string',
+        maxLength: 2048,
+        pattern: '^https?://.+',
+        description: 'Merchant URL carrying the affiliate parameters'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    201: affiliateLinkSchema
+  })
+}
+
+/**
+ * Schema for removing an affiliate link and its short link
+ * DELETE /api/admin/products/:id/affiliate-links/:linkId
+ */
+export const deleteAffiliateLinkSchema = {
+  summary: 'Remove an affiliate link and its short link',
+  params: AFFILIATE_LINK_PARAMS,
+  response: withErrors({
+    204: noContentResponse
+  })
+}
+
+/**
+ * Schema for bulk status changes
+ * POST /api/admin/products/bulk/status
+ */
+export const bulkProductStatusSchema = {
+  summary: 'Set the status of several products',
+  body: {
+    type: 'object',
+    required: ['productIds', 'status'],
+    properties: {
+      productIds: PRODUCT_IDS,
+      status: {
+        type: 'string',
+        enum: VALID_STATUSES,
+        description: 'New status for all selected products'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        updated: { type: 'integer' }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for bulk deleting products
+ * POST /api/admin/products/bulk/delete
+ */
+export const bulkDeleteProductsSchema = {
+  summary: 'Delete several products',
+  body: {
+    type: 'object',
+    required: ['productIds'],
+    properties: {
+      productIds: PRODUCT_IDS
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        deleted: { type: 'integer' }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for the dashboard summary
+ * GET /api/admin/products/stats/dashboard
+ */
+export const dashboardStatsSchema = {
+  summary: 'Catalog counts and the newest products for the dashboard',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        stats: {
+          type: 'object',
+          properties: {
+            totalProducts: { type: 'integer' },
+            activeProducts: { type: 'integer' },
+            inactiveProducts: { type: 'integer' },
+            outOfStock: { type: 'integer' },
+            totalCategories: { type: 'integer' },
+            totalReviews: { type: 'integer' },
+            totalClicks: { type: 'integer' },
+            totalConversions: { type: 'integer' },
+            totalRevenue: { ...DECIMAL, description: 'Commission reported by postbacks, in USD' },
+            epc: {
+              type: ['string', 'number', 'null'],
+              description: 'Earnings per click in USD (null before the first click)'
+            }
+          }
+        },
+        recentProducts: { type: 'array', items: productSchema }
+      }
+    }
+  })
+}
@@ -2,6 +2,14 @@
  * JSON Schema validation for Category endpoints
  * Following WebAuthn route pattern for defense-in-depth security
  */
+import { FIELDSET_PROPERTIES } from '../utils/fieldsets.js'
+import {
+  withErrors,
+  noContentResponse,
+  paginationSchema,
+  categorySchema,
+  productSchema
+} from './common.js'
 
 // Slug validation pattern: lowercase alphanumeric and hyphens only
 const SLUG_PATTERN = '^[a-z0-9-]+$'
@@ -9,11 +17,83 @@ const SLUG_PATTERN = '^[a-z0-9-]+$'
 // URL validation pattern: must start with http:// or https://
 const URL_PATTERN = '^https?://.+'
 
+const ID_PARAMS = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'string',
+      minLength: 1,
+      description: 'Category ID'
+    }
+  }
+}
+
+const FIELDSET_QUERY = {
+  type: 'object',
+  properties: FIELDSET_PROPERTIES
+}
+
+/**
+ * Schema for the public category list
+ * GET /api/categories
+ */
+export const listPublicCategoriesSchema = {
+  summary: 'List categories with product counts',
+  querystring: FIELDSET_QUERY,
+  response: withErrors({
+    200: { type: 'array', items: categorySchema }
+  })
+}
+
+/**
+ * Schema for one public category by ID or slug
+ * GET /api/categories/:identifier
+ */
+export const getPublicCategorySchema = {
+  summary: 'Get a category and its newest ACTIVE products by ID or slug',
+  params: {
+    type: 'object',
+    required: ['identifier'],
+    properties: {
+      identifier: {
+        type: 'string',
+        minLength: 1,
+        description: 'Category ID or slug'
+      }
+    }
+  },
+  querystring: FIELDSET_QUERY,
+  response: withErrors({
+    200: {
+      ...categorySchema,
+      properties: {
+        ...categorySchema.properties,
+        products: { type: 'array', items: productSchema }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for a single category
+ * GET /api/admin/categories/:id
+ */
+export const getCategorySchema = {
+  summary: 'Get a category',
+  params: ID_PARAMS,
+  querystring: FIELDSET_QUERY,
+  response: withErrors({
+    200: categorySchema
+  })
+}
+
 /**
  * Schema for creating a new category
  * POST /api/admin/categories
  */
 export const createCategorySchema = {
+  summary: 'Create a category',
   body: {
     type: 'object',
     required: ['name', 'slug'],
@@ -44,7 +124,10 @@ export const createCategorySchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    201: categorySchema
+  })
 }
 
 /**
@@ -52,6 +135,7 @@ export const createCategorySchema = {
  * PATCH /api/admin/categories/:id
  */
 export const updateCategorySchema = {
+  summary: 'Update a category',
   body: {
     type: 'object',
     properties: {
@@ -83,17 +167,10 @@ export const updateCategorySchema = {
     additionalProperties: false,
     minProperties: 1 // At least one field must be provided for update
   },
-  params: {
-    type: 'object',
-    required: ['id'],
-    properties: {
-      id: {
-        type: 'string',
-        minLength: 1,
-        description: 'Category ID'
-      }
-    }
-  }
+  params: ID_PARAMS,
+  response: withErrors({
+    200: categorySchema
+  })
 }
 
 /**
@@ -101,17 +178,11 @@ export const updateCategorySchema = {
  * DELETE /api/admin/categories/:id
  */
 export const deleteCategorySchema = {
-  params: {
-    type: 'object',
-    required: ['id'],
-    properties: {
-      id: {
-        type: 'string',
-        minLength: 1,
-        description: 'Category ID'
-      }
-    }
-  }
+  summary: 'Delete a category without products',
+  params: ID_PARAMS,
+  response: withErrors({
+    204: noContentResponse
+  })
 }
 
 /**
@@ -119,6 +190,7 @@ export const deleteCategorySchema = {
  * POST /api/admin/categories/bulk/delete
  */
 export const bulkDeleteCategoriesSchema = {
+  summary: 'Delete several categories without products',
   body: {
     type: 'object',
     required: ['categoryIds'],
@@ -135,7 +207,17 @@ export const bulkDeleteCategoriesSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        deleted: { type: 'integer' },
+        message: { type: 'string' }
+      }
+    }
+  })
 }
 
 /**
@@ -143,6 +225,7 @@ export const bulkDeleteCategoriesSchema = {
  * GET /api/admin/categories
  */
 export const listCategoriesSchema = {
+  summary: 'List categories with search and pagination',
   querystring: {
     type: 'object',
     properties: {
@@ -175,7 +258,17 @@ export const listCategoriesSchema = {
         enum: ['asc', 'desc'],
         default: 'asc',
         description: 'Sort order'
+      },
+      ...FIELDSET_PROPERTIES
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        categories: { type: 'array', items: categorySchema },
+        pagination: paginationSchema
       }
     }
-  }
+  })
 }
@@ -0,0 +1,31 @@
+/**
+ * JSON Schema validation for affiliate click endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors } from './common.js'
+
+/**
+ * Schema for the tracked affiliate redirect
+ * GET /api/go/:affiliateLinkId
+ */
+export const affiliateRedirectSchema = {
+  summary: 'Count a click and redirect to the affiliate URL',
+  params: {
+    type: 'object',
+    required: ['affiliateLinkId'],
+    properties: {
+      affiliateLinkId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Affiliate link ID'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    302: {
+      type: 'null',
+      description: 'Redirect to the tracked (or original) affiliate URL'
+    }
+  })
+}
@@ -0,0 +1,237 @@
+/**
+ * JSON Schema validation for Collection endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import {
+  withErrors,
+  noContentResponse,
+  paginationSchema,
+  collectionSchema,
+  productSchema
+} from './common.js'
+
+// Slug validation pattern: lowercase alphanumeric and hyphens only
+const SLUG_PATTERN = '^[a-z0-9-]+$'
+
+// URL validation pattern: must start with http:// or https://
+const URL_PATTERN = '^https?://.+'
+
+const COLLECTION_PROPERTIES = {
+  slug: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    pattern: SLUG_PATTERN,
+    description: 'URL-friendly identifier, used as /seasonal/:slug'
+  },
+  label: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    description: 'Display name'
+  },
+  blurb: {
+    type: 'string',
+    maxLength: 500,
+    description: 'One-line pitch shown in the hero'
+  },
+  heroImageUrl: {
+    type: ['string', 'null'],
+    maxLength: 2048,
+    pattern: URL_PATTERN,
+    description: 'Hero image URL (must start with http:// or https://)'
+  },
+  tags: {
+    type: 'array',
+    maxItems: 20,
+    uniqueItems: true,
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    description: 'Include ACTIVE products carrying any of these tags'
+  },
+  productIds: {
+    type: 'array',
+    maxItems: 200,
+    uniqueItems: true,
+    items: { type: 'string', format: 'uuid' },
+    description: 'Hand-picked products, shown first in this order'
+  },
+  startsAt: {
+    type: ['string', 'null'],
+    format: 'date-time',
+    description: 'When the collection goes live (null = already live)'
+  },
+  endsAt: {
+    type: ['string', 'null'],
+    format: 'date-time',
+    description: 'When the collection ends (null = no end)'
+  },
+  sortOrder: {
+    type: 'integer',
+    minimum: -10000,
+    maximum: 10000,
+    description: 'Position in collection lists, lowest first'
+  }
+}
+
+const ID_PARAMS = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Collection ID'
+    }
+  }
+}
+
+// Public payloads leave out the schedule bookkeeping
+const { productIds, createdAt, updatedAt, ...SUMMARY_PROPERTIES } = collectionSchema.properties
+const collectionSummarySchema = { ...collectionSchema, properties: SUMMARY_PROPERTIES }
+
+// Admin payloads add where the collection is in its schedule
+const adminCollectionSchema = {
+  ...collectionSchema,
+  properties: {
+    ...collectionSchema.properties,
+    status: { type: 'string', enum: ['scheduled', 'live', 'ended'] }
+  }
+}
+
+/**
+ * Schema for the live collections
+ * GET /api/collections
+ */
+export const listCollectionsSchema = {
+  summary: 'List live collections in display order',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        collections: { type: 'array', items: collectionSummarySchema }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for one collection and a page of its products
+ * GET /api/collections/:slug
+ */
+export const getCollectionSchema = {
+  summary: 'Get a live collection and a page of its products',
+  params: {
+    type: 'object',
+    required: ['slug'],
+    properties: {
+      slug: {
+        type: 'string',
+        maxLength: 100,
+        pattern: SLUG_PATTERN,
+        description: 'Collection slug'
+      }
+    }
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: 'Page number'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 24,
+        description: 'Products per page'
+      }
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        collection: collectionSummarySchema,
+        products: { type: 'array', items: productSchema },
+        pagination: paginationSchema
+      }
+    }
+  })
+}
+
+/**
+ * Schema for every collection, including scheduled and ended ones
+ * GET /api/admin/collections
+ */
+export const listAdminCollectionsSchema = {
+  summary: 'List all collections with their schedule status',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        collections: { type: 'array', items: adminCollectionSchema }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for creating a collection
+ * POST /api/admin/collections
+ */
+export const createCollectionSchema = {
+  summary: 'Create a collection',
+  body: {
+    type: 'object',
+    required: ['slug', 'label'],
+    properties: COLLECTION_PROPERTIES,
+    additionalProperties: false
+  },
+  response: withErrors({
+    201: adminCollectionSchema
+  })
+}
+
+/**
+ * Schema for updating a collection
+ * PATCH /api/admin/collections/:id
+ */
+export const updateCollectionSchema = {
+  summary: 'Update a collection; omitted fields are kept',
+  params: ID_PARAMS,
+  body: {
+    type: 'object',
+    properties: COLLECTION_PROPERTIES,
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: adminCollectionSchema
+  })
+}
+
+/**
+ * Schema for fetching a collection
+ * GET /api/admin/collections/:id
+ */
+export const getAdminCollectionSchema = {
+  summary: 'Get a collection',
+  params: ID_PARAMS,
+  response: withErrors({
+    200: adminCollectionSchema
+  })
+}
+
+/**
+ * Schema for deleting a collection
+ * DELETE /api/admin/collections/:id
+ */
+export const deleteCollectionSchema = {
+  summary: 'Delete a collection',
+  params: ID_PARAMS,
+  response: withErrors({
+    204: noContentResponse
+  })
+}
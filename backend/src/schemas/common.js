@@ -0,0 +1,226 @@
+/**
+ * Response schemas shared across routes
+ * Following WebAuthn route pattern for defense-in-depth security
+ *
+ * Fastify serializes responses with these, which drops any key a schema does
+ * not list, so entity objects allow additional properties: computed fields
+ * (highlights, score, trending, ...) pass through untouched. Column types
+ * follow supabase/migrations; numeric columns arrive from postgres as
+ * strings, and cached payloads may hold either form.
+ */
+import { VALID_PLATFORMS, VALID_STATUSES } from '../utils/constants.js'
+
+const UUID = { type: 'string', format: 'uuid' }
+const TIMESTAMP = { type: 'string', format: 'date-time' }
+const NULLABLE_TIMESTAMP = { type: ['string', 'null'], format: 'date-time' }
+const NULLABLE_STRING = { type: ['string', 'null'] }
+const STRING_LIST = { type: 'array', items: { type: 'string' } }
+
+export const DECIMAL = {
+  type: ['string', 'number'],
+  description: 'Decimal amount (postgres numeric, usually a string)'
+}
+
+/**
+ * Error body. Handlers answer { error: message }; the global error handler
+ * (validation failures included) answers { error: true, message, statusCode }.
+ */
+export const errorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: ['string', 'boolean'] },
+    message: { type: 'string' },
+    statusCode: { type: 'integer' }
+  },
+  additionalProperties: true
+}
+
+// 204 responses carry no body
+export const noContentResponse = {
+  type: 'null',
+  description: 'No content'
+}
+
+/**
+ * Route response map: the given success responses plus the shared error body
+ * for every 4xx and 5xx status
+ */
+export const withErrors = (responses) => ({
+  ...responses,
+  '4xx': errorResponse,
+  '5xx': errorResponse
+})
+
+// Response for routes that send a pre-rendered document (XML, CSV, HTML)
+export const documentResponse = (description) => ({
+  type: 'string',
+  description
+})
+
+export const successResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  },
+  additionalProperties: true
+}
+
+export const countResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    count: { type: 'integer' },
+    message: { type: 'string' }
+  },
+  additionalProperties: true
+}
+
+/**
+ * Pagination block. Page mode fills page/total/pages, cursor mode
+ * nextCursor/prevCursor; limit is always present.
+ */
+export const paginationSchema = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    pages: { type: 'integer' },
+    nextCursor: NULLABLE_STRING,
+    prevCursor: NULLABLE_STRING
+  },
+  additionalProperties: true
+}
+
+export const categorySchema = {
+  type: 'object',
+  properties: {
+    id: UUID,
+    name: { type: 'string' },
+    slug: { type: 'string' },
+    description: NULLABLE_STRING,
+    imageUrl: NULLABLE_STRING,
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+    _count: {
+      type: 'object',
+      properties: { products: { type: 'integer' } },
+      additionalProperties: true
+    }
+  },
+  additionalProperties: true
+}
+
+export const affiliateLinkSchema = {
+  type: 'object',
+  properties: {
+    id: UUID,
+    productId: UUID,
+    originalUrl: { type: 'string' },
+    trackedUrl: { type: 'string' },
+    dubLinkId: NULLABLE_STRING,
+    clicks: { type: 'integer' },
+    conversions: { type: 'integer' },
+    revenue: DECIMAL,
+    // Counted by the short-link provider, synced by the worker
+    dubClicks: { type: 'integer' },
+    dubConversions: { type: 'integer' },
+    dubRevenue: DECIMAL,
+    dubSyncedAt: NULLABLE_TIMESTAMP,
+    lastClickedAt: NULLABLE_TIMESTAMP,
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  },
+  additionalProperties: true
+}
+
+export const reviewSchema = {
+  type: 'object',
+  properties: {
+    id: UUID,
+    productId: UUID,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    title: NULLABLE_STRING,
+    content: { type: 'string' },
+    pros: STRING_LIST,
+    cons: STRING_LIST,
+    authorName: { type: 'string' },
+    isFeatured: { type: 'boolean' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  },
+  additionalProperties: true
+}
+
+/**
+ * Product row plus whichever relations the route embeds. `converted` is
+ * present when a display currency was requested.
+ */
+export const productSchema = {
+  type: 'object',
+  properties: {
+    id: UUID,
+    externalId: { type: 'string' },
+    platform: { type: 'string', enum: VALID_PLATFORMS },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    imageUrl: { type: 'string' },
+    price: DECIMAL,
+    currency: { type: 'string' },
+    priceUpdatedAt: TIMESTAMP,
+    categoryId: UUID,
+    status: { type: 'string', enum: VALID_STATUSES },
+    rating: { type: ['string', 'number', 'null'] },
+    reviewCount: { type: 'integer' },
+    tags: STRING_LIST,
+    metadata: { description: 'Free-form attributes from the source platform (jsonb)' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+    category: { ...categorySchema, type: ['object', 'null'] },
+    affiliateLinks: { type: 'array', items: affiliateLinkSchema },
+    reviews: { type: 'array', items: reviewSchema },
+    _count: {
+      type: 'object',
+      properties: { reviews: { type: 'integer' } },
+      additionalProperties: true
+    },
+    converted: {
+      type: ['object', 'null'],
+      properties: {
+        currency: { type: 'string' },
+        price: DECIMAL,
+        rate: { type: 'number' }
+      }
+    }
+  },
+  additionalProperties: true
+}
+
+export const productListResponse = {
+  type: 'object',
+  properties: {
+    products: { type: 'array', items: productSchema },
+    pagination: paginationSchema
+  },
+  additionalProperties: true
+}
+
+export const collectionSchema = {
+  type: 'object',
+  properties: {
+    id: UUID,
+    slug: { type: 'string' },
+    label: { type: 'string' },
+    blurb: { type: 'string' },
+    heroImageUrl: NULLABLE_STRING,
+    tags: STRING_LIST,
+    productIds: { type: 'array', items: UUID },
+    startsAt: NULLABLE_TIMESTAMP,
+    endsAt: NULLABLE_TIMESTAMP,
+    sortOrder: { type: 'integer' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  },
+  additionalProperties: true
+}
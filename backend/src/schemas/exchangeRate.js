@@ -0,0 +1,120 @@
+/**
+ * JSON Schema validation for Exchange Rate endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors, noContentResponse, DECIMAL } from './common.js'
+
+// ISO 4217 alphabetic code, upper case
+const CURRENCY_PATTERN = '^[A-Z]{3}$'
+
+const currencyParams = {
+  type: 'object',
+  required: ['currency'],
+  properties: {
+    currency: {
+      type: 'string',
+      pattern: CURRENCY_PATTERN,
+      description: 'ISO 4217 currency code, e.g. EUR'
+    }
+  }
+}
+
+// Units of the currency per 1 USD
+const rateProperty = {
+  type: 'number',
+  exclusiveMinimum: 0,
+  maximum: 1e9,
+  description: 'Units of the currency per 1 USD'
+}
+
+const exchangeRateSchema = {
+  type: 'object',
+  properties: {
+    currency: { type: 'string' },
+    rate: DECIMAL,
+    source: { type: 'string', description: 'Who set the rate: manual, base or the sync job' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+}
+
+const rateListSchema = { type: 'array', items: exchangeRateSchema }
+
+/**
+ * Schema for listing rates
+ * GET /api/admin/exchange-rates
+ */
+export const listExchangeRatesSchema = {
+  summary: 'List exchange rates',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        baseCurrency: { type: 'string' },
+        rates: rateListSchema
+      }
+    }
+  })
+}
+
+/**
+ * Schema for replacing several rates at once
+ * PUT /api/admin/exchange-rates
+ */
+export const upsertExchangeRatesSchema = {
+  summary: 'Set several exchange rates at once',
+  body: {
+    type: 'object',
+    required: ['rates'],
+    properties: {
+      rates: {
+        type: 'object',
+        minProperties: 1,
+        maxProperties: 200,
+        propertyNames: { pattern: CURRENCY_PATTERN },
+        additionalProperties: rateProperty,
+        description: 'Map of currency code to rate, e.g. { "EUR": 0.92 }'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        rates: rateListSchema
+      }
+    }
+  })
+}
+
+/**
+ * Schema for setting a single rate
+ * PUT /api/admin/exchange-rates/:currency
+ */
+export const setExchangeRateSchema = {
+  summary: 'Set one exchange rate',
+  params: currencyParams,
+  body: {
+    type: 'object',
+    required: ['rate'],
+    properties: {
+      rate: rateProperty
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: exchangeRateSchema
+  })
+}
+
+/**
+ * Schema for removing a rate
+ * DELETE /api/admin/exchange-rates/:currency
+ */
+export const deleteExchangeRateSchema = {
+  summary: 'Remove an exchange rate',
+  params: currencyParams,
+  response: withErrors({
+    204: noContentResponse
+  })
+}
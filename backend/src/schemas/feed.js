@@ -0,0 +1,66 @@
+/**
+ * JSON Schema validation for sitemap and feed endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors, documentResponse } from './common.js'
+
+/**
+ * Schema for the sitemap, or the sitemap index once it needs chunks
+ * GET /sitemap.xml
+ */
+export const sitemapSchema = {
+  summary: 'Storefront sitemap',
+  tags: ['sitemap'],
+  produces: 'application/xml',
+  response: withErrors({
+    200: documentResponse('Sitemap urlset or sitemap index')
+  })
+}
+
+/**
+ * Schema for one chunk of a sitemap index
+ * GET /sitemaps/:page.xml
+ */
+export const sitemapPageSchema = {
+  summary: 'One chunk of the sitemap index',
+  tags: ['sitemap'],
+  produces: 'application/xml',
+  params: {
+    type: 'object',
+    required: ['page'],
+    properties: {
+      page: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Sitemap chunk number, starting at 1'
+      }
+    }
+  },
+  response: withErrors({
+    200: documentResponse('Sitemap urlset')
+  })
+}
+
+/**
+ * Schema for the new-products Atom feed
+ * GET /feeds/new.atom
+ */
+export const newProductsFeedSchema = {
+  summary: 'Atom feed of the newest ACTIVE products',
+  produces: 'application/atom+xml',
+  querystring: {
+    type: 'object',
+    properties: {
+      category: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        pattern: '^[A-Za-z0-9-]+$',
+        description: 'Limit the feed to one category (ID or slug)'
+      }
+    }
+  },
+  response: withErrors({
+    200: documentResponse('Atom feed')
+  })
+}
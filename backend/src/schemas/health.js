@@ -0,0 +1,42 @@
+/**
+ * JSON Schema validation for the health check
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors } from './common.js'
+
+/**
+ * Schema for the health check
+ * GET /health
+ */
+export const healthSchema = {
+  summary: 'Database and Redis connectivity, plus response cache counters',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok'] },
+        database: { type: 'string' },
+        redis: { type: 'string' },
+        cache: {
+          type: 'object',
+          properties: {
+            hits: { type: 'integer' },
+            misses: { type: 'integer' },
+            hitRate: { type: ['number', 'null'] },
+            namespaces: { type: 'object', additionalProperties: true }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    503: {
+      type: 'object',
+      description: 'Database or Redis unreachable',
+      properties: {
+        status: { type: 'string', enum: ['error'] },
+        message: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  })
+}
@@ -0,0 +1,134 @@
+/**
+ * JSON Schema validation for Merchant Feed endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors, noContentResponse, documentResponse } from './common.js'
+
+// Tokens are listed without the secret; it is only returned on creation
+const feedTokenSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string' },
+    createdBy: { type: ['string', 'null'], format: 'uuid' },
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+    revokedAt: { type: ['string', 'null'], format: 'date-time' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+}
+
+/**
+ * Schema for products left out of the feeds
+ * GET /api/admin/merchant-feed/warnings
+ */
+export const feedWarningsSchema = {
+  summary: 'Products left out of the merchant feed and why',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        published: { type: 'integer', description: 'Products in the feed' },
+        warnings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              productId: { type: 'string', format: 'uuid' },
+              title: { type: 'string' },
+              problems: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for listing feed tokens
+ * GET /api/admin/merchant-feed/tokens
+ */
+export const listFeedTokensSchema = {
+  summary: 'List feed tokens',
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        tokens: { type: 'array', items: feedTokenSchema }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for the token-protected feeds
+ * GET /api/feeds/merchant.xml, GET /api/feeds/merchant.csv
+ */
+export const merchantFeedSchema = {
+  summary: 'Google Merchant Center product feed (XML or CSV)',
+  querystring: {
+    type: 'object',
+    properties: {
+      token: {
+        type: 'string',
+        maxLength: 200,
+        description: 'Feed token issued in the admin panel'
+      }
+    }
+  },
+  response: withErrors({
+    200: documentResponse('RSS 2.0 feed with g: elements, or the same items as CSV')
+  })
+}
+
+/**
+ * Schema for issuing a feed token
+ * POST /api/admin/merchant-feed/tokens
+ */
+export const createFeedTokenSchema = {
+  summary: 'Issue a feed token',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        description: 'Which channel uses the token, e.g. "Google Merchant Center"'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    201: {
+      ...feedTokenSchema,
+      properties: {
+        ...feedTokenSchema.properties,
+        token: { type: 'string', description: 'Plaintext token, shown only once' }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for revoking a feed token
+ * DELETE /api/admin/merchant-feed/tokens/:id
+ */
+export const revokeFeedTokenSchema = {
+  summary: 'Revoke a feed token',
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Feed token ID'
+      }
+    }
+  },
+  response: withErrors({
+    204: noContentResponse
+  })
+}
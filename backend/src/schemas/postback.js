@@ -0,0 +1,84 @@
+/**
+ * JSON Schema validation for affiliate network postbacks
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors } from './common.js'
+
+const conversionResponse = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    duplicate: { type: 'boolean' }
+  }
+}
+
+/**
+ * Schema for a conversion postback. The X-Postback-Signature header is
+ * checked by the route, so a missing one is a 401 like a wrong one.
+ * POST /api/postbacks/:network
+ */
+export const postbackSchema = {
+  summary: 'Record a conversion reported by an affiliate network',
+  security: [],
+  params: {
+    type: 'object',
+    required: ['network'],
+    properties: {
+      network: {
+        type: 'string',
+        pattern: '^[a-z0-9-]+$',
+        maxLength: 50,
+        description: 'Network name; its secret is POSTBACK_SECRET_<NETWORK>'
+      }
+    },
+    additionalProperties: false
+  },
+  body: {
+    type: 'object',
+    required: ['transactionId', 'amount'],
+    properties: {
+      transactionId: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: "The network's ID for the sale; repeats are ignored"
+      },
+      clickId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Click the sale is attributed to'
+      },
+      affiliateLinkId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Affiliate link the sale is attributed to (implied by clickId)'
+      },
+      amount: {
+        type: 'number',
+        minimum: 0,
+        maximum: 99999999.99, // numeric(10, 2)
+        description: 'Commission earned'
+      },
+      currency: {
+        type: 'string',
+        pattern: '^[A-Z]{3}$',
+        default: 'USD',
+        description: 'ISO 4217 currency of amount'
+      },
+      convertedAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'When the sale happened (default: now)'
+      }
+    },
+    anyOf: [
+      { required: ['clickId'] },
+      { required: ['affiliateLinkId'] }
+    ],
+    additionalProperties: false
+  },
+  response: withErrors({
+    200: { ...conversionResponse, description: 'Already recorded' },
+    201: conversionResponse
+  })
+}
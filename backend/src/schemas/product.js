@@ -0,0 +1,562 @@
+/**
+ * JSON Schema validation for public Product endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { SORTABLE, VALID_PLATFORMS, VALID_STATUSES } from '../utils/constants.js'
+import { TRENDING_WINDOWS, DEFAULT_TRENDING_WINDOW } from '../utils/trending.js'
+import { FIELDSET_PROPERTIES } from '../utils/fieldsets.js'
+import {
+  withErrors,
+  noContentResponse,
+  paginationSchema,
+  productSchema,
+  productListResponse
+} from './common.js'
+
+// Comma-separated list of UUIDs, e.g. excludeIds=<uuid>,<uuid>
+const UUID_LIST_PATTERN = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}' +
+  '(,[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})*$'
+
+// Display currency (ISO 4217). Prices come back unchanged plus a
+// `converted` block in this currency; minPrice/maxPrice are read in it too.
+const CURRENCY_PROPERTY = {
+  type: 'string',
+  pattern: '^[A-Z]{3}$',
+  description: 'Currency to convert prices to and to read minPrice/maxPrice in (default USD)'
+}
+
+// Filter parameters shared by the list and facets routes
+const PRODUCT_FILTER_PROPERTIES = {
+  platform: {
+    type: 'string',
+    enum: VALID_PLATFORMS,
+    description: 'Filter by source platform'
+  },
+  categoryId: {
+    type: 'string',
+    format: 'uuid',
+    description: 'Filter by category ID'
+  },
+  status: {
+    type: 'string',
+    enum: VALID_STATUSES,
+    default: 'ACTIVE',
+    description: 'Filter by product status'
+  },
+  minPrice: {
+    type: 'number',
+    minimum: 0,
+    description: 'Minimum price (inclusive)'
+  },
+  maxPrice: {
+    type: 'number',
+    minimum: 0,
+    description: 'Maximum price (inclusive)'
+  },
+  minRating: {
+    type: 'number',
+    minimum: 0,
+    maximum: 5,
+    description: 'Minimum rating (inclusive); unrated products are excluded'
+  },
+  tags: {
+    type: 'string',
+    maxLength: 500,
+    description: 'Comma-separated tags to match against the product tags'
+  },
+  tagMode: {
+    type: 'string',
+    enum: ['any', 'all'],
+    default: 'any',
+    description: 'any = product has at least one of the tags, all = product has every tag'
+  },
+  q: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 200,
+    description: 'Free-text filter over title, tags and description'
+  },
+  excludeIds: {
+    type: 'string',
+    maxLength: 3700, // 100 UUIDs + separators
+    pattern: UUID_LIST_PATTERN,
+    description: 'Comma-separated product IDs to leave out of the results'
+  },
+  currency: CURRENCY_PROPERTY
+}
+
+const PRODUCT_ID_PARAMS = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Product ID'
+    }
+  }
+}
+
+const productArray = (items = productSchema) => ({ type: 'array', items })
+
+const countBucket = (properties) => ({
+  type: 'object',
+  properties: { ...properties, count: { type: 'integer' } },
+  additionalProperties: true
+})
+
+/**
+ * Schema for listing products with filtering and pagination
+ * GET /api/products
+ */
+export const listProductsSchema = {
+  summary: 'List products with filters, page or cursor pagination',
+  querystring: {
+    type: 'object',
+    properties: {
+      ...PRODUCT_FILTER_PROPERTIES,
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: 'Page number (page mode)'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 20,
+        description: 'Items per page'
+      },
+      sortBy: {
+        type: 'string',
+        enum: Object.keys(SORTABLE),
+        default: 'createdAt',
+        description: 'Field to sort by'
+      },
+      order: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        default: 'desc',
+        description: 'Sort order'
+      },
+      paginate: {
+        type: 'string',
+        enum: ['page', 'cursor'],
+        description: 'Pagination mode; implied to be cursor when a cursor is passed'
+      },
+      cursor: {
+        type: 'string',
+        maxLength: 1024,
+        description: 'Opaque cursor from a previous nextCursor/prevCursor'
+      },
+      ...FIELDSET_PROPERTIES
+    }
+  },
+  response: withErrors({
+    200: productListResponse
+  })
+}
+
+/**
+ * Schema for facet counts over the same filters as the list route
+ * GET /api/products/facets
+ */
+export const productFacetsSchema = {
+  summary: 'Facet counts for the filter sidebar',
+  querystring: {
+    type: 'object',
+    properties: PRODUCT_FILTER_PROPERTIES
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        filters: { type: 'object', additionalProperties: true },
+        currency: { type: 'string' },
+        total: { type: 'integer' },
+        platforms: { type: 'array', items: countBucket({ platform: { type: 'string' } }) },
+        categories: {
+          type: 'array',
+          items: countBucket({
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            slug: { type: 'string' }
+          })
+        },
+        priceBuckets: {
+          type: 'array',
+          items: countBucket({ min: { type: 'number' }, max: { type: ['number', 'null'] } })
+        },
+        ratingBands: { type: 'array', items: countBucket({ min: { type: 'number' } }) }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for full-text product search
+ * GET /api/products/search
+ */
+export const searchProductsSchema = {
+  summary: 'Full-text product search with highlights',
+  querystring: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Search query (websearch syntax: quoted phrases, OR, -exclusions)'
+      },
+      platform: {
+        type: 'string',
+        enum: VALID_PLATFORMS,
+        description: 'Filter by source platform'
+      },
+      categoryId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Filter by category ID'
+      },
+      minPrice: {
+        type: 'number',
+        minimum: 0,
+        description: 'Minimum price (inclusive)'
+      },
+      maxPrice: {
+        type: 'number',
+        minimum: 0,
+        description: 'Maximum price (inclusive)'
+      },
+      currency: CURRENCY_PROPERTY,
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: 'Page number'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 20,
+        description: 'Items per page'
+      }
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        products: productArray({
+          ...productSchema,
+          properties: {
+            ...productSchema.properties,
+            highlights: {
+              type: 'object',
+              description: 'HTML-escaped text with matches wrapped in <mark>',
+              properties: {
+                title: { type: 'string' },
+                description: { type: 'string' }
+              }
+            }
+          }
+        }),
+        pagination: paginationSchema
+      }
+    }
+  })
+}
+
+/**
+ * Schema for side-by-side comparison
+ * GET /api/products/compare
+ */
+export const compareProductsSchema = {
+  summary: 'Compare 2 to 4 products side by side',
+  querystring: {
+    type: 'object',
+    required: ['ids'],
+    properties: {
+      ids: {
+        type: 'string',
+        maxLength: 370, // 10 UUIDs + separators; the 2–4 limit is checked in the handler
+        pattern: UUID_LIST_PATTERN,
+        description: 'Comma-separated product IDs to compare (2 to 4)'
+      },
+      currency: CURRENCY_PROPERTY
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        products: productArray({
+          ...productSchema,
+          properties: {
+            ...productSchema.properties,
+            reviewSummary: {
+              type: 'object',
+              properties: {
+                count: { type: 'integer' },
+                averageRating: { type: ['number', 'null'] },
+                pros: { type: 'array', items: { type: 'string' } },
+                cons: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }),
+        attributes: {
+          type: 'array',
+          description: 'Metadata attributes, one value (or null) per product in request order',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              label: { type: 'string' },
+              values: { type: 'array', items: { type: ['string', 'null'] } },
+              differs: { type: 'boolean' }
+            }
+          }
+        },
+        missing: {
+          type: 'array',
+          description: 'Requested IDs that are no longer ACTIVE products',
+          items: { type: 'string', format: 'uuid' }
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for a single product. The id is checked in the handler so that a
+ * malformed id is a 404 like any other unknown product.
+ * GET /api/products/:id
+ */
+export const getProductSchema = {
+  summary: 'Get a product with its category, affiliate links and reviews',
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: {
+        type: 'string',
+        description: 'Product ID'
+      }
+    }
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      currency: CURRENCY_PROPERTY,
+      ...FIELDSET_PROPERTIES
+    }
+  },
+  response: withErrors({
+    200: productSchema
+  })
+}
+
+/**
+ * Schema for product SEO metadata
+ * GET /api/products/:id/seo
+ */
+export const productSeoSchema = {
+  summary: 'JSON-LD, Open Graph and Twitter card metadata for a product page',
+  params: PRODUCT_ID_PARAMS,
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        canonicalUrl: { type: 'string' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        image: { type: ['string', 'null'] },
+        openGraph: { type: 'object', additionalProperties: true },
+        twitter: { type: 'object', additionalProperties: true },
+        jsonLd: {
+          type: 'object',
+          description: 'schema.org Product, ready for a ld+json script tag',
+          additionalProperties: true
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for trending products
+ * GET /api/products/trending
+ */
+export const trendingProductsSchema = {
+  summary: 'Trending products by recent clicks',
+  querystring: {
+    type: 'object',
+    properties: {
+      window: {
+        type: 'string',
+        enum: Object.keys(TRENDING_WINDOWS),
+        default: DEFAULT_TRENDING_WINDOW,
+        description: 'How far back to count clicks'
+      },
+      categoryId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Only products in this category'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 50,
+        default: 12,
+        description: 'Number of products to return'
+      },
+      currency: CURRENCY_PROPERTY
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        window: { type: 'string' },
+        computedAt: { type: 'string', format: 'date-time' },
+        products: productArray({
+          ...productSchema,
+          properties: {
+            ...productSchema.properties,
+            trending: {
+              type: 'object',
+              properties: {
+                clicks: { type: 'integer' },
+                score: { type: 'number' }
+              }
+            }
+          }
+        })
+      }
+    }
+  })
+}
+
+/**
+ * Schema for related products
+ * GET /api/products/:id/related
+ */
+export const relatedProductsSchema = {
+  summary: 'Related products by shared tags, category and price',
+  params: PRODUCT_ID_PARAMS,
+  querystring: {
+    type: 'object',
+    properties: {
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 24,
+        default: 8,
+        description: 'Number of related products to return'
+      },
+      currency: CURRENCY_PROPERTY
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        products: productArray({
+          ...productSchema,
+          properties: {
+            ...productSchema.properties,
+            score: { type: 'number' }
+          }
+        })
+      }
+    }
+  })
+}
+
+/**
+ * Schema for a product's daily price history
+ * GET /api/products/:id/price-history
+ */
+export const priceHistorySchema = {
+  summary: 'Daily price series with summary stats',
+  params: PRODUCT_ID_PARAMS,
+  querystring: {
+    type: 'object',
+    properties: {
+      days: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 365,
+        default: 90,
+        description: 'Number of daily points to return, ending today'
+      }
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        productId: { type: 'string', format: 'uuid' },
+        days: { type: 'integer' },
+        points: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              date: { type: 'string', format: 'date' },
+              price: { type: 'number' },
+              currency: { type: 'string' }
+            }
+          }
+        },
+        stats: {
+          type: 'object',
+          properties: {
+            current: { type: ['number', 'null'] },
+            min: { type: ['number', 'null'] },
+            max: { type: ['number', 'null'] },
+            avg30: { type: ['number', 'null'] },
+            change30: { type: ['number', 'null'], description: 'Relative change over the last 30 points, e.g. -0.15' }
+          }
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Schema for recording an affiliate click from the product page
+ * POST /api/products/:id/click
+ */
+export const productClickSchema = {
+  summary: 'Record an affiliate link click',
+  params: {
+    ...PRODUCT_ID_PARAMS,
+    additionalProperties: false
+  },
+  body: {
+    type: 'object',
+    required: ['affiliateLinkId'],
+    properties: {
+      affiliateLinkId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Affiliate link being followed; must belong to the product'
+      },
+      referrer: {
+        type: 'string',
+        maxLength: 2048,
+        description: 'Page the visitor came from'
+      }
+    },
+    additionalProperties: false
+  },
+  response: withErrors({
+    204: noContentResponse
+  })
+}
@@ -2,12 +2,48 @@
  * JSON Schema validation for Review endpoints
  * Following WebAuthn route pattern for defense-in-depth security
  */
+import {
+  withErrors,
+  noContentResponse,
+  paginationSchema,
+  reviewSchema
+} from './common.js'
+
+const ID_PARAMS = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'string',
+      minLength: 1,
+      description: 'Review ID'
+    }
+  }
+}
+
+// Admin payloads carry a small card of the reviewed product
+const adminReviewSchema = {
+  ...reviewSchema,
+  properties: {
+    ...reviewSchema.properties,
+    product: {
+      type: ['object', 'null'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        title: { type: 'string' },
+        imageUrl: { type: 'string' }
+      },
+      additionalProperties: true
+    }
+  }
+}
 
 /**
  * Schema for creating a new review
  * POST /api/admin/reviews
  */
 export const createReviewSchema = {
+  summary: 'Create a review',
   body: {
     type: 'object',
     required: ['productId', 'rating', 'content'],
@@ -64,7 +100,10 @@ export const createReviewSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    201: adminReviewSchema
+  })
 }
 
 /**
@@ -72,6 +111,7 @@ export const createReviewSchema = {
  * PATCH /api/admin/reviews/:id
  */
 export const updateReviewSchema = {
+  summary: 'Update a review',
   body: {
     type: 'object',
     properties: {
@@ -129,17 +169,10 @@ export const updateReviewSchema = {
     additionalProperties: false,
     minProperties: 1 // At least one field must be provided for update
   },
-  params: {
-    type: 'object',
-    required: ['id'],
-    properties: {
-      id: {
-        type: 'string',
-        minLength: 1,
-        description: 'Review ID'
-      }
-    }
-  }
+  params: ID_PARAMS,
+  response: withErrors({
+    200: adminReviewSchema
+  })
 }
 
 /**
@@ -147,17 +180,35 @@ export const updateReviewSchema = {
  * DELETE /api/admin/reviews/:id
  */
 export const deleteReviewSchema = {
-  params: {
-    type: 'object',
-    required: ['id'],
-    properties: {
-      id: {
-        type: 'string',
-        minLength: 1,
-        description: 'Review ID'
-      }
-    }
-  }
+  summary: 'Delete a review',
+  params: ID_PARAMS,
+  response: withErrors({
+    204: noContentResponse
+  })
+}
+
+/**
+ * Schema for a single review
+ * GET /api/admin/reviews/:id
+ */
+export const getReviewSchema = {
+  summary: 'Get a review with its product',
+  params: ID_PARAMS,
+  response: withErrors({
+    200: adminReviewSchema
+  })
+}
+
+/**
+ * Schema for flipping a review's featured flag
+ * POST /api/admin/reviews/:id/toggle-featured
+ */
+export const toggleFeaturedSchema = {
+  summary: 'Flip whether a review is featured',
+  params: ID_PARAMS,
+  response: withErrors({
+    200: adminReviewSchema
+  })
 }
 
 /**
@@ -165,6 +216,7 @@ export const deleteReviewSchema = {
  * POST /api/admin/reviews/bulk/delete
  */
 export const bulkDeleteReviewsSchema = {
+  summary: 'Delete several reviews',
   body: {
     type: 'object',
     required: ['reviewIds'],
@@ -181,7 +233,17 @@ export const bulkDeleteReviewsSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        deleted: { type: 'integer' },
+        message: { type: 'string' }
+      }
+    }
+  })
 }
 
 /**
@@ -189,6 +251,7 @@ export const bulkDeleteReviewsSchema = {
  * POST /api/admin/reviews/bulk/toggle-featured
  */
 export const bulkToggleFeaturedSchema = {
+  summary: 'Set the featured flag on several reviews',
   body: {
     type: 'object',
     required: ['reviewIds', 'isFeatured'],
@@ -209,7 +272,18 @@ export const bulkToggleFeaturedSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        updated: { type: 'integer' },
+        isFeatured: { type: 'boolean' },
+        message: { type: 'string' }
+      }
+    }
+  })
 }
 
 /**
@@ -217,6 +291,7 @@ export const bulkToggleFeaturedSchema = {
  * GET /api/admin/reviews
  */
 export const listReviewsSchema = {
+  summary: 'List reviews with filters and pagination',
   querystring: {
     type: 'object',
     properties: {
@@ -265,5 +340,70 @@ export const listReviewsSchema = {
         description: 'Sort order'
       }
     }
-  }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        reviews: { type: 'array', items: adminReviewSchema },
+        pagination: paginationSchema
+      }
+    }
+  })
+}
+
+/**
+ * Schema for the public featured reviews list
+ * GET /api/reviews/featured
+ */
+export const featuredReviewsSchema = {
+  summary: 'Featured reviews of ACTIVE products, newest first',
+  querystring: {
+    type: 'object',
+    properties: {
+      categoryId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Only reviews of products in this category'
+      },
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: 'Page number'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 50,
+        default: 10,
+        description: 'Items per page'
+      }
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        reviews: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              rating: { type: 'integer' },
+              title: { type: ['string', 'null'] },
+              content: { type: 'string' },
+              pros: { type: 'array', items: { type: 'string' } },
+              cons: { type: 'array', items: { type: 'string' } },
+              authorName: { type: 'string' },
+              createdAt: { type: 'string', format: 'date-time' },
+              product: { type: 'object', additionalProperties: true }
+            }
+          }
+        },
+        pagination: paginationSchema
+      }
+    }
+  })
 }
@@ -0,0 +1,65 @@
+/**
+ * JSON Schema validation for search endpoints
+ * Following WebAuthn route pattern for defense-in-depth security
+ */
+import { withErrors, DECIMAL } from './common.js'
+
+// Every suggestion names its group so the dropdown can render a flat list
+const suggestion = (type, properties) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { type: { type: 'string', enum: [type] }, ...properties }
+  }
+})
+
+/**
+ * Schema for search-as-you-type suggestions
+ * GET /api/search/suggest
+ */
+export const suggestSchema = {
+  summary: 'Grouped product, category and tag suggestions for the search bar',
+  querystring: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        description: 'What the visitor has typed so far'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 10,
+        default: 5,
+        description: 'Maximum suggestions per group'
+      }
+    }
+  },
+  response: withErrors({
+    200: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The normalized query' },
+        products: suggestion('product', {
+          id: { type: 'string', format: 'uuid' },
+          title: { type: 'string' },
+          imageUrl: { type: 'string' },
+          price: DECIMAL,
+          currency: { type: 'string' }
+        }),
+        categories: suggestion('category', {
+          id: { type: 'string', format: 'uuid' },
+          name: { type: 'string' },
+          slug: { type: 'string' }
+        }),
+        tags: suggestion('tag', {
+          name: { type: 'string' },
+          productCount: { type: 'integer' }
+        })
+      }
+    }
+  })
+}
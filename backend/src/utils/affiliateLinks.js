@@ -0,0 +1,78 @@
+// Affiliate links backed by a short-link provider (lib/linkProvider.js).
+// tracked_url is where GET /api/v1/go redirects: the provider's short link,
+// or the merchant URL itself when no provider is configured.
+import { randomUUID } from 'node:crypto'
+
+/**
+ * Create an affiliate link for a product, provisioning its short link first
+ * so a row never points at a link that doesn't exist. If the insert fails
+ * the short link is removed again. Returns the stored row.
+ */
+export async function createAffiliateLink(sql, provider, { productId, originalUrl }) {
+  const id = randomUUID()
+  const remote = provider
+    ? await provider.createLink({ url: originalUrl, externalId: id })
+    : null
+
+  try {
+    const [link] = await sql`
+      insert into affiliate_links (id, product_id, original_url, tracked_url, dub_link_id)
+      values (${id}, ${productId}, ${originalUrl}, ${remote?.shortLink ?? originalUrl}, ${remote?.id ?? null})
+      returning *
+    `
+    return link
+  } catch (err) {
+    if (remote) await provider.deleteLink(remote.id).catch(() => {})
+    throw err
+  }
+}
+
+/**
+ * Delete the provider's links for rows that are already gone. Best effort:
+ * a failure is logged and leaves an orphaned short link, never a failed
+ * request. Returns how many were deleted.
+ */
+export async function deleteRemoteLinks(provider, dubLinkIds, logger = console) {
+  const ids = dubLinkIds.filter(Boolean)
+  if (!provider || ids.length === 0) return 0
+
+  const results = await Promise.allSettled(ids.map(id => provider.deleteLink(id)))
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.error({ err: result.reason, dubLinkId: ids[i] }, 'Failed to delete short link')
+    }
+  })
+  return results.filter(r => r.status === 'fulfilled').length
+}
+
+/**
+ * Copy the provider's click and sale counts onto affiliate_links
+ * (dub_clicks, dub_conversions, dub_revenue; migration 016_dub_link_stats.sql).
+ * Links the provider has that we don't are ignored.
+ *
+ * @param {Function} sql - postgres-js client
+ * @param {Object} provider - Link provider
+ * @param {Object} options
+ * @param {Object} options.logger - Logger instance (optional)
+ * @returns {Promise<number>} Number of affiliate links updated
+ */
+export async function syncLinkStats(sql, provider, { logger = console } = {}) {
+  const stats = await provider.listStats()
+  if (stats.length === 0) return 0
+
+  const rows = stats.map(s => [s.id, s.clicks, s.conversions, s.revenue])
+  const result = await sql`
+    update affiliate_links as l
+    set
+      dub_clicks = v.clicks::int,
+      dub_conversions = v.conversions::int,
+      dub_revenue = v.revenue::numeric,
+      dub_synced_at = now()
+    from (values ${sql(rows)}) as v (dub_link_id, clicks, conversions, revenue)
+    where l.dub_link_id = v.dub_link_id
+  `
+
+  const count = Number(result.count)
+  logger.info({ provider: provider.name, links: stats.length, updated: count }, 'Synced short-link stats')
+  return count
+}
@@ -0,0 +1,55 @@
+// Click fraud scoring for the clicks ledger (migration 014_click_fraud.sql).
+// These checks need the raw user agent and referrer, which are never
+// stored; bursts per visitor (user_agent_hash and ip_hash) are flagged by
+// the clicks_before_insert trigger. Keep the lists in sync with supabase/functions/track-click.
+
+// Automation that announces itself: headless browsers and test drivers
+const HEADLESS_UA = /headlesschrome|phantomjs|slimerjs|htmlunit|selenium|webdriver|puppeteer|playwright|lighthouse/i
+
+// Crawlers, link checkers, unfurlers, uptime monitors and HTTP libraries.
+// The lookbehind spares CUBOT phones.
+const BOT_UA = new RegExp([
+  '(?<!cu)bot\\b', 'crawl', 'spider', 'slurp', 'archiver', 'scraper',
+  'facebookexternalhit', 'embedly', 'whatsapp', 'skypeuripreview', 'bitlypreview',
+  'linkcheck', 'link-checker', 'w3c_validator', 'validator\\.nu',
+  'pingdom', 'uptimerobot', 'statuscake', 'site24x7', 'datadog',
+  'curl/', 'wget/', 'httpie/', 'python-requests', 'python-urllib', 'aiohttp',
+  'go-http-client', 'okhttp', 'java/', 'apache-httpclient', 'libwww-perl',
+  'node-fetch', 'axios/', 'undici', 'scrapy', 'postmanruntime'
+].join('|'), 'i')
+
+// Hosting and cloud provider hostnames: people don't browse from these
+const DATACENTER_REFERRER_HOSTS = [
+  'amazonaws.com', 'compute.internal', 'googleusercontent.com', 'appspot.com',
+  'cloudapp.net', 'cloudapp.azure.com', 'azurewebsites.net',
+  'digitaloceanspaces.com', 'ondigitalocean.app', 'linodeusercontent.com',
+  'vultrusercontent.com', 'your-server.de', 'ovh.net', 'herokuapp.com'
+]
+
+const IP_HOST = /^(\d{1,3}(\.\d{1,3}){3}|\[[0-9a-f:]+\])$/i
+
+function isDatacenterReferrer(referrer) {
+  let host
+  try {
+    host = new URL(referrer).hostname.toLowerCase()
+  } catch {
+    return false
+  }
+  return IP_HOST.test(host)
+    || DATACENTER_REFERRER_HOSTS.some(suffix => host === suffix || host.endsWith(`.${suffix}`))
+}
+
+/**
+ * Score one click: { isSuspect, suspectReason } with suspectReason one of
+ * headless_browser, bot_user_agent or datacenter_referrer (null when clean).
+ * A missing user agent counts as a bot — every browser sends one.
+ */
+export function scoreClick({ userAgent, referrer }) {
+  const reason = !userAgent ? 'bot_user_agent'
+    : HEADLESS_UA.test(userAgent) ? 'headless_browser'
+    : BOT_UA.test(userAgent) ? 'bot_user_agent'
+    : referrer && isDatacenterReferrer(referrer) ? 'datacenter_referrer'
+    : null
+
+  return { isSuspect: reason !== null, suspectReason: reason }
+}
@@ -0,0 +1,59 @@
+import { createHash, createHmac } from 'node:crypto'
+import { scoreClick } from './clickFraud.js'
+
+// Affiliate click handling shared by POST /api/v1/products/:id/click (log only)
+// and GET /api/v1/go/:affiliateLinkId (log and redirect), so both paths
+// attribute clicks identically. Both share the `click` rate limit policy
+// (lib/rateLimit.js).
+
+export function clientIp(request) {
+  return request.headers['cf-connecting-ip']
+    || request.headers['x-forwarded-for']?.split(',')[0].trim()
+    || request.socket.remoteAddress
+    || 'unknown'
+}
+
+// Keyed, daily-rotating hash of the client IP for burst scoring (migration
+// 017). The day's key is HMAC(CLICK_HASH_SECRET, 'YYYY-MM-DD' in UTC), so a
+// stored hash can't be reversed by hashing every IPv4 address without the
+// secret, and hashes from different days can't be linked. Null without a
+// secret: the burst trigger then skips the click. Keep in sync with
+// supabase/functions/track-click.
+export function clickIpHash(ip, { secret = process.env.CLICK_HASH_SECRET, now = new Date() } = {}) {
+  if (!secret || !ip || ip === 'unknown') return null
+  const dayKey = createHmac('sha256', secret).update(now.toISOString().slice(0, 10)).digest()
+  return createHmac('sha256', dayKey).update(ip).digest('hex')
+}
+
+// Lightweight attribution metadata — no PII stored. An explicit referrer
+// (e.g. from a POST body, for SPAs where the Referer header is stripped)
+// takes precedence over the browser-supplied header. The fraud score is
+// taken here, while the raw user agent is still at hand.
+export function clickAttribution(request, { referrer, secret, now } = {}) {
+  const userAgent = request.headers['user-agent'] || ''
+  const resolvedReferrer = referrer
+    ?? request.headers['referer']
+    ?? request.headers['referrer']
+    ?? null
+  return {
+    // Hash the UA for rough unique-visitor metrics without storing raw strings.
+    userAgentHash: userAgent ? createHash('sha256').update(userAgent).digest('hex') : null,
+    // Paired with the UA hash so bursts are scored per visitor
+    ipHash: clickIpHash(clientIp(request), { secret, now }),
+    referrer: resolvedReferrer,
+    ipCountry: request.headers['cf-ipcountry'] || request.headers['x-country'] || null,
+    ...scoreClick({ userAgent, referrer: resolvedReferrer })
+  }
+}
+
+// Insert the detail row; the clicks_before_insert trigger may still flag it
+// as a burst, and clicks_after_insert bumps the aggregate counters on
+// affiliate_links for clean clicks only (migrations 003, 014 and 017).
+export async function recordClick(sql, {
+  affiliateLinkId, productId, userAgentHash, ipHash = null, referrer, ipCountry, isSuspect = false, suspectReason = null
+}) {
+  await sql`
+    insert into clicks (affiliate_link_id, product_id, user_agent_hash, ip_hash, referrer, ip_country, is_suspect, suspect_reason)
+    values (${affiliateLinkId}, ${productId}, ${userAgentHash}, ${ipHash}, ${referrer}, ${ipCountry}, ${isSuspect}, ${suspectReason})
+  `
+}
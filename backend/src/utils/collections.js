@@ -0,0 +1,47 @@
+// Collections (migration 013_collections.sql): hand-picked products plus
+// ACTIVE products matching any of the collection's tags, live between
+// starts_at and ends_at (null = open-ended).
+
+export function collectionStatus(collection, now = new Date()) {
+  if (collection.startsAt && new Date(collection.startsAt) > now) return 'scheduled'
+  if (collection.endsAt && new Date(collection.endsAt) <= now) return 'ended'
+  return 'live'
+}
+
+export const isLive = (collection, now = new Date()) => collectionStatus(collection, now) === 'live'
+
+/**
+ * IDs from `ids` that match no product
+ */
+export async function unknownProductIds(sql, ids) {
+  if (ids.length === 0) return []
+  const rows = await sql`select id from products where id in ${sql(ids)}`
+  const found = new Set(rows.map(r => r.id))
+  return ids.filter(id => !found.has(id))
+}
+
+/**
+ * One page of a collection's products: hand-picked ones first in their
+ * given order, then tag matches newest first
+ */
+export async function fetchCollectionProducts(sql, collectionId, { page, limit }) {
+  const matchClause = sql`
+    c.id = ${collectionId}
+    and p.status = 'ACTIVE'
+    and (p.id = any(c.product_ids) or p.tags && c.tags)
+  `
+
+  const [products, [{ count: total }]] = await Promise.all([
+    sql`
+      select p.*
+      from collections c
+      join products p on ${matchClause}
+      order by array_position(c.product_ids, p.id) nulls last, p.created_at desc, p.id
+      limit ${limit}
+      offset ${(page - 1) * limit}
+    `,
+    sql`select count(*)::int as count from collections c join products p on ${matchClause}`
+  ])
+
+  return { products, total }
+}
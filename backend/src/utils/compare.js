@@ -0,0 +1,105 @@
+// Building blocks for GET /api/products/compare.
+//
+// `metadata` is free-form jsonb filled in by whoever imported the listing, so
+// the same attribute turns up as "Material", "material" or "blade_length" vs
+// "bladeLength" depending on the source. Keys are normalized before the
+// products are lined up against each other.
+
+export const MAX_COMPARE = 4
+
+// "bladeLength", "Blade Length" and "blade-length" all become "blade_length"
+export function normalizeAttributeKey(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+}
+
+// "blade_length" → "Blade length"
+export function attributeLabel(key) {
+  const words = key.replace(/_/g, ' ')
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return null
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  if (Array.isArray(value)) {
+    const parts = value.map(formatValue).filter(v => v !== null)
+    return parts.length ? parts.join(', ') : null
+  }
+  if (typeof value === 'object') return null
+  return String(value).trim() || null
+}
+
+// Flatten one level of nesting ({ dimensions: { width: 3 } } → dimensions_width)
+// and normalize keys. The first value wins when two source keys collide.
+export function flattenMetadata(metadata) {
+  const flat = new Map()
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return flat
+
+  const put = (rawKey, value) => {
+    const key = normalizeAttributeKey(rawKey)
+    const formatted = formatValue(value)
+    if (key && formatted !== null && !flat.has(key)) flat.set(key, formatted)
+  }
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [childKey, childValue] of Object.entries(value)) put(`${key}_${childKey}`, childValue)
+    } else {
+      put(key, value)
+    }
+  }
+  return flat
+}
+
+// One row per attribute any product has, with a value (or null) per product
+// in request order. Attributes shared by more products sort first; `differs`
+// lets the page highlight rows where the listings disagree.
+export function buildAttributeTable(products) {
+  const flattened = products.map(p => flattenMetadata(p.metadata))
+  const keys = [...new Set(flattened.flatMap(m => [...m.keys()]))]
+
+  return keys
+    .map(key => {
+      const values = flattened.map(m => m.get(key) ?? null)
+      const present = values.filter(v => v !== null)
+      return {
+        key,
+        label: attributeLabel(key),
+        values,
+        differs: present.length < values.length || new Set(present.map(v => v.toLowerCase())).size > 1,
+        coverage: present.length
+      }
+    })
+    .sort((a, b) => b.coverage - a.coverage || a.label.localeCompare(b.label))
+    .map(({ coverage: _coverage, ...row }) => row)
+}
+
+// Merge a product's editorial reviews into one summary. Pros and cons are
+// de-duplicated case-insensitively, keeping the first wording seen (reviews
+// arrive newest first).
+export function summarizeReviews(reviews) {
+  if (reviews.length === 0) {
+    return { count: 0, averageRating: null, pros: [], cons: [] }
+  }
+
+  const merge = (lists) => {
+    const seen = new Map()
+    for (const item of lists.flat()) {
+      const text = String(item).trim()
+      if (text && !seen.has(text.toLowerCase())) seen.set(text.toLowerCase(), text)
+    }
+    return [...seen.values()]
+  }
+
+  const total = reviews.reduce((sum, r) => sum + Number(r.rating), 0)
+  return {
+    count: reviews.length,
+    averageRating: Math.round((total / reviews.length) * 10) / 10,
+    pros: merge(reviews.map(r => r.pros || [])),
+    cons: merge(reviews.map(r => r.cons || []))
+  }
+}
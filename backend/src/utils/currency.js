@@ -0,0 +1,88 @@
+// Currency conversion for the public catalog (`currency` query param) and
+// the exchange-rate sync job.
+//
+// Rates are USD-based, as stored in exchange_rates (migration
+// 010_exchange_rates.sql): `rates[code]` is how many units of `code` one USD
+// buys. Prices stay strings with two decimals, like the numeric(10, 2)
+// columns postgres-js returns.
+
+export const BASE_CURRENCY = 'USD'
+export const CURRENCY_RE = /^[A-Z]{3}$/
+
+// Convert `amount` from one currency to another, or null when either rate is
+// unknown. Returns a "12.34" string.
+export function convertAmount(amount, from, to, rates) {
+  if (amount === null || amount === undefined) return null
+  if (from === to) return Number(amount).toFixed(2)
+  const fromRate = rates[from]
+  const toRate = rates[to]
+  if (!fromRate || !toRate) return null
+  return (Number(amount) * toRate / fromRate).toFixed(2)
+}
+
+// Add `converted: { currency, price, rate }` next to the product's own
+// price/currency. `converted` is null when the product's currency has no rate.
+export function withConvertedPrice(product, currency, rates) {
+  const price = convertAmount(product.price, product.currency, currency, rates)
+  return {
+    ...product,
+    converted: price === null
+      ? null
+      : { currency, price, rate: Number((rates[currency] / rates[product.currency]).toFixed(6)) }
+  }
+}
+
+// { USD: 1, EUR: 0.92, ... } from the exchange_rates table
+export async function fetchExchangeRates(sql) {
+  const rows = await sql`select currency, rate from exchange_rates`
+  return Object.fromEntries(rows.map(r => [r.currency, Number(r.rate)]))
+}
+
+// Upsert rates (USD is the fixed base and is never written). Returns the
+// stored rows.
+export async function saveExchangeRates(sql, rates, { source = 'manual' } = {}) {
+  const rows = Object.entries(rates)
+    .filter(([currency]) => currency !== BASE_CURRENCY)
+    .map(([currency, rate]) => ({ currency, rate, source }))
+  if (rows.length === 0) return []
+
+  return sql`
+    insert into exchange_rates ${sql(rows, 'currency', 'rate', 'source')}
+    on conflict (currency) do update
+      set rate = excluded.rate, source = excluded.source
+    returning *
+  `
+}
+
+// Parse the worker's rates file: { "base": "EUR", "rates": { "USD": 1.08, ... } }.
+// `base` defaults to USD; any other base is rebased onto USD, which must then
+// be listed. Throws on anything malformed so a bad file never reaches the table.
+export function parseRatesFile(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Rates file is not valid JSON')
+  }
+
+  const base = data?.base ?? BASE_CURRENCY
+  if (!CURRENCY_RE.test(base)) throw new Error(`Invalid base currency: ${base}`)
+  if (!data.rates || typeof data.rates !== 'object' || Array.isArray(data.rates)) {
+    throw new Error('Rates file must contain a "rates" object')
+  }
+
+  const rates = { [base]: 1, ...data.rates }
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!CURRENCY_RE.test(code)) throw new Error(`Invalid currency code: ${code}`)
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Invalid rate for ${code}: ${rate}`)
+    }
+  }
+
+  const usd = rates[BASE_CURRENCY]
+  if (!usd) throw new Error(`Rates based on ${base} must include ${BASE_CURRENCY}`)
+
+  return Object.fromEntries(
+    Object.entries(rates).map(([code, rate]) => [code, code === BASE_CURRENCY ? 1 : rate / usd])
+  )
+}
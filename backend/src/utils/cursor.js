@@ -0,0 +1,57 @@
+import { UUID_RE } from './constants.js'
+
+// Opaque keyset-pagination cursors for the public product list.
+//
+// A cursor pins a position in one specific ordering: the sortBy/order pair it
+// was issued for, the sort column's value on the boundary row, and that
+// row's id as the tiebreaker. The value is carried as Postgres text (see
+// sortKeyExpression) so timestamptz keeps its microseconds — a JS Date would
+// truncate to milliseconds and re-include the boundary row on the next page.
+
+// Nullable sort columns are coalesced so the row comparison never sees NULL
+// (NULL compares as unknown and would drop those rows). Unrated products
+// sort as rating 0.
+const NULLABLE_DEFAULTS = {
+  rating: 0
+}
+
+export function sortKeyExpression(sql, column) {
+  return column in NULLABLE_DEFAULTS
+    ? sql`coalesce(${sql(column)}, ${NULLABLE_DEFAULTS[column]})`
+    : sql`${sql(column)}`
+}
+
+export function encodeCursor({ sortBy, order, value, id, direction = 'next' }) {
+  const payload = JSON.stringify({ s: sortBy, o: order, v: value, id, d: direction })
+  return Buffer.from(payload, 'utf8').toString('base64url')
+}
+
+// Returns the decoded cursor, or null if the token is malformed or was issued
+// for a different ordering than the current request.
+export function decodeCursor(token, { sortBy, order }) {
+  let parsed
+  try {
+    parsed = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+
+  if (!parsed || typeof parsed !== 'object') return null
+  const { s, o, v, id, d } = parsed
+  if (s !== sortBy || o !== order) return null
+  if (typeof v !== 'string' || typeof id !== 'string' || !UUID_RE.test(id)) return null
+  if (d !== 'next' && d !== 'prev') return null
+
+  return { value: v, id, direction: d }
+}
+
+// WHERE fragment selecting rows strictly after (or before, for 'prev') the
+// cursor row in the requested ordering. Both key parts share one direction,
+// so a single row-value comparison is enough.
+export function keysetCondition(sql, sortKey, { order, cursor }) {
+  const forward = cursor.direction === 'next'
+  const greater = (order === 'asc') === forward
+  return greater
+    ? sql`(${sortKey}, id) > (${cursor.value}, ${cursor.id})`
+    : sql`(${sortKey}, id) < (${cursor.value}, ${cursor.id})`
+}
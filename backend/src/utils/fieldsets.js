@@ -0,0 +1,136 @@
+import { withCountShape } from './countShape.js'
+
+// Sparse fieldsets (?fields=) and embed control (?include=) for the product
+// and category routes.
+//
+// Both take comma-separated camelCase names and default to everything, so
+// callers that pass neither see the full payload. An empty ?include= embeds
+// nothing. `id` is always returned. Columns a relation or price conversion
+// needs are read anyway and dropped again by trimFields().
+
+export const PRODUCT_COLUMNS = {
+  id: 'id',
+  externalId: 'external_id',
+  platform: 'platform',
+  title: 'title',
+  description: 'description',
+  imageUrl: 'image_url',
+  price: 'price',
+  currency: 'currency',
+  priceUpdatedAt: 'price_updated_at',
+  categoryId: 'category_id',
+  status: 'status',
+  rating: 'rating',
+  reviewCount: 'review_count',
+  tags: 'tags',
+  metadata: 'metadata',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+}
+
+export const CATEGORY_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  slug: 'slug',
+  description: 'description',
+  imageUrl: 'image_url',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+}
+
+// Relations per route shape. List routes embed a review count; detail
+// routes embed the reviews themselves.
+export const PRODUCT_LIST_INCLUDES = ['category', 'affiliateLinks', 'reviewCount']
+export const PRODUCT_DETAIL_INCLUDES = ['category', 'affiliateLinks', 'reviews']
+export const CATEGORY_LIST_INCLUDES = ['productCount']
+export const CATEGORY_DETAIL_INCLUDES = ['productCount', 'products']
+
+// Query string properties shared by every route that takes a fieldset
+export const FIELDSET_PROPERTIES = {
+  fields: {
+    type: 'string',
+    maxLength: 500,
+    pattern: '^[A-Za-z,]*$',
+    description: 'Comma-separated columns to return (default: all)'
+  },
+  include: {
+    type: 'string',
+    maxLength: 200,
+    pattern: '^[A-Za-z,]*$',
+    description: 'Comma-separated relations to embed (default: all; empty: none)'
+  }
+}
+
+// Names from `raw` in `allowed` order, so equivalent requests share a cache key
+function parseNames(raw, allowed, what) {
+  const names = new Set(raw.split(',').map(s => s.trim()).filter(Boolean))
+  const unknown = [...names].filter(n => !allowed.includes(n))
+  if (unknown.length > 0) return { error: `Unknown ${what}: ${unknown.join(', ')}` }
+  return { names: allowed.filter(n => names.has(n)) }
+}
+
+/**
+ * Parse ?fields= and ?include= against one route's columns and relations.
+ * Returns { fields, include, key } or { error }. `fields` is null for all
+ * columns; `key` identifies the projection for cache keys.
+ */
+export function parseFieldset(query, { columns, includes }) {
+  let fields = null
+  if (query.fields !== undefined) {
+    const parsed = parseNames(query.fields, Object.keys(columns), 'field')
+    if (parsed.error) return parsed
+    fields = parsed.names.includes('id') ? parsed.names : ['id', ...parsed.names]
+  }
+
+  let include = includes
+  if (query.include !== undefined) {
+    const parsed = parseNames(query.include, includes, 'include')
+    if (parsed.error) return parsed
+    include = parsed.names
+  }
+
+  return {
+    fields,
+    include,
+    key: `${fields ? fields.join(',') : '*'}|${include.join(',')}`
+  }
+}
+
+export const includes = (fieldset, relation) => fieldset.include.includes(relation)
+
+/**
+ * Select list for a fieldset: the requested columns plus `needed` ones
+ */
+export function selectColumns(sql, fieldset, columns, needed = []) {
+  if (!fieldset.fields) return sql`*`
+  const names = [...new Set([...fieldset.fields, ...needed])]
+  return sql(names.map(name => columns[name]))
+}
+
+/**
+ * Drop columns read for internal use but not requested. Relation keys and
+ * computed keys (converted, score, ...) are left alone.
+ */
+export function trimFields(rows, fieldset, columns) {
+  if (!fieldset.fields) return rows
+  const dropped = Object.keys(columns).filter(name => !fieldset.fields.includes(name))
+  return rows.map(row => {
+    const trimmed = { ...row }
+    for (const name of dropped) delete trimmed[name]
+    return trimmed
+  })
+}
+
+/**
+ * Select list for categories aliased `c`, with the product count subquery
+ * only when productCount is included
+ */
+export function categorySelect(sql, fieldset) {
+  const count = includes(fieldset, 'productCount')
+    ? sql`, (select count(*)::int from products p where p.category_id = c.id) as product_count`
+    : sql``
+  return sql`${selectColumns(sql, fieldset, CATEGORY_COLUMNS)}${count}`
+}
+
+export const shapeCategory = (fieldset) => (row) =>
+  includes(fieldset, 'productCount') ? withCountShape(row) : row
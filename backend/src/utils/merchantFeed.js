@@ -0,0 +1,145 @@
+// Google Merchant Center product feed (RSS 2.0 with the g: namespace, or
+// CSV with the same attribute names as the header row).
+//
+// toMerchantItem() maps one product row (with its category and newest
+// affiliate link) to feed attributes and lists what is wrong with it. Items
+// with problems are left out of the feed and surfaced to admins instead, so
+// one bad product can't get the whole feed disapproved.
+
+import { createHash, randomBytes } from 'node:crypto'
+import { escapeXml } from './sitemap.js'
+import { CATALOG_SCOPE, CATEGORY_SCOPE } from '../lib/cache.js'
+
+// Attribute order for the CSV header and the XML item
+export const MERCHANT_FIELDS = [
+  'id', 'title', 'description', 'link', 'image_link', 'price', 'availability', 'product_type'
+]
+
+// Merchant Center limits; longer values are truncated rather than rejected
+const MAX_TITLE = 150
+const MAX_DESCRIPTION = 5000
+
+const AVAILABILITY = {
+  ACTIVE: 'in_stock',
+  OUT_OF_STOCK: 'out_of_stock'
+}
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text)
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(value ?? '')
+
+/**
+ * @param {Object} product - products row plus `category` ({ name } or null)
+ *   and `affiliateLink` (newest affiliate_links row or null)
+ * @returns {{ item: Object, problems: string[] }}
+ */
+export function toMerchantItem(product) {
+  const title = (product.title ?? '').trim()
+  const description = (product.description ?? '').trim()
+  const link = product.affiliateLink?.trackedUrl || product.affiliateLink?.originalUrl || ''
+  const price = Number(product.price)
+
+  const problems = []
+  if (!title) problems.push('missing title')
+  if (!description) problems.push('missing description')
+  if (!link) problems.push('no affiliate link')
+  else if (!isHttpUrl(link)) problems.push('affiliate link is not an http(s) URL')
+  if (!product.imageUrl) problems.push('missing image')
+  else if (!isHttpUrl(product.imageUrl)) problems.push('image is not an http(s) URL')
+  if (!(price > 0)) problems.push('price must be greater than 0')
+  if (!AVAILABILITY[product.status]) problems.push(`status ${product.status} is not sold`)
+
+  return {
+    item: {
+      id: product.id,
+      title: truncate(title, MAX_TITLE),
+      description: truncate(description, MAX_DESCRIPTION),
+      link,
+      image_link: product.imageUrl ?? '',
+      price: `${price.toFixed(2)} ${product.currency}`,
+      availability: AVAILABILITY[product.status] ?? '',
+      product_type: product.category?.name ?? ''
+    },
+    problems
+  }
+}
+
+export function renderMerchantXml(items, { title, link }) {
+  const body = items.map(item => [
+    '    <item>',
+    ...MERCHANT_FIELDS.filter(field => item[field]).map(field => `      <g:${field}>${escapeXml(item[field])}</g:${field}>`),
+    '    </item>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    ...body,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n')
+}
+
+// RFC 4180: quote every field, double embedded quotes, CRLF line endings
+export function renderMerchantCsv(items) {
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`
+  const rows = [MERCHANT_FIELDS, ...items.map(item => MERCHANT_FIELDS.map(field => item[field]))]
+  return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n'
+}
+
+// Every sellable product (INACTIVE ones are simply not listed) mapped to a
+// feed item, split into the items that can be published and per-product
+// warnings for the rest. One query: the catalog can be far larger than a
+// `where id in (...)` list allows.
+export async function fetchMerchantFeed(sql) {
+  const rows = await sql`
+    select
+      p.id, p.title, p.description, p.image_url, p.price, p.currency, p.status,
+      c.name as category_name,
+      l.tracked_url, l.original_url
+    from products p
+    left join categories c on c.id = p.category_id
+    left join lateral (
+      select tracked_url, original_url
+      from affiliate_links
+      where product_id = p.id
+      order by created_at desc
+      limit 1
+    ) l on true
+    where p.status <> 'INACTIVE'
+    order by p.created_at asc, p.id asc
+  `
+
+  const items = []
+  const warnings = []
+  for (const { categoryName, trackedUrl, originalUrl, ...product } of rows) {
+    const { item, problems } = toMerchantItem({
+      ...product,
+      category: categoryName ? { name: categoryName } : null,
+      affiliateLink: trackedUrl || originalUrl ? { trackedUrl, originalUrl } : null
+    })
+    if (problems.length === 0) items.push(item)
+    else warnings.push({ productId: product.id, title: product.title, problems })
+  }
+  return { items, warnings }
+}
+
+// The public feeds and the admin warnings list share one cached build
+export function cachedMerchantFeed(sql, cache) {
+  return cache.wrap('feed:merchant', 'all', { scopes: [CATALOG_SCOPE, CATEGORY_SCOPE], ttl: 900 }, () =>
+    fetchMerchantFeed(sql)
+  )
+}
+
+// Feed tokens are random, shown once, and stored as a sha256 hex digest
+export function generateFeedToken() {
+  return randomBytes(24).toString('base64url')
+}
+
+export function hashFeedToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
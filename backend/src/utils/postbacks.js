@@ -0,0 +1,57 @@
+import { createHmac, timingSafeEqual } from 'node:crypto'
+
+// Signed conversion postbacks from affiliate networks (migration
+// 015_conversions.sql). Each network gets its own shared secret,
+// POSTBACK_SECRET_<NETWORK> (e.g. POSTBACK_SECRET_DHGATE), and signs the raw
+// JSON body: X-Postback-Signature: sha256=<hex HMAC-SHA256>.
+
+export const SIGNATURE_HEADER = 'x-postback-signature'
+
+// Network names as they appear in the URL and the conversions table
+export const NETWORK_RE = /^[a-z0-9-]+$/
+
+// The network's secret, or null for a network that isn't configured
+export function postbackSecret(network, env = process.env) {
+  if (!NETWORK_RE.test(network)) return null
+  return env[`POSTBACK_SECRET_${network.toUpperCase().replace(/-/g, '_')}`] || null
+}
+
+export function signPostback(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+// Constant-time comparison; the sha256= prefix is optional
+export function verifyPostbackSignature(secret, body, signature) {
+  if (!signature) return false
+  const expected = Buffer.from(signPostback(secret, body))
+  const given = Buffer.from(signature.startsWith('sha256=') ? signature : `sha256=${signature}`)
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+/**
+ * Record a conversion once per (network, transaction id). Returns
+ * { id, duplicate }: a retried postback gets the original row back and
+ * doesn't touch the counters again.
+ */
+export async function recordConversion(sql, {
+  network, transactionId, affiliateLinkId, clickId, amount, currency, revenue, convertedAt
+}) {
+  const [created] = await sql`
+    insert into conversions (
+      network, transaction_id, affiliate_link_id, click_id, amount, currency, revenue, converted_at
+    )
+    values (
+      ${network}, ${transactionId}, ${affiliateLinkId}, ${clickId}, ${amount}, ${currency}, ${revenue},
+      coalesce(${convertedAt}::timestamptz, now())
+    )
+    on conflict (network, transaction_id) do nothing
+    returning id
+  `
+  if (created) return { id: created.id, duplicate: false }
+
+  const [existing] = await sql`
+    select id from conversions
+    where network = ${network} and transaction_id = ${transactionId}
+  `
+  return { id: existing.id, duplicate: true }
+}
@@ -0,0 +1,30 @@
+// Summary stats for GET /api/products/:id/price-history.
+//
+// `points` is the daily series (oldest first), one { date, price, currency }
+// per day carrying the last known price forward. Stats only consider points
+// in the product's current currency so a currency switch doesn't blend
+// USD and EUR into one average.
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+export function summarizePriceHistory(points, { averageDays = 30 } = {}) {
+  if (points.length === 0) {
+    return { current: null, min: null, max: null, avg30: null, change30: null }
+  }
+
+  const latest = points[points.length - 1]
+  const sameCurrency = points.filter(p => p.currency === latest.currency)
+  const prices = sameCurrency.map(p => p.price)
+  const recent = sameCurrency.slice(-averageDays)
+  const avg = recent.reduce((sum, p) => sum + p.price, 0) / recent.length
+  const first = recent[0]
+
+  return {
+    current: latest.price,
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg30: round2(avg),
+    // Relative change across the averaging window, e.g. -0.15 = 15% drop
+    change30: first.price === 0 ? null : round2((latest.price - first.price) / first.price)
+  }
+}
@@ -0,0 +1,127 @@
+// Shared filter handling for the public catalog routes (list, search).
+// Keeping it in one place guarantees that /api/products and
+// /api/products/search agree on what "platform=DHGATE&maxPrice=50" means.
+// Input validation lives in the route JSON schemas (schemas/product.js).
+import { BASE_CURRENCY } from './currency.js'
+
+// Split a comma-separated query value (or repeated query keys) into a
+// de-duplicated list with blanks dropped.
+export function parseList(value) {
+  if (value === undefined || value === null) return []
+  const raw = Array.isArray(value) ? value : [value]
+  const items = raw.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean)
+  return [...new Set(items)]
+}
+
+// Canonical form of a filter set for cache keys: defaults applied, empty
+// values dropped, lists sorted, keys in a fixed order. Two requests that
+// select the same products produce the same object.
+export function normalizeProductFilters({
+  status,
+  platform,
+  categoryId,
+  minPrice,
+  maxPrice,
+  minRating,
+  tags,
+  tagMode,
+  q,
+  excludeIds,
+  currency
+}) {
+  const tagList = parseList(tags).sort()
+  const excluded = parseList(excludeIds).map(id => id.toLowerCase()).sort()
+  const normalized = {
+    status: status || 'ACTIVE',
+    platform: platform || undefined,
+    categoryId: categoryId ? categoryId.toLowerCase() : undefined,
+    minPrice: minPrice ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+    // The currency only changes results when there is a price bound
+    currency: minPrice || maxPrice ? (currency || BASE_CURRENCY) : undefined,
+    minRating: minRating ? parseFloat(minRating) : undefined,
+    tags: tagList.length ? tagList.join(',') : undefined,
+    // tagMode only changes results when there is more than one tag
+    tagMode: tagList.length > 1 ? (tagMode || 'any') : undefined,
+    q: q?.trim() || undefined,
+    excludeIds: excluded.length ? excluded.join(',') : undefined
+  }
+  return Object.fromEntries(Object.entries(normalized).filter(([, v]) => v !== undefined))
+}
+
+// Build one sql fragment per active filter, keyed by dimension so callers can
+// drop a dimension (e.g. facet counts computed against all *other* filters).
+//
+// tags uses the GIN-indexed `tags` column: tagMode 'any' (default) is array
+// overlap (&&), 'all' is containment (@>). q matches the same weighted
+// search document as /api/products/search.
+//
+// minPrice/maxPrice are in `currency` (default USD). Rows already in that
+// currency compare the raw price column, so the common case stays on
+// products_price_idx; only rows in another currency pay for convert_price()
+// (migration 010_exchange_rates.sql), and products in a currency without a
+// rate never match.
+export function productFilterConditions(sql, {
+  status = 'ACTIVE',
+  platform,
+  categoryId,
+  minPrice,
+  maxPrice,
+  minRating,
+  tags,
+  tagMode = 'any',
+  q,
+  excludeIds,
+  currency = BASE_CURRENCY
+}) {
+  const conditions = { status: sql`status = ${status || 'ACTIVE'}` }
+  if (platform) conditions.platform = sql`platform = ${platform}`
+  if (categoryId) conditions.category = sql`category_id = ${categoryId}`
+  if (minPrice) conditions.minPrice = priceBound(sql, sql`>=`, parseFloat(minPrice), currency)
+  if (maxPrice) conditions.maxPrice = priceBound(sql, sql`<=`, parseFloat(maxPrice), currency)
+  if (minRating) conditions.minRating = sql`rating >= ${parseFloat(minRating)}`
+
+  const tagList = parseList(tags)
+  if (tagList.length) {
+    conditions.tags = tagMode === 'all'
+      ? sql`tags @> ${sql.array(tagList)}::text[]`
+      : sql`tags && ${sql.array(tagList)}::text[]`
+  }
+
+  if (q) {
+    conditions.q = sql`products_search_document(title, description, tags) @@ websearch_to_tsquery('english', ${q})`
+  }
+
+  const excluded = parseList(excludeIds)
+  if (excluded.length) conditions.excludeIds = sql`id not in ${sql(excluded)}`
+
+  return conditions
+}
+
+// `price <op> amount` with amount in `currency`. The bound is converted into
+// each foreign row's currency rather than converting every row's price.
+function priceBound(sql, op, amount, currency) {
+  const target = currency || BASE_CURRENCY
+  return sql`(
+    (currency = ${target} and price ${op} ${amount})
+    or (currency <> ${target} and price ${op} convert_price(${amount}, ${target}, currency))
+  )`
+}
+
+// A product's price expressed in `currency`, for aggregating across mixed
+// currencies (facet price buckets). Same-currency rows skip the rate lookup
+// inside convert_price().
+export function priceIn(sql, currency = BASE_CURRENCY) {
+  return sql`convert_price(price, currency, ${currency || BASE_CURRENCY})`
+}
+
+// AND together a conditions object; `except` lists dimensions to leave out.
+// sql`true` is the identity element, so an empty set is still a valid WHERE.
+export function whereAll(sql, conditions, { except = [] } = {}) {
+  const parts = Object.entries(conditions)
+    .filter(([key]) => !except.includes(key))
+    .map(([, fragment]) => fragment)
+  return parts.length === 0
+    ? sql`true`
+    : parts.reduce((acc, c, i) => i === 0 ? c : sql`${acc} and ${c}`)
+}
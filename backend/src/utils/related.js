@@ -0,0 +1,42 @@
+// Scoring for GET /api/products/:id/related.
+//
+// SQL does the heavy lifting (shared tags, same category, similar price) and
+// returns a ranked candidate pool; pickDiverse() then spreads the final list
+// across platforms so a DHgate listing doesn't only recommend more DHgate.
+
+export const RELATED_WEIGHTS = {
+  sharedTag: 3,      // per tag in common
+  sameCategory: 2,
+  similarPrice: 1    // within ±PRICE_BAND of the source price
+}
+
+export const PRICE_BAND = 0.25
+
+// Score deducted for each product already picked from the same platform
+export const PLATFORM_PENALTY = 1.5
+
+// Greedy re-rank: repeatedly take the candidate with the best score after
+// the platform penalty. Candidates must carry `score` and `platform`; ties
+// keep the SQL order, so recency/rating tiebreaks survive.
+export function pickDiverse(candidates, limit) {
+  const pool = [...candidates]
+  const picked = []
+  const platformCounts = new Map()
+
+  while (picked.length < limit && pool.length > 0) {
+    let bestIndex = 0
+    let bestScore = -Infinity
+    pool.forEach((c, i) => {
+      const adjusted = c.score - PLATFORM_PENALTY * (platformCounts.get(c.platform) || 0)
+      if (adjusted > bestScore) {
+        bestScore = adjusted
+        bestIndex = i
+      }
+    })
+    const [next] = pool.splice(bestIndex, 1)
+    picked.push(next)
+    platformCounts.set(next.platform, (platformCounts.get(next.platform) || 0) + 1)
+  }
+
+  return picked
+}
@@ -1,12 +1,17 @@
-// Enrich a product list with category, affiliateLinks, and review _count in 3 parallel queries.
+// Enrich a product list with category, affiliateLinks, and review _count in up to 3 parallel queries.
 // Pass latestLinkOnly:true (public catalog) to return only the newest link per product.
-export async function attachRelations(sql, products, { latestLinkOnly = false } = {}) {
-  if (products.length === 0) return products
+// `include` (see utils/fieldsets.js) limits which relations are queried and attached.
+export async function attachRelations(sql, products, {
+  latestLinkOnly = false,
+  include = ['category', 'affiliateLinks', 'reviewCount']
+} = {}) {
+  if (products.length === 0 || include.length === 0) return products
 
+  const wants = new Set(include)
   const categoryIds = [...new Set(products.map(p => p.categoryId).filter(Boolean))]
   const productIds = products.map(p => p.id)
 
-  const linksQuery = latestLinkOnly
+  const linksQuery = () => latestLinkOnly
     ? sql`
         select distinct on (product_id) *
         from affiliate_links
@@ -16,16 +21,18 @@ export async function attachRelations(sql, products, { latestLinkOnly = false }
     : sql`select * from affiliate_links where product_id in ${sql(productIds)}`
 
   const [categories, links, reviewCounts] = await Promise.all([
-    categoryIds.length
+    wants.has('category') && categoryIds.length
       ? sql`select * from categories where id in ${sql(categoryIds)}`
       : Promise.resolve([]),
-    linksQuery,
-    sql`
-      select product_id, count(*)::int as count
-      from reviews
-      where product_id in ${sql(productIds)}
-      group by product_id
-    `
+    wants.has('affiliateLinks') ? linksQuery() : Promise.resolve([]),
+    wants.has('reviewCount')
+      ? sql`
+          select product_id, count(*)::int as count
+          from reviews
+          where product_id in ${sql(productIds)}
+          group by product_id
+        `
+      : Promise.resolve([])
   ])
 
   const catMap = new Map(categories.map(c => [c.id, c]))
@@ -38,8 +45,8 @@ export async function attachRelations(sql, products, { latestLinkOnly = false }
 
   return products.map(p => ({
     ...p,
-    category: catMap.get(p.categoryId) || null,
-    affiliateLinks: linksMap.get(p.id) || [],
-    _count: { reviews: countMap.get(p.id) || 0 }
+    ...(wants.has('category') && { category: catMap.get(p.categoryId) || null }),
+    ...(wants.has('affiliateLinks') && { affiliateLinks: linksMap.get(p.id) || [] }),
+    ...(wants.has('reviewCount') && { _count: { reviews: countMap.get(p.id) || 0 } })
   }))
 }
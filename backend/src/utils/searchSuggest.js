@@ -0,0 +1,64 @@
+// Type-ahead suggestions for the storefront search bar (GET /api/search/suggest).
+//
+// Matches by substring or trigram word similarity (pg_trgm `<%`, see
+// migration 012_search_suggest.sql), so "rainbw" still finds "Rainbow".
+// Prefix matches rank first, then closer matches.
+
+export const SUGGEST_LIMIT = 5
+
+// Short prefixes are few and shared by every visitor typing them, so they
+// are kept far longer than the long tail of full queries
+const SHORT_PREFIX_LENGTH = 3
+const SHORT_PREFIX_TTL = 3600
+const QUERY_TTL = 300
+
+export const normalizeSuggestQuery = (q) => q.trim().replace(/\s+/g, ' ').toLowerCase()
+
+export const suggestTtl = (query) =>
+  query.length <= SHORT_PREFIX_LENGTH ? SHORT_PREFIX_TTL : QUERY_TTL
+
+const escapeLike = (value) => value.replace(/[%_\\]/g, '\\$&')
+
+/**
+ * Product, category and tag suggestions for a normalized query, each
+ * tagged with its `type` so the dropdown can group them
+ */
+export async function fetchSuggestions(sql, query, { limit = SUGGEST_LIMIT } = {}) {
+  if (query === '') return { products: [], categories: [], tags: [] }
+
+  const contains = `%${escapeLike(query)}%`
+  const prefix = `${escapeLike(query)}%`
+
+  const [products, categories, tags] = await Promise.all([
+    sql`
+      select id, title, image_url, price, currency
+      from products
+      where status = 'ACTIVE'
+        and (title ilike ${contains} or ${query} <% title)
+      order by title ilike ${prefix} desc, word_similarity(${query}, title) desc, review_count desc, id
+      limit ${limit}
+    `,
+    sql`
+      select id, name, slug
+      from categories
+      where name ilike ${contains} or ${query} <% name
+      order by name ilike ${prefix} desc, word_similarity(${query}, name) desc, name
+      limit ${limit}
+    `,
+    sql`
+      select tag as name, count(*)::int as product_count
+      from products, unnest(tags) as tag
+      where status = 'ACTIVE'
+        and (tag ilike ${contains} or ${query} <% tag)
+      group by tag
+      order by tag ilike ${prefix} desc, count(*) desc, tag
+      limit ${limit}
+    `
+  ])
+
+  return {
+    products: products.map(p => ({ type: 'product', ...p })),
+    categories: categories.map(c => ({ type: 'category', ...c })),
+    tags: tags.map(t => ({ type: 'tag', ...t }))
+  }
+}
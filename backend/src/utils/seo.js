@@ -0,0 +1,120 @@
+// Search-engine metadata for product pages: schema.org JSON-LD plus the
+// Open Graph / Twitter card fields. Served by GET /api/products/:id/seo and
+// injected into the head by pages/products/[id].vue during SSR.
+
+import { siteUrl } from './sitemap.js'
+
+const SITE_NAME = 'Swordfighters'
+const DESCRIPTION_LENGTH = 200
+
+// Rich results only show a few reviews; the rating still covers all of them
+export const MAX_SEO_REVIEWS = 10
+
+const RATING_BOUNDS = { bestRating: 5, worstRating: 1 }
+
+const IN_STOCK = 'https://schema.org/InStock'
+const OUT_OF_STOCK = 'https://schema.org/OutOfStock'
+
+function summarize(text, fallback) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim()
+  if (!clean) return fallback
+  return clean.length > DESCRIPTION_LENGTH ? `${clean.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…` : clean
+}
+
+// Editorial reviews when there are any; otherwise the marketplace rating
+// synced onto the product. Null when neither exists.
+function aggregateRating(product, reviews) {
+  if (reviews.length > 0) {
+    const mean = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length
+    return {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round(mean * 10) / 10,
+      reviewCount: reviews.length,
+      ...RATING_BOUNDS
+    }
+  }
+  if (product.rating != null && product.reviewCount > 0) {
+    return {
+      '@type': 'AggregateRating',
+      ratingValue: Number(product.rating),
+      reviewCount: product.reviewCount,
+      ...RATING_BOUNDS
+    }
+  }
+  return null
+}
+
+/**
+ * Build the SEO payload for one product
+ * @param {Object} product - products row
+ * @param {Object} related - { category, links, reviews } rows; reviews newest first
+ */
+export function productSeo(product, { category = null, links = [], reviews = [] }) {
+  const canonicalUrl = `${siteUrl()}/products/${product.id}`
+  const description = summarize(product.description, `${product.title} on ${SITE_NAME}.`)
+  const image = product.imageUrl || null
+  const price = Number(product.price).toFixed(2)
+  const seller = { '@type': 'Organization', name: product.platform }
+  const availability = product.status === 'ACTIVE' ? IN_STOCK : OUT_OF_STOCK
+
+  // One offer per place to buy. Without an affiliate link, the product page
+  // itself is the offer URL.
+  const offerUrls = links.length > 0 ? links.map(l => l.trackedUrl) : [canonicalUrl]
+  const offers = offerUrls.map(url => ({
+    '@type': 'Offer',
+    url,
+    price,
+    priceCurrency: product.currency,
+    availability,
+    seller
+  }))
+
+  const rating = aggregateRating(product, reviews)
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    '@id': canonicalUrl,
+    name: product.title,
+    description,
+    ...(image && { image: [image] }),
+    sku: product.externalId,
+    ...(category && { category: category.name }),
+    offers: offers.length === 1 ? offers[0] : offers,
+    ...(rating && { aggregateRating: rating }),
+    ...(reviews.length > 0 && {
+      review: reviews.slice(0, MAX_SEO_REVIEWS).map(r => ({
+        '@type': 'Review',
+        ...(r.title && { name: r.title }),
+        reviewBody: r.content,
+        datePublished: new Date(r.createdAt).toISOString(),
+        author: { '@type': 'Organization', name: r.authorName },
+        reviewRating: { '@type': 'Rating', ratingValue: r.rating, ...RATING_BOUNDS }
+      }))
+    })
+  }
+
+  return {
+    canonicalUrl,
+    title: product.title,
+    description,
+    image,
+    openGraph: {
+      type: 'product',
+      siteName: SITE_NAME,
+      title: product.title,
+      description,
+      url: canonicalUrl,
+      image,
+      priceAmount: price,
+      priceCurrency: product.currency
+    },
+    twitter: {
+      card: image ? 'summary_large_image' : 'summary',
+      title: product.title,
+      description,
+      image
+    },
+    jsonLd
+  }
+}
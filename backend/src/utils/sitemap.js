@@ -0,0 +1,79 @@
+// XML builders for /sitemap.xml and /feeds/new.atom.
+//
+// Both are small, fixed shapes, so they are rendered with template strings;
+// every interpolated value goes through escapeXml().
+
+// sitemaps.org limit per file; past it, /sitemap.xml becomes an index
+export const SITEMAP_MAX_URLS = 50000
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }
+
+export function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, c => XML_ESCAPES[c])
+}
+
+// Storefront origin that public links point at. FRONTEND_URL is already
+// required in production for CORS.
+export function siteUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')
+}
+
+const isoDate = (value) => new Date(value).toISOString()
+
+// urls: [{ loc, lastmod? }]
+export function renderUrlset(urls) {
+  const entries = urls.map(({ loc, lastmod }) =>
+    `  <url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${isoDate(lastmod)}</lastmod>` : ''}</url>`
+  )
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+// sitemaps: [{ loc, lastmod? }]
+export function renderSitemapIndex(sitemaps) {
+  const entries = sitemaps.map(({ loc, lastmod }) =>
+    `  <sitemap><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${isoDate(lastmod)}</lastmod>` : ''}</sitemap>`
+  )
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>',
+    ''
+  ].join('\n')
+}
+
+// Atom 1.0 feed. entries: [{ id, title, link, published, updated, summaryHtml, imageUrl?, category? }]
+export function renderAtomFeed({ id, title, selfUrl, alternateUrl, updated, entries }) {
+  const body = entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+    entry.imageUrl ? `    <link rel="enclosure" href="${escapeXml(entry.imageUrl)}"/>` : null,
+    `    <published>${isoDate(entry.published)}</published>`,
+    `    <updated>${isoDate(entry.updated)}</updated>`,
+    entry.category ? `    <category term="${escapeXml(entry.category.slug)}" label="${escapeXml(entry.category.name)}"/>` : null,
+    `    <summary type="html">${escapeXml(entry.summaryHtml)}</summary>`,
+    '  </entry>'
+  ].filter(line => line !== null).join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>`,
+    `  <updated>${isoDate(updated)}</updated>`,
+    '  <author><name>Swordfighters</name></author>',
+    ...body,
+    '</feed>',
+    ''
+  ].join('\n')
+}
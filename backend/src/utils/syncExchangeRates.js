@@ -0,0 +1,26 @@
+import { readFile } from 'node:fs/promises'
+import { parseRatesFile, saveExchangeRates } from './currency.js'
+import { EXCHANGE_RATES_SCOPE } from '../lib/cache.js'
+
+/**
+ * Load exchange rates from a local JSON file into the exchange_rates table
+ *
+ * The file is dropped in place by whatever fetches rates (a cron curl, a
+ * deploy step); this job only validates and stores it. See parseRatesFile()
+ * for the format.
+ *
+ * @param {Function} sql - postgres-js client
+ * @param {GenerationCache} cache - Response cache; converted prices are invalidated
+ * @param {Object} options
+ * @param {string} options.file - Path to the rates file
+ * @param {Object} options.logger - Logger instance (optional)
+ * @returns {Promise<number>} Number of rates written
+ */
+export async function syncExchangeRates(sql, cache, { file, logger = console }) {
+  const rates = parseRatesFile(await readFile(file, 'utf8'))
+  const saved = await saveExchangeRates(sql, rates, { source: 'file' })
+  await cache.invalidate(EXCHANGE_RATES_SCOPE)
+
+  logger.info({ count: saved.length, file }, 'Synced exchange rates')
+  return saved.length
+}
@@ -0,0 +1,103 @@
+// Trending products from the clicks ledger (migration 003_clicks_ledger.sql).
+//
+// Each click in the window counts 2^(-age / halfLife), so a product clicked
+// steadily all week loses to one picking up fast right now. Clicks flagged
+// as suspect (migration 014_click_fraud.sql) don't count. The worker
+// recomputes every window on a schedule and stores the ranking in Redis;
+// GET /api/products/trending only reads that snapshot.
+
+export const TRENDING_WINDOWS = {
+  '24h': { hours: 24, halfLifeHours: 6 },
+  '7d': { hours: 7 * 24, halfLifeHours: 48 },
+  '30d': { hours: 30 * 24, halfLifeHours: 7 * 24 }
+}
+
+export const DEFAULT_TRENDING_WINDOW = '24h'
+
+// Kept per window, both overall and per category, so ?categoryId= still has
+// a full list to slice
+export const TRENDING_SIZE = 50
+
+// Outlives a few missed worker runs, then falls back to recomputing
+const SNAPSHOT_TTL_SECONDS = 2 * 60 * 60
+
+const snapshotKey = (window) => `trending:${window}`
+
+/**
+ * Rank ACTIVE products by decayed click score over one window
+ */
+export async function computeTrending(sql, window) {
+  const { hours, halfLifeHours } = TRENDING_WINDOWS[window]
+
+  const rows = await sql`
+    with scored as (
+      select
+        c.product_id,
+        p.category_id,
+        count(*)::int as clicks,
+        sum(power(0.5, extract(epoch from now() - c.clicked_at) / 3600 / ${halfLifeHours})) as score
+      from clicks c
+      join products p on p.id = c.product_id
+      where c.clicked_at > now() - make_interval(hours => ${hours})
+        and not c.is_suspect
+        and p.status = 'ACTIVE'
+      group by c.product_id, p.category_id
+    ),
+    ranked as (
+      select
+        *,
+        row_number() over (order by score desc, product_id) as overall_rank,
+        row_number() over (partition by category_id order by score desc, product_id) as category_rank
+      from scored
+    )
+    select product_id, category_id, clicks, score
+    from ranked
+    where overall_rank <= ${TRENDING_SIZE} or category_rank <= ${TRENDING_SIZE}
+    order by score desc, product_id
+  `
+
+  return {
+    window,
+    computedAt: new Date().toISOString(),
+    entries: rows.map(r => ({
+      productId: r.productId,
+      categoryId: r.categoryId,
+      clicks: r.clicks,
+      score: Math.round(Number(r.score) * 1000) / 1000
+    }))
+  }
+}
+
+export async function storeTrending(redis, snapshot) {
+  await redis.setex(snapshotKey(snapshot.window), SNAPSHOT_TTL_SECONDS, JSON.stringify(snapshot))
+}
+
+export async function readTrending(redis, window) {
+  const raw = await redis.get(snapshotKey(window))
+  return raw === null ? null : JSON.parse(raw)
+}
+
+/**
+ * Recompute and store every window. Returns entry counts per window.
+ * @param {Object} sql - postgres-js client
+ * @param {Object} redis - ioredis client
+ * @param {Object} options.logger - Logger instance (optional)
+ */
+export async function refreshTrending(sql, redis, { logger = console } = {}) {
+  const counts = {}
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    const snapshot = await computeTrending(sql, window)
+    await storeTrending(redis, snapshot)
+    counts[window] = snapshot.entries.length
+  }
+  logger.info({ counts }, 'Refreshed trending products')
+  return counts
+}
+
+/**
+ * Top `limit` entries of a snapshot, optionally for one category
+ */
+export function pickTrending(entries, { categoryId, limit }) {
+  const pool = categoryId ? entries.filter(e => e.categoryId === categoryId) : entries
+  return pool.slice(0, limit)
+}
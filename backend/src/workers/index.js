@@ -1,63 +1,70 @@
 import 'dotenv/config'
-import Queue from 'bull'
-import prisma from '../lib/prisma.js'
+import sql from '../lib/sql.js'
 import redis from '../lib/redis.js'
+import { GenerationCache } from '../lib/cache.js'
 import { cleanupExpiredChallenges } from '../utils/cleanupExpiredChallenges.js'
-import { initSentry, captureException, flushSentry } from '../lib/sentry.js'
-
-// Re-use the existing Redis connection config
-const redisConfig = {
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT || '6379'),
-  password: process.env.REDIS_PASSWORD || undefined,
-}
-
-// ── Queues ────────────────────────────────────────────────────────────────
-
-const maintenanceQueue = new Queue('maintenance', { redis: redisConfig })
-
-// ── Job handlers ──────────────────────────────────────────────────────────
-
-maintenanceQueue.process('cleanup-expired-challenges', async (job) => {
-  const count = await cleanupExpiredChallenges(prisma, console)
-  return { cleaned: count }
-})
-
-// ── Recurring schedules ───────────────────────────────────────────────────
-
-async function scheduleJobs() {
-  // Remove any existing repeatable jobs so we don't stack duplicates on restart
-  const repeatableJobs = await maintenanceQueue.getRepeatableJobs()
-  for (const job of repeatableJobs) {
-    await maintenanceQueue.removeRepeatableByKey(job.key)
+import { syncExchangeRates } from '../utils/syncExchangeRates.js'
+import { refreshTrending } from '../utils/trending.js'
+import { syncLinkStats } from '../utils/affiliateLinks.js'
+import { createLinkProvider } from '../lib/linkProvider.js'
+import { captureException, flushSentry } from '../lib/sentry.js'
+import { createScheduler } from './scheduler.js'
+
+// Sentry is initialised by src/instrument.js (pnpm worker runs with --import)
+
+const cache = new GenerationCache(redis)
+const linkProvider = createLinkProvider()
+
+// ── Jobs ──────────────────────────────────────────────────────────────────
+
+const jobs = [
+  {
+    name: 'cleanup-expired-challenges',
+    everyMs: 5 * 60 * 1000,
+    run: async () => ({ cleaned: await cleanupExpiredChallenges(sql, console) })
+  },
+  {
+    // Snapshots read by GET /api/products/trending
+    name: 'refresh-trending',
+    everyMs: 10 * 60 * 1000,
+    run: async () => ({ entries: await refreshTrending(sql, redis, { logger: console }) })
   }
-
-  // Run expired-challenge cleanup every 5 minutes
-  await maintenanceQueue.add(
-    'cleanup-expired-challenges',
-    {},
-    { repeat: { cron: '*/5 * * * *' }, removeOnComplete: 50, removeOnFail: 20 }
-  )
-
-  console.log('Scheduled: cleanup-expired-challenges (every 5 minutes)')
+]
+
+// Only scheduled when a rates file is configured
+if (process.env.EXCHANGE_RATES_FILE) {
+  jobs.push({
+    name: 'sync-exchange-rates',
+    everyMs: 60 * 60 * 1000,
+    run: async () => ({
+      synced: await syncExchangeRates(sql, cache, { file: process.env.EXCHANGE_RATES_FILE, logger: console })
+    })
+  })
 }
 
-// ── Lifecycle ─────────────────────────────────────────────────────────────
+// Only scheduled when a real link provider is configured: the in-memory fake
+// lives in each process, so the worker's copy never holds the API's links
+if (linkProvider && linkProvider.name !== 'fake') {
+  jobs.push({
+    name: 'sync-link-stats',
+    everyMs: 30 * 60 * 1000,
+    run: async () => ({ updated: await syncLinkStats(sql, linkProvider, { logger: console }) })
+  })
+}
 
-maintenanceQueue.on('completed', (job, result) => {
-  console.log(`[worker] ${job.name} completed`, result)
+const scheduler = createScheduler({
+  jobs,
+  logger: console,
+  onError: (err, job) => captureException(err, { tags: { job: job.name } })
 })
 
-maintenanceQueue.on('failed', (job, err) => {
-  console.error(`[worker] ${job.name} failed`, err.message)
-  captureException(err, { tags: { job: job.name } })
-})
+// ── Lifecycle ─────────────────────────────────────────────────────────────
 
 const shutdownGracefully = async (signal) => {
   console.log(`\nWorker received ${signal}, shutting down…`)
   try {
-    await maintenanceQueue.close()
-    await prisma.$disconnect()
+    await scheduler.stop()
+    await sql.end({ timeout: 5 })
     await redis.quit()
     await flushSentry()
     process.exit(0)
@@ -70,11 +77,5 @@ const shutdownGracefully = async (signal) => {
 process.on('SIGINT', shutdownGracefully)
 process.on('SIGTERM', shutdownGracefully)
 
-// Bootstrap: initialize Sentry (no fastify instance needed for worker)
-if (process.env.SENTRY_DSN) {
-  const { default: Sentry } = await import('@sentry/node')
-  Sentry.init({ dsn: process.env.SENTRY_DSN, environment: process.env.NODE_ENV || 'production' })
-}
-
-await scheduleJobs()
-console.log('Worker ready — processing queues…')
+scheduler.start()
+console.log(`Worker ready — scheduled: ${jobs.map(j => j.name).join(', ')}`)
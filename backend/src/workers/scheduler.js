@@ -0,0 +1,59 @@
+/**
+ * Minimal interval scheduler for the worker process
+ *
+ * Each job runs once at start-up and then every `everyMs`. A run that is
+ * still in progress when its next tick comes round is skipped rather than
+ * stacked, so a slow job never piles up concurrent copies of itself.
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ name: string, everyMs: number, run: Function }>} options.jobs
+ * @param {Object} options.logger - Logger with info/error
+ * @param {Function} options.onError - Called as onError(err, job) when a run throws
+ * @returns {{ start: Function, stop: Function, runNow: Function }}
+ */
+export function createScheduler({ jobs, logger = console, onError = () => {} }) {
+  const running = new Map()
+  const timers = []
+
+  async function runNow(name) {
+    const job = jobs.find(j => j.name === name)
+    if (!job) throw new Error(`Unknown job: ${name}`)
+    if (running.has(name)) {
+      logger.info({ job: name }, 'Previous run still in progress, skipping')
+      return running.get(name)
+    }
+
+    const run = (async () => {
+      const startedAt = Date.now()
+      try {
+        const result = await job.run()
+        logger.info({ job: name, ms: Date.now() - startedAt, result }, 'Job completed')
+        return result
+      } catch (err) {
+        logger.error({ job: name, error: err.message }, 'Job failed')
+        onError(err, job)
+      } finally {
+        running.delete(name)
+      }
+    })()
+    running.set(name, run)
+    return run
+  }
+
+  function start() {
+    for (const job of jobs) {
+      runNow(job.name)
+      timers.push(setInterval(() => runNow(job.name), job.everyMs))
+    }
+  }
+
+  // Stop scheduling and wait for in-flight runs to settle
+  async function stop() {
+    for (const timer of timers.splice(0)) clearInterval(timer)
+    await Promise.allSettled(running.values())
+  }
+
+  return { start, stop, runNow }
+}
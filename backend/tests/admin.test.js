@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest'
 import { buildApp } from '../src/app.js'
 import bcrypt from 'bcryptjs'
+import { signPostback } from '../src/utils/postbacks.js'
+import { createFakeLinkProvider } from '../src/lib/linkProvider.js'
 
 let app
 let cookie // session cookie set after login
@@ -10,9 +12,10 @@ let testAdminId
 let testCategoryId
 let testAffiliateLinkId
 let testProductId
+const linkProvider = createFakeLinkProvider()
 
 beforeAll(async () => {
-  app = await buildApp({ logger: false })
+  app = await buildApp({ logger: false, linkProvider })
 
   // Create a test admin directly in the DB
   const hash = await bcrypt.hash(TEST_PASSWORD, 10)
@@ -179,6 +182,18 @@ describe('Admin Category Routes', () => {
     expect(res.statusCode).toBe(200)
   })
 
+  it('GET /api/admin/categories supports sparse fieldsets', async () => {
+    const res = await app.inject({
+      method: 'GET',
+      url: '/api/admin/categories?fields=name&include=',
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(200)
+    JSON.parse(res.body).categories.forEach(category => {
+      expect(Object.keys(category).sort()).toEqual(['id', 'name'])
+    })
+  })
+
   it('GET /api/admin/categories supports pagination', async () => {
     const res = await app.inject({
       method: 'GET',
@@ -259,6 +274,18 @@ describe('Admin Product Routes', () => {
     expect(body).toHaveProperty('pagination')
   })
 
+  it('GET /api/admin/products supports sparse fieldsets', async () => {
+    const res = await app.inject({
+      method: 'GET',
+      url: '/api/admin/products?fields=title,status&include=category',
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(200)
+    JSON.parse(res.body).products.forEach(product => {
+      expect(Object.keys(product).sort()).toEqual(['category', 'id', 'status', 'title'])
+    })
+  })
+
   it('GET /api/admin/products supports search', async () => {
     const res = await app.inject({
       method: 'GET',
@@ -521,6 +548,46 @@ describe('Admin Product CRUD', () => {
     expect(body.title).toBe('Updated Test Product')
   })
 
+  it('PATCH /api/admin/products/:id invalidates cached product responses', async () => {
+    if (!testProductId) return
+    // Warm the caches
+    await app.inject({ method: 'GET', url: `/api/products/${testProductId}` })
+    await app.inject({ method: 'GET', url: `/api/products/${testProductId}/related` })
+
+    const res = await app.inject({
+      method: 'PATCH',
+      url: `/api/admin/products/${testProductId}`,
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { title: 'Cache Invalidation Test', tags: ['related-eviction-test'] },
+    })
+    expect(res.statusCode).toBe(200)
+
+    const detail = await app.inject({ method: 'GET', url: `/api/products/${testProductId}` })
+    expect(JSON.parse(detail.body).title).toBe('Cache Invalidation Test')
+
+    const missesBefore = app.cache.stats().namespaces['product:related']?.misses ?? 0
+    await app.inject({ method: 'GET', url: `/api/products/${testProductId}/related` })
+    expect(app.cache.stats().namespaces['product:related'].misses).toBe(missesBefore + 1)
+  })
+
+  it('PATCH /api/admin/products/:id records a price history point when the price changes', async () => {
+    if (!testProductId) return
+    const res = await app.inject({
+      method: 'PATCH',
+      url: `/api/admin/products/${testProductId}`,
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { price: 42.5 },
+    })
+    expect(res.statusCode).toBe(200)
+    const [latest] = await app.sql`
+      select price from product_price_history
+      where product_id = ${testProductId}
+      order by recorded_at desc
+      limit 1
+    `
+    expect(Number(latest.price)).toBe(42.5)
+  })
+
   it('PATCH /api/admin/products/:id with no fields returns existing product', async () => {
     if (!testProductId) return
     const res = await app.inject({
@@ -834,6 +901,182 @@ describe('Click Tracking', () => {
     })
     expect(res.statusCode).toBe(404)
   })
+
+  it('GET /api/go/:affiliateLinkId records a click and redirects to the tracked URL', async () => {
+    if (!testAffiliateLinkId) return
+    const [before] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    const res = await app.inject({
+      method: 'GET',
+      url: `/api/go/${testAffiliateLinkId}`,
+      headers: { 'user-agent': 'vitest', referer: 'https://swordfighters.test/products' },
+    })
+    expect(res.statusCode).toBe(302)
+    expect(res.headers.location).toBe('https://dub.co/test')
+    expect(res.headers['cache-control']).toContain('no-store')
+
+    const [after] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    expect(after.clicks).toBe(before.clicks + 1)
+  })
+
+  it('GET /api/go/:affiliateLinkId falls back to the original URL', async () => {
+    if (!testProductId) return
+    const [link] = await app.sql`
+      insert into affiliate_links (product_id, original_url, tracked_url)
+      values (${testProductId}, 'https://example.com/original', '')
+      returning id
+    `
+    try {
+      const res = await app.inject({ method: 'GET', url: `/api/go/${link.id}` })
+      expect(res.statusCode).toBe(302)
+      expect(res.headers.location).toBe('https://example.com/original')
+    } finally {
+      await app.sql`delete from affiliate_links where id = ${link.id}`
+    }
+  })
+
+  it('HEAD /api/go/:affiliateLinkId redirects without recording a click', async () => {
+    if (!testAffiliateLinkId) return
+    const [before] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    const res = await app.inject({ method: 'HEAD', url: `/api/go/${testAffiliateLinkId}` })
+    expect(res.statusCode).toBe(302)
+    const [after] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    expect(after.clicks).toBe(before.clicks)
+  })
+
+  it('GET /api/go/:affiliateLinkId stores bot clicks as suspect without counting them', async () => {
+    if (!testAffiliateLinkId) return
+    const [before] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    const res = await app.inject({
+      method: 'GET',
+      url: `/api/go/${testAffiliateLinkId}`,
+      headers: { 'user-agent': 'curl/8.5.0' },
+    })
+    expect(res.statusCode).toBe(302)
+
+    const [after] = await app.sql`select clicks from affiliate_links where id = ${testAffiliateLinkId}`
+    expect(after.clicks).toBe(before.clicks)
+    const [click] = await app.sql`
+      select is_suspect, suspect_reason from clicks
+      where affiliate_link_id = ${testAffiliateLinkId}
+      order by clicked_at desc
+      limit 1
+    `
+    expect(click).toEqual({ isSuspect: true, suspectReason: 'bot_user_agent' })
+  })
+
+  it('POST /api/v1/postbacks/:network records a conversion once and updates the link', async () => {
+    if (!testAffiliateLinkId) return
+    process.env.POSTBACK_SECRET_TESTNET = 'integration-secret'
+    const [before] = await app.sql`select conversions, revenue from affiliate_links where id = ${testAffiliateLinkId}`
+    const body = JSON.stringify({ transactionId: `tx-${Date.now()}`, affiliateLinkId: testAffiliateLinkId, amount: 2.5 })
+    const send = () => app.inject({
+      method: 'POST',
+      url: '/api/v1/postbacks/testnet',
+      headers: { 'content-type': 'application/json', 'x-postback-signature': signPostback('integration-secret', body) },
+      payload: body,
+    })
+
+    expect((await send()).statusCode).toBe(201)
+    expect((await send()).statusCode).toBe(200)
+
+    const [after] = await app.sql`select conversions, revenue from affiliate_links where id = ${testAffiliateLinkId}`
+    expect(after.conversions).toBe(before.conversions + 1)
+    expect(Number(after.revenue)).toBeCloseTo(Number(before.revenue) + 2.5)
+    delete process.env.POSTBACK_SECRET_TESTNET
+  })
+
+  it('GET /api/go/:affiliateLinkId returns 404 for an unknown link', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/go/00000000-0000-0000-0000-000000000000' })
+    expect(res.statusCode).toBe(404)
+  })
+
+  it('GET /api/go/:affiliateLinkId returns 400 for an invalid ID', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/go/not-a-uuid' })
+    expect(res.statusCode).toBe(400)
+  })
+})
+
+// ─── Affiliate links + short links ──────────────────────────────────────────
+
+describe('Admin Affiliate Links', () => {
+  let productId
+
+  beforeAll(async () => {
+    if (!testCategoryId) return
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: {
+        externalId: `links-${Date.now()}`,
+        platform: 'DHGATE',
+        title: 'Short Link Product',
+        price: 5.00,
+        currency: 'USD',
+        status: 'INACTIVE',
+        categoryId: testCategoryId,
+      },
+    })
+    productId = JSON.parse(res.body).id
+  })
+
+  afterAll(async () => {
+    if (productId) await app.sql`delete from products where id = ${productId}`.catch(() => {})
+  })
+
+  const addLink = () => app.inject({
+    method: 'POST',
+    url: `/api/admin/products/${productId}/affiliate-links`,
+    headers: { cookie, 'content-type': 'application/json' },
+    payload: { originalUrl: 'https://www.dhgate.com/product/123.html?aff=1' },
+  })
+
+  it('POST /api/admin/products/:id/affiliate-links provisions a short link', async () => {
+    if (!productId) return
+    const res = await addLink()
+    expect(res.statusCode).toBe(201)
+    const link = JSON.parse(res.body)
+    expect(linkProvider.links.get(link.dubLinkId)).toMatchObject({
+      url: 'https://www.dhgate.com/product/123.html?aff=1',
+      externalId: link.id,
+    })
+    expect(link.trackedUrl).toBe(linkProvider.links.get(link.dubLinkId).shortLink)
+  })
+
+  it('POST /api/admin/products/:id/affiliate-links returns 404 for an unknown product', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products/00000000-0000-0000-0000-000000000000/affiliate-links',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { originalUrl: 'https://www.dhgate.com/product/123.html' },
+    })
+    expect(res.statusCode).toBe(404)
+  })
+
+  it('DELETE /api/admin/products/:id/affiliate-links/:linkId removes the short link', async () => {
+    if (!productId) return
+    const link = JSON.parse((await addLink()).body)
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/products/${productId}/affiliate-links/${link.id}`,
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(204)
+    expect(linkProvider.links.has(link.dubLinkId)).toBe(false)
+  })
+
+  it('DELETE /api/admin/products/:id removes the product\'s short links', async () => {
+    if (!productId) return
+    const link = JSON.parse((await addLink()).body)
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/products/${productId}`,
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(204)
+    expect(linkProvider.links.has(link.dubLinkId)).toBe(false)
+    productId = null
+  })
 })
 
 // ─── Delete empty category + bulk delete ─────────────────────────────────────
@@ -1261,3 +1504,319 @@ describe('Admin Review toggle-featured', () => {
     expect([200, 400]).toContain(res.statusCode)
   })
 })
+
+describe('Admin Exchange Rate Routes', () => {
+  // XTS is the ISO 4217 code reserved for testing
+  const TEST_CURRENCY = 'XTS'
+
+  afterAll(async () => {
+    await app.sql`delete from exchange_rates where currency = ${TEST_CURRENCY}`.catch(() => {})
+  })
+
+  it('GET /api/admin/exchange-rates returns 401 without session', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/admin/exchange-rates' })
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('PUT /api/admin/exchange-rates/:currency sets a rate', async () => {
+    const res = await app.inject({
+      method: 'PUT',
+      url: `/api/admin/exchange-rates/${TEST_CURRENCY}`,
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { rate: 2 },
+    })
+    expect(res.statusCode).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.currency).toBe(TEST_CURRENCY)
+    expect(Number(body.rate)).toBe(2)
+    expect(body.source).toBe('manual')
+  })
+
+  it('GET /api/admin/exchange-rates lists the base currency and the new rate', async () => {
+    const res = await app.inject({
+      method: 'GET',
+      url: '/api/admin/exchange-rates',
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.baseCurrency).toBe('USD')
+    const codes = body.rates.map(r => r.currency)
+    expect(codes).toContain('USD')
+    expect(codes).toContain(TEST_CURRENCY)
+  })
+
+  it('PUT /api/admin/exchange-rates refuses to change the base currency', async () => {
+    const res = await app.inject({
+      method: 'PUT',
+      url: '/api/admin/exchange-rates',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { rates: { USD: 2 } },
+    })
+    expect(res.statusCode).toBe(400)
+  })
+
+  it('PUT /api/admin/exchange-rates returns 400 for a malformed currency code', async () => {
+    const res = await app.inject({
+      method: 'PUT',
+      url: '/api/admin/exchange-rates',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { rates: { euro: 0.9 } },
+    })
+    expect(res.statusCode).toBe(400)
+  })
+
+  it('public product routes return converted prices in the requested currency', async () => {
+    if (!testProductId) return
+    const [product] = await app.sql`select price, currency from products where id = ${testProductId}`
+    if (product.currency !== 'USD') return
+
+    const res = await app.inject({ method: 'GET', url: `/api/products/${testProductId}?currency=${TEST_CURRENCY}` })
+    expect(res.statusCode).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.price).toBe(product.price)
+    expect(body.converted).toEqual({
+      currency: TEST_CURRENCY,
+      price: (Number(product.price) * 2).toFixed(2),
+      rate: 2
+    })
+  })
+
+  it('price filters are applied in the requested currency', async () => {
+    if (!testProductId) return
+    const [product] = await app.sql`select price, currency, status from products where id = ${testProductId}`
+    if (product.currency !== 'USD' || product.status !== 'ACTIVE') return
+
+    const converted = Number(product.price) * 2
+    const url = (min, max) =>
+      `/api/products?currency=${TEST_CURRENCY}&minPrice=${min}&maxPrice=${max}&categoryId=${testCategoryId}&limit=100`
+
+    const inRange = JSON.parse((await app.inject({ method: 'GET', url: url(converted - 0.01, converted + 0.01) })).body)
+    expect(inRange.products.map(p => p.id)).toContain(testProductId)
+
+    // The raw USD price is outside the converted range
+    const rawRange = JSON.parse((await app.inject({ method: 'GET', url: url(Number(product.price) - 0.01, Number(product.price) + 0.01) })).body)
+    expect(rawRange.products.map(p => p.id)).not.toContain(testProductId)
+  })
+
+  it('DELETE /api/admin/exchange-rates/:currency removes the rate', async () => {
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/exchange-rates/${TEST_CURRENCY}`,
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(204)
+
+    const again = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/exchange-rates/${TEST_CURRENCY}`,
+      headers: { cookie },
+    })
+    expect(again.statusCode).toBe(404)
+  })
+
+  it('public routes return 400 for a currency without a rate', async () => {
+    const res = await app.inject({ method: 'GET', url: `/api/products?currency=${TEST_CURRENCY}` })
+    expect(res.statusCode).toBe(400)
+  })
+})
+
+describe('Merchant Feed', () => {
+  let feedTokenId
+  let feedToken
+
+  afterAll(async () => {
+    if (feedTokenId) {
+      await app.sql`delete from merchant_feed_tokens where id = ${feedTokenId}`.catch(() => {})
+    }
+  })
+
+  it('GET /api/feeds/merchant.xml returns 401 without a token', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/feeds/merchant.xml' })
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('GET /api/feeds/merchant.xml returns 401 for an unknown token', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/feeds/merchant.xml?token=not-a-real-token' })
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('POST /api/admin/merchant-feed/tokens issues a token once', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/merchant-feed/tokens',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { name: 'Test channel' },
+    })
+    expect(res.statusCode).toBe(201)
+    const body = JSON.parse(res.body)
+    expect(body.name).toBe('Test channel')
+    expect(body.token).toEqual(expect.any(String))
+    feedTokenId = body.id
+    feedToken = body.token
+
+    const list = await app.inject({
+      method: 'GET',
+      url: '/api/admin/merchant-feed/tokens',
+      headers: { cookie },
+    })
+    const listed = JSON.parse(list.body).tokens.find(t => t.id === feedTokenId)
+    expect(listed).toBeDefined()
+    expect(listed).not.toHaveProperty('token')
+    expect(listed).not.toHaveProperty('tokenHash')
+  })
+
+  it('GET /api/feeds/merchant.xml returns the feed for a valid token', async () => {
+    if (!feedToken) return
+    const res = await app.inject({ method: 'GET', url: `/api/feeds/merchant.xml?token=${feedToken}` })
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['content-type']).toContain('application/xml')
+    expect(res.body).toContain('xmlns:g="http://base.google.com/ns/1.0"')
+  })
+
+  it('GET /api/feeds/merchant.csv starts with the attribute header', async () => {
+    if (!feedToken) return
+    const res = await app.inject({ method: 'GET', url: `/api/feeds/merchant.csv?token=${feedToken}` })
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['content-type']).toContain('text/csv')
+    expect(res.body.split('\r\n')[0]).toBe(
+      '"id","title","description","link","image_link","price","availability","product_type"'
+    )
+  })
+
+  it('GET /api/admin/merchant-feed/warnings lists products left out of the feed', async () => {
+    const res = await app.inject({
+      method: 'GET',
+      url: '/api/admin/merchant-feed/warnings',
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.published).toEqual(expect.any(Number))
+    expect(Array.isArray(body.warnings)).toBe(true)
+    for (const warning of body.warnings) {
+      expect(warning.problems.length).toBeGreaterThan(0)
+    }
+  })
+
+  it('DELETE /api/admin/merchant-feed/tokens/:id revokes the token', async () => {
+    if (!feedTokenId) return
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/merchant-feed/tokens/${feedTokenId}`,
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(204)
+
+    const feed = await app.inject({ method: 'GET', url: `/api/feeds/merchant.xml?token=${feedToken}` })
+    expect(feed.statusCode).toBe(401)
+
+    const again = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/merchant-feed/tokens/${feedTokenId}`,
+      headers: { cookie },
+    })
+    expect(again.statusCode).toBe(404)
+  })
+})
+
+describe('Admin Collection Routes', () => {
+  const slug = `test-collection-${Date.now()}`
+  let collectionId
+
+  afterAll(async () => {
+    await app.sql`delete from collections where slug = ${slug}`.catch(() => {})
+  })
+
+  it('requires authentication', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/admin/collections' })
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('POST /api/admin/collections creates a scheduled collection', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/collections',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { slug, label: 'Test Collection', tags: ['test'], startsAt: '2099-01-01T00:00:00Z' },
+    })
+    expect(res.statusCode).toBe(201)
+    const body = JSON.parse(res.body)
+    expect(body.status).toBe('scheduled')
+    collectionId = body.id
+
+    const pub = await app.inject({ method: 'GET', url: `/api/collections/${slug}` })
+    expect(pub.statusCode).toBe(404)
+  })
+
+  it('POST /api/admin/collections returns 409 on duplicate slug', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/collections',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { slug, label: 'Duplicate' },
+    })
+    expect(res.statusCode).toBe(409)
+  })
+
+  it('POST /api/admin/collections returns 400 for unknown product IDs', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/collections',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { slug: `${slug}-x`, label: 'X', productIds: ['00000000-0000-0000-0000-000000000000'] },
+    })
+    expect(res.statusCode).toBe(400)
+  })
+
+  it('POST /api/admin/collections returns 400 when endsAt is before startsAt', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/admin/collections',
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { slug: `${slug}-y`, label: 'Y', startsAt: '2099-02-01T00:00:00Z', endsAt: '2099-01-01T00:00:00Z' },
+    })
+    expect(res.statusCode).toBe(400)
+  })
+
+  it('PATCH /api/admin/collections/:id publishes the collection', async () => {
+    if (!collectionId) return
+    const res = await app.inject({
+      method: 'PATCH',
+      url: `/api/admin/collections/${collectionId}`,
+      headers: { cookie, 'content-type': 'application/json' },
+      payload: { startsAt: null },
+    })
+    expect(res.statusCode).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.status).toBe('live')
+    expect(body.tags).toEqual(['test'])
+
+    const pub = await app.inject({ method: 'GET', url: `/api/collections/${slug}` })
+    expect(pub.statusCode).toBe(200)
+  })
+
+  it('GET /api/admin/collections lists collections with status', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/admin/collections', headers: { cookie } })
+    expect(res.statusCode).toBe(200)
+    const { collections } = JSON.parse(res.body)
+    collections.forEach(c => expect(['scheduled', 'live', 'ended']).toContain(c.status))
+  })
+
+  it('DELETE /api/admin/collections/:id deletes the collection', async () => {
+    if (!collectionId) return
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/collections/${collectionId}`,
+      headers: { cookie },
+    })
+    expect(res.statusCode).toBe(204)
+
+    const again = await app.inject({
+      method: 'DELETE',
+      url: `/api/admin/collections/${collectionId}`,
+      headers: { cookie },
+    })
+    expect(again.statusCode).toBe(404)
+  })
+})
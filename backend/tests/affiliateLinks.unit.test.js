@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createFakeLinkProvider } from '../src/lib/linkProvider.js'
+import { createAffiliateLink, deleteRemoteLinks, syncLinkStats } from '../src/utils/affiliateLinks.js'
+
+const PRODUCT_ID = '11111111-1111-4111-8111-111111111111'
+const logger = { info: vi.fn(), error: vi.fn() }
+
+// Tagged-template sql stand-in: echoes the insert's values back as the row.
+// sql(rows) (the VALUES helper) returns its argument.
+function makeSql({ fail, count = 0 } = {}) {
+  return vi.fn((strings, ...values) => {
+    if (!strings.raw) return strings
+    if (fail) return Promise.reject(fail)
+    if (strings.join('?').includes('insert into affiliate_links')) {
+      const [id, productId, originalUrl, trackedUrl, dubLinkId] = values
+      return Promise.resolve([{ id, productId, originalUrl, trackedUrl, dubLinkId }])
+    }
+    return Promise.resolve(Object.assign([], { count }))
+  })
+}
+
+describe('createAffiliateLink', () => {
+  it('stores the short link as tracked_url', async () => {
+    const provider = createFakeLinkProvider()
+    const link = await createAffiliateLink(makeSql(), provider, {
+      productId: PRODUCT_ID,
+      originalUrl: 'https://shop.example.com/p?aff=1'
+    })
+
+    const [remote] = provider.links.values()
+    expect(link).toMatchObject({
+      productId: PRODUCT_ID,
+      originalUrl: 'https://shop.example.com/p?aff=1',
+      trackedUrl: remote.shortLink,
+      dubLinkId: remote.id
+    })
+    // The provider knows the row it belongs to
+    expect(remote.externalId).toBe(link.id)
+  })
+
+  it('tracks the original URL when no provider is configured', async () => {
+    const link = await createAffiliateLink(makeSql(), null, {
+      productId: PRODUCT_ID,
+      originalUrl: 'https://shop.example.com/p'
+    })
+
+    expect(link.trackedUrl).toBe('https://shop.example.com/p')
+    expect(link.dubLinkId).toBeNull()
+  })
+
+  it('removes the short link again when the insert fails', async () => {
+    const provider = createFakeLinkProvider()
+    const error = Object.assign(new Error('fk violation'), { code: '23503' })
+
+    await expect(createAffiliateLink(makeSql({ fail: error }), provider, {
+      productId: PRODUCT_ID,
+      originalUrl: 'https://shop.example.com/p'
+    })).rejects.toBe(error)
+    expect(provider.links.size).toBe(0)
+  })
+})
+
+describe('deleteRemoteLinks', () => {
+  it('deletes every link and skips empty ids', async () => {
+    const provider = createFakeLinkProvider()
+    const a = await provider.createLink({ url: 'https://a.example.com' })
+    const b = await provider.createLink({ url: 'https://b.example.com' })
+
+    expect(await deleteRemoteLinks(provider, [a.id, null, b.id], logger)).toBe(2)
+    expect(provider.links.size).toBe(0)
+  })
+
+  it('logs failures instead of throwing', async () => {
+    const provider = {
+      deleteLink: vi.fn(async (id) => {
+        if (id === 'bad') throw new Error('Dub is down')
+      })
+    }
+    const log = { error: vi.fn() }
+
+    expect(await deleteRemoteLinks(provider, ['good', 'bad'], log)).toBe(1)
+    expect(log.error).toHaveBeenCalledWith(
+      expect.objectContaining({ dubLinkId: 'bad' }),
+      'Failed to delete short link'
+    )
+  })
+
+  it('does nothing without a provider', async () => {
+    expect(await deleteRemoteLinks(null, ['link_1'], logger)).toBe(0)
+  })
+})
+
+describe('syncLinkStats', () => {
+  it('writes the provider\'s counts onto matching affiliate links', async () => {
+    const provider = createFakeLinkProvider()
+    const { id } = await provider.createLink({ url: 'https://shop.example.com' })
+    Object.assign(provider.links.get(id), { clicks: 40, conversions: 2, revenue: '12.50' })
+    const sql = makeSql({ count: 1 })
+
+    expect(await syncLinkStats(sql, provider, { logger })).toBe(1)
+
+    const [strings, rows] = sql.mock.calls.at(-1)
+    expect(strings.join('?')).toContain('where l.dub_link_id = v.dub_link_id')
+    expect(rows).toEqual([[id, 40, 2, '12.50']])
+  })
+
+  it('skips the update when the provider has no links', async () => {
+    const sql = makeSql()
+    expect(await syncLinkStats(sql, createFakeLinkProvider(), { logger })).toBe(0)
+    expect(sql).not.toHaveBeenCalled()
+  })
+})
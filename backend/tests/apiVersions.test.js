@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+import { API_VERSIONS } from '../src/routes/api.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+  await app.ready()
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+describe('API versions', () => {
+  it('serves every resource under /api/v1', () => {
+    for (const prefix of Object.keys(API_VERSIONS.v1)) {
+      const urls = app.registeredRoutes.map(route => route.url)
+      expect(urls.some(url => url.startsWith(`/api/v1${prefix}`))).toBe(true)
+    }
+  })
+
+  it('answers /api/v1 without deprecation headers', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/v1/admin/auth/session' })
+
+    expect(response.statusCode).toBe(401)
+    expect(response.headers.deprecation).toBeUndefined()
+    expect(response.headers.sunset).toBeUndefined()
+  })
+
+  it('keeps the unversioned /api prefix as a deprecated alias of v1', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/admin/auth/session' })
+
+    expect(response.statusCode).toBe(401)
+    expect(response.headers.deprecation).toMatch(/^@\d+$/)
+    expect(new Date(response.headers.sunset).getTime()).toBeGreaterThan(Date.parse('2026-10-19'))
+    expect(response.headers.link).toBe('</api/v1/admin/auth/session>; rel="successor-version"')
+  })
+
+  it('leaves the sitemap and feeds unversioned', () => {
+    const urls = app.registeredRoutes.map(route => route.url)
+
+    expect(urls).toContain('/sitemap.xml')
+    expect(urls.some(url => url.startsWith('/feeds/'))).toBe(true)
+    expect(urls.some(url => url.startsWith('/api/v1/sitemap'))).toBe(false)
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { GenerationCache, CATALOG_SCOPE, CATEGORY_SCOPE, productScope } from '../src/lib/cache.js'
+
+// Minimal in-memory stand-in for the ioredis calls the cache makes
+function makeRedis() {
+  const store = new Map()
+  const redis = {
+    store,
+    get: vi.fn(async key => store.get(key) ?? null),
+    mget: vi.fn(async keys => keys.map(key => store.get(key) ?? null)),
+    setex: vi.fn(async (key, ttl, value) => { store.set(key, value) }),
+    multi: vi.fn(() => {
+      const ops = []
+      const tx = {
+        incr: key => { ops.push(key); return tx },
+        exec: async () => ops.map(key => {
+          const next = Number(store.get(key) ?? 0) + 1
+          store.set(key, String(next))
+          return [null, next]
+        })
+      }
+      return tx
+    })
+  }
+  return redis
+}
+
+describe('GenerationCache', () => {
+  let redis
+  let cache
+
+  beforeEach(() => {
+    redis = makeRedis()
+    cache = new GenerationCache(redis)
+  })
+
+  it('computes on a miss and serves the stored value on a hit', async () => {
+    const load = vi.fn(async () => ({ products: [1, 2] }))
+    const opts = { scopes: [CATALOG_SCOPE], ttl: 300 }
+
+    expect(await cache.wrap('products:list', { page: 1 }, opts, load)).toEqual({ products: [1, 2] })
+    expect(await cache.wrap('products:list', { page: 1 }, opts, load)).toEqual({ products: [1, 2] })
+    expect(load).toHaveBeenCalledTimes(1)
+    expect(redis.setex).toHaveBeenCalledWith(expect.any(String), 300, JSON.stringify({ products: [1, 2] }))
+  })
+
+  it('keeps separate entries per params', async () => {
+    const opts = { scopes: [CATALOG_SCOPE], ttl: 300 }
+    await cache.wrap('products:list', { page: 1 }, opts, async () => 'one')
+    expect(await cache.wrap('products:list', { page: 2 }, opts, async () => 'two')).toBe('two')
+  })
+
+  it('does not store undefined results', async () => {
+    const opts = { scopes: [productScope('p1')], ttl: 3600 }
+    expect(await cache.wrap('product', 'p1', opts, async () => undefined)).toBeUndefined()
+    expect(redis.setex).not.toHaveBeenCalled()
+  })
+
+  it('misses after one of the entry scopes is invalidated', async () => {
+    const opts = { scopes: [CATALOG_SCOPE, CATEGORY_SCOPE], ttl: 300 }
+    await cache.wrap('products:list', {}, opts, async () => 'stale')
+
+    await cache.invalidate(CATEGORY_SCOPE)
+
+    expect(await cache.wrap('products:list', {}, opts, async () => 'fresh')).toBe('fresh')
+  })
+
+  it('leaves entries in unrelated scopes alone', async () => {
+    const opts = { scopes: [productScope('p1')], ttl: 3600 }
+    await cache.wrap('product', 'p1', opts, async () => 'kept')
+
+    await cache.invalidate(productScope('p2'), CATEGORY_SCOPE)
+
+    expect(await cache.wrap('product', 'p1', opts, async () => 'reloaded')).toBe('kept')
+  })
+
+  it('invalidates with one INCR per distinct scope', async () => {
+    await cache.invalidate(CATALOG_SCOPE, CATALOG_SCOPE, productScope('p1'))
+    expect(redis.store.get('cache:gen:catalog')).toBe('1')
+    expect(redis.store.get('cache:gen:product:p1')).toBe('1')
+  })
+
+  it('does nothing when invalidating no scopes', async () => {
+    await cache.invalidate()
+    expect(redis.multi).not.toHaveBeenCalled()
+  })
+
+  it('counts hits and misses per namespace', async () => {
+    const opts = { scopes: [CATALOG_SCOPE], ttl: 300 }
+    expect(cache.stats()).toEqual({ hits: 0, misses: 0, hitRate: null, namespaces: {} })
+
+    await cache.wrap('products:list', {}, opts, async () => 'x')
+    await cache.wrap('products:list', {}, opts, async () => 'x')
+    await cache.wrap('products:list', {}, opts, async () => 'x')
+    await cache.wrap('categories', 'all', opts, async () => 'y')
+
+    expect(cache.stats()).toEqual({
+      hits: 2,
+      misses: 2,
+      hitRate: 0.5,
+      namespaces: {
+        'products:list': { hits: 2, misses: 1 },
+        categories: { hits: 0, misses: 1 }
+      }
+    })
+  })
+})
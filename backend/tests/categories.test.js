@@ -81,6 +81,74 @@ describe('Category API', () => {
       })
 
       expect(response.statusCode).toBe(404)
+      expect(response.headers.etag).toBeUndefined()
+    })
+  })
+
+  describe('Sparse fieldsets', () => {
+    it('returns only the requested columns and no product count', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/categories?fields=name,slug&include='
+      })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).forEach(category => {
+        expect(Object.keys(category).sort()).toEqual(['id', 'name', 'slug'])
+      })
+    })
+
+    it('skips embedded products unless included', async () => {
+      const categories = JSON.parse((await app.inject({ method: 'GET', url: '/api/categories' })).body)
+      if (categories.length === 0) return
+
+      const response = await app.inject({
+        method: 'GET',
+        url: `/api/categories/${categories[0].slug}?include=productCount`
+      })
+      const body = JSON.parse(response.body)
+      expect(body).toHaveProperty('_count')
+      expect(body).not.toHaveProperty('products')
+    })
+
+    it('returns 400 for an unknown field', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/categories?fields=secret' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('Conditional GET', () => {
+    it('should answer a matching If-None-Match with 304', async () => {
+      const first = await app.inject({ method: 'GET', url: '/api/categories' })
+
+      expect(first.statusCode).toBe(200)
+      expect(first.headers.etag).toBeDefined()
+      expect(first.headers['cache-control']).toContain('public')
+
+      const second = await app.inject({
+        method: 'GET',
+        url: '/api/categories',
+        headers: { 'if-none-match': first.headers.etag }
+      })
+
+      expect(second.statusCode).toBe(304)
+      expect(second.body).toBe('')
+    })
+
+    it('should answer a matching If-None-Match on a single category with 304', async () => {
+      const listResponse = await app.inject({ method: 'GET', url: '/api/categories' })
+      const categories = JSON.parse(listResponse.body)
+      if (categories.length === 0) return
+
+      const url = `/api/categories/${categories[0].slug}`
+      const first = await app.inject({ method: 'GET', url })
+      const second = await app.inject({
+        method: 'GET',
+        url,
+        headers: { 'if-none-match': `"other", ${first.headers.etag}` }
+      })
+
+      expect(second.statusCode).toBe(304)
     })
   })
 })
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { scoreClick } from '../src/utils/clickFraud.js'
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36'
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1'
+const CUBOT = 'Mozilla/5.0 (Linux; Android 11; CUBOT X30 Build/RP1A) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+
+const clean = { isSuspect: false, suspectReason: null }
+
+describe('scoreClick', () => {
+  it('passes ordinary browsers with ordinary referrers', () => {
+    expect(scoreClick({ userAgent: CHROME, referrer: 'https://www.google.com/' })).toEqual(clean)
+    expect(scoreClick({ userAgent: IPHONE, referrer: null })).toEqual(clean)
+    expect(scoreClick({ userAgent: CUBOT, referrer: null })).toEqual(clean)
+  })
+
+  it('flags crawlers, link checkers, unfurlers and HTTP libraries', () => {
+    for (const userAgent of [
+      'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+      'Mozilla/5.0 (compatible; AhrefsBot/7.0; +http://ahrefs.com/robot/)',
+      'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+      'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+      'W3C-checklink/4.81 libwww-perl/6.68',
+      'curl/8.5.0',
+      'python-requests/2.32.3',
+      'Go-http-client/2.0',
+      'Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)'
+    ]) {
+      expect(scoreClick({ userAgent, referrer: null }), userAgent).toEqual({
+        isSuspect: true,
+        suspectReason: 'bot_user_agent'
+      })
+    }
+  })
+
+  it('flags a missing user agent as a bot', () => {
+    expect(scoreClick({ userAgent: '', referrer: null }).suspectReason).toBe('bot_user_agent')
+  })
+
+  it('flags headless browsers', () => {
+    const userAgent = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/130.0.0.0 Safari/537.36'
+    expect(scoreClick({ userAgent, referrer: null })).toEqual({ isSuspect: true, suspectReason: 'headless_browser' })
+  })
+
+  it('flags referrers on cloud hosts and bare IPs', () => {
+    for (const referrer of [
+      'http://ec2-3-80-1-2.compute-1.amazonaws.com/page',
+      'https://abc.appspot.com/',
+      'https://scanner.azurewebsites.net/',
+      'http://203.0.113.7:8080/',
+      'http://[2001:db8::1]/'
+    ]) {
+      expect(scoreClick({ userAgent: CHROME, referrer }), referrer).toEqual({
+        isSuspect: true,
+        suspectReason: 'datacenter_referrer'
+      })
+    }
+  })
+
+  it('does not match provider names inside other hostnames', () => {
+    expect(scoreClick({ userAgent: CHROME, referrer: 'https://notamazonaws.com/' })).toEqual(clean)
+  })
+
+  it('ignores referrers that are not URLs', () => {
+    expect(scoreClick({ userAgent: CHROME, referrer: 'android-app://com.google.android.gm' })).toEqual(clean)
+    expect(scoreClick({ userAgent: CHROME, referrer: 'not a url' })).toEqual(clean)
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createHash } from 'node:crypto'
+import { clientIp, clickIpHash, clickAttribution, recordClick } from '../src/utils/clicks.js'
+
+const makeRequest = (headers = {}, remoteAddress = '10.0.0.1') => ({ headers, socket: { remoteAddress } })
+
+describe('clientIp', () => {
+  it('prefers cf-connecting-ip, then the first x-forwarded-for hop, then the socket', () => {
+    expect(clientIp(makeRequest({ 'cf-connecting-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' }))).toBe('1.1.1.1')
+    expect(clientIp(makeRequest({ 'x-forwarded-for': '2.2.2.2, 3.3.3.3' }))).toBe('2.2.2.2')
+    expect(clientIp(makeRequest())).toBe('10.0.0.1')
+  })
+})
+
+describe('clickIpHash', () => {
+  const secret = 'test-secret'
+  const day = new Date('2026-10-19T12:00:00Z')
+
+  it('is keyed: a plain sha256 of the IP does not match it', () => {
+    const hash = clickIpHash('203.0.113.1', { secret, now: day })
+    expect(hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(hash).not.toBe(createHash('sha256').update('203.0.113.1').digest('hex'))
+    expect(hash).not.toBe(clickIpHash('203.0.113.1', { secret: 'other-secret', now: day }))
+  })
+
+  it('is stable within a UTC day and rotates with the next one', () => {
+    const morning = clickIpHash('203.0.113.1', { secret, now: new Date('2026-10-19T00:00:01Z') })
+    expect(clickIpHash('203.0.113.1', { secret, now: day })).toBe(morning)
+    expect(clickIpHash('203.0.113.1', { secret, now: new Date('2026-10-20T00:00:01Z') })).not.toBe(morning)
+  })
+
+  it('returns null without a secret or a known IP', () => {
+    expect(clickIpHash('203.0.113.1', { secret: '', now: day })).toBeNull()
+    expect(clickIpHash('unknown', { secret, now: day })).toBeNull()
+  })
+})
+
+describe('clickAttribution', () => {
+  it('hashes the user agent and reads referrer and country headers', () => {
+    const attribution = clickAttribution(makeRequest({
+      'user-agent': 'Mozilla/5.0',
+      referer: 'https://example.com/',
+      'cf-ipcountry': 'DE'
+    }))
+    expect(attribution.userAgentHash).toMatch(/^[0-9a-f]{64}$/)
+    expect(attribution.referrer).toBe('https://example.com/')
+    expect(attribution.ipCountry).toBe('DE')
+    expect(attribution.isSuspect).toBe(false)
+  })
+
+  it('hashes the client IP so bursts are scored per visitor, not per browser build', () => {
+    const headers = { 'user-agent': 'Mozilla/5.0' }
+    const first = clickAttribution(makeRequest(headers, '203.0.113.1'), { secret: 'test-secret' })
+    const second = clickAttribution(makeRequest(headers, '203.0.113.2'), { secret: 'test-secret' })
+    expect(first.ipHash).toMatch(/^[0-9a-f]{64}$/)
+    expect(first.ipHash).not.toBe(second.ipHash)
+    expect(first.userAgentHash).toBe(second.userAgentHash)
+    expect(JSON.stringify(first)).not.toContain('203.0.113.1')
+  })
+
+  it('lets an explicit referrer override the header', () => {
+    const attribution = clickAttribution(makeRequest({ referer: 'https://example.com/' }), { referrer: 'https://spa.test/' })
+    expect(attribution.referrer).toBe('https://spa.test/')
+  })
+
+  it('returns nulls when nothing is known, flagging the missing user agent', () => {
+    expect(clickAttribution(makeRequest({}, null))).toEqual({
+      userAgentHash: null,
+      ipHash: null,
+      referrer: null,
+      ipCountry: null,
+      isSuspect: true,
+      suspectReason: 'bot_user_agent'
+    })
+  })
+
+  it('scores the explicit referrer rather than the header', () => {
+    const attribution = clickAttribution(
+      makeRequest({ 'user-agent': 'Mozilla/5.0', referer: 'https://example.com/' }),
+      { referrer: 'http://ec2-1-2-3-4.compute-1.amazonaws.com/' }
+    )
+    expect(attribution.suspectReason).toBe('datacenter_referrer')
+  })
+})
+
+describe('recordClick', () => {
+  it('inserts one clicks row with the attribution values', async () => {
+    const sql = vi.fn(async () => [])
+    await recordClick(sql, {
+      affiliateLinkId: 'link-1',
+      productId: 'product-1',
+      userAgentHash: 'abc',
+      referrer: null,
+      ipCountry: 'US'
+    })
+    expect(sql).toHaveBeenCalledTimes(1)
+    const [strings, ...values] = sql.mock.calls[0]
+    expect(strings.join('?')).toContain('insert into clicks')
+    expect(values).toEqual(['link-1', 'product-1', 'abc', null, null, 'US', false, null])
+  })
+
+  it('stores the IP hash next to the user agent hash', async () => {
+    const sql = vi.fn(async () => [])
+    await recordClick(sql, {
+      affiliateLinkId: 'link-1',
+      productId: 'product-1',
+      userAgentHash: 'abc',
+      ipHash: 'def',
+      referrer: null,
+      ipCountry: null
+    })
+    const [strings, ...values] = sql.mock.calls[0]
+    expect(strings.join('?')).toContain('user_agent_hash, ip_hash')
+    expect(values.slice(2, 4)).toEqual(['abc', 'def'])
+  })
+
+  it('stores the fraud flag and reason', async () => {
+    const sql = vi.fn(async () => [])
+    await recordClick(sql, {
+      affiliateLinkId: 'link-1',
+      productId: 'product-1',
+      userAgentHash: null,
+      referrer: null,
+      ipCountry: null,
+      isSuspect: true,
+      suspectReason: 'bot_user_agent'
+    })
+    const [strings, ...values] = sql.mock.calls[0]
+    expect(strings.join('?')).toContain('is_suspect, suspect_reason')
+    expect(values.slice(-2)).toEqual([true, 'bot_user_agent'])
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+describe('GET /api/collections', () => {
+  it('lists live collections in display order', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/collections' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers.etag).toBeDefined()
+    const { collections } = JSON.parse(response.body)
+    expect(collections.map(c => c.slug)).toContain('pride')
+    collections.forEach(collection => {
+      expect(collection).toHaveProperty('label')
+      expect(collection).toHaveProperty('blurb')
+      expect(collection).not.toHaveProperty('productIds')
+    })
+  })
+})
+
+describe('GET /api/collections/:slug', () => {
+  it('returns the collection with a page of products', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/collections/pride?limit=5' })
+
+    expect(response.statusCode).toBe(200)
+    const body = JSON.parse(response.body)
+    expect(body.collection.slug).toBe('pride')
+    expect(body.products.length).toBeLessThanOrEqual(5)
+    expect(body.pagination).toMatchObject({ page: 1, limit: 5 })
+  })
+
+  it('returns 404 for an unknown slug', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/collections/no-such-collection' })
+    expect(response.statusCode).toBe(404)
+  })
+
+  it('returns 400 for an invalid slug', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/collections/Not_A_Slug' })
+    expect(response.statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest'
+import { collectionStatus, isLive } from '../src/utils/collections.js'
+
+const NOW = new Date('2026-06-15T12:00:00Z')
+
+describe('collectionStatus', () => {
+  it('treats null bounds as open-ended', () => {
+    expect(collectionStatus({ startsAt: null, endsAt: null }, NOW)).toBe('live')
+  })
+
+  it('is scheduled before startsAt', () => {
+    expect(collectionStatus({ startsAt: '2026-07-01T00:00:00Z', endsAt: null }, NOW)).toBe('scheduled')
+  })
+
+  it('is ended from endsAt on', () => {
+    expect(collectionStatus({ startsAt: null, endsAt: '2026-06-15T12:00:00Z' }, NOW)).toBe('ended')
+  })
+
+  it('is live between startsAt and endsAt', () => {
+    const collection = { startsAt: new Date('2026-06-01T00:00:00Z'), endsAt: new Date('2026-07-01T00:00:00Z') }
+    expect(collectionStatus(collection, NOW)).toBe('live')
+    expect(isLive(collection, NOW)).toBe(true)
+  })
+})
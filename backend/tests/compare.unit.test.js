@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeAttributeKey,
+  attributeLabel,
+  flattenMetadata,
+  buildAttributeTable,
+  summarizeReviews
+} from '../src/utils/compare.js'
+
+describe('normalizeAttributeKey', () => {
+  it('maps camelCase, spaced and dashed keys to the same form', () => {
+    expect(normalizeAttributeKey('bladeLength')).toBe('blade_length')
+    expect(normalizeAttributeKey('Blade Length')).toBe('blade_length')
+    expect(normalizeAttributeKey('blade-length')).toBe('blade_length')
+    expect(normalizeAttributeKey(' Material ')).toBe('material')
+  })
+})
+
+describe('attributeLabel', () => {
+  it('turns a normalized key into a sentence-case label', () => {
+    expect(attributeLabel('blade_length')).toBe('Blade length')
+  })
+})
+
+describe('flattenMetadata', () => {
+  it('returns an empty map for missing or non-object metadata', () => {
+    expect(flattenMetadata(null).size).toBe(0)
+    expect(flattenMetadata(['a']).size).toBe(0)
+  })
+
+  it('flattens one level of nesting and formats values', () => {
+    const flat = flattenMetadata({
+      dimensions: { width: 3, height: 10 },
+      colors: ['red', 'black'],
+      waterproof: false,
+      empty: ''
+    })
+    expect(Object.fromEntries(flat)).toEqual({
+      dimensions_width: '3',
+      dimensions_height: '10',
+      colors: 'red, black',
+      waterproof: 'No'
+    })
+  })
+
+  it('keeps the first value when keys collide after normalizing', () => {
+    const flat = flattenMetadata({ Material: 'Steel', material: 'Wood' })
+    expect(flat.get('material')).toBe('Steel')
+  })
+})
+
+describe('buildAttributeTable', () => {
+  const products = [
+    { metadata: { Material: 'Steel', bladeLength: '70cm' } },
+    { metadata: { material: 'steel', weight: '1kg' } },
+    { metadata: null }
+  ]
+
+  it('aligns values with the product order', () => {
+    const material = buildAttributeTable(products).find(r => r.key === 'material')
+    expect(material.values).toEqual(['Steel', 'steel', null])
+  })
+
+  it('sorts attributes shared by more products first', () => {
+    expect(buildAttributeTable(products).map(r => r.key)).toEqual(['material', 'blade_length', 'weight'])
+  })
+
+  it('flags rows where products disagree or a value is missing', () => {
+    const rows = buildAttributeTable([
+      { metadata: { material: 'Steel', color: 'Red' } },
+      { metadata: { material: 'steel', color: 'Blue' } }
+    ])
+    expect(rows.find(r => r.key === 'material').differs).toBe(false)
+    expect(rows.find(r => r.key === 'color').differs).toBe(true)
+    expect(buildAttributeTable(products).find(r => r.key === 'material').differs).toBe(true)
+  })
+})
+
+describe('summarizeReviews', () => {
+  it('returns an empty summary when there are no reviews', () => {
+    expect(summarizeReviews([])).toEqual({ count: 0, averageRating: null, pros: [], cons: [] })
+  })
+
+  it('averages ratings to one decimal', () => {
+    const summary = summarizeReviews([{ rating: 5 }, { rating: 4 }, { rating: 4 }])
+    expect(summary.count).toBe(3)
+    expect(summary.averageRating).toBe(4.3)
+  })
+
+  it('merges pros and cons case-insensitively, keeping the first wording', () => {
+    const summary = summarizeReviews([
+      { rating: 5, pros: ['Sharp edge', 'Cheap'], cons: ['Slow shipping'] },
+      { rating: 3, pros: ['sharp edge', 'Sturdy'], cons: ['slow shipping', ' '] }
+    ])
+    expect(summary.pros).toEqual(['Sharp edge', 'Cheap', 'Sturdy'])
+    expect(summary.cons).toEqual(['Slow shipping'])
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import Fastify from 'fastify'
+import { conditionalGet, etagFor, matchesIfNoneMatch } from '../src/middleware/conditionalGet.js'
+
+async function buildTestApp() {
+  const app = Fastify()
+  const onSend = conditionalGet({ maxAge: 60, staleWhileRevalidate: 300 })
+  app.get('/item', { onSend }, async () => ({ id: 1, title: 'Sword' }))
+  app.get('/missing', { onSend }, async (request, reply) => {
+    reply.code(404)
+    return { error: 'Not found' }
+  })
+  await app.ready()
+  return app
+}
+
+describe('etagFor', () => {
+  it('is a quoted strong validator that changes with the body', () => {
+    const tag = etagFor('{"a":1}')
+    expect(tag).toMatch(/^"[\w-]+"$/)
+    expect(etagFor('{"a":1}')).toBe(tag)
+    expect(etagFor('{"a":2}')).not.toBe(tag)
+  })
+})
+
+describe('matchesIfNoneMatch', () => {
+  const etag = '"abc"'
+
+  it('matches an exact tag, a weak tag, a tag in a list and *', () => {
+    expect(matchesIfNoneMatch('"abc"', etag)).toBe(true)
+    expect(matchesIfNoneMatch('W/"abc"', etag)).toBe(true)
+    expect(matchesIfNoneMatch('"xyz", "abc"', etag)).toBe(true)
+    expect(matchesIfNoneMatch('*', etag)).toBe(true)
+  })
+
+  it('does not match a missing header or a different tag', () => {
+    expect(matchesIfNoneMatch(undefined, etag)).toBe(false)
+    expect(matchesIfNoneMatch('"xyz"', etag)).toBe(false)
+    expect(matchesIfNoneMatch('abc', etag)).toBe(false)
+  })
+})
+
+describe('conditionalGet hook', () => {
+  it('sets ETag and Cache-Control on a 200', async () => {
+    const app = await buildTestApp()
+    const response = await app.inject('/item')
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers.etag).toBe(etagFor(response.body))
+    expect(response.headers['cache-control']).toBe('public, max-age=60, stale-while-revalidate=300')
+    await app.close()
+  })
+
+  it('returns an empty 304 when If-None-Match matches', async () => {
+    const app = await buildTestApp()
+    const first = await app.inject('/item')
+    const second = await app.inject({ url: '/item', headers: { 'if-none-match': first.headers.etag } })
+
+    expect(second.statusCode).toBe(304)
+    expect(second.body).toBe('')
+    expect(second.headers.etag).toBe(first.headers.etag)
+    expect(second.headers['cache-control']).toBe(first.headers['cache-control'])
+    await app.close()
+  })
+
+  it('leaves error responses alone', async () => {
+    const app = await buildTestApp()
+    const response = await app.inject({ url: '/missing', headers: { 'if-none-match': '*' } })
+
+    expect(response.statusCode).toBe(404)
+    expect(response.headers.etag).toBeUndefined()
+    expect(response.headers['cache-control']).toBeUndefined()
+    await app.close()
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { convertAmount, withConvertedPrice, parseRatesFile } from '../src/utils/currency.js'
+
+const rates = { USD: 1, EUR: 0.9, GBP: 0.8 }
+
+describe('convertAmount', () => {
+  it('converts through the USD base and returns a two-decimal string', () => {
+    expect(convertAmount('10.00', 'USD', 'EUR', rates)).toBe('9.00')
+    expect(convertAmount('9.00', 'EUR', 'USD', rates)).toBe('10.00')
+    expect(convertAmount('9.00', 'EUR', 'GBP', rates)).toBe('8.00')
+  })
+
+  it('leaves same-currency amounts alone, even without a rate', () => {
+    expect(convertAmount('12.5', 'JPY', 'JPY', rates)).toBe('12.50')
+  })
+
+  it('returns null when a rate is missing or there is no amount', () => {
+    expect(convertAmount('10.00', 'JPY', 'USD', rates)).toBeNull()
+    expect(convertAmount('10.00', 'USD', 'JPY', rates)).toBeNull()
+    expect(convertAmount(null, 'USD', 'EUR', rates)).toBeNull()
+  })
+})
+
+describe('withConvertedPrice', () => {
+  it('adds a converted block next to the original price', () => {
+    const product = { id: 'p1', price: '20.00', currency: 'USD' }
+    expect(withConvertedPrice(product, 'EUR', rates)).toEqual({
+      ...product,
+      converted: { currency: 'EUR', price: '18.00', rate: 0.9 }
+    })
+  })
+
+  it('sets converted to null when the product currency has no rate', () => {
+    const product = { id: 'p1', price: '20.00', currency: 'JPY' }
+    expect(withConvertedPrice(product, 'EUR', rates).converted).toBeNull()
+  })
+})
+
+describe('parseRatesFile', () => {
+  it('reads USD-based rates and pins USD to 1', () => {
+    expect(parseRatesFile('{"rates":{"EUR":0.9}}')).toEqual({ USD: 1, EUR: 0.9 })
+  })
+
+  it('rebases rates quoted against another currency onto USD', () => {
+    const parsed = parseRatesFile('{"base":"EUR","rates":{"USD":1.25,"GBP":0.5}}')
+    expect(parsed.USD).toBe(1)
+    expect(parsed.EUR).toBeCloseTo(0.8)
+    expect(parsed.GBP).toBeCloseTo(0.4)
+  })
+
+  it('rejects malformed files', () => {
+    expect(() => parseRatesFile('not json')).toThrow(/valid JSON/)
+    expect(() => parseRatesFile('{}')).toThrow(/rates/)
+    expect(() => parseRatesFile('{"rates":{"eur":0.9}}')).toThrow(/currency code/)
+    expect(() => parseRatesFile('{"rates":{"EUR":0}}')).toThrow(/rate for EUR/)
+    expect(() => parseRatesFile('{"base":"EUR","rates":{"GBP":0.8}}')).toThrow(/must include USD/)
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest'
+import { encodeCursor, decodeCursor, keysetCondition, sortKeyExpression } from '../src/utils/cursor.js'
+
+const ID = '3f2b8c1e-1d2a-4c3b-9e8f-0a1b2c3d4e5f'
+
+// Tagged templates become { text, values }; sql(identifier) becomes { text: identifier }
+function makeSql() {
+  return vi.fn((strings, ...values) => {
+    if (typeof strings === 'string') return { text: strings, values: [] }
+    const text = strings.reduce((acc, s, i) => {
+      const v = values[i - 1]
+      return acc + (v && typeof v === 'object' && 'text' in v ? v.text : '$') + s
+    })
+    return { text: text.replace(/\s+/g, ' ').trim(), values }
+  })
+}
+
+describe('encodeCursor / decodeCursor', () => {
+  const ordering = { sortBy: 'createdAt', order: 'desc' }
+
+  it('round-trips a cursor for the same ordering', () => {
+    const token = encodeCursor({ ...ordering, value: '2026-01-01 10:00:00.123456+00', id: ID })
+    expect(decodeCursor(token, ordering)).toEqual({
+      value: '2026-01-01 10:00:00.123456+00',
+      id: ID,
+      direction: 'next'
+    })
+  })
+
+  it('produces a url-safe token', () => {
+    const token = encodeCursor({ ...ordering, value: '??>>', id: ID, direction: 'prev' })
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/)
+  })
+
+  it('rejects a cursor issued for a different sort', () => {
+    const token = encodeCursor({ ...ordering, value: '10.00', id: ID })
+    expect(decodeCursor(token, { sortBy: 'price', order: 'desc' })).toBeNull()
+    expect(decodeCursor(token, { sortBy: 'createdAt', order: 'asc' })).toBeNull()
+  })
+
+  it('rejects garbage tokens', () => {
+    expect(decodeCursor('not-a-cursor', ordering)).toBeNull()
+    expect(decodeCursor(Buffer.from('"str"').toString('base64url'), ordering)).toBeNull()
+  })
+
+  it('rejects a cursor with a non-uuid id', () => {
+    const token = encodeCursor({ ...ordering, value: 'x', id: "1' or 1=1" })
+    expect(decodeCursor(token, ordering)).toBeNull()
+  })
+
+  it('rejects an unknown direction', () => {
+    const token = encodeCursor({ ...ordering, value: 'x', id: ID, direction: 'sideways' })
+    expect(decodeCursor(token, ordering)).toBeNull()
+  })
+})
+
+describe('sortKeyExpression', () => {
+  it('coalesces nullable columns', () => {
+    expect(sortKeyExpression(makeSql(), 'rating').text).toBe('coalesce(rating, $)')
+  })
+
+  it('uses not-null columns as-is', () => {
+    expect(sortKeyExpression(makeSql(), 'price').text).toBe('price')
+  })
+})
+
+describe('keysetCondition', () => {
+  const sql = makeSql()
+  const key = sortKeyExpression(sql, 'created_at')
+  const cursor = (direction) => ({ value: 'v', id: ID, direction })
+
+  it('pages forward with < for descending order', () => {
+    expect(keysetCondition(sql, key, { order: 'desc', cursor: cursor('next') }).text)
+      .toBe('(created_at, id) < ($, $)')
+  })
+
+  it('pages forward with > for ascending order', () => {
+    expect(keysetCondition(sql, key, { order: 'asc', cursor: cursor('next') }).text)
+      .toBe('(created_at, id) > ($, $)')
+  })
+
+  it('flips the comparison when paging backwards', () => {
+    expect(keysetCondition(sql, key, { order: 'desc', cursor: cursor('prev') }).text)
+      .toBe('(created_at, id) > ($, $)')
+    expect(keysetCondition(sql, key, { order: 'asc', cursor: cursor('prev') }).text)
+      .toBe('(created_at, id) < ($, $)')
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+import Fastify from 'fastify'
+import { deprecation, successorUrl } from '../src/middleware/deprecation.js'
+import { conditionalGet } from '../src/middleware/conditionalGet.js'
+import { legacySunset } from '../src/routes/api.js'
+
+const deprecatedAt = new Date('2026-10-19T00:00:00Z')
+const sunsetAt = new Date('2027-04-30T00:00:00Z')
+
+async function buildTestApp() {
+  const app = Fastify()
+  app.register(async (legacy) => {
+    legacy.addHook('onSend', deprecation({ deprecatedAt, sunsetAt, from: '/api', to: '/api/v1' }))
+    legacy.get('/items', async () => ({ items: [] }))
+    legacy.get('/missing', async (request, reply) => {
+      reply.code(404)
+      return { error: 'Not found' }
+    })
+    legacy.get('/broken', async () => {
+      throw new Error('boom')
+    })
+  }, { prefix: '/api' })
+  app.get('/api/v1/items', async () => ({ items: [] }))
+  await app.ready()
+  return app
+}
+
+describe('successorUrl', () => {
+  it('moves the path and query under the new prefix', () => {
+    expect(successorUrl('/api/products?page=2', '/api', '/api/v1')).toBe('/api/v1/products?page=2')
+    expect(successorUrl('/api/admin/products/abc', '/api', '/api/v1')).toBe('/api/v1/admin/products/abc')
+  })
+
+  it('leaves URLs outside the old prefix alone', () => {
+    expect(successorUrl('/sitemap.xml', '/api', '/api/v1')).toBe('/sitemap.xml')
+  })
+})
+
+describe('deprecation', () => {
+  it('sets Deprecation, Sunset and a successor-version Link', async () => {
+    const app = await buildTestApp()
+    const response = await app.inject({ method: 'GET', url: '/api/items?limit=5' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers.deprecation).toBe('@1792368000')
+    expect(response.headers.sunset).toBe('Fri, 30 Apr 2027 00:00:00 GMT')
+    expect(response.headers.link).toBe('</api/v1/items?limit=5>; rel="successor-version"')
+    expect(JSON.parse(response.body)).toEqual({ items: [] })
+    await app.close()
+  })
+
+  it('marks error responses too', async () => {
+    const app = await buildTestApp()
+
+    const missing = await app.inject({ method: 'GET', url: '/api/missing' })
+    expect(missing.statusCode).toBe(404)
+    expect(missing.headers.deprecation).toBeDefined()
+
+    const broken = await app.inject({ method: 'GET', url: '/api/broken' })
+    expect(broken.statusCode).toBe(500)
+    expect(broken.headers.sunset).toBeDefined()
+    await app.close()
+  })
+
+  it('does not touch routes outside the deprecated scope', async () => {
+    const app = await buildTestApp()
+    const response = await app.inject({ method: 'GET', url: '/api/v1/items' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers.deprecation).toBeUndefined()
+    expect(response.headers.sunset).toBeUndefined()
+    await app.close()
+  })
+})
+
+describe('deprecation with another async onSend hook', () => {
+  // Same shape as the app-wide error handler in src/app.js: async, sends,
+  // doesn't return reply. Catalog routes add conditionalGet's async onSend.
+  async function buildCatalogApp(lines) {
+    const stream = { write: (line) => lines.push(JSON.parse(line)) }
+    const app = Fastify({ logger: { level: 'warn', stream } })
+    app.setErrorHandler(async (error, request, reply) => {
+      reply.code(error.statusCode || 500).send({ error: true, message: error.message })
+    })
+    app.register(async (legacy) => {
+      legacy.addHook('onSend', deprecation({ deprecatedAt, sunsetAt, from: '/api', to: '/api/v1' }))
+      legacy.get('/products', {
+        onSend: conditionalGet({ maxAge: 60 }),
+        schema: { querystring: { type: 'object', properties: { limit: { type: 'integer' } } } }
+      }, async () => ({ products: [] }))
+      legacy.get('/categories', { onSend: conditionalGet({ maxAge: 60 }) }, async () => {
+        throw new Error('database down')
+      })
+    }, { prefix: '/api' })
+    await app.ready()
+    return app
+  }
+
+  it('sends an error response on the legacy alias exactly once', async () => {
+    const lines = []
+    const app = await buildCatalogApp(lines)
+
+    const invalid = await app.inject({ method: 'GET', url: '/api/products?limit=abc' })
+    expect(invalid.statusCode).toBe(400)
+    expect(invalid.headers.deprecation).toBeDefined()
+
+    const broken = await app.inject({ method: 'GET', url: '/api/categories' })
+    expect(broken.statusCode).toBe(500)
+    expect(broken.headers.sunset).toBeDefined()
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(lines.filter(line => /already sent/.test(line.msg))).toEqual([])
+    await app.close()
+  })
+})
+
+describe('legacySunset', () => {
+  it('parses an ISO 8601 date', () => {
+    expect(legacySunset('2027-01-31').toISOString()).toBe('2027-01-31T00:00:00.000Z')
+  })
+
+  it('rejects a value that is not a date', () => {
+    expect(() => legacySunset('soon')).toThrow('LEGACY_API_SUNSET')
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+describe('Sitemap', () => {
+  it('GET /sitemap.xml returns a urlset or sitemap index', async () => {
+    const response = await app.inject({ method: 'GET', url: '/sitemap.xml' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['content-type']).toContain('application/xml')
+    expect(response.headers.etag).toBeDefined()
+    expect(response.body).toMatch(/<(urlset|sitemapindex) xmlns="http:\/\/www\.sitemaps\.org\/schemas\/sitemap\/0\.9">/)
+  })
+
+  it('includes the home page and live collection pages', async () => {
+    const response = await app.inject({ method: 'GET', url: '/sitemap.xml' })
+    if (response.body.includes('<sitemapindex')) return
+
+    expect(response.body).toMatch(/<loc>[^<]+\/<\/loc>/)
+    expect(response.body).toContain('/seasonal/pride</loc>')
+  })
+
+  it('includes ACTIVE products', async () => {
+    const listResponse = await app.inject({ method: 'GET', url: '/api/products?limit=1' })
+    const { products } = JSON.parse(listResponse.body)
+    const response = await app.inject({ method: 'GET', url: '/sitemap.xml' })
+    if (products.length === 0 || response.body.includes('<sitemapindex')) return
+
+    expect(response.body).toContain(`/products/${products[0].id}</loc>`)
+  })
+
+  it('GET /sitemaps/:page.xml returns 404 past the last chunk', async () => {
+    const response = await app.inject({ method: 'GET', url: '/sitemaps/100000.xml' })
+    expect(response.statusCode).toBe(404)
+  })
+
+  it('GET /sitemaps/:page.xml returns 400 for a non-numeric page', async () => {
+    const response = await app.inject({ method: 'GET', url: '/sitemaps/first.xml' })
+    expect(response.statusCode).toBe(400)
+  })
+})
+
+describe('New products feed', () => {
+  it('GET /feeds/new.atom returns an Atom feed', async () => {
+    const response = await app.inject({ method: 'GET', url: '/feeds/new.atom' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['content-type']).toContain('application/atom+xml')
+    expect(response.body).toContain('<feed xmlns="http://www.w3.org/2005/Atom">')
+    expect(response.body).toContain('<link rel="self" type="application/atom+xml"')
+  })
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const first = await app.inject({ method: 'GET', url: '/feeds/new.atom' })
+    const second = await app.inject({
+      method: 'GET',
+      url: '/feeds/new.atom',
+      headers: { 'if-none-match': first.headers.etag }
+    })
+    expect(second.statusCode).toBe(304)
+  })
+
+  it('filters by category slug', async () => {
+    const categoriesResponse = await app.inject({ method: 'GET', url: '/api/categories' })
+    const categories = JSON.parse(categoriesResponse.body)
+    if (categories.length === 0) return
+
+    const response = await app.inject({ method: 'GET', url: `/feeds/new.atom?category=${categories[0].slug}` })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain(`<title>New in ${categories[0].name}`)
+    const terms = [...response.body.matchAll(/<category term="([^"]+)"/g)].map(m => m[1])
+    expect(terms.every(term => term === categories[0].slug)).toBe(true)
+  })
+
+  it('returns 404 for an unknown category', async () => {
+    const response = await app.inject({ method: 'GET', url: '/feeds/new.atom?category=no-such-category' })
+    expect(response.statusCode).toBe(404)
+  })
+})
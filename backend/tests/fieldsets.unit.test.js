@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PRODUCT_COLUMNS,
+  PRODUCT_LIST_INCLUDES,
+  parseFieldset,
+  trimFields
+} from '../src/utils/fieldsets.js'
+
+const PRODUCTS = { columns: PRODUCT_COLUMNS, includes: PRODUCT_LIST_INCLUDES }
+
+describe('parseFieldset', () => {
+  it('defaults to every column and relation', () => {
+    expect(parseFieldset({}, PRODUCTS)).toEqual({
+      fields: null,
+      include: PRODUCT_LIST_INCLUDES,
+      key: '*|category,affiliateLinks,reviewCount'
+    })
+  })
+
+  it('always returns id and orders names canonically', () => {
+    const a = parseFieldset({ fields: 'price,title', include: 'affiliateLinks,category' }, PRODUCTS)
+    const b = parseFieldset({ fields: 'title,price,title', include: 'category,affiliateLinks' }, PRODUCTS)
+
+    expect(a.fields).toEqual(['id', 'title', 'price'])
+    expect(a.include).toEqual(['category', 'affiliateLinks'])
+    expect(a.key).toBe(b.key)
+  })
+
+  it('treats an empty include as no relations', () => {
+    expect(parseFieldset({ include: '' }, PRODUCTS).include).toEqual([])
+  })
+
+  it('rejects unknown names', () => {
+    expect(parseFieldset({ fields: 'title,secret' }, PRODUCTS)).toEqual({ error: 'Unknown field: secret' })
+    expect(parseFieldset({ include: 'reviews' }, PRODUCTS)).toEqual({ error: 'Unknown include: reviews' })
+  })
+})
+
+describe('trimFields', () => {
+  it('drops unrequested columns but keeps relations and computed keys', () => {
+    const fieldset = parseFieldset({ fields: 'title' }, PRODUCTS)
+    const row = { id: 'p1', title: 'T', price: '9.99', currency: 'USD', category: null, converted: null }
+
+    expect(trimFields([row], fieldset, PRODUCT_COLUMNS)).toEqual([{ id: 'p1', title: 'T', category: null, converted: null }])
+  })
+
+  it('returns rows untouched without a fieldset', () => {
+    const rows = [{ id: 'p1', metadata: {} }]
+    expect(trimFields(rows, parseFieldset({}, PRODUCTS), PRODUCT_COLUMNS)).toBe(rows)
+  })
+})
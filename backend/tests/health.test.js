@@ -23,6 +23,8 @@ describe('Health Check', () => {
     expect(body).toHaveProperty('status', 'ok')
     expect(body).toHaveProperty('database', 'connected')
     expect(body).toHaveProperty('redis', 'connected')
+    expect(body.cache).toHaveProperty('hits')
+    expect(body.cache).toHaveProperty('misses')
     expect(body).toHaveProperty('timestamp')
   })
 })
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createDubProvider, createFakeLinkProvider, createLinkProvider } from '../src/lib/linkProvider.js'
+
+// fetch stand-in answering each call with the next queued response
+function mockFetch(...responses) {
+  return vi.fn(async () => {
+    const { status = 200, body = null } = responses.shift()
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: `Status ${status}`,
+      json: async () => body
+    }
+  })
+}
+
+describe('createDubProvider', () => {
+  it('creates a link on the configured domain with our id as externalId', async () => {
+    const fetch = mockFetch({ body: { id: 'link_1', shortLink: 'https://go.example.com/abc' } })
+    const dub = createDubProvider({ apiKey: 'dub_key', domain: 'go.example.com', fetch })
+
+    const link = await dub.createLink({ url: 'https://shop.example.com/p?aff=1', externalId: 'our-id' })
+
+    expect(link).toEqual({ id: 'link_1', shortLink: 'https://go.example.com/abc' })
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('https://api.dub.co/links')
+    expect(init.method).toBe('POST')
+    expect(init.headers.authorization).toBe('Bearer dub_key')
+    expect(JSON.parse(init.body)).toEqual({
+      url: 'https://shop.example.com/p?aff=1',
+      externalId: 'our-id',
+      domain: 'go.example.com'
+    })
+  })
+
+  it('treats deleting an unknown link as done', async () => {
+    const fetch = mockFetch({ status: 404, body: { error: { message: 'Link not found' } } })
+    const dub = createDubProvider({ apiKey: 'dub_key', fetch })
+
+    await expect(dub.deleteLink('link_gone')).resolves.toBeUndefined()
+    expect(fetch.mock.calls[0][0]).toBe('https://api.dub.co/links/link_gone')
+  })
+
+  it('throws a 502 with Dub\'s message on an API error', async () => {
+    const fetch = mockFetch({ status: 401, body: { error: { message: 'Invalid API key' } } })
+    const dub = createDubProvider({ apiKey: 'bad', fetch })
+
+    const err = await dub.createLink({ url: 'https://shop.example.com', externalId: 'x' }).catch(e => e)
+    expect(err.message).toContain('Invalid API key')
+    expect(err.statusCode).toBe(502)
+  })
+
+  it('pages through every link and reports sales in dollars', async () => {
+    const fullPage = Array.from({ length: 100 }, (_, i) => ({ id: `link_${i}`, clicks: i, sales: 0, saleAmount: 0 }))
+    const fetch = mockFetch(
+      { body: fullPage },
+      { body: [{ id: 'link_last', clicks: 12, sales: 2, saleAmount: 1999 }] }
+    )
+    const dub = createDubProvider({ apiKey: 'dub_key', fetch })
+
+    const stats = await dub.listStats()
+
+    expect(stats).toHaveLength(101)
+    expect(stats.at(-1)).toEqual({ id: 'link_last', clicks: 12, conversions: 2, revenue: '19.99' })
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.dub.co/links?page=1&pageSize=100',
+      'https://api.dub.co/links?page=2&pageSize=100'
+    ])
+  })
+})
+
+describe('createFakeLinkProvider', () => {
+  it('keeps links in memory until deleted', async () => {
+    const fake = createFakeLinkProvider()
+    const { id, shortLink } = await fake.createLink({ url: 'https://shop.example.com', externalId: 'our-id' })
+
+    expect(shortLink).toBe(`https://fake.link/${id}`)
+    expect(fake.links.get(id)).toMatchObject({ url: 'https://shop.example.com', externalId: 'our-id' })
+
+    fake.links.get(id).clicks = 3
+    expect(await fake.listStats()).toEqual([{ id, clicks: 3, conversions: 0, revenue: '0.00' }])
+
+    await fake.deleteLink(id)
+    expect(fake.links.size).toBe(0)
+  })
+})
+
+describe('createLinkProvider', () => {
+  it('picks the provider from the environment', () => {
+    expect(createLinkProvider({})).toBeNull()
+    expect(createLinkProvider({ LINK_PROVIDER: 'fake' }).name).toBe('fake')
+    expect(createLinkProvider({ DUB_API_KEY: 'dub_key' }).name).toBe('dub')
+    expect(createLinkProvider({ LINK_PROVIDER: 'dub', DUB_API_KEY: 'dub_key' }).name).toBe('dub')
+  })
+
+  it('rejects an unknown provider or Dub without a key', () => {
+    expect(() => createLinkProvider({ LINK_PROVIDER: 'bitly' })).toThrow(/Unknown LINK_PROVIDER/)
+    expect(() => createLinkProvider({ LINK_PROVIDER: 'dub' })).toThrow(/requires DUB_API_KEY/)
+  })
+})
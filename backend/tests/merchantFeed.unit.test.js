@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MERCHANT_FIELDS,
+  toMerchantItem,
+  renderMerchantXml,
+  renderMerchantCsv,
+  generateFeedToken,
+  hashFeedToken
+} from '../src/utils/merchantFeed.js'
+
+const product = {
+  id: '00000000-0000-0000-0000-000000000001',
+  title: 'Rainbow Socks',
+  description: 'Soft cotton socks',
+  imageUrl: 'https://img.example.com/socks.jpg',
+  price: '9.5',
+  currency: 'USD',
+  status: 'ACTIVE',
+  category: { name: 'Accessories' },
+  affiliateLink: { trackedUrl: 'https://dub.sh/socks', originalUrl: 'https://shop.example.com/socks' }
+}
+
+describe('toMerchantItem', () => {
+  it('maps a complete product to Merchant Center attributes', () => {
+    const { item, problems } = toMerchantItem(product)
+    expect(problems).toEqual([])
+    expect(item).toEqual({
+      id: product.id,
+      title: 'Rainbow Socks',
+      description: 'Soft cotton socks',
+      link: 'https://dub.sh/socks',
+      image_link: 'https://img.example.com/socks.jpg',
+      price: '9.50 USD',
+      availability: 'in_stock',
+      product_type: 'Accessories'
+    })
+  })
+
+  it('maps OUT_OF_STOCK to out_of_stock and falls back to the original URL', () => {
+    const { item } = toMerchantItem({
+      ...product,
+      status: 'OUT_OF_STOCK',
+      affiliateLink: { trackedUrl: '', originalUrl: 'https://shop.example.com/socks' }
+    })
+    expect(item.availability).toBe('out_of_stock')
+    expect(item.link).toBe('https://shop.example.com/socks')
+  })
+
+  it('reports every missing required field', () => {
+    const { problems } = toMerchantItem({
+      ...product,
+      title: ' ',
+      description: '',
+      imageUrl: '',
+      price: '0',
+      affiliateLink: null
+    })
+    expect(problems).toEqual([
+      'missing title',
+      'missing description',
+      'no affiliate link',
+      'missing image',
+      'price must be greater than 0'
+    ])
+  })
+
+  it('rejects non-http links and truncates long titles', () => {
+    const { item, problems } = toMerchantItem({
+      ...product,
+      title: 'x'.repeat(200),
+      imageUrl: 'data:image/png;base64,AAAA'
+    })
+    expect(problems).toEqual(['image is not an http(s) URL'])
+    expect(item.title).toHaveLength(150)
+  })
+})
+
+describe('renderMerchantXml', () => {
+  it('renders an RSS channel with g: attributes', () => {
+    const { item } = toMerchantItem({ ...product, title: 'Socks & Ties' })
+    const xml = renderMerchantXml([item], { title: 'Swordfighters', link: 'https://shop.example.com/' })
+    expect(xml).toContain('<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">')
+    expect(xml).toContain('<g:title>Socks &amp; Ties</g:title>')
+    expect(xml).toContain('<g:price>9.50 USD</g:price>')
+    expect(xml).toContain('<g:product_type>Accessories</g:product_type>')
+  })
+
+  it('omits empty attributes', () => {
+    const { item } = toMerchantItem({ ...product, category: null })
+    const xml = renderMerchantXml([item], { title: 'Swordfighters', link: 'https://shop.example.com/' })
+    expect(xml).not.toContain('g:product_type')
+  })
+})
+
+describe('renderMerchantCsv', () => {
+  it('writes a header row and quotes every field', () => {
+    const { item } = toMerchantItem({ ...product, description: 'Says "hi", twice' })
+    const [header, row, end] = renderMerchantCsv([item]).split('\r\n')
+    expect(header).toBe(MERCHANT_FIELDS.map(f => `"${f}"`).join(','))
+    expect(row).toContain('"Says ""hi"", twice"')
+    expect(end).toBe('')
+  })
+})
+
+describe('feed tokens', () => {
+  it('generates distinct tokens and hashes them to sha256 hex', () => {
+    const a = generateFeedToken()
+    expect(a).not.toBe(generateFeedToken())
+    expect(hashFeedToken(a)).toMatch(/^[0-9a-f]{64}$/)
+    expect(hashFeedToken(a)).toBe(hashFeedToken(a))
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+  await app.ready()
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+// Routes added by plugins rather than by this codebase (CORS preflight)
+const isOwnRoute = (route) => [].concat(route.method).some(m => m !== 'HEAD' && m !== 'OPTIONS')
+
+const label = (route) => `${[].concat(route.method).join(',')} ${route.url}`
+
+describe('Route schema coverage', () => {
+  it('registers every route with a response schema', () => {
+    const missing = app.registeredRoutes
+      .filter(isOwnRoute)
+      .filter(route => !route.schema?.response)
+      .map(label)
+
+    expect(missing).toEqual([])
+  })
+
+  it('describes the path parameters of every parameterised route', () => {
+    const missing = app.registeredRoutes
+      .filter(isOwnRoute)
+      .filter(route => route.url.includes(':'))
+      .filter(route => {
+        const names = [...route.url.matchAll(/:([A-Za-z0-9_]+)/g)].map(m => m[1])
+        return !names.every(name => route.schema?.params?.properties?.[name])
+      })
+      .map(label)
+
+    expect(missing).toEqual([])
+  })
+
+  it('describes the request body of every write route', () => {
+    // Routes that act on the URL alone, in every API version
+    const bodiless = ['/admin/auth/logout', '/admin/reviews/:id/toggle-featured']
+    const missing = app.registeredRoutes
+      .filter(route => ['POST', 'PUT', 'PATCH'].some(m => [].concat(route.method).includes(m)))
+      .filter(route => !route.schema?.body && !bodiless.some(path => route.url.endsWith(path)))
+      .map(label)
+
+    expect(missing).toEqual([])
+  })
+})
+
+describe('GET /api/openapi.json', () => {
+  it('serves an OpenAPI 3.1 document covering public and admin routes', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/openapi.json' })
+
+    expect(response.statusCode).toBe(200)
+    const doc = JSON.parse(response.body)
+    expect(doc.openapi).toBe('3.1.0')
+    expect(doc.paths['/api/v1/products/{id}'].get.parameters).toEqual(
+      expect.arrayContaining([expect.objectContaining({ name: 'id', in: 'path', required: true })])
+    )
+    expect(doc.paths['/api/v1/admin/products'].post.requestBody.content['application/json'].schema.required)
+      .toEqual(['externalId', 'platform', 'title', 'price', 'categoryId'])
+    expect(doc.paths['/api/v1/admin/products'].post.security).toEqual([{ sessionCookie: [] }])
+    expect(doc.paths['/api/v1/admin/auth/login'].post.security).toEqual([])
+    expect(doc.paths['/sitemap.xml'].get.responses['200'].content).toHaveProperty('application/xml')
+  })
+
+  it('leaves the documentation routes out of the document', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/openapi.json' })
+    const paths = Object.keys(JSON.parse(response.body).paths)
+
+    expect(paths).not.toContain('/api/openapi.json')
+    expect(paths).not.toContain('/api/docs')
+  })
+
+  it('documents the versioned routes but not the deprecated unversioned alias', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/openapi.json' })
+    const paths = Object.keys(JSON.parse(response.body).paths)
+
+    expect(paths).toContain('/api/v1/products')
+    expect(paths).not.toContain('/api/products')
+    expect(paths.filter(path => path.startsWith('/api/') && !path.startsWith('/api/v1/'))).toEqual([])
+  })
+})
+
+describe('GET /api/docs', () => {
+  it('serves the docs UI outside production', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/docs' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['content-type']).toContain('text/html')
+    expect(response.body).toContain('/api/openapi.json')
+  })
+})
@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import Fastify from 'fastify'
+import postbackRoutes from '../src/routes/postbacks.js'
+import { postbackSecret, signPostback, verifyPostbackSignature, recordConversion } from '../src/utils/postbacks.js'
+
+const SECRET = 'test-network-secret'
+const LINK_ID = '11111111-1111-4111-8111-111111111111'
+const CLICK_ID = '22222222-2222-4222-8222-222222222222'
+const CONVERSION_ID = '33333333-3333-4333-8333-333333333333'
+
+// Tagged-template sql stand-in that answers by query text
+function makeSql({ click, link = { id: LINK_ID }, rates = [], inserted = true } = {}) {
+  return vi.fn(async (strings) => {
+    const query = strings.join('?')
+    if (query.includes('from clicks')) return click ? [click] : []
+    if (query.includes('from affiliate_links')) return link ? [link] : []
+    if (query.includes('from exchange_rates')) return rates
+    if (query.includes('insert into conversions')) return inserted ? [{ id: CONVERSION_ID }] : []
+    if (query.includes('from conversions')) return [{ id: CONVERSION_ID }]
+    return []
+  })
+}
+
+async function buildTestApp(sql = makeSql()) {
+  const app = Fastify()
+  app.decorate('sql', sql)
+  app.register(postbackRoutes, { prefix: '/api/postbacks' })
+  await app.ready()
+  return app
+}
+
+function post(app, payload, { network = 'testnet', secret = SECRET, signature } = {}) {
+  const body = JSON.stringify(payload)
+  return app.inject({
+    method: 'POST',
+    url: `/api/postbacks/${network}`,
+    headers: {
+      'content-type': 'application/json',
+      'x-postback-signature': signature ?? signPostback(secret, body)
+    },
+    payload: body
+  })
+}
+
+beforeEach(() => {
+  vi.stubEnv('POSTBACK_SECRET_TESTNET', SECRET)
+})
+
+afterEach(() => {
+  vi.unstubAllEnvs()
+})
+
+describe('postbackSecret', () => {
+  it('reads POSTBACK_SECRET_<NETWORK>, dashes as underscores', () => {
+    const env = { POSTBACK_SECRET_DHGATE: 'a', POSTBACK_SECRET_AMAZON_US: 'b' }
+    expect(postbackSecret('dhgate', env)).toBe('a')
+    expect(postbackSecret('amazon-us', env)).toBe('b')
+  })
+
+  it('is null for unconfigured or malformed network names', () => {
+    expect(postbackSecret('wish', {})).toBeNull()
+    expect(postbackSecret('../etc', { 'POSTBACK_SECRET_../ETC': 'x' })).toBeNull()
+  })
+})
+
+describe('verifyPostbackSignature', () => {
+  const body = '{"transactionId":"t-1"}'
+
+  it('accepts the HMAC with or without the sha256= prefix', () => {
+    const signature = signPostback(SECRET, body)
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/)
+    expect(verifyPostbackSignature(SECRET, body, signature)).toBe(true)
+    expect(verifyPostbackSignature(SECRET, body, signature.slice('sha256='.length))).toBe(true)
+  })
+
+  it('rejects a missing signature, another secret or a changed body', () => {
+    expect(verifyPostbackSignature(SECRET, body, undefined)).toBe(false)
+    expect(verifyPostbackSignature(SECRET, body, signPostback('other', body))).toBe(false)
+    expect(verifyPostbackSignature(SECRET, `${body} `, signPostback(SECRET, body))).toBe(false)
+    expect(verifyPostbackSignature(SECRET, body, 'sha256=short')).toBe(false)
+  })
+})
+
+describe('recordConversion', () => {
+  const conversion = {
+    network: 'testnet',
+    transactionId: 't-1',
+    affiliateLinkId: LINK_ID,
+    clickId: null,
+    amount: 5,
+    currency: 'USD',
+    revenue: '5.00',
+    convertedAt: null
+  }
+
+  it('inserts once per network transaction', async () => {
+    const sql = makeSql()
+    expect(await recordConversion(sql, conversion)).toEqual({ id: CONVERSION_ID, duplicate: false })
+    const [strings] = sql.mock.calls[0]
+    expect(strings.join('?')).toContain('on conflict (network, transaction_id) do nothing')
+  })
+
+  it('returns the existing row for a repeat', async () => {
+    const sql = makeSql({ inserted: false })
+    expect(await recordConversion(sql, conversion)).toEqual({ id: CONVERSION_ID, duplicate: true })
+    expect(sql).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('POST /api/postbacks/:network', () => {
+  it('records a signed conversion for an affiliate link', async () => {
+    const sql = makeSql()
+    const app = await buildTestApp(sql)
+    const response = await post(app, { transactionId: 't-1', affiliateLinkId: LINK_ID, amount: 4.5 })
+
+    expect(response.statusCode).toBe(201)
+    expect(JSON.parse(response.body)).toEqual({ id: CONVERSION_ID, duplicate: false })
+    const insert = sql.mock.calls.find(([strings]) => strings.join('?').includes('insert into conversions'))
+    expect(insert.slice(1, 8)).toEqual(['testnet', 't-1', LINK_ID, null, 4.5, 'USD', '4.50'])
+    await app.close()
+  })
+
+  it('answers 200 for a postback it has already recorded', async () => {
+    const app = await buildTestApp(makeSql({ inserted: false }))
+    const response = await post(app, { transactionId: 't-1', affiliateLinkId: LINK_ID, amount: 4.5 })
+
+    expect(response.statusCode).toBe(200)
+    expect(JSON.parse(response.body).duplicate).toBe(true)
+    await app.close()
+  })
+
+  it('takes the affiliate link from the click', async () => {
+    const sql = makeSql({ click: { affiliateLinkId: LINK_ID } })
+    const app = await buildTestApp(sql)
+    const response = await post(app, { transactionId: 't-2', clickId: CLICK_ID, amount: 1 })
+
+    expect(response.statusCode).toBe(201)
+    const insert = sql.mock.calls.find(([strings]) => strings.join('?').includes('insert into conversions'))
+    expect(insert.slice(3, 5)).toEqual([LINK_ID, CLICK_ID])
+    await app.close()
+  })
+
+  it('rejects a click that belongs to another link', async () => {
+    const app = await buildTestApp(makeSql({ click: { affiliateLinkId: LINK_ID } }))
+    const response = await post(app, {
+      transactionId: 't-3',
+      clickId: CLICK_ID,
+      affiliateLinkId: '44444444-4444-4444-8444-444444444444',
+      amount: 1
+    })
+
+    expect(response.statusCode).toBe(422)
+    await app.close()
+  })
+
+  it('404s for an unknown click or link', async () => {
+    const app = await buildTestApp(makeSql({ link: null }))
+
+    expect((await post(app, { transactionId: 't-4', clickId: CLICK_ID, amount: 1 })).statusCode).toBe(404)
+    expect((await post(app, { transactionId: 't-4', affiliateLinkId: LINK_ID, amount: 1 })).statusCode).toBe(404)
+    await app.close()
+  })
+
+  it('converts the commission to USD revenue', async () => {
+    const sql = makeSql({ rates: [{ currency: 'USD', rate: '1' }, { currency: 'EUR', rate: '0.8' }] })
+    const app = await buildTestApp(sql)
+    const response = await post(app, { transactionId: 't-5', affiliateLinkId: LINK_ID, amount: 8, currency: 'EUR' })
+
+    expect(response.statusCode).toBe(201)
+    const insert = sql.mock.calls.find(([strings]) => strings.join('?').includes('insert into conversions'))
+    expect(insert.slice(5, 8)).toEqual([8, 'EUR', '10.00'])
+    await app.close()
+  })
+
+  it('422s for a currency without an exchange rate', async () => {
+    const app = await buildTestApp(makeSql({ rates: [{ currency: 'USD', rate: '1' }] }))
+    const response = await post(app, { transactionId: 't-6', affiliateLinkId: LINK_ID, amount: 8, currency: 'XYZ' })
+
+    expect(response.statusCode).toBe(422)
+    expect(JSON.parse(response.body).error).toBe('No exchange rate for XYZ')
+    await app.close()
+  })
+
+  it('401s for a bad or missing signature without touching the database', async () => {
+    const sql = makeSql()
+    const app = await buildTestApp(sql)
+    const payload = { transactionId: 't-7', affiliateLinkId: LINK_ID, amount: 1 }
+
+    expect((await post(app, payload, { secret: 'wrong' })).statusCode).toBe(401)
+    expect((await post(app, payload, { signature: '' })).statusCode).toBe(401)
+    expect(sql).not.toHaveBeenCalled()
+    await app.close()
+  })
+
+  it('404s for a network without a secret', async () => {
+    const app = await buildTestApp()
+    const response = await post(app, { transactionId: 't-8', affiliateLinkId: LINK_ID, amount: 1 }, { network: 'unknown' })
+
+    expect(response.statusCode).toBe(404)
+    await app.close()
+  })
+
+  it('400s for a signed body without a click or link', async () => {
+    const app = await buildTestApp()
+    const response = await post(app, { transactionId: 't-9', amount: 1 })
+
+    expect(response.statusCode).toBe(400)
+    await app.close()
+  })
+})
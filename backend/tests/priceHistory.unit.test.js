@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { summarizePriceHistory } from '../src/utils/priceHistory.js'
+
+const day = (n) => `2026-01-${String(n).padStart(2, '0')}`
+const usd = (prices) => prices.map((price, i) => ({ date: day(i + 1), price, currency: 'USD' }))
+
+describe('summarizePriceHistory', () => {
+  it('returns nulls for an empty series', () => {
+    expect(summarizePriceHistory([])).toEqual({
+      current: null, min: null, max: null, avg30: null, change30: null
+    })
+  })
+
+  it('reports current, min and max', () => {
+    const stats = summarizePriceHistory(usd([20, 15, 25, 18]))
+    expect(stats.current).toBe(18)
+    expect(stats.min).toBe(15)
+    expect(stats.max).toBe(25)
+  })
+
+  it('averages only the last 30 points', () => {
+    const points = usd([...Array(10).fill(100), ...Array(30).fill(10)])
+    expect(summarizePriceHistory(points).avg30).toBe(10)
+    expect(summarizePriceHistory(points).max).toBe(100)
+  })
+
+  it('rounds the average to cents', () => {
+    expect(summarizePriceHistory(usd([10, 10, 10.01])).avg30).toBe(10)
+  })
+
+  it('reports relative change across the window', () => {
+    expect(summarizePriceHistory(usd([20, 15])).change30).toBe(-0.25)
+  })
+
+  it('ignores points in a previous currency', () => {
+    const points = [
+      { date: day(1), price: 1000, currency: 'JPY' },
+      { date: day(2), price: 9, currency: 'USD' },
+      { date: day(3), price: 11, currency: 'USD' }
+    ]
+    const stats = summarizePriceHistory(points)
+    expect(stats.max).toBe(11)
+    expect(stats.avg30).toBe(10)
+  })
+})
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from 'vitest'
+import { parseList, normalizeProductFilters, productFilterConditions, whereAll } from '../src/utils/productFilters.js'
+
+// Minimal stand-in for postgres-js: tagged templates become { text, values }
+// so tests can assert on the generated SQL without a database.
+// sql(list) and sql.array(list) pass the list through as a single value.
+function makeSql() {
+  const sql = vi.fn((strings, ...values) => {
+    if (Array.isArray(strings) && !('raw' in strings)) return strings
+    const text = strings.reduce((acc, s, i) => {
+      const v = values[i - 1]
+      return acc + (v && typeof v === 'object' && 'text' in v ? v.text : '$') + s
+    })
+    return { text: text.replace(/\s+/g, ' ').trim(), values }
+  })
+  sql.array = (list) => list
+  return sql
+}
+
+describe('parseList', () => {
+  it('returns an empty list for missing values', () => {
+    expect(parseList(undefined)).toEqual([])
+    expect(parseList('')).toEqual([])
+  })
+
+  it('splits, trims and de-duplicates comma-separated values', () => {
+    expect(parseList(' pride, summer ,,pride')).toEqual(['pride', 'summer'])
+  })
+
+  it('accepts repeated query keys', () => {
+    expect(parseList(['pride,summer', 'winter'])).toEqual(['pride', 'summer', 'winter'])
+  })
+})
+
+describe('normalizeProductFilters', () => {
+  it('applies the ACTIVE status default and drops empty values', () => {
+    expect(normalizeProductFilters({ platform: '', q: '  ', tags: ',' })).toEqual({ status: 'ACTIVE' })
+  })
+
+  it('produces the same object regardless of list order or casing of ids', () => {
+    const a = normalizeProductFilters({
+      tags: 'summer,pride',
+      excludeIds: '0000000A-0000-0000-0000-000000000000,00000000-0000-0000-0000-00000000000b'
+    })
+    const b = normalizeProductFilters({
+      tags: 'pride, summer',
+      excludeIds: '00000000-0000-0000-0000-00000000000B,0000000a-0000-0000-0000-000000000000'
+    })
+    expect(a).toEqual(b)
+    expect(JSON.stringify(a)).toBe(JSON.stringify(b))
+  })
+
+  it('parses numeric filters', () => {
+    expect(normalizeProductFilters({ minPrice: '10', maxPrice: '50.5', minRating: '4' }))
+      .toMatchObject({ minPrice: 10, maxPrice: 50.5, minRating: 4 })
+  })
+
+  it('keeps the currency only when a price bound uses it', () => {
+    expect(normalizeProductFilters({ currency: 'EUR' })).not.toHaveProperty('currency')
+    expect(normalizeProductFilters({ maxPrice: '50', currency: 'EUR' }).currency).toBe('EUR')
+    expect(normalizeProductFilters({ maxPrice: '50' }).currency).toBe('USD')
+  })
+
+  it('keeps tagMode only when it can change the result', () => {
+    expect(normalizeProductFilters({ tags: 'pride', tagMode: 'all' })).not.toHaveProperty('tagMode')
+    expect(normalizeProductFilters({ tags: 'pride,summer', tagMode: 'all' }).tagMode).toBe('all')
+  })
+})
+
+describe('productFilterConditions', () => {
+  it('defaults to ACTIVE status only', () => {
+    const conditions = productFilterConditions(makeSql(), {})
+    expect(Object.keys(conditions)).toEqual(['status'])
+    expect(conditions.status.values).toEqual(['ACTIVE'])
+  })
+
+  it('falls back to ACTIVE for an empty status string', () => {
+    const conditions = productFilterConditions(makeSql(), { status: '' })
+    expect(conditions.status.values).toEqual(['ACTIVE'])
+  })
+
+  it('keys each active filter by dimension', () => {
+    const conditions = productFilterConditions(makeSql(), {
+      platform: 'DHGATE',
+      categoryId: '00000000-0000-0000-0000-000000000000',
+      minPrice: '10',
+      maxPrice: '50'
+    })
+    expect(Object.keys(conditions)).toEqual(['status', 'platform', 'category', 'minPrice', 'maxPrice'])
+    expect(conditions.minPrice.values).toContain(10)
+    expect(conditions.maxPrice.values).toContain(50)
+  })
+
+  it('compares same-currency rows on the raw price and converts the bound for the rest', () => {
+    const conditions = productFilterConditions(makeSql(), { minPrice: '10', currency: 'EUR' })
+    expect(conditions.minPrice.text).toBe(
+      '( (currency = $ and price >= $) or (currency <> $ and price >= convert_price($, $, currency)) )'
+    )
+    expect(conditions.minPrice.text).not.toContain('convert_price(price')
+    expect(conditions.minPrice.values.filter(v => typeof v !== 'object')).toEqual(['EUR', 10, 'EUR', 10, 'EUR'])
+
+    const usd = productFilterConditions(makeSql(), { maxPrice: '50' })
+    expect(usd.maxPrice.text).toContain('price <= $')
+    expect(usd.maxPrice.values.filter(v => typeof v !== 'object')).toEqual(['USD', 50, 'USD', 50, 'USD'])
+  })
+})
+
+describe('productFilterConditions — rating, tags, q, excludeIds', () => {
+  it('adds a minRating condition', () => {
+    const conditions = productFilterConditions(makeSql(), { minRating: '4.5' })
+    expect(conditions.minRating.text).toBe('rating >= $')
+    expect(conditions.minRating.values).toEqual([4.5])
+  })
+
+  it('uses array overlap for tagMode any (the default)', () => {
+    const conditions = productFilterConditions(makeSql(), { tags: 'pride,summer' })
+    expect(conditions.tags.text).toBe('tags && $::text[]')
+    expect(conditions.tags.values).toEqual([['pride', 'summer']])
+  })
+
+  it('uses array containment for tagMode all', () => {
+    const conditions = productFilterConditions(makeSql(), { tags: 'pride,summer', tagMode: 'all' })
+    expect(conditions.tags.text).toBe('tags @> $::text[]')
+  })
+
+  it('skips the tags condition when the list is empty', () => {
+    const conditions = productFilterConditions(makeSql(), { tags: ' , ' })
+    expect(conditions).not.toHaveProperty('tags')
+  })
+
+  it('matches q against the search document', () => {
+    const conditions = productFilterConditions(makeSql(), { q: 'mesh tank' })
+    expect(conditions.q.text).toContain('products_search_document(title, description, tags) @@ websearch_to_tsquery')
+    expect(conditions.q.values).toEqual(['mesh tank'])
+  })
+
+  it('excludes the given ids', () => {
+    const id = '00000000-0000-0000-0000-000000000001'
+    const conditions = productFilterConditions(makeSql(), { excludeIds: id })
+    expect(conditions.excludeIds.text).toBe('id not in $')
+    expect(conditions.excludeIds.values).toEqual([[id]])
+  })
+})
+
+describe('whereAll', () => {
+  it('returns sql`true` when there are no conditions', () => {
+    expect(whereAll(makeSql(), {}).text).toBe('true')
+  })
+
+  it('joins conditions with and', () => {
+    const sql = makeSql()
+    const where = whereAll(sql, productFilterConditions(sql, { platform: 'WISH' }))
+    expect(where.text).toBe('status = $ and platform = $')
+  })
+
+  it('drops excluded dimensions', () => {
+    const sql = makeSql()
+    const where = whereAll(sql, productFilterConditions(sql, { platform: 'WISH' }), { except: ['platform'] })
+    expect(where.text).toBe('status = $')
+  })
+})
@@ -75,6 +75,124 @@ describe('Product API', () => {
     })
   })
 
+  describe('GET /api/products rating, tag and text filters', () => {
+    it('should filter products by minimum rating', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?minRating=4' })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(Number(product.rating)).toBeGreaterThanOrEqual(4)
+      })
+    })
+
+    it('should match any of the given tags by default', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?tags=pride,summer' })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(product.tags.some(t => ['pride', 'summer'].includes(t))).toBe(true)
+      })
+    })
+
+    it('should require every tag with tagMode=all', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?tags=pride,summer&tagMode=all' })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(product.tags).toEqual(expect.arrayContaining(['pride', 'summer']))
+      })
+    })
+
+    it('should leave out excluded ids', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=2' })).body)
+      if (listBody.products.length === 0) return
+
+      const excluded = listBody.products[0].id
+      const response = await app.inject({ method: 'GET', url: `/api/products?excludeIds=${excluded}` })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.body).products.map(p => p.id)).not.toContain(excluded)
+    })
+
+    it('should accept a free-text q filter', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?q=shirt' })
+      expect(response.statusCode).toBe(200)
+    })
+
+    it('returns 400 for minRating above 5', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?minRating=6' })
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('returns 400 for malformed excludeIds', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?excludeIds=abc,def' })
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('returns 400 for an unknown tagMode', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?tags=pride&tagMode=some' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products cursor mode', () => {
+    it('returns nextCursor/prevCursor instead of totals', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?paginate=cursor&limit=2' })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.products.length).toBeLessThanOrEqual(2)
+      expect(body.pagination).toHaveProperty('nextCursor')
+      expect(body.pagination.prevCursor).toBeNull()
+      expect(body.pagination).not.toHaveProperty('total')
+    })
+
+    it('walks forward without repeating products and back again', async () => {
+      const first = JSON.parse((await app.inject({
+        method: 'GET',
+        url: '/api/products?paginate=cursor&limit=1'
+      })).body)
+
+      if (!first.pagination.nextCursor) {
+        // Skip test if fewer than two products exist
+        return
+      }
+
+      const second = JSON.parse((await app.inject({
+        method: 'GET',
+        url: `/api/products?limit=1&cursor=${first.pagination.nextCursor}`
+      })).body)
+      expect(second.products[0].id).not.toBe(first.products[0].id)
+      expect(second.pagination.prevCursor).toBeTruthy()
+
+      const back = JSON.parse((await app.inject({
+        method: 'GET',
+        url: `/api/products?limit=1&cursor=${second.pagination.prevCursor}`
+      })).body)
+      expect(back.products[0].id).toBe(first.products[0].id)
+    })
+
+    it('returns 400 for a malformed cursor', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products?cursor=garbage' })
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('returns 400 when the cursor was issued for a different sort', async () => {
+      const first = JSON.parse((await app.inject({
+        method: 'GET',
+        url: '/api/products?paginate=cursor&limit=1'
+      })).body)
+
+      if (!first.pagination.nextCursor) return
+
+      const response = await app.inject({
+        method: 'GET',
+        url: `/api/products?sortBy=price&cursor=${first.pagination.nextCursor}`
+      })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
   describe('GET /api/products validation errors', () => {
     it('returns 400 for invalid categoryId format', async () => {
       const response = await app.inject({ method: 'GET', url: '/api/products?categoryId=not-a-uuid' })
@@ -97,6 +215,134 @@ describe('Product API', () => {
     })
   })
 
+  describe('GET /api/products/facets', () => {
+    it('returns counts per platform, category, price bucket and rating band', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/facets' })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body).toHaveProperty('total')
+      expect(Array.isArray(body.platforms)).toBe(true)
+      expect(Array.isArray(body.categories)).toBe(true)
+      expect(body.priceBuckets.length).toBeGreaterThan(0)
+      expect(body.ratingBands.length).toBeGreaterThan(0)
+
+      // Price buckets partition the catalog, so they sum to the total
+      const bucketTotal = body.priceBuckets.reduce((sum, b) => sum + b.count, 0)
+      expect(bucketTotal).toBe(body.total)
+    })
+
+    it('counts a facet against the other filters but not its own', async () => {
+      const all = JSON.parse((await app.inject({ method: 'GET', url: '/api/products/facets' })).body)
+      const filtered = JSON.parse((await app.inject({ method: 'GET', url: '/api/products/facets?platform=DHGATE' })).body)
+
+      // Selecting a platform must not collapse the platform facet itself
+      expect(filtered.platforms).toEqual(all.platforms)
+      const dhgate = all.platforms.find(p => p.platform === 'DHGATE')
+      expect(filtered.total).toBe(dhgate ? dhgate.count : 0)
+    })
+
+    it('returns 400 for invalid platform value', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/facets?platform=INVALID' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products/search', () => {
+    it('returns ranked results with highlights and pagination', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/search?q=shirt' })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.query).toBe('shirt')
+      expect(Array.isArray(body.products)).toBe(true)
+      expect(body.pagination).toHaveProperty('total')
+      body.products.forEach(product => {
+        expect(product).toHaveProperty('rank')
+        expect(product).toHaveProperty('highlights')
+        expect(product.status).toBe('ACTIVE')
+      })
+      // Results are ordered by descending rank
+      const ranks = body.products.map(p => p.rank)
+      expect([...ranks].sort((a, b) => b - a)).toEqual(ranks)
+    })
+
+    it('applies the same platform filter as the list route', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/search?q=shirt&platform=DHGATE' })
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(product.platform).toBe('DHGATE')
+      })
+    })
+
+    it('returns 400 when q is missing', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/search' })
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('returns 400 for invalid platform value', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/search?q=shirt&platform=INVALID' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products/compare', () => {
+    it('returns products in request order with review summaries and attributes', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=2' })).body)
+      if (listBody.products.length < 2) return
+
+      const ids = listBody.products.map(p => p.id).reverse()
+      const response = await app.inject({ method: 'GET', url: `/api/products/compare?ids=${ids.join(',')}` })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.products.map(p => p.id)).toEqual(ids)
+      expect(body.missing).toEqual([])
+      body.products.forEach(product => {
+        expect(product).toHaveProperty('category')
+        expect(product.affiliateLinks.length).toBeLessThanOrEqual(1)
+        expect(product.reviewSummary).toHaveProperty('averageRating')
+        expect(Array.isArray(product.reviewSummary.pros)).toBe(true)
+      })
+      body.attributes.forEach(row => {
+        expect(row.values).toHaveLength(ids.length)
+      })
+    })
+
+    it('lists unknown IDs as missing', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=1' })).body)
+      if (listBody.products.length === 0) return
+
+      const unknown = '00000000-0000-0000-0000-000000000000'
+      const response = await app.inject({
+        method: 'GET',
+        url: `/api/products/compare?ids=${listBody.products[0].id},${unknown}`
+      })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.products).toHaveLength(1)
+      expect(body.missing).toEqual([unknown])
+    })
+
+    it('returns 400 for fewer than 2 or more than 4 IDs', async () => {
+      const id = (n) => `00000000-0000-0000-0000-00000000000${n}`
+      const one = await app.inject({ method: 'GET', url: `/api/products/compare?ids=${id(1)}` })
+      expect(one.statusCode).toBe(400)
+
+      const five = await app.inject({
+        method: 'GET',
+        url: `/api/products/compare?ids=${[1, 2, 3, 4, 5].map(id).join(',')}`
+      })
+      expect(five.statusCode).toBe(400)
+    })
+
+    it('returns 400 for malformed IDs', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/compare?ids=abc,def' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
   describe('GET /api/products/:id', () => {
     it('should return a single product by id', async () => {
       // First get a product to test with
@@ -135,5 +381,251 @@ describe('Product API', () => {
 
       expect(response.statusCode).toBe(404)
     })
+
+    it('should not send an ETag with a 404', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products/non-existent-id'
+      })
+
+      expect(response.statusCode).toBe(404)
+      expect(response.headers.etag).toBeUndefined()
+    })
+  })
+
+  describe('Conditional GET', () => {
+    it('should answer a matching If-None-Match on the list with 304', async () => {
+      const first = await app.inject({ method: 'GET', url: '/api/products?limit=5' })
+
+      expect(first.statusCode).toBe(200)
+      expect(first.headers.etag).toMatch(/^"[\w-]+"$/)
+      expect(first.headers['cache-control']).toContain('max-age=60')
+
+      const second = await app.inject({
+        method: 'GET',
+        url: '/api/products?limit=5',
+        headers: { 'if-none-match': first.headers.etag }
+      })
+
+      expect(second.statusCode).toBe(304)
+      expect(second.body).toBe('')
+      expect(second.headers.etag).toBe(first.headers.etag)
+    })
+
+    it('should send the full body when the ETag is stale', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products?limit=5',
+        headers: { 'if-none-match': '"stale"' }
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(JSON.parse(response.body)).toHaveProperty('products')
+    })
+
+    it('should answer a matching If-None-Match on a product with 304', async () => {
+      const listResponse = await app.inject({ method: 'GET', url: '/api/products?limit=1' })
+      const listBody = JSON.parse(listResponse.body)
+      if (listBody.products.length === 0) return
+
+      const url = `/api/products/${listBody.products[0].id}`
+      const first = await app.inject({ method: 'GET', url })
+      expect(first.headers.etag).toBeDefined()
+      expect(first.headers['cache-control']).toContain('max-age=300')
+
+      const second = await app.inject({
+        method: 'GET',
+        url,
+        headers: { 'if-none-match': `W/${first.headers.etag}` }
+      })
+
+      expect(second.statusCode).toBe(304)
+      expect(second.body).toBe('')
+    })
+  })
+
+  describe('GET /api/products/:id/price-history', () => {
+    it('returns daily points and summary stats', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=1' })).body)
+      if (listBody.products.length === 0) return
+
+      const productId = listBody.products[0].id
+      const response = await app.inject({ method: 'GET', url: `/api/products/${productId}/price-history?days=30` })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.productId).toBe(productId)
+      expect(body.points.length).toBeLessThanOrEqual(30)
+      body.points.forEach(point => {
+        expect(point.date).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+        expect(typeof point.price).toBe('number')
+      })
+      expect(body.stats).toHaveProperty('min')
+      expect(body.stats).toHaveProperty('max')
+      expect(body.stats).toHaveProperty('avg30')
+    })
+
+    it('returns 404 for an unknown product', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products/00000000-0000-0000-0000-000000000000/price-history'
+      })
+      expect(response.statusCode).toBe(404)
+    })
+
+    it('returns 400 when days is out of range', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products/00000000-0000-0000-0000-000000000000/price-history?days=1000'
+      })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products/:id/related', () => {
+    it('returns other active products with relations attached', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=1' })).body)
+      if (listBody.products.length === 0) return
+
+      const productId = listBody.products[0].id
+      const response = await app.inject({ method: 'GET', url: `/api/products/${productId}/related?limit=4` })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.products.length).toBeLessThanOrEqual(4)
+      body.products.forEach(product => {
+        expect(product.id).not.toBe(productId)
+        expect(product.status).toBe('ACTIVE')
+        expect(product).toHaveProperty('score')
+        expect(product).toHaveProperty('affiliateLinks')
+        expect(product).toHaveProperty('_count')
+      })
+    })
+
+    it('returns 404 for an unknown product', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products/00000000-0000-0000-0000-000000000000/related'
+      })
+      expect(response.statusCode).toBe(404)
+    })
+
+    it('returns 400 for a non-uuid id', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/not-a-uuid/related' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('Sparse fieldsets', () => {
+    it('returns only the requested columns and relations', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products?limit=3&fields=title,price&include=category'
+      })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(Object.keys(product).sort()).toEqual(['category', 'id', 'price', 'title'])
+      })
+    })
+
+    it('keeps converted prices when price columns are not requested', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products?limit=3&fields=title&include=&currency=USD'
+      })
+
+      expect(response.statusCode).toBe(200)
+      JSON.parse(response.body).products.forEach(product => {
+        expect(product).not.toHaveProperty('price')
+        expect(product).toHaveProperty('converted')
+      })
+    })
+
+    it('applies to cursor pages and the detail route', async () => {
+      const page = await app.inject({ method: 'GET', url: '/api/products?paginate=cursor&limit=1&fields=title&include=' })
+      const [product] = JSON.parse(page.body).products
+      if (!product) return
+      expect(Object.keys(product).sort()).toEqual(['id', 'title'])
+
+      const detail = await app.inject({ method: 'GET', url: `/api/products/${product.id}?include=reviews` })
+      const body = JSON.parse(detail.body)
+      expect(body).toHaveProperty('reviews')
+      expect(body).toHaveProperty('metadata')
+      expect(body).not.toHaveProperty('affiliateLinks')
+    })
+
+    it('returns 400 for unknown fields or relations', async () => {
+      expect((await app.inject({ method: 'GET', url: '/api/products?fields=secret' })).statusCode).toBe(400)
+      expect((await app.inject({ method: 'GET', url: '/api/products?include=reviews' })).statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products/:id/seo', () => {
+    it('returns JSON-LD and social card fields', async () => {
+      const listBody = JSON.parse((await app.inject({ method: 'GET', url: '/api/products?limit=1' })).body)
+      if (listBody.products.length === 0) return
+
+      const product = listBody.products[0]
+      const response = await app.inject({ method: 'GET', url: `/api/products/${product.id}/seo` })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.headers.etag).toBeDefined()
+      const body = JSON.parse(response.body)
+      expect(body.canonicalUrl).toMatch(new RegExp(`/products/${product.id}$`))
+      expect(body.openGraph.url).toBe(body.canonicalUrl)
+      expect(body.jsonLd['@type']).toBe('Product')
+      expect(body.jsonLd.name).toBe(product.title)
+      expect(body.jsonLd.offers).toBeDefined()
+    })
+
+    it('returns 404 for an unknown product', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/products/00000000-0000-0000-0000-000000000000/seo'
+      })
+      expect(response.statusCode).toBe(404)
+    })
+
+    it('returns 400 for a non-uuid id', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/not-a-uuid/seo' })
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /api/products/trending', () => {
+    it('returns ranked ACTIVE products for the default window', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/trending?limit=5' })
+
+      expect(response.statusCode).toBe(200)
+      const body = JSON.parse(response.body)
+      expect(body.window).toBe('24h')
+      expect(body.computedAt).toBeDefined()
+      expect(body.products.length).toBeLessThanOrEqual(5)
+      body.products.forEach(product => {
+        expect(product.status).toBe('ACTIVE')
+        expect(product.trending.clicks).toBeGreaterThan(0)
+        expect(product).toHaveProperty('affiliateLinks')
+      })
+
+      const scores = body.products.map(p => p.trending.score)
+      expect(scores).toEqual([...scores].sort((a, b) => b - a))
+    })
+
+    it('filters by category', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/trending?window=30d' })
+      const [top] = JSON.parse(response.body).products
+      if (!top) return
+
+      const filtered = await app.inject({ method: 'GET', url: `/api/products/trending?window=30d&categoryId=${top.categoryId}` })
+      JSON.parse(filtered.body).products.forEach(product => {
+        expect(product.categoryId).toBe(top.categoryId)
+      })
+    })
+
+    it('returns 400 for an unknown window', async () => {
+      const response = await app.inject({ method: 'GET', url: '/api/products/trending?window=1y' })
+      expect(response.statusCode).toBe(400)
+    })
   })
 })
@@ -0,0 +1,230 @@
+import { describe, it, expect, vi } from 'vitest'
+import Fastify from 'fastify'
+import { consume, loadPolicies, rateLimitKey, RATE_LIMIT_POLICIES } from '../src/lib/rateLimit.js'
+import rateLimit from '../src/middleware/rateLimit.js'
+
+const makeRequest = ({ headers = {}, query = {}, params = {}, body, session } = {}) => ({
+  headers, query, params, body, session, socket: { remoteAddress: '10.0.0.1' }
+})
+
+// Just enough of ioredis' multi() for the limiter, backed by a Map
+function memoryRedis() {
+  const store = new Map()
+  return {
+    store,
+    multi() {
+      const ops = []
+      const chain = {
+        incr: (key) => { ops.push(() => store.set(key, (store.get(key) ?? 0) + 1).get(key)); return chain },
+        expire: () => { ops.push(() => 1); return chain },
+        ttl: () => { ops.push(() => 42); return chain },
+        get: (key) => { ops.push(() => (store.has(key) ? String(store.get(key)) : null)); return chain },
+        exec: async () => ops.map(op => [null, op()])
+      }
+      return chain
+    }
+  }
+}
+
+const policies = {
+  tight: { limit: 2, windowSeconds: 60, algorithm: 'fixed', key: 'ip' },
+  loose: { limit: 100, windowSeconds: 60, algorithm: 'sliding', key: 'ip' }
+}
+
+async function buildTestApp({ redis = memoryRedis(), ...options } = {}) {
+  const app = Fastify()
+  await app.register(rateLimit, {
+    redis,
+    policies,
+    defaultPolicy: (route) => (route.url.startsWith('/api/') ? 'loose' : null),
+    ...options
+  })
+  app.get('/api/items', async () => ({ items: [] }))
+  app.post('/api/login', { config: { rateLimit: 'tight' } }, async () => ({ ok: true }))
+  app.get('/api/go', { config: { rateLimit: false } }, async () => ({ ok: true }))
+  app.get('/health', async () => ({ status: 'ok' }))
+  await app.ready()
+  return app
+}
+
+describe('loadPolicies', () => {
+  it('returns the built-in policies when nothing is overridden', () => {
+    expect(loadPolicies({})).toEqual(RATE_LIMIT_POLICIES)
+  })
+
+  it('replaces a budget from RATE_LIMIT_<NAME>', () => {
+    const loaded = loadPolicies({ RATE_LIMIT_LOGIN: '5/900' })
+    expect(loaded.login).toMatchObject({ limit: 5, windowSeconds: 900, algorithm: 'sliding', key: 'ip' })
+    expect(loaded.public).toBe(RATE_LIMIT_POLICIES.public)
+  })
+
+  it('rejects a malformed override', () => {
+    expect(() => loadPolicies({ RATE_LIMIT_LOGIN: 'five' })).toThrow('RATE_LIMIT_LOGIN')
+    expect(() => loadPolicies({ RATE_LIMIT_LOGIN: '0/60' })).toThrow('RATE_LIMIT_LOGIN')
+  })
+})
+
+describe('rateLimitKey', () => {
+  const ip = { limit: 1, windowSeconds: 1, algorithm: 'fixed', key: 'ip' }
+
+  it('keys by hashed IP', () => {
+    expect(rateLimitKey('public', ip, makeRequest())).toMatch(/^rl:public:ip:[0-9a-f]{16}$/)
+  })
+
+  it('keys by admin id when signed in, else by IP', () => {
+    const admin = { ...ip, key: 'admin' }
+    expect(rateLimitKey('admin', admin, makeRequest({ session: { adminId: 'a-1' } }))).toBe('rl:admin:admin:a-1')
+    expect(rateLimitKey('admin', admin, makeRequest())).toMatch(/^rl:admin:ip:/)
+  })
+
+  it('keys by hashed API key from the header or the feed token', () => {
+    const apiKey = { ...ip, key: 'apiKey' }
+    const fromHeader = rateLimitKey('feed', apiKey, makeRequest({ headers: { 'x-api-key': 'secret' } }))
+    const fromQuery = rateLimitKey('feed', apiKey, makeRequest({ query: { token: 'secret' } }))
+    expect(fromHeader).toMatch(/^rl:feed:key:[0-9a-f]{16}$/)
+    expect(fromQuery).toBe(fromHeader)
+    expect(fromHeader).not.toContain('secret')
+  })
+
+  it('shares the click budget between the POST body and the /go param', () => {
+    const { click } = RATE_LIMIT_POLICIES
+    const post = rateLimitKey('click', click, makeRequest({ body: { affiliateLinkId: 'link-1' } }))
+    const go = rateLimitKey('click', click, makeRequest({ params: { affiliateLinkId: 'link-1' } }))
+    const other = rateLimitKey('click', click, makeRequest({ params: { affiliateLinkId: 'link-2' } }))
+    expect(post).toBe(go)
+    expect(other).not.toBe(go)
+  })
+})
+
+describe('consume', () => {
+  it('counts a fixed window and reports the TTL as the reset', async () => {
+    const redis = memoryRedis()
+    const policy = { limit: 2, windowSeconds: 60, algorithm: 'fixed' }
+
+    expect(await consume(redis, policy, 'k')).toEqual({ allowed: true, limit: 2, remaining: 1, reset: 42 })
+    expect(await consume(redis, policy, 'k')).toMatchObject({ allowed: true, remaining: 0 })
+    expect(await consume(redis, policy, 'k')).toMatchObject({ allowed: false, remaining: 0 })
+  })
+
+  it('weights the previous window by its overlap in a sliding window', async () => {
+    const redis = memoryRedis()
+    const policy = { limit: 10, windowSeconds: 60, algorithm: 'sliding' }
+    // 15s into window 1: 75% of window 0 still overlaps
+    const now = 60_000 + 15_000
+    redis.store.set('k:0', 8)
+
+    const result = await consume(redis, policy, 'k', now)
+    expect(result).toEqual({ allowed: true, limit: 10, remaining: 3, reset: 45 })
+
+    redis.store.set('k:1', 4)
+    expect(await consume(redis, policy, 'k', now)).toMatchObject({ allowed: false, remaining: 0 })
+  })
+})
+
+describe('rateLimit plugin', () => {
+  it('sets RateLimit headers on limited routes', async () => {
+    const app = await buildTestApp()
+    const response = await app.inject({ method: 'GET', url: '/api/items' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['ratelimit-limit']).toBe('100')
+    expect(response.headers['ratelimit-remaining']).toBe('99')
+    expect(Number(response.headers['ratelimit-reset'])).toBeGreaterThan(0)
+    expect(response.headers['ratelimit-policy']).toBe('100;w=60')
+    await app.close()
+  })
+
+  it('answers 429 with Retry-After once a route policy is spent', async () => {
+    const app = await buildTestApp()
+    await app.inject({ method: 'POST', url: '/api/login' })
+    await app.inject({ method: 'POST', url: '/api/login' })
+    const response = await app.inject({ method: 'POST', url: '/api/login' })
+
+    expect(response.statusCode).toBe(429)
+    expect(response.headers['retry-after']).toBe('42')
+    expect(response.headers['ratelimit-remaining']).toBe('0')
+    expect(JSON.parse(response.body).error).toBe('Too many requests')
+    await app.close()
+  })
+
+  it('does not run the handler once a request is over the limit, even behind async onSend hooks', async () => {
+    const app = Fastify()
+    await app.register(rateLimit, { redis: memoryRedis(), policies })
+    const handler = vi.fn(async () => ({ ok: true }))
+    // Like the deprecated /api alias: a scope-wide and a route-level async onSend
+    app.addHook('onSend', async (request, reply, payload) => payload)
+    app.get('/api/catalog', {
+      config: { rateLimit: 'tight' },
+      onSend: async (request, reply, payload) => payload
+    }, handler)
+    await app.ready()
+
+    await app.inject({ method: 'GET', url: '/api/catalog' })
+    await app.inject({ method: 'GET', url: '/api/catalog' })
+    expect(handler).toHaveBeenCalledTimes(2)
+
+    const response = await app.inject({ method: 'GET', url: '/api/catalog' })
+    expect(response.statusCode).toBe(429)
+    await new Promise(resolve => setImmediate(resolve))
+    expect(handler).toHaveBeenCalledTimes(2)
+    await app.close()
+  })
+
+  it('leaves opted-out routes and routes without a policy alone', async () => {
+    const app = await buildTestApp()
+
+    const optedOut = await app.inject({ method: 'GET', url: '/api/go' })
+    expect(optedOut.headers['ratelimit-limit']).toBeUndefined()
+
+    const unlisted = await app.inject({ method: 'GET', url: '/health' })
+    expect(unlisted.headers['ratelimit-limit']).toBeUndefined()
+    await app.close()
+  })
+
+  it('counts a HEAD request once', async () => {
+    const redis = memoryRedis()
+    const app = await buildTestApp({ redis })
+    await app.inject({ method: 'HEAD', url: '/api/items' })
+
+    expect([...redis.store.values()]).toEqual([1])
+    await app.close()
+  })
+
+  it('lets requests through when Redis fails', async () => {
+    const redis = { multi: () => { throw new Error('connection refused') } }
+    const app = await buildTestApp({ redis })
+    const response = await app.inject({ method: 'GET', url: '/api/items' })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['ratelimit-limit']).toBeUndefined()
+    await app.close()
+  })
+
+  it('refuses a route naming an unknown policy', async () => {
+    const app = Fastify()
+    await app.register(rateLimit, { redis: memoryRedis(), policies })
+    expect(() => app.get('/x', { config: { rateLimit: 'nope' } }, async () => ({}))).toThrow('nope')
+    await app.close()
+  })
+
+  it('does nothing when disabled, while fastify.rateLimit() always allows', async () => {
+    const redis = { multi: vi.fn() }
+    const app = await buildTestApp({ redis, enabled: false })
+    const response = await app.inject({ method: 'POST', url: '/api/login' })
+
+    expect(response.headers['ratelimit-limit']).toBeUndefined()
+    expect(await app.rateLimit(makeRequest(), 'tight')).toEqual({ allowed: true })
+    expect(redis.multi).not.toHaveBeenCalled()
+    await app.close()
+  })
+
+  it('exposes fastify.rateLimit() for routes that count without refusing', async () => {
+    const app = await buildTestApp()
+    const request = makeRequest()
+
+    expect(await app.rateLimit(request, 'tight')).toMatchObject({ allowed: true, remaining: 1 })
+    await app.rateLimit(request, 'tight')
+    expect(await app.rateLimit(request, 'tight')).toMatchObject({ allowed: false })
+    await app.close()
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { pickDiverse, PLATFORM_PENALTY } from '../src/utils/related.js'
+
+const candidate = (id, platform, score) => ({ id, platform, score })
+
+describe('pickDiverse', () => {
+  it('returns at most limit products', () => {
+    const pool = [candidate('a', 'DHGATE', 5), candidate('b', 'WISH', 4), candidate('c', 'AMAZON', 3)]
+    expect(pickDiverse(pool, 2)).toHaveLength(2)
+  })
+
+  it('returns everything when the pool is smaller than limit', () => {
+    expect(pickDiverse([candidate('a', 'DHGATE', 1)], 8)).toHaveLength(1)
+    expect(pickDiverse([], 8)).toEqual([])
+  })
+
+  it('keeps score order when platforms are already mixed', () => {
+    const pool = [candidate('a', 'DHGATE', 9), candidate('b', 'WISH', 6), candidate('c', 'AMAZON', 3)]
+    expect(pickDiverse(pool, 3).map(p => p.id)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('promotes another platform over a close same-platform candidate', () => {
+    const pool = [
+      candidate('a', 'DHGATE', 6),
+      candidate('b', 'DHGATE', 6),
+      candidate('c', 'ALIEXPRESS', 6 - PLATFORM_PENALTY + 0.5)
+    ]
+    expect(pickDiverse(pool, 2).map(p => p.id)).toEqual(['a', 'c'])
+  })
+
+  it('does not promote a much weaker match just for diversity', () => {
+    const pool = [candidate('a', 'DHGATE', 9), candidate('b', 'DHGATE', 9), candidate('c', 'WISH', 1)]
+    expect(pickDiverse(pool, 2).map(p => p.id)).toEqual(['a', 'b'])
+  })
+
+  it('does not mutate the candidate list', () => {
+    const pool = [candidate('a', 'DHGATE', 2), candidate('b', 'WISH', 1)]
+    pickDiverse(pool, 1)
+    expect(pool).toHaveLength(2)
+  })
+})
@@ -93,4 +93,22 @@ describe('attachRelations', () => {
     expect(result[0].category?.name).toBe('Swords')
     expect(result[1].category?.name).toBe('Shields')
   })
+
+  it('queries and attaches only the included relations', async () => {
+    const sql = makeSql({ 'from categories': [{ id: 'c1', name: 'Swords' }] })
+    const result = await attachRelations(sql, [makeProduct()], { include: ['category'] })
+
+    expect(result[0].category).toEqual({ id: 'c1', name: 'Swords' })
+    expect(result[0]).not.toHaveProperty('affiliateLinks')
+    expect(result[0]).not.toHaveProperty('_count')
+    const queries = sql.mock.calls.filter(([s]) => s != null && 'raw' in s).map(([s]) => String(s[0]))
+    expect(queries.some(q => q.includes('affiliate_links') || q.includes('from reviews'))).toBe(false)
+  })
+
+  it('runs no queries when include is empty', async () => {
+    const sql = makeSql()
+    const result = await attachRelations(sql, [makeProduct()], { include: [] })
+    expect(result).toEqual([makeProduct()])
+    expect(sql).not.toHaveBeenCalled()
+  })
 })
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+describe('GET /api/reviews/featured', () => {
+  it('returns featured reviews with a compact product card', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/reviews/featured' })
+
+    expect(response.statusCode).toBe(200)
+    const body = JSON.parse(response.body)
+    expect(body.pagination).toMatchObject({ page: 1, limit: 10 })
+    body.reviews.forEach(review => {
+      expect(review).toHaveProperty('rating')
+      expect(review).toHaveProperty('content')
+      expect(review.product).toHaveProperty('id')
+      expect(review.product).toHaveProperty('title')
+      expect(review.product.category).toHaveProperty('slug')
+      expect(review.product).toHaveProperty('affiliateLink')
+    })
+  })
+
+  it('paginates', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/reviews/featured?page=2&limit=1' })
+    const body = JSON.parse(response.body)
+
+    expect(body.pagination.page).toBe(2)
+    expect(body.reviews.length).toBeLessThanOrEqual(1)
+  })
+
+  it('filters by category', async () => {
+    const first = JSON.parse((await app.inject({ method: 'GET', url: '/api/reviews/featured?limit=1' })).body)
+    const [review] = first.reviews
+    if (!review) return
+
+    const categoryId = review.product.category.id
+    const response = await app.inject({ method: 'GET', url: `/api/reviews/featured?categoryId=${categoryId}` })
+    JSON.parse(response.body).reviews.forEach(r => {
+      expect(r.product.category.id).toBe(categoryId)
+    })
+  })
+
+  it('sets an ETag', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/reviews/featured' })
+    expect(response.headers.etag).toBeDefined()
+  })
+
+  it('returns 400 for a non-uuid categoryId', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/reviews/featured?categoryId=pride' })
+    expect(response.statusCode).toBe(400)
+  })
+})
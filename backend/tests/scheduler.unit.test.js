@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createScheduler } from '../src/workers/scheduler.js'
+
+const logger = { info: vi.fn(), error: vi.fn() }
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('createScheduler', () => {
+  it('runs each job at start and then on its interval', async () => {
+    vi.useFakeTimers()
+    const run = vi.fn().mockResolvedValue({ ok: true })
+    const scheduler = createScheduler({ jobs: [{ name: 'tick', everyMs: 1000, run }], logger })
+
+    scheduler.start()
+    expect(run).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(2000)
+    expect(run).toHaveBeenCalledTimes(3)
+
+    await scheduler.stop()
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(run).toHaveBeenCalledTimes(3)
+  })
+
+  it('skips a tick while the previous run is still in progress', async () => {
+    let finish
+    const run = vi.fn(() => new Promise(resolve => { finish = resolve }))
+    const scheduler = createScheduler({ jobs: [{ name: 'slow', everyMs: 1000, run }], logger })
+
+    const first = scheduler.runNow('slow')
+    scheduler.runNow('slow')
+    expect(run).toHaveBeenCalledTimes(1)
+
+    finish()
+    await first
+    scheduler.runNow('slow')
+    expect(run).toHaveBeenCalledTimes(2)
+    finish()
+  })
+
+  it('reports failures to onError and keeps going', async () => {
+    const error = new Error('boom')
+    const onError = vi.fn()
+    const job = { name: 'flaky', everyMs: 1000, run: vi.fn().mockRejectedValue(error) }
+    const scheduler = createScheduler({ jobs: [job], logger, onError })
+
+    await expect(scheduler.runNow('flaky')).resolves.toBeUndefined()
+    expect(onError).toHaveBeenCalledWith(error, job)
+  })
+
+  it('throws for an unknown job', async () => {
+    const scheduler = createScheduler({ jobs: [], logger })
+    await expect(scheduler.runNow('missing')).rejects.toThrow(/Unknown job/)
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { buildApp } from '../src/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await buildApp({ logger: false })
+})
+
+afterAll(async () => {
+  await app.close()
+})
+
+describe('GET /api/search/suggest', () => {
+  it('returns suggestions grouped by type', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/search/suggest?q=pride' })
+
+    expect(response.statusCode).toBe(200)
+    const data = JSON.parse(response.body)
+    expect(data.query).toBe('pride')
+    expect(Array.isArray(data.products)).toBe(true)
+    expect(Array.isArray(data.categories)).toBe(true)
+    expect(Array.isArray(data.tags)).toBe(true)
+    data.products.forEach(p => expect(p.type).toBe('product'))
+    data.categories.forEach(c => expect(c.type).toBe('category'))
+    data.tags.forEach(t => expect(t.type).toBe('tag'))
+  })
+
+  it('matches product titles despite a typo', async () => {
+    const listResponse = await app.inject({ method: 'GET', url: '/api/products?limit=1' })
+    const [product] = JSON.parse(listResponse.body).products
+    const word = product?.title.split(' ').find(w => w.length >= 6)
+    if (!word) return
+
+    // Drop one letter from the middle of a long word
+    const typo = word.slice(0, 3) + word.slice(4)
+    const response = await app.inject({ method: 'GET', url: `/api/search/suggest?q=${encodeURIComponent(typo)}&limit=10` })
+    const data = JSON.parse(response.body)
+
+    expect(data.products.length).toBeGreaterThan(0)
+  })
+
+  it('normalizes the query', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/search/suggest?q=%20%20PRIDE%20%20Flag%20' })
+    expect(JSON.parse(response.body).query).toBe('pride flag')
+  })
+
+  it('respects limit per group', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/search/suggest?q=a&limit=1' })
+    const data = JSON.parse(response.body)
+
+    expect(data.products.length).toBeLessThanOrEqual(1)
+    expect(data.categories.length).toBeLessThanOrEqual(1)
+    expect(data.tags.length).toBeLessThanOrEqual(1)
+  })
+
+  it('sets an ETag and honours If-None-Match', async () => {
+    const first = await app.inject({ method: 'GET', url: '/api/search/suggest?q=pr' })
+    expect(first.headers.etag).toBeDefined()
+
+    const second = await app.inject({
+      method: 'GET',
+      url: '/api/search/suggest?q=pr',
+      headers: { 'if-none-match': first.headers.etag }
+    })
+    expect(second.statusCode).toBe(304)
+  })
+
+  it('returns 400 without a query', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/search/suggest' })
+    expect(response.statusCode).toBe(400)
+  })
+
+  it('returns 400 for a limit above 10', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/search/suggest?q=pride&limit=50' })
+    expect(response.statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest'
+import { normalizeSuggestQuery, suggestTtl, fetchSuggestions } from '../src/utils/searchSuggest.js'
+
+describe('normalizeSuggestQuery', () => {
+  it('trims, collapses whitespace and lowercases', () => {
+    expect(normalizeSuggestQuery('  Pride   FLAG ')).toBe('pride flag')
+  })
+
+  it('reduces whitespace-only input to an empty query', () => {
+    expect(normalizeSuggestQuery('   ')).toBe('')
+  })
+})
+
+describe('suggestTtl', () => {
+  it('caches short prefixes longer than full queries', () => {
+    expect(suggestTtl('pr')).toBeGreaterThan(suggestTtl('pride flag'))
+    expect(suggestTtl('pri')).toBe(suggestTtl('p'))
+  })
+})
+
+describe('fetchSuggestions', () => {
+  it('returns empty groups without querying for an empty query', async () => {
+    const sql = vi.fn()
+    expect(await fetchSuggestions(sql, '')).toEqual({ products: [], categories: [], tags: [] })
+    expect(sql).not.toHaveBeenCalled()
+  })
+
+  it('tags each suggestion with its group type', async () => {
+    const results = [
+      [{ id: 'p1', title: 'Rainbow Flag' }],
+      [{ id: 'c1', name: 'Flags', slug: 'flags' }],
+      [{ name: 'rainbow', productCount: 4 }]
+    ]
+    const sql = vi.fn(async () => results.shift())
+
+    const suggestions = await fetchSuggestions(sql, 'rainbw')
+
+    expect(suggestions.products[0]).toEqual({ type: 'product', id: 'p1', title: 'Rainbow Flag' })
+    expect(suggestions.categories[0].type).toBe('category')
+    expect(suggestions.tags[0]).toEqual({ type: 'tag', name: 'rainbow', productCount: 4 })
+  })
+
+  it('escapes LIKE wildcards in the query', async () => {
+    const sql = vi.fn(async () => [])
+    await fetchSuggestions(sql, '50%_off')
+
+    const [, contains] = sql.mock.calls[0]
+    expect(contains).toBe('%50\\%\\_off%')
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { productSeo, MAX_SEO_REVIEWS } from '../src/utils/seo.js'
+
+const product = {
+  id: 'p1',
+  externalId: 'ext-1',
+  platform: 'AMAZON',
+  title: 'Leather Harness',
+  description: 'Hand-stitched   leather harness.',
+  imageUrl: 'https://img.example.com/h.jpg',
+  price: '49.5',
+  currency: 'USD',
+  status: 'ACTIVE',
+  rating: '4.30',
+  reviewCount: 120
+}
+
+const review = (rating, i = 0) => ({
+  rating,
+  title: `Review ${i}`,
+  content: 'Solid build and comfortable fit.',
+  authorName: 'Swordfighters Team',
+  createdAt: new Date('2026-01-01T00:00:00Z')
+})
+
+describe('productSeo', () => {
+  it('builds a Product with one Offer per affiliate link', () => {
+    const { jsonLd } = productSeo(product, {
+      category: { name: 'Gear' },
+      links: [{ trackedUrl: 'https://dub.sh/a' }, { trackedUrl: 'https://dub.sh/b' }]
+    })
+
+    expect(jsonLd['@type']).toBe('Product')
+    expect(jsonLd.category).toBe('Gear')
+    expect(jsonLd.description).toBe('Hand-stitched leather harness.')
+    expect(jsonLd.offers.map(o => o.url)).toEqual(['https://dub.sh/a', 'https://dub.sh/b'])
+    expect(jsonLd.offers[0]).toMatchObject({ price: '49.50', priceCurrency: 'USD', availability: 'https://schema.org/InStock' })
+  })
+
+  it('falls back to the product page as the offer URL', () => {
+    const seo = productSeo({ ...product, status: 'INACTIVE' }, {})
+    expect(seo.jsonLd.offers.url).toBe(seo.canonicalUrl)
+    expect(seo.jsonLd.offers.availability).toBe('https://schema.org/OutOfStock')
+  })
+
+  it('rates from editorial reviews when there are any', () => {
+    const reviews = Array.from({ length: MAX_SEO_REVIEWS + 2 }, (_, i) => review(i % 2 ? 4 : 5, i))
+    const { jsonLd } = productSeo(product, { reviews })
+
+    expect(jsonLd.aggregateRating).toMatchObject({ ratingValue: 4.5, reviewCount: MAX_SEO_REVIEWS + 2 })
+    expect(jsonLd.review).toHaveLength(MAX_SEO_REVIEWS)
+    expect(jsonLd.review[0].reviewRating.ratingValue).toBe(5)
+  })
+
+  it('falls back to the marketplace rating, or none', () => {
+    expect(productSeo(product, {}).jsonLd.aggregateRating).toMatchObject({ ratingValue: 4.3, reviewCount: 120 })
+    expect(productSeo({ ...product, rating: null }, {}).jsonLd).not.toHaveProperty('aggregateRating')
+  })
+
+  it('truncates long descriptions and picks the twitter card by image', () => {
+    const seo = productSeo({ ...product, description: 'x'.repeat(500), imageUrl: '' }, {})
+    expect(seo.description.length).toBe(200)
+    expect(seo.twitter.card).toBe('summary')
+    expect(seo.jsonLd).not.toHaveProperty('image')
+  })
+})
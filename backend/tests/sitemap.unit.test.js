@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  escapeXml,
+  siteUrl,
+  renderUrlset,
+  renderSitemapIndex,
+  renderAtomFeed
+} from '../src/utils/sitemap.js'
+
+const ORIGINAL_FRONTEND_URL = process.env.FRONTEND_URL
+
+afterEach(() => {
+  if (ORIGINAL_FRONTEND_URL === undefined) delete process.env.FRONTEND_URL
+  else process.env.FRONTEND_URL = ORIGINAL_FRONTEND_URL
+})
+
+describe('escapeXml', () => {
+  it('escapes the five XML special characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+  })
+})
+
+describe('siteUrl', () => {
+  it('uses FRONTEND_URL without a trailing slash', () => {
+    process.env.FRONTEND_URL = 'https://shop.example.com/'
+    expect(siteUrl()).toBe('https://shop.example.com')
+  })
+
+  it('falls back to the local storefront', () => {
+    delete process.env.FRONTEND_URL
+    expect(siteUrl()).toBe('http://localhost:3000')
+  })
+})
+
+describe('renderUrlset', () => {
+  it('renders one <url> per entry with an optional ISO lastmod', () => {
+    const xml = renderUrlset([
+      { loc: 'https://shop.example.com/' },
+      { loc: 'https://shop.example.com/?category=a&b', lastmod: '2026-01-02T03:04:05Z' }
+    ])
+    expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')
+    expect(xml).toContain('<url><loc>https://shop.example.com/</loc></url>')
+    expect(xml).toContain('<loc>https://shop.example.com/?category=a&amp;b</loc><lastmod>2026-01-02T03:04:05.000Z</lastmod>')
+  })
+})
+
+describe('renderSitemapIndex', () => {
+  it('renders one <sitemap> per chunk', () => {
+    const xml = renderSitemapIndex([
+      { loc: 'https://shop.example.com/sitemaps/1.xml' },
+      { loc: 'https://shop.example.com/sitemaps/2.xml' }
+    ])
+    expect(xml).toContain('<sitemapindex')
+    expect(xml.match(/<sitemap>/g)).toHaveLength(2)
+  })
+})
+
+describe('renderAtomFeed', () => {
+  const feed = {
+    id: 'https://shop.example.com/feeds/new.atom',
+    title: 'New products',
+    selfUrl: 'https://shop.example.com/feeds/new.atom',
+    alternateUrl: 'https://shop.example.com/',
+    updated: '2026-01-02T00:00:00Z',
+    entries: [{
+      id: 'urn:uuid:1',
+      title: 'Rainbow <Socks>',
+      link: 'https://shop.example.com/products/1',
+      published: '2026-01-01T00:00:00Z',
+      updated: '2026-01-02T00:00:00Z',
+      imageUrl: 'https://img.example.com/1.jpg',
+      category: { name: 'Socks & More', slug: 'socks' },
+      summaryHtml: '<p>$9.99</p>'
+    }]
+  }
+
+  it('renders feed metadata and entries with escaped text', () => {
+    const xml = renderAtomFeed(feed)
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">')
+    expect(xml).toContain('<link rel="self" type="application/atom+xml" href="https://shop.example.com/feeds/new.atom"/>')
+    expect(xml).toContain('<updated>2026-01-02T00:00:00.000Z</updated>')
+    expect(xml).toContain('<title>Rainbow &lt;Socks&gt;</title>')
+    expect(xml).toContain('<link rel="enclosure" href="https://img.example.com/1.jpg"/>')
+    expect(xml).toContain('<category term="socks" label="Socks &amp; More"/>')
+    expect(xml).toContain('<summary type="html">&lt;p&gt;$9.99&lt;/p&gt;</summary>')
+  })
+
+  it('omits the enclosure when there is no image', () => {
+    const xml = renderAtomFeed({ ...feed, entries: [{ ...feed.entries[0], imageUrl: null }] })
+    expect(xml).not.toContain('enclosure')
+  })
+})
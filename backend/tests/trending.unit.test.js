@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  TRENDING_WINDOWS,
+  pickTrending,
+  refreshTrending,
+  readTrending,
+  storeTrending
+} from '../src/utils/trending.js'
+
+const entry = (productId, categoryId, score) => ({ productId, categoryId, clicks: 1, score })
+
+function fakeRedis() {
+  const store = new Map()
+  return {
+    store,
+    setex: vi.fn(async (key, ttl, value) => { store.set(key, value) }),
+    get: vi.fn(async (key) => store.get(key) ?? null)
+  }
+}
+
+describe('pickTrending', () => {
+  const entries = [entry('a', 'c1', 9), entry('b', 'c2', 7), entry('c', 'c1', 5), entry('d', 'c1', 2)]
+
+  it('keeps snapshot order and applies the limit', () => {
+    expect(pickTrending(entries, { limit: 2 }).map(e => e.productId)).toEqual(['a', 'b'])
+  })
+
+  it('filters to one category before limiting', () => {
+    expect(pickTrending(entries, { categoryId: 'c1', limit: 2 }).map(e => e.productId)).toEqual(['a', 'c'])
+  })
+
+  it('returns nothing for a category without clicks', () => {
+    expect(pickTrending(entries, { categoryId: 'c9', limit: 5 })).toEqual([])
+  })
+})
+
+describe('trending snapshots', () => {
+  it('round-trips a snapshot through Redis with a TTL', async () => {
+    const redis = fakeRedis()
+    const snapshot = { window: '7d', computedAt: '2026-01-01T00:00:00.000Z', entries: [entry('a', 'c1', 1)] }
+
+    await storeTrending(redis, snapshot)
+
+    expect(redis.setex).toHaveBeenCalledWith('trending:7d', expect.any(Number), expect.any(String))
+    expect(await readTrending(redis, '7d')).toEqual(snapshot)
+    expect(await readTrending(redis, '24h')).toBeNull()
+  })
+
+  it('refreshTrending recomputes every window', async () => {
+    const redis = fakeRedis()
+    const sql = vi.fn(async () => [
+      { productId: 'a', categoryId: 'c1', clicks: 3, score: '2.41421356' }
+    ])
+
+    const counts = await refreshTrending(sql, redis, { logger: { info: () => {} } })
+
+    expect(Object.keys(counts)).toEqual(Object.keys(TRENDING_WINDOWS))
+    expect(sql).toHaveBeenCalledTimes(Object.keys(TRENDING_WINDOWS).length)
+    const stored = await readTrending(redis, '24h')
+    expect(stored.entries).toEqual([{ productId: 'a', categoryId: 'c1', clicks: 3, score: 2.414 }])
+  })
+})
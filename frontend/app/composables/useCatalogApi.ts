@@ -0,0 +1,93 @@
+import type {
+  Collection,
+  CollectionDetail,
+  CompareResult,
+  FeaturedReviewsResult,
+  Product,
+  ProductSeo,
+  SearchSuggestions,
+  TrendingResult,
+  TrendingWindow,
+} from '~/types'
+
+// Catalog endpoints that only the Fastify backend serves (they aggregate
+// across tables in ways the Supabase client can't). Everything else still
+// reads through useSupabaseProducts.
+export const useCatalogApi = () => {
+  const { public: { apiBase } } = useRuntimeConfig()
+
+  // numeric columns arrive as strings from postgres
+  const withNumbers = <T extends Product>(p: T): T => ({
+    ...p,
+    price: Number(p.price),
+    rating: p.rating != null ? Number(p.rating) : undefined,
+  })
+
+  const compareProducts = async (ids: string[]): Promise<CompareResult> => {
+    const data = await $fetch<CompareResult>('/api/v1/products/compare', {
+      baseURL: apiBase,
+      query: { ids: ids.join(',') },
+    })
+
+    return { ...data, products: data.products.map(withNumbers) }
+  }
+
+  const trendingProducts = async (
+    options: { window?: TrendingWindow, categoryId?: string, limit?: number } = {},
+  ): Promise<TrendingResult> => {
+    const data = await $fetch<TrendingResult>('/api/v1/products/trending', {
+      baseURL: apiBase,
+      query: options,
+    })
+
+    return { ...data, products: data.products.map(withNumbers) }
+  }
+
+  const featuredReviews = async (
+    options: { categoryId?: string, page?: number, limit?: number } = {},
+  ): Promise<FeaturedReviewsResult> => {
+    const data = await $fetch<FeaturedReviewsResult>('/api/v1/reviews/featured', {
+      baseURL: apiBase,
+      query: options,
+    })
+
+    return {
+      ...data,
+      reviews: data.reviews.map((r) => ({ ...r, product: { ...r.product, price: Number(r.product.price) } })),
+    }
+  }
+
+  const suggest = async (q: string, options: { limit?: number } = {}): Promise<SearchSuggestions> => {
+    const data = await $fetch<SearchSuggestions>('/api/v1/search/suggest', {
+      baseURL: apiBase,
+      query: { q, limit: options.limit },
+    })
+
+    return {
+      ...data,
+      products: data.products.map((p) => ({ ...p, price: Number(p.price) })),
+    }
+  }
+
+  const productSeo = (id: string): Promise<ProductSeo> =>
+    $fetch<ProductSeo>(`/api/v1/products/${encodeURIComponent(id)}/seo`, { baseURL: apiBase })
+
+  const collections = async (): Promise<Collection[]> => {
+    const data = await $fetch<{ collections: Collection[] }>('/api/v1/collections', { baseURL: apiBase })
+    return data.collections
+  }
+
+  const collection = async (
+    slug: string,
+    options: { page?: number, limit?: number } = {},
+  ): Promise<CollectionDetail> => {
+    const data = await $fetch<CollectionDetail>(`/api/v1/collections/${encodeURIComponent(slug)}`, {
+      baseURL: apiBase,
+      query: options,
+    })
+
+    return { ...data, products: data.products.map(withNumbers) }
+  }
+
+  return { compareProducts, trendingProducts, featuredReviews, suggest, productSeo, collections, collection }
+}
@@ -0,0 +1,69 @@
+import { defineStore } from 'pinia'
+import type { Product } from '../types'
+
+// Matches MAX_COMPARE in backend/src/utils/compare.js
+export const MAX_COMPARE = 4
+
+const STORAGE_KEY = 'compareTray'
+
+// Just enough of a product to draw the tray; the compare page fetches the
+// full records from the API.
+export type CompareItem = Pick<Product, 'id' | 'title' | 'imageUrl' | 'price' | 'currency' | 'platform'>
+
+function persist(items: CompareItem[]) {
+  if (typeof window === 'undefined') return
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items))
+}
+
+export const useCompareStore = defineStore('compare', {
+  state: () => ({
+    items: [] as CompareItem[],
+  }),
+
+  getters: {
+    ids: (state) => state.items.map((item) => item.id),
+    isFull: (state) => state.items.length >= MAX_COMPARE,
+    canCompare: (state) => state.items.length >= 2,
+    has: (state) => (id: string) => state.items.some((item) => item.id === id),
+  },
+
+  actions: {
+    // Client-only: call from onMounted so SSR markup matches the first render
+    restore() {
+      if (typeof window === 'undefined') return
+      try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+        this.items = Array.isArray(stored) ? stored.slice(0, MAX_COMPARE) : []
+      } catch {
+        this.items = []
+      }
+    },
+
+    add(product: Product): boolean {
+      if (this.has(product.id)) return true
+      if (this.isFull) return false
+      const { id, title, imageUrl, price, currency, platform } = product
+      this.items.push({ id, title, imageUrl, price, currency, platform })
+      persist(this.items)
+      return true
+    },
+
+    remove(id: string) {
+      this.items = this.items.filter((item) => item.id !== id)
+      persist(this.items)
+    },
+
+    toggle(product: Product): boolean {
+      if (this.has(product.id)) {
+        this.remove(product.id)
+        return true
+      }
+      return this.add(product)
+    },
+
+    clear() {
+      this.items = []
+      persist(this.items)
+    },
+  },
+})
@@ -15,6 +15,7 @@ export const useFilterStore = defineStore('filters', {
       if (state.minPrice > 0) count++
       if (state.maxPrice < 500) count++
       if (state.minRating > 0) count++
+      if (state.tag) count++
       return count
     },
 
@@ -24,7 +25,8 @@ export const useFilterStore = defineStore('filters', {
         state.platform !== '' ||
         state.minPrice > 0 ||
         state.maxPrice < 500 ||
-        state.minRating > 0
+        state.minRating > 0 ||
+        state.tag !== ''
       )
     },
 
@@ -41,6 +43,7 @@ export const useFilterStore = defineStore('filters', {
       if (state.minPrice > 0) filters.minPrice = state.minPrice
       if (state.maxPrice < 500) filters.maxPrice = state.maxPrice
       if (state.minRating > 0) filters.minRating = state.minRating
+      if (state.tag) filters.tag = state.tag
 
       return filters
     },
@@ -64,6 +67,10 @@ export const useFilterStore = defineStore('filters', {
       this.minRating = rating
     },
 
+    setTag(tag: string) {
+      this.tag = tag
+    },
+
     setSorting(sortBy: FilterState['sortBy'], order: 'asc' | 'desc') {
       this.sortBy = sortBy
       this.order = order
@@ -94,6 +101,10 @@ export const useFilterStore = defineStore('filters', {
         this.minRating = parseFloat(query.minRating) || 0
       }
 
+      if (query.tag && typeof query.tag === 'string') {
+        this.tag = query.tag
+      }
+
       if (query.sortBy && typeof query.sortBy === 'string') {
         this.sortBy = query.sortBy as FilterState['sortBy']
       }
@@ -111,6 +122,7 @@ export const useFilterStore = defineStore('filters', {
       if (this.minPrice > 0) params.minPrice = this.minPrice.toString()
       if (this.maxPrice < 500) params.maxPrice = this.maxPrice.toString()
       if (this.minRating > 0) params.minRating = this.minRating.toString()
+      if (this.tag) params.tag = this.tag
       if (this.sortBy !== 'createdAt') params.sortBy = this.sortBy
       if (this.order !== 'desc') params.order = this.order
 
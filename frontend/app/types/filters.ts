@@ -6,6 +6,7 @@ export interface FilterState {
   minPrice: number
   maxPrice: number
   minRating: number
+  tag: string
   sortBy: 'createdAt' | 'price' | 'rating' | 'title'
   order: 'asc' | 'desc'
 }
@@ -21,6 +22,7 @@ export const DEFAULT_FILTER_STATE: FilterState = {
   minPrice: 0,
   maxPrice: 500,
   minRating: 0,
+  tag: '',
   sortBy: 'createdAt',
   order: 'desc',
 }
@@ -86,5 +86,150 @@ export interface Pagination {
   pages: number
 }
 
+// GET /api/v1/products/compare
+export interface ReviewSummary {
+  count: number
+  averageRating: number | null
+  pros: string[]
+  cons: string[]
+}
+
+export interface CompareProduct extends Product {
+  reviewSummary: ReviewSummary
+}
+
+export interface CompareAttribute {
+  key: string
+  label: string
+  values: (string | null)[]
+  differs: boolean
+}
+
+export interface CompareResult {
+  products: CompareProduct[]
+  attributes: CompareAttribute[]
+  missing: string[]
+}
+
+// GET /api/v1/products/trending
+export type TrendingWindow = '24h' | '7d' | '30d'
+
+export interface TrendingProduct extends Product {
+  trending: {
+    clicks: number
+    score: number
+  }
+}
+
+export interface TrendingResult {
+  window: TrendingWindow
+  computedAt: string
+  products: TrendingProduct[]
+}
+
+// GET /api/v1/reviews/featured
+export interface FeaturedReview {
+  id: string
+  rating: number
+  title: string | null
+  content: string
+  pros: string[]
+  cons: string[]
+  authorName: string
+  createdAt: string
+  product: {
+    id: string
+    title: string
+    imageUrl: string
+    price: number
+    currency: string
+    platform: Platform
+    category: Pick<Category, 'id' | 'name' | 'slug'>
+    affiliateLink: Pick<AffiliateLink, 'id' | 'trackedUrl'> | null
+  }
+}
+
+export interface FeaturedReviewsResult {
+  reviews: FeaturedReview[]
+  pagination: Pagination
+}
+
+// GET /api/v1/search/suggest
+export interface ProductSuggestion {
+  type: 'product'
+  id: string
+  title: string
+  imageUrl: string
+  price: number
+  currency: string
+}
+
+export interface CategorySuggestion {
+  type: 'category'
+  id: string
+  name: string
+  slug: string
+}
+
+export interface TagSuggestion {
+  type: 'tag'
+  name: string
+  productCount: number
+}
+
+export type SearchSuggestion = ProductSuggestion | CategorySuggestion | TagSuggestion
+
+export interface SearchSuggestions {
+  query: string
+  products: ProductSuggestion[]
+  categories: CategorySuggestion[]
+  tags: TagSuggestion[]
+}
+
+// GET /api/v1/collections
+export interface Collection {
+  id: string
+  slug: string
+  label: string
+  blurb: string
+  heroImageUrl: string | null
+  tags: string[]
+  startsAt: string | null
+  endsAt: string | null
+  sortOrder: number
+}
+
+export interface CollectionDetail {
+  collection: Collection
+  products: Product[]
+  pagination: Pagination
+}
+
+// GET /api/v1/products/:id/seo
+export interface ProductSeo {
+  canonicalUrl: string
+  title: string
+  description: string
+  image: string | null
+  openGraph: {
+    type: 'product'
+    siteName: string
+    title: string
+    description: string
+    url: string
+    image: string | null
+    priceAmount: string
+    priceCurrency: string
+  }
+  twitter: {
+    card: 'summary' | 'summary_large_image'
+    title: string
+    description: string
+    image: string | null
+  }
+  // schema.org Product, injected verbatim as application/ld+json
+  jsonLd: Record<string, unknown>
+}
+
 // Re-export filter types
 export * from './filters'
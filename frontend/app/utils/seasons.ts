@@ -1,8 +1,9 @@
-// Seasonal recommendations
+// Calendar seasons
 //
-// Products carry free-form `tags` (see migration 001). We reserve a small
-// set of well-known tags for seasonal programming so the home page and
-// /seasonal/[season] can surface "right now" picks without a schema change.
+// Seasonal collections now live in the database (migration 013) and
+// /seasonal/[season] renders them from /api/v1/collections. This calendar only
+// picks the header link when no scheduled collection is live; its slugs
+// match the collections seeded by that migration.
 
 export interface Season {
   slug: string
@@ -69,7 +70,3 @@ export function getCurrentSeason(date: Date = new Date()): Season {
   const match = SEASON_LIST.find((s) => s.months.includes(month))
   return match ?? SEASONS.summer!
 }
-
-export function getSeason(slug: string): Season | undefined {
-  return SEASONS[slug]
-}
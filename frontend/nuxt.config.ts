@@ -62,7 +62,7 @@ export default defineNuxtConfig({
             "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
             "img-src 'self' https: data:",
             "font-src 'self' data: https://fonts.gstatic.com",
-            "connect-src 'self' http://localhost:* https://*.supabase.co wss://*.supabase.co https://*.sentry.io",
+            `connect-src 'self' http://localhost:* https://*.supabase.co wss://*.supabase.co https://*.sentry.io ${process.env.NUXT_PUBLIC_API_BASE || ''}`.trim(),
             "base-uri 'self'",
             "form-action 'self'",
           ].join('; ')
@@ -70,6 +70,7 @@ export default defineNuxtConfig({
       ],
       link: [
         { rel: 'icon', type: 'image/x-icon', href: '/favicon.ico' },
+        { rel: 'alternate', type: 'application/atom+xml', title: 'New products', href: '/feeds/new.atom' },
         // Dosis variable font (weights 200–800) via Google Fonts
         { rel: 'preconnect', href: 'https://fonts.googleapis.com' },
         { rel: 'preconnect', href: 'https://fonts.gstatic.com', crossorigin: '' },
@@ -91,6 +92,11 @@ export default defineNuxtConfig({
         'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
       },
     },
+    // Sitemap and feeds are generated by the backend; serve them from the
+    // storefront origin so robots.txt and feed readers find them here.
+    '/sitemap.xml': { proxy: `${process.env.NUXT_PUBLIC_API_BASE || 'http://localhost:3001'}/sitemap.xml` },
+    '/sitemaps/**': { proxy: `${process.env.NUXT_PUBLIC_API_BASE || 'http://localhost:3001'}/sitemaps/**` },
+    '/feeds/**': { proxy: `${process.env.NUXT_PUBLIC_API_BASE || 'http://localhost:3001'}/feeds/**` },
   },
 
   vite: {
@@ -1,6 +1,8 @@
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, beforeEach } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
 import { mount } from '@vue/test-utils'
 import ProductCard from '../app/components/ProductCard.vue'
+import { useCompareStore } from '../app/stores/compare'
 import type { Product } from '../app/types'
 
 const NuxtLinkStub = { template: '<a :href="to"><slot /></a>', props: ['to'] }
@@ -33,6 +35,11 @@ const mockProductWithDiscount: Product = {
 }
 
 describe('ProductCard Component', () => {
+  // The compare toggle inside the card reads the compare store
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
   describe('Rendering', () => {
     it('renders product image with correct src and alt', () => {
       const wrapper = mount(ProductCard, { props: { product: mockProduct }, global })
@@ -301,6 +308,36 @@ describe('ProductCard Component', () => {
     })
   })
 
+  // ─── Compare toggle ───────────────────────────────────────────────────────
+
+  describe('Compare toggle', () => {
+    it('adds the product to the compare tray and toggles it back out', async () => {
+      const wrapper = mount(ProductCard, { props: { product: mockProduct }, global })
+      const store = useCompareStore()
+      const toggle = wrapper.find('[aria-label="Add Rainbow Pride Flag to comparison"]')
+      expect(toggle.exists()).toBe(true)
+
+      await toggle.trigger('click')
+      expect(store.ids).toEqual(['product-1'])
+      expect(toggle.attributes('aria-pressed')).toBe('true')
+
+      await toggle.trigger('click')
+      expect(store.ids).toEqual([])
+    })
+
+    it('does not emit card events when toggled', async () => {
+      const wrapper = mount(ProductCard, { props: { product: mockProduct }, global })
+      await wrapper.find('[aria-label="Add Rainbow Pride Flag to comparison"]').trigger('click')
+      expect(wrapper.emitted('add-to-cart')).toBeUndefined()
+      expect(wrapper.emitted('view-details')).toBeUndefined()
+    })
+
+    it('is not rendered in the simple variant', () => {
+      const wrapper = mount(ProductCard, { props: { product: mockProduct, variant: 'simple' }, global })
+      expect(wrapper.find('[aria-pressed]').exists()).toBe(false)
+    })
+  })
+
   // ─── Reactivity ───────────────────────────────────────────────────────────
 
   describe('Reactivity', () => {
@@ -1,55 +1,52 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import SearchBar from '../app/components/SearchBar.vue'
-import type { Product } from '../app/types'
+import type { SearchSuggestions } from '../app/types'
 
-// Mock the useSupabaseProducts composable
-const mockSearchProducts = vi.fn()
-const mockUseSupabaseProducts = vi.fn(() => ({
-  searchProducts: mockSearchProducts,
+// Mock the useCatalogApi composable
+const mockSuggest = vi.fn()
+const mockUseCatalogApi = vi.fn(() => ({
+  suggest: mockSuggest,
 }))
 
 // Set up global mock
-vi.stubGlobal('useSupabaseProducts', mockUseSupabaseProducts)
-
-// Mock product data
-const mockProducts: Product[] = [
-  {
-    id: '1',
-    externalId: 'ext-1',
-    platform: 'DHGATE',
-    title: 'Rainbow Pride Flag',
-    description: 'Large rainbow pride flag',
-    imageUrl: 'https://example.com/flag.jpg',
-    price: 12.99,
-    currency: 'USD',
-    priceUpdatedAt: '2024-01-01T00:00:00Z',
-    categoryId: 'cat-1',
-    status: 'ACTIVE',
-    rating: 4.5,
-    reviewCount: 120,
-    tags: ['pride', 'flag'],
-    createdAt: '2024-01-01T00:00:00Z',
-    updatedAt: '2024-01-01T00:00:00Z',
-  },
-  {
-    id: '2',
-    externalId: 'ext-2',
-    platform: 'ALIEXPRESS',
-    title: 'Pride T-Shirt',
-    description: 'Comfortable pride t-shirt',
-    imageUrl: 'https://example.com/shirt.jpg',
-    price: 19.99,
-    currency: 'USD',
-    priceUpdatedAt: '2024-01-01T00:00:00Z',
-    categoryId: 'cat-2',
-    status: 'ACTIVE',
-    reviewCount: 85,
-    tags: ['pride', 'clothing'],
-    createdAt: '2024-01-01T00:00:00Z',
-    updatedAt: '2024-01-01T00:00:00Z',
-  },
-]
+vi.stubGlobal('useCatalogApi', mockUseCatalogApi)
+
+// Mock suggestion data
+const mockSuggestions: SearchSuggestions = {
+  query: 'pride',
+  products: [
+    {
+      type: 'product',
+      id: '1',
+      title: 'Rainbow Pride Flag',
+      imageUrl: 'https://example.com/flag.jpg',
+      price: 12.99,
+      currency: 'USD',
+    },
+    {
+      type: 'product',
+      id: '2',
+      title: 'Pride T-Shirt',
+      imageUrl: 'https://example.com/shirt.jpg',
+      price: 19.99,
+      currency: 'USD',
+    },
+  ],
+  categories: [
+    { type: 'category', id: 'cat-1', name: 'Pride Gear', slug: 'pride-gear' },
+  ],
+  tags: [
+    { type: 'tag', name: 'pride', productCount: 12 },
+  ],
+}
+
+const noSuggestions: SearchSuggestions = { query: 'nonexistent', products: [], categories: [], tags: [] }
+
+const onlyProducts = (products: SearchSuggestions['products']): SearchSuggestions => ({
+  ...noSuggestions,
+  products,
+})
 
 describe('SearchBar Component', () => {
   beforeEach(() => {
@@ -106,14 +103,11 @@ describe('SearchBar Component', () => {
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      expect(mockSearchProducts).not.toHaveBeenCalled()
+      expect(mockSuggest).not.toHaveBeenCalled()
     })
 
     it('searches when query meets minimum characters', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar, {
         props: {
@@ -127,14 +121,11 @@ describe('SearchBar Component', () => {
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      expect(mockSearchProducts).toHaveBeenCalledWith('pride', { limit: 10 })
+      expect(mockSuggest).toHaveBeenCalledWith('pride', { limit: 5 })
     })
 
     it('debounces search requests', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar, {
         props: {
@@ -151,24 +142,21 @@ describe('SearchBar Component', () => {
       await vi.advanceTimersByTimeAsync(100)
 
       // Should not have called API yet
-      expect(mockSearchProducts).not.toHaveBeenCalled()
+      expect(mockSuggest).not.toHaveBeenCalled()
 
       await vi.advanceTimersByTimeAsync(300)
       await flushPromises()
 
       // Should have called API only once
-      expect(mockSearchProducts).toHaveBeenCalledTimes(1)
+      expect(mockSuggest).toHaveBeenCalledTimes(1)
     })
 
     it('respects maxResults prop', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 5, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar, {
         props: {
-          maxResults: 5,
+          maxResults: 3,
         },
       })
 
@@ -177,14 +165,11 @@ describe('SearchBar Component', () => {
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      expect(mockSearchProducts).toHaveBeenCalledWith('pride', { limit: 5 })
+      expect(mockSuggest).toHaveBeenCalledWith('pride', { limit: 3 })
     })
 
     it('emits search event when search is performed', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -199,10 +184,7 @@ describe('SearchBar Component', () => {
 
   describe('Results Display', () => {
     it('shows dropdown with results after successful search', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -215,14 +197,43 @@ describe('SearchBar Component', () => {
       expect(dropdown.exists()).toBe(true)
 
       const results = dropdown.findAll('button[role="option"]')
-      expect(results).toHaveLength(2)
+      expect(results).toHaveLength(4)
+    })
+
+    it('groups suggestions by type', async () => {
+      mockSuggest.mockResolvedValue(mockSuggestions)
+
+      const wrapper = mount(SearchBar)
+      const input = wrapper.find('input[type="text"]')
+      await input.setValue('pride')
+      await input.trigger('focus')
+      await vi.runAllTimersAsync()
+      await flushPromises()
+
+      const groups = wrapper.findAll('[role="group"]')
+      expect(groups.map((g) => g.attributes('aria-label'))).toEqual(['Products', 'Categories', 'Tags'])
+      expect(groups[1].text()).toContain('Pride Gear')
+      expect(groups[2].text()).toContain('#pride')
+      expect(groups[2].text()).toContain('12 products')
+    })
+
+    it('hides empty groups', async () => {
+      mockSuggest.mockResolvedValue(onlyProducts(mockSuggestions.products))
+
+      const wrapper = mount(SearchBar)
+      const input = wrapper.find('input[type="text"]')
+      await input.setValue('pride')
+      await input.trigger('focus')
+      await vi.runAllTimersAsync()
+      await flushPromises()
+
+      const groups = wrapper.findAll('[role="group"]')
+      expect(groups).toHaveLength(1)
+      expect(groups[0].attributes('aria-label')).toBe('Products')
     })
 
     it('displays product information correctly', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: [mockProducts[0]],
-        pagination: { page: 1, limit: 10, total: 1, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(onlyProducts([mockSuggestions.products[0]]))
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -234,15 +245,10 @@ describe('SearchBar Component', () => {
       const resultText = wrapper.text()
       expect(resultText).toContain('Rainbow Pride Flag')
       expect(resultText).toContain('$12.99')
-      expect(resultText).toContain('DHGATE')
-      expect(resultText).toContain('4.5')
     })
 
     it('shows no results message when search returns empty', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: [],
-        pagination: { page: 1, limit: 10, total: 0, pages: 0 },
-      })
+      mockSuggest.mockResolvedValue(noSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -251,7 +257,7 @@ describe('SearchBar Component', () => {
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      expect(wrapper.text()).toContain('No products found for "nonexistent"')
+      expect(wrapper.text()).toContain('No matches for "nonexistent"')
     })
 
     it('shows loading state during search', async () => {
@@ -259,7 +265,7 @@ describe('SearchBar Component', () => {
       const delayedPromise = new Promise((resolve) => {
         resolvePromise = resolve
       })
-      mockSearchProducts.mockReturnValue(delayedPromise)
+      mockSuggest.mockReturnValue(delayedPromise)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -273,15 +279,12 @@ describe('SearchBar Component', () => {
       expect(spinner.exists()).toBe(true)
 
       // Clean up
-      resolvePromise!({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      resolvePromise!(mockSuggestions)
       await flushPromises()
     })
 
     it('shows error message when search fails', async () => {
-      mockSearchProducts.mockRejectedValue(new Error('Network error'))
+      mockSuggest.mockRejectedValue(new Error('Network error'))
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -303,10 +306,7 @@ describe('SearchBar Component', () => {
 
   describe('Keyboard Navigation', () => {
     it('navigates down with arrow key', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -323,10 +323,7 @@ describe('SearchBar Component', () => {
     })
 
     it('navigates up with arrow key', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -349,10 +346,7 @@ describe('SearchBar Component', () => {
     })
 
     it('selects product with Enter key', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -366,14 +360,11 @@ describe('SearchBar Component', () => {
       await flushPromises()
 
       expect(wrapper.emitted('select')).toBeTruthy()
-      expect(wrapper.emitted('select')?.[0]).toEqual([mockProducts[0]])
+      expect(wrapper.emitted('select')?.[0]).toEqual([mockSuggestions.products[0]])
     })
 
     it('closes dropdown with Escape key', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -391,10 +382,7 @@ describe('SearchBar Component', () => {
     })
 
     it('does not navigate beyond list boundaries', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -410,23 +398,20 @@ describe('SearchBar Component', () => {
       const results = wrapper.findAll('button[role="option"]')
       expect(results.every((r) => !r.classes().includes('bg-blue-50'))).toBe(true)
 
-      // Navigate to end
-      await input.trigger('keydown', { key: 'ArrowDown' })
-      await input.trigger('keydown', { key: 'ArrowDown' })
-      await input.trigger('keydown', { key: 'ArrowDown' })
+      // Navigate past the end, across all groups
+      for (let i = 0; i < 6; i++) {
+        await input.trigger('keydown', { key: 'ArrowDown' })
+      }
       await flushPromises()
 
       // Should stay at last item
-      expect(results[1].classes()).toContain('bg-blue-50')
+      expect(results[3].classes()).toContain('bg-blue-50')
     })
   })
 
   describe('User Interactions', () => {
     it('selects product on click', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -440,7 +425,25 @@ describe('SearchBar Component', () => {
       await flushPromises()
 
       expect(wrapper.emitted('select')).toBeTruthy()
-      expect(wrapper.emitted('select')?.[0]).toEqual([mockProducts[0]])
+      expect(wrapper.emitted('select')?.[0]).toEqual([mockSuggestions.products[0]])
+    })
+
+    it('selects a tag suggestion and fills the input with its name', async () => {
+      mockSuggest.mockResolvedValue(mockSuggestions)
+
+      const wrapper = mount(SearchBar)
+      const input = wrapper.find('input[type="text"]')
+      await input.setValue('prid')
+      await input.trigger('focus')
+      await vi.runAllTimersAsync()
+      await flushPromises()
+
+      const results = wrapper.findAll('button[role="option"]')
+      await results[3].trigger('click')
+      await flushPromises()
+
+      expect(wrapper.emitted('select')?.[0]).toEqual([mockSuggestions.tags[0]])
+      expect((input.element as HTMLInputElement).value).toBe('pride')
     })
 
     it('clears search when clear button is clicked', async () => {
@@ -483,10 +486,7 @@ describe('SearchBar Component', () => {
     })
 
     it('updates aria-expanded when dropdown opens', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -499,10 +499,7 @@ describe('SearchBar Component', () => {
     })
 
     it('has proper role attributes on dropdown and items', async () => {
-      mockSearchProducts.mockResolvedValue({
-        products: mockProducts,
-        pagination: { page: 1, limit: 10, total: 2, pages: 1 },
-      })
+      mockSuggest.mockResolvedValue(mockSuggestions)
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -530,16 +527,13 @@ describe('SearchBar Component', () => {
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      expect(mockSearchProducts).not.toHaveBeenCalled()
+      expect(mockSuggest).not.toHaveBeenCalled()
       expect(wrapper.find('#search-results').exists()).toBe(false)
     })
 
     it('handles products without images', async () => {
-      const productWithoutImage = { ...mockProducts[0], imageUrl: '' }
-      mockSearchProducts.mockResolvedValue({
-        products: [productWithoutImage],
-        pagination: { page: 1, limit: 10, total: 1, pages: 1 },
-      })
+      const productWithoutImage = { ...mockSuggestions.products[0], imageUrl: '' }
+      mockSuggest.mockResolvedValue(onlyProducts([productWithoutImage]))
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
@@ -552,22 +546,18 @@ describe('SearchBar Component', () => {
       expect(placeholder.exists()).toBe(true)
     })
 
-    it('handles products without ratings', async () => {
-      const productWithoutRating = { ...mockProducts[0], rating: undefined }
-      mockSearchProducts.mockResolvedValue({
-        products: [productWithoutRating],
-        pagination: { page: 1, limit: 10, total: 1, pages: 1 },
-      })
+    it('handles a tag used by one product', async () => {
+      mockSuggest.mockResolvedValue({ ...noSuggestions, tags: [{ type: 'tag', name: 'leather', productCount: 1 }] })
 
       const wrapper = mount(SearchBar)
       const input = wrapper.find('input[type="text"]')
-      await input.setValue('test')
+      await input.setValue('leath')
       await input.trigger('focus')
       await vi.runAllTimersAsync()
       await flushPromises()
 
-      const rating = wrapper.find('.text-yellow-400')
-      expect(rating.exists()).toBe(false)
+      expect(wrapper.find('#search-results').text()).toContain('1 product')
+      expect(wrapper.find('#search-results').text()).not.toContain('1 products')
     })
   })
 })
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useCompareStore, MAX_COMPARE } from '../app/stores/compare'
+import type { Product } from '../app/types'
+
+const makeProduct = (id: string): Product => ({
+  id,
+  externalId: `ext-${id}`,
+  platform: 'DHGATE',
+  title: `Product ${id}`,
+  description: '',
+  imageUrl: `https://example.com/${id}.jpg`,
+  price: 10,
+  currency: 'USD',
+  priceUpdatedAt: '2025-01-01T00:00:00Z',
+  categoryId: 'cat-1',
+  status: 'ACTIVE',
+  reviewCount: 0,
+  tags: [],
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-01-01T00:00:00Z',
+})
+
+describe('Compare Store', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setActivePinia(createPinia())
+  })
+
+  // ─── Adding and removing ────────────────────────────────────────────────────
+
+  it('starts empty', () => {
+    const store = useCompareStore()
+    expect(store.items).toEqual([])
+    expect(store.canCompare).toBe(false)
+  })
+
+  it('adds a trimmed snapshot of the product', () => {
+    const store = useCompareStore()
+    store.add(makeProduct('a'))
+    expect(store.items[0]).toEqual({
+      id: 'a',
+      title: 'Product a',
+      imageUrl: 'https://example.com/a.jpg',
+      price: 10,
+      currency: 'USD',
+      platform: 'DHGATE',
+    })
+  })
+
+  it('ignores duplicates', () => {
+    const store = useCompareStore()
+    store.add(makeProduct('a'))
+    expect(store.add(makeProduct('a'))).toBe(true)
+    expect(store.ids).toEqual(['a'])
+  })
+
+  it(`refuses more than ${MAX_COMPARE} products`, () => {
+    const store = useCompareStore()
+    for (let i = 0; i < MAX_COMPARE; i++) store.add(makeProduct(String(i)))
+    expect(store.isFull).toBe(true)
+    expect(store.add(makeProduct('extra'))).toBe(false)
+    expect(store.items).toHaveLength(MAX_COMPARE)
+  })
+
+  it('can compare once two products are added', () => {
+    const store = useCompareStore()
+    store.add(makeProduct('a'))
+    store.add(makeProduct('b'))
+    expect(store.canCompare).toBe(true)
+  })
+
+  it('toggle adds then removes', () => {
+    const store = useCompareStore()
+    store.toggle(makeProduct('a'))
+    expect(store.has('a')).toBe(true)
+    store.toggle(makeProduct('a'))
+    expect(store.has('a')).toBe(false)
+  })
+
+  it('clear empties the tray', () => {
+    const store = useCompareStore()
+    store.add(makeProduct('a'))
+    store.clear()
+    expect(store.items).toEqual([])
+  })
+
+  // ─── Persistence ────────────────────────────────────────────────────────────
+
+  it('persists the tray and restores it in a new session', () => {
+    const store = useCompareStore()
+    store.add(makeProduct('a'))
+    store.add(makeProduct('b'))
+    store.remove('a')
+
+    setActivePinia(createPinia())
+    const restored = useCompareStore()
+    restored.restore()
+    expect(restored.ids).toEqual(['b'])
+  })
+
+  it('restores an empty tray from corrupt storage', () => {
+    localStorage.setItem('compareTray', '{not json')
+    const store = useCompareStore()
+    store.restore()
+    expect(store.items).toEqual([])
+  })
+})
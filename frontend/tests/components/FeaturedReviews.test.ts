@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import FeaturedReviews from '../../app/components/FeaturedReviews.vue'
+import type { FeaturedReview } from '../../app/types'
+
+const mockFeaturedReviews = vi.fn()
+vi.stubGlobal('useCatalogApi', () => ({ featuredReviews: mockFeaturedReviews }))
+
+const NuxtLinkStub = {
+  name: 'NuxtLink',
+  template: '<a :href="to"><slot /></a>',
+  props: ['to'],
+}
+
+const makeReview = (id: string, withLink = true): FeaturedReview => ({
+  id,
+  rating: 4,
+  title: `Review ${id}`,
+  content: `Content for review ${id}`,
+  pros: [],
+  cons: [],
+  authorName: 'Swordfighters Team',
+  createdAt: '2025-01-01T00:00:00Z',
+  product: {
+    id: `product-${id}`,
+    title: `Product ${id}`,
+    imageUrl: `https://example.com/${id}.jpg`,
+    price: 24.5,
+    currency: 'USD',
+    platform: 'AMAZON',
+    category: { id: 'cat-1', name: 'Apparel', slug: 'apparel' },
+    affiliateLink: withLink ? { id: `link-${id}`, trackedUrl: `https://dub.sh/${id}` } : null,
+  },
+})
+
+const mountReviews = (props = {}) =>
+  mount(FeaturedReviews, { props, global: { stubs: { NuxtLink: NuxtLinkStub } } })
+
+const resolveWith = (reviews: FeaturedReview[]) =>
+  mockFeaturedReviews.mockResolvedValue({
+    reviews,
+    pagination: { page: 1, limit: 6, total: reviews.length, pages: 1 },
+  })
+
+describe('FeaturedReviews', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('shows the first review with its product card', async () => {
+    resolveWith([makeReview('a'), makeReview('b')])
+
+    const wrapper = mountReviews()
+    await flushPromises()
+
+    expect(wrapper.text()).toContain('Review a')
+    expect(wrapper.text()).toContain('Product a')
+    expect(wrapper.text()).toContain('$24.50')
+    expect(wrapper.find('a[rel="sponsored noopener"]').attributes('href')).toBe('https://dub.sh/a')
+  })
+
+  it('rotates to the next review on an interval', async () => {
+    resolveWith([makeReview('a'), makeReview('b')])
+
+    const wrapper = mountReviews({ intervalMs: 1000 })
+    await flushPromises()
+    await vi.advanceTimersByTimeAsync(1000)
+
+    expect(wrapper.text()).toContain('Review b')
+
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(wrapper.text()).toContain('Review a')
+  })
+
+  it('pauses rotation while hovered', async () => {
+    resolveWith([makeReview('a'), makeReview('b')])
+
+    const wrapper = mountReviews({ intervalMs: 1000 })
+    await flushPromises()
+    await wrapper.find('section').trigger('mouseenter')
+    await vi.advanceTimersByTimeAsync(3000)
+
+    expect(wrapper.text()).toContain('Review a')
+  })
+
+  it('navigates with the previous/next buttons and dots', async () => {
+    resolveWith([makeReview('a'), makeReview('b'), makeReview('c')])
+
+    const wrapper = mountReviews()
+    await flushPromises()
+
+    await wrapper.find('button[aria-label="Previous review"]').trigger('click')
+    expect(wrapper.text()).toContain('Review c')
+
+    await wrapper.find('button[aria-label="Show review 2"]').trigger('click')
+    expect(wrapper.text()).toContain('Review b')
+  })
+
+  it('omits the seller button when the product has no affiliate link', async () => {
+    resolveWith([makeReview('a', false)])
+
+    const wrapper = mountReviews()
+    await flushPromises()
+
+    expect(wrapper.find('a[rel="sponsored noopener"]').exists()).toBe(false)
+    expect(wrapper.find('button[aria-label="Next review"]').exists()).toBe(false)
+  })
+
+  it('stays hidden when there are no featured reviews', async () => {
+    resolveWith([])
+
+    const wrapper = mountReviews()
+    await flushPromises()
+
+    expect(wrapper.find('section').exists()).toBe(false)
+  })
+})
@@ -1,4 +1,5 @@
-import { describe, it, expect, vi } from 'vitest'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
 import { mount } from '@vue/test-utils'
 import ProductCard from '../../app/components/ProductCard.vue'
 import type { Product } from '../../app/types'
@@ -37,6 +38,11 @@ const mockProduct: Product = {
 }
 
 describe('ProductCard', () => {
+  // The compare toggle inside the card reads the compare store
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
   it('should render product information correctly', () => {
     const wrapper = mount(ProductCard, {
       props: { product: mockProduct },
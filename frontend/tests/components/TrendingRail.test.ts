@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import TrendingRail from '../../app/components/TrendingRail.vue'
+import type { TrendingProduct } from '../../app/types'
+
+const mockTrendingProducts = vi.fn()
+vi.stubGlobal('useCatalogApi', () => ({ trendingProducts: mockTrendingProducts }))
+
+const ProductCardStub = {
+  name: 'ProductCard',
+  template: '<div class="product-card">{{ product.title }}</div>',
+  props: ['product', 'variant'],
+}
+
+const makeProduct = (id: string, clicks: number): TrendingProduct => ({
+  id,
+  externalId: `ext-${id}`,
+  platform: 'DHGATE',
+  title: `Product ${id}`,
+  description: '',
+  imageUrl: `https://example.com/${id}.jpg`,
+  price: 10,
+  currency: 'USD',
+  priceUpdatedAt: '2025-01-01T00:00:00Z',
+  categoryId: 'cat-1',
+  status: 'ACTIVE',
+  reviewCount: 0,
+  tags: [],
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-01-01T00:00:00Z',
+  trending: { clicks, score: clicks / 2 },
+})
+
+const mountRail = (props = {}) =>
+  mount(TrendingRail, { props, global: { stubs: { ProductCard: ProductCardStub } } })
+
+describe('TrendingRail', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('renders trending products in order', async () => {
+    mockTrendingProducts.mockResolvedValue({
+      window: '24h',
+      computedAt: '2025-01-01T00:00:00Z',
+      products: [makeProduct('a', 9), makeProduct('b', 4)],
+    })
+
+    const wrapper = mountRail()
+    await flushPromises()
+
+    expect(wrapper.text()).toContain('Trending now')
+    expect(wrapper.findAll('.product-card').map((c) => c.text())).toEqual(['Product a', 'Product b'])
+  })
+
+  it('passes window and limit to the API', async () => {
+    mockTrendingProducts.mockResolvedValue({ window: '7d', computedAt: '', products: [] })
+
+    mountRail({ window: '7d', limit: 4 })
+    await flushPromises()
+
+    expect(mockTrendingProducts).toHaveBeenCalledWith({ window: '7d', limit: 4 })
+  })
+
+  it('stays hidden when nothing is trending', async () => {
+    mockTrendingProducts.mockResolvedValue({ window: '24h', computedAt: '', products: [] })
+
+    const wrapper = mountRail()
+    await flushPromises()
+
+    expect(wrapper.find('section').exists()).toBe(false)
+  })
+
+  it('stays hidden when the request fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    mockTrendingProducts.mockRejectedValue(new Error('Network error'))
+
+    const wrapper = mountRail()
+    await flushPromises()
+
+    expect(wrapper.find('section').exists()).toBe(false)
+  })
+})
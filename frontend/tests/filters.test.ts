@@ -168,6 +168,17 @@ describe('Filter Store', () => {
       expect(params).toEqual({})
     })
 
+    it('should round-trip a tag from a search suggestion', () => {
+      const store = useFilterStore()
+
+      store.initFromQuery({ tag: 'pride' })
+
+      expect(store.tag).toBe('pride')
+      expect(store.activeFiltersCount).toBe(1)
+      expect(store.toProductFilters.tag).toBe('pride')
+      expect(store.toQueryParams()).toEqual({ tag: 'pride' })
+    })
+
     it('should initialize from query params', () => {
       const store = useFilterStore()
 
@@ -5,17 +5,27 @@
 //   GET /functions/v1/track-click?id=<affiliate_link_id>
 //     1. Validate the UUID
 //     2. Look up the affiliate_link row (tracked_url or original_url)
-//     3. Insert a row into `clicks` (service role, bypasses RLS)
+//     3. Score it for fraud and insert a row into `clicks` (service role,
+//        bypasses RLS)
 //     4. Return 302 redirect to the destination URL
 //
 // The trigger on `clicks` (see migration 002_clicks_ledger.sql) auto-
 // increments affiliate_links.clicks + updates last_clicked_at, so this
-// function stays simple and atomic.
+// function stays simple and atomic. Suspect clicks (bots, headless browsers,
+// data-center referrers; bursts are flagged by a trigger) are stored but not
+// counted — see migration 014_click_fraud.sql.
+//
+// Self-hosted deployments without Edge Functions can link to the Fastify
+// equivalent instead: GET /api/v1/go/<affiliate_link_id> (backend/src/routes/go.js;
+// the unversioned /api/go/... alias is deprecated).
 //
 // Runtime: Deno (Supabase Edge Functions).
 // Env:
 //   SUPABASE_URL                — auto-injected by Supabase
 //   SUPABASE_SERVICE_ROLE_KEY   — auto-injected by Supabase
+//   CLICK_HASH_SECRET           — same value as the backend's; without it
+//                                 clicks carry no ip_hash and skip burst
+//                                 scoring (supabase secrets set ...)
 //
 // Deploy:
 //   npx supabase functions deploy track-click --project-ref oqkfirmzkdfkfcvzqipo
@@ -28,13 +38,72 @@ import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.45.4'
 
 const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
 
-// SHA-256 hex digest of a string, for privacy-preserving UA fingerprinting.
-async function sha256Hex(input: string): Promise<string> {
-  const data = new TextEncoder().encode(input)
-  const buf = await crypto.subtle.digest('SHA-256', data)
-  return Array.from(new Uint8Array(buf))
+// Click fraud checks — keep in sync with backend/src/utils/clickFraud.js
+const HEADLESS_UA = /headlesschrome|phantomjs|slimerjs|htmlunit|selenium|webdriver|puppeteer|playwright|lighthouse/i
+
+// The lookbehind spares CUBOT phones.
+const BOT_UA = new RegExp([
+  '(?<!cu)bot\\b', 'crawl', 'spider', 'slurp', 'archiver', 'scraper',
+  'facebookexternalhit', 'embedly', 'whatsapp', 'skypeuripreview', 'bitlypreview',
+  'linkcheck', 'link-checker', 'w3c_validator', 'validator\\.nu',
+  'pingdom', 'uptimerobot', 'statuscake', 'site24x7', 'datadog',
+  'curl/', 'wget/', 'httpie/', 'python-requests', 'python-urllib', 'aiohttp',
+  'go-http-client', 'okhttp', 'java/', 'apache-httpclient', 'libwww-perl',
+  'node-fetch', 'axios/', 'undici', 'scrapy', 'postmanruntime',
+].join('|'), 'i')
+
+const DATACENTER_REFERRER_HOSTS = [
+  'amazonaws.com', 'compute.internal', 'googleusercontent.com', 'appspot.com',
+  'cloudapp.net', 'cloudapp.azure.com', 'azurewebsites.net',
+  'digitaloceanspaces.com', 'ondigitalocean.app', 'linodeusercontent.com',
+  'vultrusercontent.com', 'your-server.de', 'ovh.net', 'herokuapp.com',
+]
+
+const IP_HOST = /^(\d{1,3}(\.\d{1,3}){3}|\[[0-9a-f:]+\])$/i
+
+function isDatacenterReferrer(referrer: string): boolean {
+  let host: string
+  try {
+    host = new URL(referrer).hostname.toLowerCase()
+  } catch {
+    return false
+  }
+  return IP_HOST.test(host) ||
+    DATACENTER_REFERRER_HOSTS.some((suffix) => host === suffix || host.endsWith(`.${suffix}`))
+}
+
+function suspectReason(ua: string, referrer: string | null): string | null {
+  if (!ua) return 'bot_user_agent'
+  if (HEADLESS_UA.test(ua)) return 'headless_browser'
+  if (BOT_UA.test(ua)) return 'bot_user_agent'
+  if (referrer && isDatacenterReferrer(referrer)) return 'datacenter_referrer'
+  return null
+}
+
+const toHex = (buf: ArrayBuffer) =>
+  Array.from(new Uint8Array(buf))
     .map((b) => b.toString(16).padStart(2, '0'))
     .join('')
+
+// SHA-256 hex digest of a string, for privacy-preserving UA fingerprinting.
+async function sha256Hex(input: string): Promise<string> {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input))
+  return toHex(buf)
+}
+
+async function hmacSha256(key: BufferSource, input: string): Promise<ArrayBuffer> {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(input))
+}
+
+// Keyed, daily-rotating IP hash for burst scoring — keep in sync with
+// clickIpHash() in backend/src/utils/clicks.js. The day's key is
+// HMAC(secret, 'YYYY-MM-DD' in UTC), so stored hashes can't be reversed
+// without the secret or linked across days.
+async function clickIpHash(ip: string, secret: string): Promise<string> {
+  const encoder = new TextEncoder()
+  const dayKey = await hmacSha256(encoder.encode(secret), new Date().toISOString().slice(0, 10))
+  return toHex(await hmacSha256(dayKey, ip))
 }
 
 Deno.serve(async (req) => {
@@ -91,15 +160,23 @@ Deno.serve(async (req) => {
   if (req.method === 'GET') {
     const ua = req.headers.get('user-agent') ?? ''
     const userAgentHash = ua ? await sha256Hex(ua) : null
+    // Paired with the UA hash so bursts are scored per visitor (migration 017)
+    const ip = req.headers.get('cf-connecting-ip') ?? req.headers.get('x-forwarded-for')?.split(',')[0].trim() ?? null
+    const hashSecret = Deno.env.get('CLICK_HASH_SECRET')
+    const ipHash = ip && hashSecret ? await clickIpHash(ip, hashSecret) : null
     const referrer = req.headers.get('referer') ?? null
     const ipCountry = req.headers.get('cf-ipcountry') ?? req.headers.get('x-country') ?? null
+    const reason = suspectReason(ua, referrer)
 
     const { error: insertError } = await supabase.from('clicks').insert({
       affiliate_link_id: link.id,
       product_id: link.product_id,
       user_agent_hash: userAgentHash,
+      ip_hash: ipHash,
       referrer,
       ip_country: ipCountry,
+      is_suspect: reason !== null,
+      suspect_reason: reason,
     })
 
     if (insertError) {
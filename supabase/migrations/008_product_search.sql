@@ -0,0 +1,33 @@
+-- Swordfighters App — Product Full-Text Search
+-- Backs GET /api/products/search in the Fastify backend. Replaces the
+-- unranked `ilike` scan with a weighted tsvector over title, tags and
+-- description so results can be ranked and highlighted.
+--
+-- Weights: title = A, tags = B, description = C.
+
+-- ── Search document ───────────────────────────────────────────────────────
+-- array_to_string() is only STABLE, so it can't appear directly in an index
+-- expression. Tags are plain text[], so wrapping the whole document in an
+-- IMMUTABLE function is safe.
+--
+-- This is an expression index rather than a stored generated column so that
+-- the many `select * from products` queries don't start shipping a tsvector
+-- in every API response. Queries must call products_search_document() with
+-- exactly these arguments for the planner to use the index.
+
+create or replace function products_search_document(
+  p_title       text,
+  p_description text,
+  p_tags        text[]
+)
+returns tsvector language sql immutable parallel safe as $$
+  select
+    setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(p_tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(p_description, '')), 'C')
+$$;
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+
+create index if not exists products_search_document_idx
+  on products using gin(products_search_document(title, description, tags));
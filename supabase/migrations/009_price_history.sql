@@ -0,0 +1,74 @@
+-- Swordfighters App — Product Price History
+-- Every change to products.price or products.currency appends a row here,
+-- whoever makes it (admin PATCH, bulk import, future sync jobs), so the
+-- product detail page can chart price drops and we can spot anomalies.
+-- Backs GET /api/products/:id/price-history in the Fastify backend.
+
+-- ── Table ─────────────────────────────────────────────────────────────────
+
+create table product_price_history (
+  id           uuid primary key default gen_random_uuid(),
+  product_id   uuid not null references products(id) on delete cascade,
+  price        numeric(10, 2) not null,
+  currency     text not null,
+  recorded_at  timestamptz not null default now()
+);
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+
+-- "Latest price as of day D" lookups: WHERE product_id = ? AND recorded_at < ?
+-- ORDER BY recorded_at DESC LIMIT 1.
+create index product_price_history_product_id_recorded_at_idx
+  on product_price_history(product_id, recorded_at desc);
+
+-- ── Triggers ──────────────────────────────────────────────────────────────
+
+-- price_updated_at was never maintained by the API (it is not settable via
+-- PATCH), so keep it honest here alongside the history row.
+create or replace function touch_product_price_updated_at()
+returns trigger language plpgsql as $$
+begin
+  if new.price is distinct from old.price or new.currency is distinct from old.currency then
+    new.price_updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_price_updated_at before update of price, currency on products
+  for each row execute function touch_product_price_updated_at();
+
+create or replace function record_product_price_change()
+returns trigger language plpgsql as $$
+begin
+  if tg_op = 'INSERT'
+    or new.price is distinct from old.price
+    or new.currency is distinct from old.currency
+  then
+    insert into product_price_history (product_id, price, currency, recorded_at)
+    values (new.id, new.price, new.currency, new.price_updated_at);
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_price_history after insert or update of price, currency on products
+  for each row execute function record_product_price_change();
+
+-- ── Backfill ──────────────────────────────────────────────────────────────
+-- Seed one point per existing product so the series has a starting value.
+
+insert into product_price_history (product_id, price, currency, recorded_at)
+select id, price, currency, price_updated_at
+from products;
+
+-- ── Row Level Security ────────────────────────────────────────────────────
+
+alter table product_price_history enable row level security;
+
+-- Prices are already public on the product row; history is no more sensitive.
+create policy "product_price_history_public_read" on product_price_history
+  for select using (true);
+
+create policy "product_price_history_service_all" on product_price_history
+  for all using ((select auth.role()) = 'service_role');
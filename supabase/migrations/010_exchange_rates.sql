@@ -0,0 +1,48 @@
+-- Swordfighters App — Exchange Rates
+-- Products keep the price and currency they were imported with. This table
+-- holds one USD-based rate per currency so the API can show prices in the
+-- visitor's currency and filter minPrice/maxPrice across mixed currencies.
+-- Maintained through /api/admin/exchange-rates or the worker's
+-- sync-exchange-rates job (reads EXCHANGE_RATES_FILE).
+
+-- ── Table ─────────────────────────────────────────────────────────────────
+
+-- rate = units of `currency` per 1 USD (USD itself is always 1)
+create table exchange_rates (
+  currency    text primary key check (currency ~ '^[A-Z]{3}$'),
+  rate        numeric(18, 8) not null check (rate > 0),
+  source      text not null default 'manual',
+  updated_at  timestamptz not null default now()
+);
+
+create trigger exchange_rates_updated_at before update on exchange_rates
+  for each row execute function set_updated_at();
+
+insert into exchange_rates (currency, rate, source) values ('USD', 1, 'base');
+
+-- ── Conversion ────────────────────────────────────────────────────────────
+-- NULL when either currency has no rate, so a price filter never guesses:
+-- products in an unknown currency simply don't match.
+
+create or replace function convert_price(
+  p_amount        numeric,
+  p_from_currency text,
+  p_to_currency   text
+)
+returns numeric language sql stable parallel safe as $$
+  select case
+    when p_from_currency = p_to_currency then p_amount
+    else p_amount * (select rate from exchange_rates where currency = p_to_currency)
+                  / (select rate from exchange_rates where currency = p_from_currency)
+  end
+$$;
+
+-- ── Row Level Security ────────────────────────────────────────────────────
+
+alter table exchange_rates enable row level security;
+
+create policy "exchange_rates_public_read" on exchange_rates
+  for select using (true);
+
+create policy "exchange_rates_service_all" on exchange_rates
+  for all using ((select auth.role()) = 'service_role');
@@ -0,0 +1,26 @@
+-- Swordfighters App — Merchant Feed Tokens
+-- Access tokens for the shopping-channel feeds (GET /api/feeds/merchant.xml
+-- and merchant.csv). Channels fetch the feed URL on a schedule and cannot
+-- send cookies or headers, so each channel gets its own `?token=` that can
+-- be revoked without affecting the others. Only a sha256 of the token is
+-- stored; the plaintext is shown once when the admin creates it.
+
+-- ── Table ─────────────────────────────────────────────────────────────────
+
+create table merchant_feed_tokens (
+  id            uuid primary key default gen_random_uuid(),
+  name          text not null,              -- e.g. "Google Merchant Center"
+  token_hash    text not null unique,       -- sha256 hex of the token
+  created_by    uuid references admins(id) on delete set null,
+  last_used_at  timestamptz,
+  revoked_at    timestamptz,
+  created_at    timestamptz not null default now()
+);
+
+-- ── Row Level Security ────────────────────────────────────────────────────
+-- Tokens are admin-only; the backend uses the service role.
+
+alter table merchant_feed_tokens enable row level security;
+
+create policy "merchant_feed_tokens_service_all" on merchant_feed_tokens
+  for all using ((select auth.role()) = 'service_role');
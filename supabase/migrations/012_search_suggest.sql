@@ -0,0 +1,18 @@
+-- Swordfighters App — Search Suggestions
+-- Backs GET /api/search/suggest in the Fastify backend: the search bar's
+-- type-ahead dropdown of product titles, category names and popular tags.
+-- Trigram matching (pg_trgm) lets partial words and typos still match,
+-- which the full-text search document from 008 can't do.
+
+create extension if not exists pg_trgm;
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+-- gin_trgm_ops serves both `ilike '%…%'` and the `<%` word-similarity
+-- operator used by the suggest queries. Tags are matched by unnesting the
+-- ACTIVE products' tags; that scan is small and its results are cached.
+
+create index if not exists products_title_trgm_idx
+  on products using gin(title gin_trgm_ops);
+
+create index if not exists categories_name_trgm_idx
+  on categories using gin(name gin_trgm_ops);
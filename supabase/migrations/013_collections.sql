@@ -0,0 +1,53 @@
+-- Swordfighters App — Collections
+-- Curated product collections for /seasonal/:slug, replacing the seasons
+-- that were hard-coded in frontend/app/utils/seasons.ts. A collection is
+-- hand-picked products (shown first, in the order given) plus every ACTIVE
+-- product carrying one of its tags. starts_at / ends_at schedule it; a null
+-- bound is open-ended, so the seeded seasons are always live.
+-- Managed through /api/admin/collections.
+
+-- ── Table ─────────────────────────────────────────────────────────────────
+
+create table collections (
+  id              uuid primary key default gen_random_uuid(),
+  slug            text not null unique check (slug ~ '^[a-z0-9-]+$'),
+  label           text not null,
+  blurb           text not null default '',
+  hero_image_url  text,
+  tags            text[] not null default '{}',
+  product_ids     uuid[] not null default '{}',
+  starts_at       timestamptz,
+  ends_at         timestamptz,
+  sort_order      integer not null default 0,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now(),
+  check (starts_at is null or ends_at is null or ends_at > starts_at)
+);
+
+create index collections_sort_idx on collections(sort_order, label);
+
+create trigger collections_updated_at before update on collections
+  for each row execute function set_updated_at();
+
+-- ── Seed: the former hard-coded seasons ───────────────────────────────────
+
+insert into collections (slug, label, tags, blurb, sort_order) values
+  ('spring',  'Spring',  '{spring}',  'Light layers, bright colors, and outdoor-ready picks.', 10),
+  ('summer',  'Summer',  '{summer}',  'Beach days, pool parties, and warm-weather essentials.', 20),
+  ('pride',   'Pride',   '{pride}',   'Celebrate loud. Curated gear for Pride Month and beyond.', 30),
+  ('fall',    'Fall',    '{fall}',    'Cozy layers, moody colors, and autumn staples.', 40),
+  ('holiday', 'Holiday', '{holiday}', 'Gift-ready picks for the season of giving.', 50),
+  ('winter',  'Winter',  '{winter}',  'Stay warm. Cold-weather essentials and cold-night indulgences.', 60);
+
+-- ── Row Level Security ────────────────────────────────────────────────────
+
+alter table collections enable row level security;
+
+-- Public can read collections that are currently live
+create policy "collections_public_read" on collections
+  for select using (
+    (starts_at is null or starts_at <= now()) and (ends_at is null or ends_at > now())
+  );
+
+create policy "collections_service_all" on collections
+  for all using ((select auth.role()) = 'service_role');
@@ -0,0 +1,78 @@
+-- Swordfighters App — Click Fraud Scoring
+-- Crawlers, link checkers and headless browsers that get past the per-IP
+-- click limit were inflating affiliate_links.clicks. Each click is now scored
+-- on insert and suspect clicks are kept in the ledger, flagged with a
+-- reason, but no longer counted.
+--
+-- Scoring happens in two places:
+--   - the inserter (backend/src/utils/clickFraud.js and the track-click Edge
+--     Function), which still sees the raw user agent and referrer: known bot
+--     user agents, headless browsers and data-center referrers
+--   - score_click_burst() below, for abnormal bursts per user_agent_hash,
+--     which needs the ledger itself
+
+-- ── Columns ───────────────────────────────────────────────────────────────
+
+alter table clicks
+  add column is_suspect     boolean not null default false,
+  add column suspect_reason text check (suspect_reason in (
+    'bot_user_agent', 'headless_browser', 'burst', 'datacenter_referrer'
+  )),
+  add constraint clicks_suspect_reason_check
+    check (is_suspect = (suspect_reason is not null));
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+
+-- Burst lookups: recent clicks for one user agent
+create index clicks_user_agent_hash_clicked_at_idx
+  on clicks(user_agent_hash, clicked_at desc)
+  where user_agent_hash is not null;
+
+-- ── Trigger: flag bursts ──────────────────────────────────────────────────
+-- More than 30 clicks in a minute from one user agent, across all links, is
+-- a script rather than shoppers: real visitors sharing a browser build don't
+-- click through that fast on a catalog this size. Bursts from the same UA
+-- keep getting flagged until it slows down.
+
+create or replace function score_click_burst()
+returns trigger language plpgsql as $$
+begin
+  if new.is_suspect or new.user_agent_hash is null then
+    return new;
+  end if;
+
+  if (
+    select count(*)
+    from clicks
+    where user_agent_hash = new.user_agent_hash
+      and clicked_at > new.clicked_at - interval '1 minute'
+  ) >= 30 then
+    new.is_suspect := true;
+    new.suspect_reason := 'burst';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger clicks_before_insert
+  before insert on clicks
+  for each row execute function score_click_burst();
+
+-- ── Trigger: count clean clicks only ──────────────────────────────────────
+
+create or replace function bump_affiliate_link_click_counters()
+returns trigger language plpgsql as $$
+begin
+  if new.is_suspect then
+    return new;
+  end if;
+
+  update affiliate_links
+  set
+    clicks          = clicks + 1,
+    last_clicked_at = new.clicked_at,
+    updated_at      = now()
+  where id = new.affiliate_link_id;
+  return new;
+end;
+$$;
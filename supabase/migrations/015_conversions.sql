@@ -0,0 +1,56 @@
+-- Swordfighters App — Conversions Ledger
+-- One row per sale reported by an affiliate network through its signed
+-- postback (POST /api/v1/postbacks/:network in the Fastify backend). The
+-- aggregate `conversions` and `revenue` columns on `affiliate_links` are kept
+-- in sync by a trigger, like `clicks` in 003_clicks_ledger.sql, so
+-- revenue / clicks gives EPC.
+
+-- ── Table ─────────────────────────────────────────────────────────────────
+
+create table conversions (
+  id                 uuid primary key default gen_random_uuid(),
+  network            text not null check (network ~ '^[a-z0-9-]+$'),
+  transaction_id     text not null,  -- the network's id for the sale
+  affiliate_link_id  uuid not null references affiliate_links(id) on delete cascade,
+  click_id           uuid references clicks(id) on delete set null,
+  amount             numeric(10, 2) not null check (amount >= 0),  -- commission as reported
+  currency           text not null check (currency ~ '^[A-Z]{3}$'),
+  revenue            numeric(10, 2) not null check (revenue >= 0), -- amount in USD
+  converted_at       timestamptz not null default now(),
+  created_at         timestamptz not null default now(),
+  -- Networks retry postbacks; a repeat is the same conversion
+  unique (network, transaction_id)
+);
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+
+create index conversions_affiliate_link_id_idx on conversions(affiliate_link_id);
+create index conversions_click_id_idx on conversions(click_id) where click_id is not null;
+create index conversions_converted_at_idx on conversions(converted_at desc);
+
+-- ── Trigger: keep affiliate_links counters in sync ────────────────────────
+
+create or replace function bump_affiliate_link_conversion_counters()
+returns trigger language plpgsql as $$
+begin
+  update affiliate_links
+  set
+    conversions = conversions + 1,
+    revenue     = revenue + new.revenue,
+    updated_at  = now()
+  where id = new.affiliate_link_id;
+  return new;
+end;
+$$;
+
+create trigger conversions_after_insert
+  after insert on conversions
+  for each row execute function bump_affiliate_link_conversion_counters();
+
+-- ── Row Level Security ────────────────────────────────────────────────────
+-- Written only by the backend; reads are admin-only.
+
+alter table conversions enable row level security;
+
+create policy "conversions_service_all" on conversions
+  for all using (auth.role() = 'service_role');
@@ -0,0 +1,35 @@
+-- Swordfighters App — Dub Link Stats
+-- The worker's sync-link-stats job copies the clicks and sales Dub has seen
+-- for each short link (affiliate_links.dub_link_id) into these columns. They
+-- sit next to the local `clicks` / `conversions` / `revenue` counters rather
+-- than overwriting them: Dub also counts short-link hits that never went
+-- through /api/v1/go, and the local counters are maintained by triggers.
+
+alter table affiliate_links
+  add column dub_clicks      integer not null default 0,
+  add column dub_conversions integer not null default 0,
+  add column dub_revenue     numeric(10, 2) not null default 0, -- USD
+  add column dub_synced_at   timestamptz;
+
+-- dub_link_id is what the sync job and link cleanup look rows up by; the
+-- partial index from 007_perf_improvements.sql covers it. Two rows sharing a
+-- Dub link would double count, so make it unique.
+--
+-- Nothing enforced that before, so rows may already share a Dub id. The
+-- oldest row keeps it; the others are detached (dub_link_id cleared) and
+-- stop receiving Dub stats. Their tracked_url is left alone, so the short
+-- link keeps redirecting.
+update affiliate_links al
+set dub_link_id = null
+where al.dub_link_id is not null
+  and exists (
+    select 1
+    from affiliate_links keeper
+    where keeper.dub_link_id = al.dub_link_id
+      and (keeper.created_at, keeper.id) < (al.created_at, al.id)
+  );
+
+drop index if exists affiliate_links_dub_link_id_idx;
+create unique index affiliate_links_dub_link_id_idx
+  on affiliate_links(dub_link_id)
+  where dub_link_id is not null;
@@ -0,0 +1,53 @@
+-- Swordfighters App — Per-Visitor Click Bursts
+-- score_click_burst() (migration 014_click_fraud.sql) counted the last
+-- minute of clicks per user_agent_hash alone. Everyone on the current stock
+-- Chrome or Safari build shares that hash, so at normal traffic real clicks
+-- crossed the threshold and were dropped from the clean counts.
+--
+-- Bursts are now counted per visitor: user agent *and* client IP. The IP is
+-- never stored. The inserters (backend/src/utils/clicks.js and the
+-- track-click Edge Function) store an HMAC of it keyed with a daily key
+-- derived from CLICK_HASH_SECRET: without the secret the hash can't be
+-- reversed by hashing every IPv4 address, and the same visitor hashes
+-- differently from one UTC day to the next. Rows without an ip_hash (no
+-- secret configured, or older inserters) are never scored as bursts.
+
+-- ── Columns ───────────────────────────────────────────────────────────────
+
+alter table clicks
+  add column ip_hash text;           -- daily-keyed HMAC of the client IP, for burst scoring
+
+-- ── Indexes ───────────────────────────────────────────────────────────────
+
+drop index if exists clicks_user_agent_hash_clicked_at_idx;
+
+-- Burst lookups: recent clicks for one visitor
+create index clicks_visitor_clicked_at_idx
+  on clicks(user_agent_hash, ip_hash, clicked_at desc)
+  where user_agent_hash is not null and ip_hash is not null;
+
+-- ── Trigger: flag bursts ──────────────────────────────────────────────────
+-- 30 or more clicks in a minute from one UA on one IP, across all links, is
+-- a script rather than a shopper. Same trigger (clicks_before_insert), new
+-- body.
+
+create or replace function score_click_burst()
+returns trigger language plpgsql as $$
+begin
+  if new.is_suspect or new.user_agent_hash is null or new.ip_hash is null then
+    return new;
+  end if;
+
+  if (
+    select count(*)
+    from clicks
+    where user_agent_hash = new.user_agent_hash
+      and ip_hash = new.ip_hash
+      and clicked_at > new.clicked_at - interval '1 minute'
+  ) >= 30 then
+    new.is_suspect := true;
+    new.suspect_reason := 'burst';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,54 @@
+-- pgTAP tests for score_click_burst() (migrations 014 and 017).
+-- Run with: npx supabase test db
+
+begin;
+create extension if not exists pgtap with schema extensions;
+select plan(4);
+
+insert into categories (id, name, slug)
+  values ('00000000-0000-4000-8000-000000000001', 'Burst Test', 'burst-test');
+insert into products (id, external_id, platform, title, price, category_id)
+  values ('00000000-0000-4000-8000-000000000002', 'burst-test', 'DHGATE', 'Burst Test', 10,
+          '00000000-0000-4000-8000-000000000001');
+insert into affiliate_links (id, product_id, original_url, tracked_url)
+  values ('00000000-0000-4000-8000-000000000003', '00000000-0000-4000-8000-000000000002',
+          'https://example.com/p', 'https://example.com/p');
+
+-- 40 shoppers on the same stock browser build, each from their own IP
+insert into clicks (affiliate_link_id, product_id, user_agent_hash, ip_hash)
+select '00000000-0000-4000-8000-000000000003', '00000000-0000-4000-8000-000000000002',
+       'stock-chrome', 'shopper-' || n
+from generate_series(1, 40) as n;
+
+select is(
+  (select count(*)::int from clicks where user_agent_hash = 'stock-chrome' and is_suspect),
+  0,
+  'many IPs sharing one user agent are not a burst'
+);
+
+select is(
+  (select clicks from affiliate_links where id = '00000000-0000-4000-8000-000000000003'),
+  40,
+  'their clicks are all counted'
+);
+
+-- One script: 40 clicks from one UA on one IP
+insert into clicks (affiliate_link_id, product_id, user_agent_hash, ip_hash)
+select '00000000-0000-4000-8000-000000000003', '00000000-0000-4000-8000-000000000002',
+       'stock-chrome', 'script'
+from generate_series(1, 40);
+
+select is(
+  (select count(*)::int from clicks where ip_hash = 'script' and suspect_reason = 'burst'),
+  10,
+  'clicks past the 30th in a minute from one visitor are flagged as a burst'
+);
+
+select is(
+  (select clicks from affiliate_links where id = '00000000-0000-4000-8000-000000000003'),
+  70,
+  'burst clicks are not counted'
+);
+
+select * from finish();
+rollback;